@@ -0,0 +1,313 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { paths, ensureDir, log, readJson, updateJson } = require("./config");
+const { canonicalName, loadToolKB, toolAreas } = require("./tools");
+
+/**
+ * OpenTell — Active Areas
+ *
+ * Which learning areas apply to the project a session is working in, so
+ * context injection can leave the rest out: a Go API service doesn't need
+ * the developer's accessibility rules for React components. Inferred from
+ * the working directory at SessionStart:
+ *
+ *   manifests   dependencies in package.json, pyproject.toml,
+ *               requirements.txt, Gemfile, go.mod, Cargo.toml, composer.json
+ *               — mapped through the tool knowledge base (react → frontend,
+ *               prisma → backend, vitest → testing)
+ *   extensions  the dominant source file types (.tsx → frontend,
+ *               .go → backend, .sql → data)
+ *   structure   test directories and test files (testing), Dockerfiles,
+ *               CI workflows and infrastructure code (devops)
+ *   git         files changed recently or uncommitted — what the developer
+ *               is working on right now, even in a mixed repo
+ *
+ * "general" and "architecture" always apply. When nothing can be inferred
+ * the result is empty and no filtering happens.
+ *
+ * SessionStart has a 5s budget, so the walk is small and shallow, git gets
+ * half a second, and the result is cached per directory for ten minutes —
+ * a burst of sessions (or /clear) in the same project infers once.
+ *
+ * Mid-session, a prompt can move to an area the project didn't show at
+ * SessionStart ("now write the Dockerfile") — promptAreas() reads that from
+ * the prompt's wording and the tools it names.
+ */
+
+// How many files the directory walk looks at, and how deep
+const MAX_FILES = 500;
+const MAX_DEPTH = 3;
+// Share of source files an extension's area needs to count
+const MIN_SHARE = 0.1;
+// Recently changed files considered from git
+const RECENT_COMMITS = 30;
+const GIT_TIMEOUT_MS = 500;
+// How long an inferred result is reused for the same directory
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_PATH = paths.areas;
+
+const ALWAYS = ["general", "architecture"];
+
+const SKIP_DIRS = new Set([
+  "node_modules", ".git", "dist", "build", "out", "coverage", "vendor", "target",
+  ".next", ".nuxt", ".venv", "venv", "__pycache__", ".tox", ".cache", ".turbo",
+]);
+
+const EXTENSION_AREAS = {
+  frontend: [".tsx", ".jsx", ".vue", ".svelte", ".astro", ".css", ".scss", ".sass", ".less", ".html"],
+  backend: [".go", ".rs", ".java", ".kt", ".rb", ".php", ".cs", ".ex", ".exs", ".scala"],
+  data: [".sql", ".ipynb", ".parquet", ".prql"],
+  devops: [".tf", ".hcl"],
+};
+
+// Packages the tool knowledge base doesn't cover, by area
+const EXTRA_PACKAGES = {
+  data: ["pandas", "numpy", "polars", "pyspark", "dbt-core", "apache-airflow", "dagster", "jupyter", "scikit-learn", "duckdb"],
+  backend: ["fastify", "koa", "@nestjs/core", "gin", "actix-web", "axum", "spring-boot", "laravel/framework", "sqlalchemy", "mongoose", "pg"],
+};
+
+// What a prompt says when it turns to an area
+const PROMPT_AREAS = {
+  frontend: /\b(?:components?|css|styles?|stylesheet|layout|ui|front-?end|page|modal|button|form|navbar|sidebar|responsive)\b/i,
+  backend: /\b(?:endpoints?|api|server|back-?end|route handlers?|middleware|controllers?|webhooks?|auth(?:entication)?|migrations?)\b/i,
+  testing: /\b(?:tests?|specs?|unit tests?|e2e|coverage|mocks?|fixtures?|test suite)\b/i,
+  devops: /\b(?:dockerfile|docker|containers?|kubernetes|k8s|helm|terraform|ci|pipelines?|github actions|workflows?|deploy(?:ment|s|ing)?|infra(?:structure)?)\b/i,
+  data: /\b(?:sql|quer(?:y|ies)|schema|tables?|etl|dataframes?|notebooks?|warehouse|analytics)\b/i,
+  ux: /\b(?:accessib(?:le|ility)|a11y|wording|empty states?|loading states?|error messages?|onboarding|usability)\b/i,
+};
+
+const TEST_DIRS = /^(?:tests?|__tests__|spec|specs|e2e|cypress|playwright)$/;
+const TEST_FILE = /(?:\.(?:test|spec)\.[cm]?[jt]sx?|_test\.(?:go|py)|^test_\w+\.py|_spec\.rb)$/;
+const DEVOPS_FILES = /^(?:Dockerfile(?:\..+)?|docker-compose\.ya?ml|compose\.ya?ml|Jenkinsfile|\.gitlab-ci\.yml|Procfile|fly\.toml|vercel\.json|netlify\.toml|serverless\.ya?ml)$/;
+const DEVOPS_DIRS = /^(?:\.github|k8s|kubernetes|helm|charts|terraform|infra|deploy|\.circleci)$/;
+
+/**
+ * Infer the active areas for a working directory.
+ *
+ * @param {string} cwd — the session's working directory
+ * @param {string} [root] — repo root (scope key); manifests there count too
+ * @param {Object} [opts]
+ * @param {boolean} [opts.fresh] — skip the cache (the result is still stored)
+ * @returns {{ areas: string[], reasons: Object<string, string[]> }} areas is
+ *   empty when nothing was found
+ */
+function inferActiveAreas(cwd, root = null, opts = {}) {
+  if (!cwd || !fs.existsSync(cwd)) return { areas: [], reasons: {} };
+
+  const key = `${path.resolve(cwd)}\0${root ? path.resolve(root) : ""}`;
+  if (!opts.fresh) {
+    const cached = readJson(CACHE_PATH, {})[key];
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) return { areas: cached.areas, reasons: cached.reasons };
+  }
+
+  const result = inferUncached(cwd, root);
+  try {
+    ensureDir();
+    updateJson(CACHE_PATH, {}, (cache) => {
+      const now = Date.now();
+      for (const [k, entry] of Object.entries(cache)) {
+        if (now - entry.at >= CACHE_TTL_MS) delete cache[k];
+      }
+      cache[key] = { at: now, ...result };
+    });
+  } catch (e) {
+    log(`Area inference: cache write failed: ${e.message}`);
+  }
+  return result;
+}
+
+function inferUncached(cwd, root) {
+  const reasons = {};
+  const add = (area, reason) => {
+    if (!area) return;
+    (reasons[area] = reasons[area] || []);
+    if (!reasons[area].includes(reason)) reasons[area].push(reason);
+  };
+
+  const dirs = [...new Set([path.resolve(cwd), root ? path.resolve(root) : null].filter(Boolean))];
+  for (const dir of dirs) fromManifests(dir, add);
+  fromFiles(cwd, add);
+  fromGit(cwd, add);
+
+  // UX learnings (accessibility, copy, states) come with a UI
+  if (reasons.frontend) add("ux", "frontend code");
+
+  const found = Object.keys(reasons);
+  if (found.length === 0) return { areas: [], reasons };
+  for (const area of ALWAYS) if (!reasons[area]) reasons[area] = ["always"];
+  return { areas: Object.keys(reasons), reasons };
+}
+
+/**
+ * Areas a prompt turns to, from its wording and the tools it names.
+ * @param {string} prompt
+ * @returns {string[]}
+ */
+function promptAreas(prompt) {
+  if (!prompt) return [];
+  const areas = toolAreas(prompt);
+  for (const [area, re] of Object.entries(PROMPT_AREAS)) {
+    if (re.test(prompt)) areas.add(area);
+  }
+  areas.delete("general");
+  return [...areas];
+}
+
+// ─── Manifests ──────────────────────────────────────────────────────────────
+
+function fromManifests(dir, add) {
+  const deps = [];
+
+  const pkg = readJsonSafe(path.join(dir, "package.json"));
+  if (pkg) {
+    deps.push(...Object.keys({ ...pkg.dependencies, ...pkg.devDependencies, ...pkg.peerDependencies }));
+  }
+  for (const file of ["requirements.txt", "requirements-dev.txt"]) {
+    const text = readText(path.join(dir, file));
+    if (text) deps.push(...text.split("\n").map((l) => l.trim().split(/[=<>~![;\s]/)[0]).filter((l) => l && !l.startsWith("#") && !l.startsWith("-")));
+  }
+  const pyproject = readText(path.join(dir, "pyproject.toml"));
+  if (pyproject) deps.push(...[...pyproject.matchAll(/^\s*["']?([A-Za-z][\w.-]*)\s*(?:[<>=~!^]|["'])/gm)].map((m) => m[1]));
+  const gemfile = readText(path.join(dir, "Gemfile"));
+  if (gemfile) deps.push(...[...gemfile.matchAll(/^\s*gem\s+["']([\w-]+)["']/gm)].map((m) => m[1]));
+  const gomod = readText(path.join(dir, "go.mod"));
+  if (gomod) {
+    add("backend", "go.mod");
+    deps.push(...[...gomod.matchAll(/^\s*(?:require\s+)?([\w.-]+\/[\w./-]+)\s+v/gm)].map((m) => m[1].split("/").pop()));
+  }
+  const cargo = readText(path.join(dir, "Cargo.toml"));
+  if (cargo) deps.push(...[...cargo.matchAll(/^\s*([\w-]+)\s*=/gm)].map((m) => m[1]));
+  const composer = readJsonSafe(path.join(dir, "composer.json"));
+  if (composer) deps.push(...Object.keys({ ...composer.require, ...composer["require-dev"] }));
+
+  const kb = loadToolKB();
+  const names = new Set(deps.map((d) => d.toLowerCase()));
+  for (const name of names) {
+    const tool = packageTool(kb, name);
+    if (!tool) continue;
+    for (const c of tool.categories) add(kb.categories[c]?.area, `depends on ${name}`);
+  }
+  for (const [area, packages] of Object.entries(EXTRA_PACKAGES)) {
+    for (const p of packages) if (names.has(p)) add(area, `depends on ${p}`);
+  }
+}
+
+/**
+ * The known tool a package stands for: by alias or command, also trying
+ * the package without its scope or -dom/-native suffix and the scope
+ * itself ("react-dom" → react, "@prisma/client" → prisma, "next" → next.js).
+ */
+function packageTool(kb, name) {
+  const scope = name.match(/^@([\w.-]+)\//);
+  const bare = name.replace(/^@[\w.-]+\//, "");
+  const candidates = [name, bare, bare.replace(/-(?:dom|native)$/, ""), scope && scope[1]].filter(Boolean);
+  for (const candidate of candidates) {
+    const canonical = canonicalName(candidate);
+    if (canonical) return kb.tools[canonical];
+    const byCommand = Object.values(kb.tools).find((t) => t.commands.includes(candidate));
+    if (byCommand) return byCommand;
+  }
+  return null;
+}
+
+// ─── Files ──────────────────────────────────────────────────────────────────
+
+function fromFiles(cwd, add) {
+  const counts = {};
+  let total = 0;
+  let seen = 0;
+
+  const walk = (dir, depth) => {
+    if (depth > MAX_DEPTH || seen >= MAX_FILES) return;
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (seen >= MAX_FILES) return;
+      const rel = path.relative(cwd, path.join(dir, entry.name));
+      if (entry.isDirectory()) {
+        if (SKIP_DIRS.has(entry.name)) continue;
+        if (TEST_DIRS.test(entry.name)) add("testing", `${rel}/`);
+        if (DEVOPS_DIRS.test(entry.name)) add("devops", `${rel}/`);
+        walk(path.join(dir, entry.name), depth + 1);
+        continue;
+      }
+      seen++;
+      if (DEVOPS_FILES.test(entry.name)) add("devops", rel);
+      if (TEST_FILE.test(entry.name)) add("testing", "test files");
+
+      const ext = path.extname(entry.name).toLowerCase();
+      const area = extensionArea(ext);
+      if (isSource(ext)) total++;
+      if (area) counts[area] = (counts[area] || 0) + 1;
+    }
+  };
+  walk(cwd, 0);
+
+  for (const [area, n] of Object.entries(counts)) {
+    if (total > 0 && n / total >= MIN_SHARE) add(area, `${Math.round((n / total) * 100)}% of source files`);
+  }
+}
+
+function extensionArea(ext) {
+  for (const [area, exts] of Object.entries(EXTENSION_AREAS)) {
+    if (exts.includes(ext)) return area;
+  }
+  return null;
+}
+
+function isSource(ext) {
+  return !!extensionArea(ext) || [".js", ".mjs", ".cjs", ".ts", ".py", ".swift", ".c", ".cc", ".cpp", ".h"].includes(ext);
+}
+
+// ─── Git ────────────────────────────────────────────────────────────────────
+
+/** Areas of the files changed in recent commits and not yet committed. */
+function fromGit(cwd, add) {
+  let output;
+  try {
+    const recent = execFileSync("git", ["log", `-n${RECENT_COMMITS}`, "--name-only", "--pretty=format:"], {
+      cwd, timeout: GIT_TIMEOUT_MS, encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"],
+    });
+    const pending = execFileSync("git", ["status", "--porcelain"], {
+      cwd, timeout: GIT_TIMEOUT_MS, encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"],
+    });
+    output = recent + "\n" + pending.split("\n").map((l) => l.slice(3)).join("\n");
+  } catch (e) {
+    if (e.code !== "ENOENT" && e.status !== 128) log(`Area inference: git failed: ${e.message}`);
+    return;
+  }
+
+  for (const file of new Set(output.split("\n").map((l) => l.trim()).filter(Boolean))) {
+    const name = path.basename(file);
+    const area =
+      TEST_FILE.test(name) || file.split("/").some((d) => TEST_DIRS.test(d)) ? "testing" :
+      DEVOPS_FILES.test(name) || file.split("/").some((d) => DEVOPS_DIRS.test(d)) ? "devops" :
+      extensionArea(path.extname(name).toLowerCase());
+    if (area) add(area, "recently changed files");
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf-8");
+  } catch {
+    return "";
+  }
+}
+
+function readJsonSafe(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { inferActiveAreas, promptAreas };
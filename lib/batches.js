@@ -0,0 +1,235 @@
+const { paths, loadConfig, log, readJson, updateJson } = require("./config");
+const { buildBatchRequest, parseBatchResponse, CLASSIFY_BATCH_SIZE } = require("./classifier");
+const { claimWalEntries, drainWal, failWalEntry, releaseWalEntry, markWalBatched } = require("./store");
+const { supportsBatches, submitBatch, getBatch, getBatchResults } = require("./provider");
+const { applyClassification, embedLearnings } = require("./wal-runner");
+
+/**
+ * OpenTell — Batch Classification
+ *
+ * Optional cheaper path for WAL classification ("batch_classification": true
+ * in config.json, Anthropic only). Instead of classifying during the session,
+ * SessionEnd submits every queued pair as one Message Batches job — billed at
+ * 50% — and records it in ~/.opentell/batches.json. The WAL entries are parked
+ * as "batched" until the results arrive.
+ *
+ * The next SessionStart (through the background worker) or `opentell sync`
+ * polls the open jobs and feeds finished results through the same
+ * applyClassification() path as synchronous classification.
+ *
+ * Each job request carries CLASSIFY_BATCH_SIZE pairs, so one job of N pairs
+ * is N / 20 requests.
+ */
+
+// Pairs per job — 20 requests of CLASSIFY_BATCH_SIZE pairs
+const BATCH_MAX_PAIRS = 20 * CLASSIFY_BATCH_SIZE;
+
+// Batch results are kept for 29 days; after that a job is given up on
+const BATCH_MAX_AGE_MS = 29 * 24 * 60 * 60 * 1000;
+
+// A sync claim on a job older than this is considered abandoned
+const SYNC_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+function emptyBatches() {
+  return { batches: [] };
+}
+
+/**
+ * Batch mode is on and the provider can run batch jobs.
+ */
+function batchModeEnabled(config = loadConfig()) {
+  return !!config.batch_classification && supportsBatches(config);
+}
+
+/**
+ * Jobs submitted but not yet synced.
+ */
+function listBatches() {
+  return readJson(paths.batches, emptyBatches).batches;
+}
+
+/**
+ * Submit queued WAL entries as a Message Batches job.
+ * @returns {Promise<{ id: string, pairs: number } | null>}
+ */
+async function submitWalBatch(config = loadConfig()) {
+  if (!supportsBatches(config)) return null;
+
+  const claimed = claimWalEntries({ limit: BATCH_MAX_PAIRS });
+  if (claimed.length === 0) return null;
+
+  const chunks = [];
+  const requests = [];
+  for (let i = 0; i < claimed.length; i += CLASSIFY_BATCH_SIZE) {
+    const chunk = claimed.slice(i, i + CLASSIFY_BATCH_SIZE);
+    const custom_id = `chunk-${chunks.length + 1}`;
+    chunks.push({ custom_id, entry_ids: chunk.map((e) => e.id) });
+    requests.push({ ...buildBatchRequest(chunk, config), custom_id });
+  }
+
+  let batch;
+  try {
+    batch = await submitBatch(requests, config);
+  } catch (e) {
+    if (e.code === "CIRCUIT_OPEN") {
+      for (const entry of claimed) releaseWalEntry(entry);
+    } else {
+      for (const entry of claimed) failWalEntry(entry, e.message);
+    }
+    log(`Batch submit error: ${e.message}`);
+    return null;
+  }
+
+  markWalBatched(claimed, batch.id);
+  updateJson(paths.batches, emptyBatches, (data) => {
+    data.batches.push({
+      id: batch.id,
+      submitted_at: new Date().toISOString(),
+      model: batch.model,
+      pairs: claimed.length,
+      chunks,
+    });
+  });
+
+  log(`Batch ${batch.id} submitted: ${claimed.length} pairs in ${chunks.length} request(s)`);
+  return { id: batch.id, pairs: claimed.length };
+}
+
+/**
+ * Poll every open job; apply results of the ones that have ended.
+ * @returns {Promise<{ ended: number, in_progress: number, processed: number, learnings: number, failed: number }>}
+ */
+async function syncBatches(config = loadConfig()) {
+  const summary = { ended: 0, in_progress: 0, processed: 0, learnings: 0, failed: 0 };
+  if (!supportsBatches(config)) return summary;
+
+  for (const record of listBatches()) {
+    if (!claimRecord(record.id)) continue;
+
+    let batch;
+    try {
+      batch = await getBatch(record.id, config);
+    } catch (e) {
+      log(`Batch ${record.id} status error: ${e.message}`);
+      const expired = Date.now() - Date.parse(record.submitted_at) > BATCH_MAX_AGE_MS;
+      if (e.status === 404 || expired) abandonRecord(record);
+      else unclaimRecord(record.id);
+      if (e.code === "CIRCUIT_OPEN") break;
+      continue;
+    }
+
+    if (batch.processing_status !== "ended") {
+      summary.in_progress++;
+      unclaimRecord(record.id);
+      continue;
+    }
+
+    let results;
+    try {
+      results = await getBatchResults(batch, "classification", config);
+    } catch (e) {
+      log(`Batch ${record.id} results error: ${e.message}`);
+      unclaimRecord(record.id);
+      continue;
+    }
+
+    const before = { ...summary };
+    await applyBatchResults(record, results, summary, config);
+    removeRecord(record.id);
+    summary.ended++;
+    log(`Batch ${record.id} applied: ${summary.processed - before.processed} classified, ${summary.failed - before.failed} failed`);
+  }
+
+  return summary;
+}
+
+async function applyBatchResults(record, results, summary, config) {
+  const byCustomId = new Map(results.map((r) => [r.custom_id, r]));
+  const parsed = new Map();
+  for (const chunk of record.chunks) {
+    const r = byCustomId.get(chunk.custom_id);
+    if (r && !r.error) parsed.set(chunk.custom_id, parseBatchResponse(r.text, chunk.entry_ids.length));
+  }
+  const embeddings = await embedLearnings([...parsed.values()].flat(), config);
+
+  const entries = new Map(
+    drainWal()
+      .filter((e) => e.state === "batched" && e.batch_id === record.id)
+      .map((e) => [e.id, e])
+  );
+
+  for (const chunk of record.chunks) {
+    const r = byCustomId.get(chunk.custom_id);
+    const clsList = parsed.get(chunk.custom_id);
+
+    chunk.entry_ids.forEach((id, i) => {
+      const entry = entries.get(id);
+      if (!entry) return; // settled elsewhere (e.g. replayed)
+      if (!clsList) {
+        failWalEntry(entry, r?.error || "Missing from batch results");
+        summary.failed++;
+        return;
+      }
+      applyClassification(entry, clsList[i], summary, "Batch", embeddings);
+    });
+  }
+}
+
+// ─── batches.json bookkeeping ───────────────────────────────────────────────
+
+/**
+ * Mark a job as being synced by this process, so a SessionStart worker and
+ * `opentell sync` running together don't apply the same results twice.
+ */
+function claimRecord(id) {
+  let claimed = false;
+  updateJson(paths.batches, emptyBatches, (data) => {
+    const record = data.batches.find((b) => b.id === id);
+    if (!record) return;
+    const s = record.syncing;
+    if (s && s.pid !== process.pid && Date.now() - s.at < SYNC_CLAIM_TIMEOUT_MS && isAlive(s.pid)) return;
+    record.syncing = { pid: process.pid, at: Date.now() };
+    claimed = true;
+  });
+  return claimed;
+}
+
+function unclaimRecord(id) {
+  updateJson(paths.batches, emptyBatches, (data) => {
+    const record = data.batches.find((b) => b.id === id);
+    if (record) delete record.syncing;
+  });
+}
+
+function removeRecord(id) {
+  updateJson(paths.batches, emptyBatches, (data) => {
+    data.batches = data.batches.filter((b) => b.id !== id);
+  });
+}
+
+/**
+ * The job is gone — put its pairs back in the queue for normal classification.
+ */
+function abandonRecord(record) {
+  for (const e of drainWal()) {
+    if (e.state === "batched" && e.batch_id === record.id) releaseWalEntry(e);
+  }
+  removeRecord(record.id);
+  log(`Batch ${record.id} abandoned, ${record.pairs} pair(s) requeued`);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code !== "ESRCH";
+  }
+}
+
+module.exports = {
+  batchModeEnabled,
+  listBatches,
+  submitWalBatch,
+  syncBatches,
+};
@@ -1,11 +1,13 @@
 const { loadConfig, log } = require("./config");
-const { recordCall } = require("./stats");
+const { complete, isProviderConfigured, resolveModel, canCacheSystem } = require("./provider");
 
 const CLASSIFIER_PROMPT = `You analyze conversation pairs between an AI coding assistant and a developer. Your goal is to understand how this developer THINKS about building systems — their philosophy, instincts, and standards — not just their tool preferences.
 
 You will receive:
 - What the AI assistant said/did
 - How the developer responded
+- Sometimes, earlier turns of the conversation. Classify only the developer's final response; use the earlier turns to work out what it refers to ("like I said earlier…", a correction that follows a question)
+- Sometimes, the tool calls the AI made that turn: commands with their exit status and error output, and any edit or command the developer DENIED at the permission prompt (with the change that was turned down). A denied change followed by the developer's response is usually a correction of that change
 
 Classify the developer's response into ONE of these categories:
 
@@ -138,74 +140,118 @@ const LEARNING_TYPES = new Set([
   "BEHAVIORAL_GAP",
 ]);
 
+// Pairs per batched request. Each classification is ~100 output tokens,
+// so 20 pairs fit comfortably in one response.
+const CLASSIFY_BATCH_SIZE = 20;
+
+const BATCH_INSTRUCTIONS = `
+
+---
+
+BATCH MODE: you will receive several numbered pairs. Classify each pair independently, exactly as you would on its own.
+Respond ONLY with a JSON array holding one object per pair, each with an "index" field set to the pair's number:
+[{"index":1,"classification":"PREFERENCE","learning":"Uses pnpm","scope":"repo","certainty":"high","area":"general"},{"index":2,"classification":"CONTINUATION","reason":"Building on suggestion"}]`;
+
 /**
  * Classify a batch of (claude_said, user_said) pairs using LLM.
+ * Pairs are sent CLASSIFY_BATCH_SIZE at a time; results are in input order.
  */
 async function classifyBatch(pairs) {
   const config = loadConfig();
-  const apiKey = config.anthropic_api_key;
-  if (!apiKey) {
-    log("No API key configured, skipping LLM classification");
+  if (!isProviderConfigured(config)) {
+    log("No LLM provider configured, skipping LLM classification");
     return pairs.map(() => ({ classification: "SKIPPED", reason: "No API key" }));
   }
 
   const results = [];
-  for (const pair of pairs) {
+  for (let i = 0; i < pairs.length; i += CLASSIFY_BATCH_SIZE) {
+    const chunk = pairs.slice(i, i + CLASSIFY_BATCH_SIZE);
     try {
-      const result = await classifySingle(pair, apiKey, config.classifier_model);
-      results.push(result);
+      results.push(...await classifyPairs(chunk, config));
     } catch (e) {
       log(`Classification error: ${e.message}`);
-      results.push({ classification: "ERROR", reason: e.message });
+      results.push(...chunk.map(() => ({ classification: "ERROR", reason: e.message })));
     }
-    await sleep(200);
   }
   return results;
 }
 
 /**
- * Classify a single turn pair.
+ * Classify several pairs in one request.
+ *
+ * The system prompt is identical for every batch. When it is long enough
+ * for the model to cache, it is marked cacheable, so after the first
+ * request it's billed at the cache-read rate. Returns one
+ * result per pair, in order; pairs missing from the response come back as
+ * ERROR. Throws on transport errors (see lib/http.js).
  */
-const { DEFAULT_CLASSIFIER_MODEL } = require("./config");
+async function classifyPairs(pairs, config = loadConfig()) {
+  if (pairs.length === 0) return [];
+  if (pairs.length === 1) return [await classifySingle(pairs[0], config)];
 
-async function classifySingle(pair, apiKey, model) {
-  let userMessage = `AI assistant said:\n${truncate(pair.claude_said, 500)}\n\nDeveloper responded:\n${truncate(pair.user_said, 500)}`;
+  const { text } = await complete(buildBatchRequest(pairs, config), config);
+  return parseBatchResponse(text, pairs.length);
+}
 
-  if (pair.error_context) {
-    userMessage += `\n\nError context (code the AI wrote produced this error):\n${truncate(pair.error_context, 300)}`;
-  }
+/**
+ * The complete() request for classifying several pairs at once.
+ * Also used for Message Batches jobs (lib/batches.js).
+ */
+function buildBatchRequest(pairs, config = loadConfig()) {
+  const userMessage = pairs
+    .map((pair, i) => `### Pair ${i + 1}\n${formatPair(pair)}`)
+    .join("\n\n");
+  const system = CLASSIFIER_PROMPT + BATCH_INSTRUCTIONS;
+
+  return {
+    purpose: "classification",
+    max_tokens: Math.min(4096, 200 + pairs.length * 150),
+    system,
+    cache_system: canCacheSystem(system, resolveModel(config, "classifier")),
+    messages: [{ role: "user", content: userMessage }],
+  };
+}
 
-  if (pair.tool_context) {
-    userMessage += `\n\n${pair.tool_context}`;
+/**
+ * Parse a batched classification response into `count` results, in order.
+ * Pairs missing from the response come back as ERROR.
+ */
+function parseBatchResponse(text, count) {
+  const cleaned = text.replace(/```json\s*|```\s*/g, "").trim();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch {
+    log(`Failed to parse batch classifier response: ${cleaned.slice(0, 200)}`);
+    return Array.from({ length: count }, () => ({ classification: "ERROR", reason: "Parse failure", raw: cleaned.slice(0, 200) }));
   }
+  if (!Array.isArray(parsed)) parsed = [parsed];
 
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: model || DEFAULT_CLASSIFIER_MODEL,
-      max_tokens: 400,
-      system: CLASSIFIER_PROMPT,
-      messages: [{ role: "user", content: userMessage }],
-    }),
+  const byIndex = new Map();
+  parsed.forEach((r, i) => {
+    if (r && typeof r === "object") byIndex.set(Number(r.index) || i + 1, r);
   });
 
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`API ${response.status}: ${err.slice(0, 200)}`);
-  }
-
-  const data = await response.json();
-  recordCall("classification", model || DEFAULT_CLASSIFIER_MODEL, data.usage);
+  return Array.from({ length: count }, (_, i) => {
+    const r = byIndex.get(i + 1);
+    if (!r) return { classification: "ERROR", reason: "Missing from batch response" };
+    const { index, ...rest } = r;
+    return rest;
+  });
+}
 
-  const text = data.content
-    .filter((b) => b.type === "text")
-    .map((b) => b.text)
-    .join("");
+/**
+ * Classify a single turn pair through the configured LLM provider.
+ */
+async function classifySingle(pair, config = loadConfig()) {
+  const { text } = await complete({
+    purpose: "classification",
+    max_tokens: 400,
+    system: CLASSIFIER_PROMPT,
+    cache_system: canCacheSystem(CLASSIFIER_PROMPT, resolveModel(config, "classifier")),
+    messages: [{ role: "user", content: formatPair(pair) }],
+  }, config);
 
   const cleaned = text.replace(/```json\s*|```\s*/g, "").trim();
 
@@ -217,6 +263,25 @@ async function classifySingle(pair, apiKey, model) {
   }
 }
 
+function formatPair(pair) {
+  let text = "";
+  if (pair.context?.length) {
+    const turns = pair.context.map((t) => `[${t.speaker}] ${truncate(t.text, 300)}`);
+    text += `Earlier in the conversation (oldest first):\n${turns.join("\n")}\n\n`;
+  }
+
+  text += `AI assistant said:\n${truncate(pair.claude_said, 500)}\n\nDeveloper responded:\n${truncate(pair.user_said, 500)}`;
+
+  if (pair.error_context) {
+    text += `\n\nError context (a tool call the AI made failed):\n${truncate(pair.error_context, 300)}`;
+  }
+
+  if (pair.tool_context) {
+    text += `\n\n${pair.tool_context}`;
+  }
+  return text;
+}
+
 /**
  * Filter pairs that regex already handled, leaving only ambiguous ones for LLM.
  */
@@ -237,8 +302,8 @@ function truncate(str, maxLen) {
   return str.slice(0, maxLen) + "...";
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-module.exports = { classifyBatch, classifySingle, filterForLLM, LEARNING_TYPES };
+module.exports = {
+  classifyBatch, classifyPairs, classifySingle, filterForLLM,
+  buildBatchRequest, parseBatchResponse,
+  LEARNING_TYPES, CLASSIFY_BATCH_SIZE,
+};
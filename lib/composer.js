@@ -0,0 +1,177 @@
+const { isEnforced } = require("./store");
+
+/**
+ * OpenTell — Context Composer
+ *
+ * Decides which learnings fit into the context injected at session start.
+ * Every token injected is a token of the developer's session, and a long
+ * list of conventions dilutes the ones that matter — so the context has a
+ * budget (`context_budget` in config.json, in tokens) and learnings compete
+ * for it. Each one is scored on:
+ *
+ *   confidence  how sure OpenTell is about it
+ *   recency     how recently it was reinforced (half-life RECENCY_HALF_LIFE_DAYS)
+ *   sessions    how many sessions reinforced it (see lib/cross-session.js)
+ *   area        whether its area is one the project works in (lib/areas.js)
+ *   depth       thinking patterns outrank design principles, which outrank
+ *               quality standards, gaps and plain preferences
+ *
+ * and the budget is filled greedily, best score first: a learning that
+ * doesn't fit is skipped and the next, shorter one may still fit. At most
+ * `max_learnings` are included. The rest are summarised in one line so
+ * Claude knows the list is not exhaustive. Pinned and hard learnings
+ * (store.isEnforced) don't compete: they are always included.
+ *
+ * Tokens are estimated at CHARS_PER_TOKEN — close enough for a budget,
+ * and no tokenizer needed.
+ */
+
+const DEFAULT_CONTEXT_BUDGET = 1200;
+const CHARS_PER_TOKEN = 4;
+const RECENCY_HALF_LIFE_DAYS = 30;
+// Sessions at which the sessions factor is full
+const FULL_SESSIONS = 5;
+
+const WEIGHTS = {
+  confidence: 0.35,
+  recency: 0.2,
+  sessions: 0.15,
+  area: 0.15,
+  depth: 0.15,
+};
+
+const DEPTH = {
+  THINKING_PATTERN: 1.0,
+  DESIGN_PRINCIPLE: 0.85,
+  QUALITY_STANDARD: 0.7,
+  BEHAVIORAL_GAP: 0.6,
+  PREFERENCE: 0.4,
+};
+
+// Areas that apply to every project
+const CROSS_CUTTING = new Set(["general", "architecture"]);
+
+const LABELS = {
+  THINKING_PATTERN: ["thinking pattern", "thinking patterns"],
+  DESIGN_PRINCIPLE: ["design principle", "design principles"],
+  QUALITY_STANDARD: ["quality standard", "quality standards"],
+  BEHAVIORAL_GAP: ["recurring gap", "recurring gaps"],
+  PREFERENCE: ["preference", "preferences"],
+};
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Score a learning for inclusion.
+ *
+ * @param {object} learning
+ * @param {string[]|null} activeAreas — from inferActiveAreas(); null when unknown
+ * @param {number} [now]
+ * @returns {{ score: number, factors: { confidence: number, recency: number,
+ *   sessions: number, area: number, depth: number }, session_count: number, area_match: string }}
+ */
+function scoreLearning(learning, activeAreas, now = Date.now()) {
+  const reinforced = Date.parse(learning.last_reinforced || learning.first_seen) || now;
+  const days = Math.max(0, (now - reinforced) / 86400000);
+  const sessionCount = Math.max(learning.cross_session_count || 0, learning.session_ids?.length || 0, 1);
+
+  const areas = (learning.areas || [learning.area || "general"]).map((a) => a.toLowerCase());
+  let areaMatch;
+  if (!activeAreas || activeAreas.length === 0) areaMatch = "unknown";
+  else if (areas.some((a) => !CROSS_CUTTING.has(a) && activeAreas.includes(a))) areaMatch = "match";
+  else if (areas.some((a) => CROSS_CUTTING.has(a))) areaMatch = "cross-cutting";
+  else areaMatch = "other";
+
+  const factors = {
+    confidence: Math.min(1, learning.confidence || 0),
+    recency: Math.pow(0.5, days / RECENCY_HALF_LIFE_DAYS),
+    sessions: Math.min(1, sessionCount / FULL_SESSIONS),
+    area: { match: 1, "cross-cutting": 0.7, unknown: 0.7, other: 0.2 }[areaMatch],
+    depth: DEPTH[learning.classification] ?? DEPTH.PREFERENCE,
+  };
+  const score = Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * factors[k], 0);
+  return { score, factors, session_count: sessionCount, area_match: areaMatch };
+}
+
+/**
+ * Choose the learnings that fit a budget.
+ *
+ * @param {object[]} learnings — candidates, already scope- and area-filtered
+ * @param {object} options
+ * @param {number} options.budget — tokens for the whole context
+ * @param {(learnings: object[], dropped: object[]) => string} options.render —
+ *   renders the context for a selection; the budget is checked against it,
+ *   so headings and the profile narrative count too
+ * @param {(learning: object) => string} options.line — a learning's context line
+ * @param {string[]|null} [options.activeAreas]
+ * @param {number} [options.maxLearnings]
+ * @returns {{ text: string, tokens: number, budget: number,
+ *   included: object[], dropped: object[] }} included and dropped entries are
+ *   { learning, score, factors, session_count, area_match, tokens, reason? }
+ */
+function compose(learnings, options) {
+  const { budget, render, line, activeAreas = null } = options;
+  const maxLearnings = options.maxLearnings || Infinity;
+
+  const ranked = learnings
+    .map((l) => ({ learning: l, ...scoreLearning(l, activeAreas), tokens: estimateTokens(line(l)) + 1 }))
+    .sort((a, b) => b.score - a.score);
+
+  const included = [];
+  const dropped = [];
+  // Everything but the learnings: headings, the profile narrative, and the
+  // line summarising what was left out
+  let used = estimateTokens(render([], ranked.map((r) => r.learning)));
+  // The developer's pinned and hard learnings first, whatever they cost
+  for (const entry of ranked.filter((e) => isEnforced(e.learning))) {
+    included.push(entry);
+    used += entry.tokens;
+  }
+  for (const entry of ranked.filter((e) => !isEnforced(e.learning))) {
+    if (included.length >= maxLearnings) {
+      dropped.push({ ...entry, reason: "max_learnings" });
+    } else if (used + entry.tokens > budget) {
+      dropped.push({ ...entry, reason: "budget" });
+    } else {
+      included.push(entry);
+      used += entry.tokens;
+    }
+  }
+
+  // Section headings appear with their first learning: trim from the
+  // bottom until the rendered context really fits
+  let text = renderSelection(render, included, dropped);
+  while (estimateTokens(text) > budget && included.length > 0 && !isEnforced(included[included.length - 1].learning)) {
+    dropped.unshift({ ...included.pop(), reason: "budget" });
+    text = renderSelection(render, included, dropped);
+  }
+  dropped.sort((a, b) => b.score - a.score);
+
+  return { text, tokens: estimateTokens(text), budget, included, dropped };
+}
+
+function renderSelection(render, included, dropped) {
+  return render(included.map((e) => e.learning), dropped.map((e) => e.learning));
+}
+
+/**
+ * The one line that stands in for the learnings left out:
+ * "12 more learnings left out to stay within the context budget (8 preferences, 4 quality standards)."
+ */
+function droppedSummary(dropped) {
+  if (dropped.length === 0) return "";
+  const counts = {};
+  for (const l of dropped) {
+    const cls = LABELS[l.classification] ? l.classification : "PREFERENCE";
+    counts[cls] = (counts[cls] || 0) + 1;
+  }
+  const parts = Object.keys(LABELS)
+    .filter((cls) => counts[cls])
+    .map((cls) => `${counts[cls]} ${LABELS[cls][counts[cls] === 1 ? 0 : 1]}`);
+  const noun = dropped.length === 1 ? "learning" : "learnings";
+  return `${dropped.length} more ${noun} left out to stay within the context budget (${parts.join(", ")}).`;
+}
+
+module.exports = { compose, scoreLearning, estimateTokens, droppedSummary, DEFAULT_CONTEXT_BUDGET };
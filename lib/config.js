@@ -7,7 +7,8 @@ const OPENTELL_DIR = path.join(os.homedir(), ".opentell");
 // ─── Default models ───────────────────────────────────────────────────────────
 // Update these constants when Anthropic releases new versions.
 // All three LLM call sites (classifier, profiler, consolidator) resolve their
-// model through these — there is no other hardcoded model string in the codebase.
+// model through lib/provider.js, which falls back to these — there is no other
+// hardcoded model string in the codebase.
 //
 // classifier_model  → fast, cheap, high-volume (one call per turn pair)
 // synthesis_model   → richer reasoning (profile synthesis, consolidation)
@@ -22,9 +23,22 @@ const DEFAULT_SYNTHESIS_MODEL  = "claude-haiku-4-5-20251001";
 const paths = {
   root:         OPENTELL_DIR,
   config:       path.join(OPENTELL_DIR, "config.json"),
-  db:           path.join(OPENTELL_DIR, "learnings.json"),
+  db:           path.join(OPENTELL_DIR, "learnings.db"),
+  db_legacy:    path.join(OPENTELL_DIR, "learnings.json"),
   buffer:       path.join(OPENTELL_DIR, "session-buffer.json"),
   wal:          path.join(OPENTELL_DIR, "wal.jsonl"),
+  wal_dead:     path.join(OPENTELL_DIR, "wal-dead.jsonl"),
+  worker_pid:   path.join(OPENTELL_DIR, "classify-worker.pid"),
+  batches:      path.join(OPENTELL_DIR, "batches.json"),
+  history:      path.join(OPENTELL_DIR, "history.jsonl"),
+  conflicts:    path.join(OPENTELL_DIR, "conflicts.json"),
+  tools:        path.join(OPENTELL_DIR, "tools.json"),
+  rules:        path.join(OPENTELL_DIR, "rules.json"),
+  refusals:     path.join(OPENTELL_DIR, "refusals.json"),
+  guardrails:   path.join(OPENTELL_DIR, "guardrails.json"),
+  circuit:      path.join(OPENTELL_DIR, "circuit.json"),
+  areas:        path.join(OPENTELL_DIR, "areas-cache.json"),
+  snapshots:    path.join(OPENTELL_DIR, "snapshots"),
   log:          path.join(OPENTELL_DIR, "opentell.log"),
   stats:        path.join(OPENTELL_DIR, "stats.json"),
   update_check: path.join(OPENTELL_DIR, "last-update-check"),
@@ -47,10 +61,12 @@ function loadConfig() {
       // for a richer developer profile at slightly higher cost (~$0.01/synthesis).
       synthesis_model:    DEFAULT_SYNTHESIS_MODEL,
       confidence_threshold: 0.45,
+      // Tokens the session-start context may use (see lib/composer.js)
+      context_budget: 1200,
       max_learnings: 100,
       paused: false,
     };
-    fs.writeFileSync(paths.config, JSON.stringify(defaults, null, 2));
+    writeFileAtomic(paths.config, JSON.stringify(defaults, null, 2));
     return defaults;
   }
   const raw = JSON.parse(fs.readFileSync(paths.config, "utf-8"));
@@ -71,4 +87,141 @@ function log(msg) {
   } catch {}
 }
 
-module.exports = { paths, ensureDir, loadConfig, log, DEFAULT_CLASSIFIER_MODEL, DEFAULT_SYNTHESIS_MODEL };
+// ─── Shared file access ───────────────────────────────────────────────────────
+// Hooks, detached background classifiers and the CLI all read-modify-write
+// the same files under ~/.opentell at the same time. Every write goes through
+// these helpers:
+//
+//   withLock(file, fn)     — cross-process mutual exclusion via <file>.lock
+//   writeFileAtomic(f, s)  — write to a temp file, then rename over the target
+//   readJson / updateJson  — JSON read and locked read-modify-write
+//   appendLine(file, line) — locked append of one line
+//
+// Locks are reentrant within a process, so a locked section may call other
+// helpers that lock the same file. A lock whose owner died, or that is older
+// than LOCK_STALE_MS, is broken.
+
+const LOCK_TIMEOUT_MS = 3000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 15;
+
+const heldLocks = new Map(); // lock path → reentrancy depth
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function withLock(file, fn) {
+  const lockPath = `${file}.lock`;
+  const depth = heldLocks.get(lockPath) || 0;
+  if (depth > 0) {
+    heldLocks.set(lockPath, depth + 1);
+    try {
+      return fn();
+    } finally {
+      heldLocks.set(lockPath, heldLocks.get(lockPath) - 1);
+    }
+  }
+
+  acquireLock(lockPath);
+  heldLocks.set(lockPath, 1);
+  try {
+    return fn();
+  } finally {
+    heldLocks.delete(lockPath);
+    try { fs.unlinkSync(lockPath); } catch {}
+  }
+}
+
+function acquireLock(lockPath) {
+  ensureDir();
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, `${process.pid}:${Date.now()}`);
+      fs.closeSync(fd);
+      return;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+
+    if (isStaleLock(lockPath)) {
+      try { fs.unlinkSync(lockPath); } catch {}
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    Atomics.wait(sleepCell, 0, 0, LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+  }
+}
+
+function isStaleLock(lockPath) {
+  try {
+    const [pid, ts] = fs.readFileSync(lockPath, "utf-8").split(":").map(Number);
+    if (ts && Date.now() - ts > LOCK_STALE_MS) return true;
+    if (pid && pid !== process.pid) {
+      try {
+        process.kill(pid, 0);
+      } catch (e) {
+        return e.code === "ESRCH";
+      }
+    }
+    return false;
+  } catch {
+    // Lock vanished or is mid-write — retry rather than break it
+    return false;
+  }
+}
+
+function writeFileAtomic(file, contents) {
+  ensureDir();
+  const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw e;
+  }
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return typeof fallback === "function" ? fallback() : fallback;
+  }
+}
+
+/**
+ * Locked read-modify-write of a JSON file.
+ * fn receives the parsed data and may mutate it or return a replacement.
+ */
+function updateJson(file, fallback, fn) {
+  return withLock(file, () => {
+    const data = readJson(file, fallback);
+    const next = fn(data);
+    const result = next === undefined ? data : next;
+    writeFileAtomic(file, JSON.stringify(result, null, 2));
+    return result;
+  });
+}
+
+function appendLine(file, line) {
+  withLock(file, () => {
+    fs.appendFileSync(file, line + "\n");
+  });
+}
+
+module.exports = {
+  paths, ensureDir, loadConfig, log,
+  withLock, writeFileAtomic, readJson, updateJson, appendLine,
+  DEFAULT_CLASSIFIER_MODEL, DEFAULT_SYNTHESIS_MODEL,
+};
@@ -0,0 +1,267 @@
+const { paths, log, withLock, readJson, updateJson } = require("./config");
+const db = require("./db");
+
+/**
+ * OpenTell — Contradiction Conflicts
+ *
+ * When a new learning contradicts an existing one, neither silently wins.
+ * A conflict record (~/.opentell/conflicts.json) links the two, and the side
+ * with more weight behind it — confidence × evidence — stays active while
+ * the other is parked (archived, with `contested: true`). One offhand "use
+ * yarn here" can no longer wipe out a "Uses pnpm" seen eight times, and a
+ * fresh correction still replaces a weak, single-sighting learning.
+ *
+ * Evidence keeps accruing on both sides — the store reinforces parked
+ * learnings too — and if the parked side overtakes, the two swap.
+ *
+ * A conflict stays open until the developer settles it with
+ * `opentell conflicts`:
+ *
+ *   resolve  one side wins, the other is archived for good
+ *   scope    one side only applies in its repo, and the other is hidden there
+ *   both     both stay active, marked context-dependent
+ *
+ * Pinned and hard learnings (see `enforcement` in lib/store.js) are never
+ * parked automatically: a contradiction opens a conflict, but the pinned
+ * side stays active until the developer resolves it.
+ *
+ * Learnings carry the ids of their open conflicts in `conflict_ids`.
+ */
+
+function emptyConflicts() {
+  return { conflicts: [] };
+}
+
+/**
+ * How much weight a learning carries in a conflict. Evidence counts
+ * logarithmically: 8 sightings at 0.90 beat 1 sighting at 0.45 by ~4×.
+ */
+function strength(l) {
+  return (l.confidence || 0) * Math.log2(2 + (l.evidence_count || 1));
+}
+
+// ─── Called by the store (database lock held) ───────────────────────────────
+
+/**
+ * Record a conflict between a new learning and each learning it contradicts.
+ * Mutates the learnings in `data` and returns the conflict records; the
+ * caller saves the learnings first, then the records with recordConflicts(),
+ * so conflicts.json never points at a parking that wasn't persisted.
+ *
+ * @param {object} data — { learnings } as loaded by the store
+ * @param {object} incoming — the new learning, already in data.learnings
+ * @param {object[]} contradicted — existing learnings it contradicts
+ * @param {string} scopeKey — repo the contradicting signal came from
+ */
+function openConflicts(data, incoming, contradicted, scopeKey = "") {
+  if (contradicted.length === 0) return [];
+
+  // The newcomer takes over only if it outweighs every learning it contradicts
+  const incomingWins = contradicted.every((old) => !enforced(old) && strength(incoming) >= strength(old));
+  const now = new Date().toISOString();
+
+  const records = contradicted.map((old) => {
+    const record = {
+      id: generateConflictId(),
+      a: { id: old.id, text: old.text },
+      b: { id: incoming.id, text: incoming.text },
+      scope_key: scopeKey,
+      created_at: now,
+      status: "open",
+      active: incomingWins ? incoming.id : old.id,
+    };
+    link(old, record.id);
+    link(incoming, record.id);
+    if (incomingWins) park(old, incoming);
+    return record;
+  });
+  if (!incomingWins) park(incoming, contradicted.reduce((a, b) => (strength(b) > strength(a) ? b : a)));
+
+  for (const r of records) {
+    log(`Conflict ${r.id}: "${r.a.text}" vs "${r.b.text}" — keeping "${r.active === incoming.id ? r.b.text : r.a.text}" active`);
+  }
+  return records;
+}
+
+/** Add conflict records from openConflicts(), once the learnings are saved. */
+function recordConflicts(records) {
+  if (records.length === 0) return;
+  updateJson(paths.conflicts, emptyConflicts, (file) => {
+    file.conflicts.push(...records);
+  });
+}
+
+/**
+ * A learning in open conflicts was reinforced. If it is parked and now
+ * outweighs every active opponent, the sides swap. Like openConflicts(),
+ * only the learnings change here; once they are saved, markActive() updates
+ * the records.
+ */
+function rebalanceConflicts(data, learning) {
+  if (!learning.contested || !learning.conflict_ids?.length) return false;
+
+  const opponents = data.learnings.filter(
+    (l) => l.id !== learning.id && l.conflict_ids?.some((id) => learning.conflict_ids.includes(id))
+  );
+  const active = opponents.filter((l) => !l.archived);
+  if (active.some((l) => enforced(l) || strength(l) > strength(learning))) return false;
+
+  unpark(learning);
+  for (const l of active) park(l, learning);
+  log(`Conflict swap: "${learning.text}" now outweighs ${active.length} opponent(s) and is active`);
+  return true;
+}
+
+/** Point a learning's open conflicts at it as the active side. */
+function markActive(learning) {
+  updateJson(paths.conflicts, emptyConflicts, (file) => {
+    for (const r of file.conflicts) {
+      if (r.status === "open" && learning.conflict_ids?.includes(r.id)) r.active = learning.id;
+    }
+  });
+}
+
+// ─── Review ─────────────────────────────────────────────────────────────────
+
+/**
+ * Conflicts with their current learnings attached, newest first.
+ * @param {"open"|"resolved"|null} [status]
+ */
+function listConflicts(status = "open") {
+  const records = readJson(paths.conflicts, emptyConflicts).conflicts
+    .filter((r) => !status || r.status === status);
+  return records.reverse().map((r) => ({
+    ...r,
+    learnings: [db.getLearning(r.a.id), db.getLearning(r.b.id)],
+  }));
+}
+
+function countOpenConflicts() {
+  return readJson(paths.conflicts, emptyConflicts).conflicts.filter((r) => r.status === "open").length;
+}
+
+/**
+ * Settle an open conflict.
+ *
+ * @param {string} id — conflict id
+ * @param {"resolve"|"scope"|"both"} action
+ * @param {object} [options]
+ * @param {0|1} [options.side] — index of the side acted on (resolve: the
+ *   winner; scope: the side limited to its repo)
+ * @param {string} [options.scope_key] — repo for "scope" when the learning
+ *   has none recorded
+ * @param {number} [options.min_confidence] — raise the learnings kept
+ *   active to at least this, so the developer's choice takes effect
+ * @returns {{ record: object, learnings: object[] }}
+ */
+function resolveConflict(id, action, options = {}) {
+  return withLock(paths.db, () => {
+    const record = readJson(paths.conflicts, emptyConflicts).conflicts.find((r) => r.id === id);
+    if (!record) throw new Error(`No conflict ${id}`);
+    if (record.status !== "open") throw new Error(`Conflict ${id} is already resolved`);
+
+    const data = db.readAll();
+    const sides = [record.a.id, record.b.id].map((sid) => data.learnings.find((l) => l.id === sid) || null);
+    const side = options.side || 0;
+    const target = sides[side];
+    const other = sides[1 - side];
+    const resolution = { action, at: new Date().toISOString() };
+    const keep = (l) => {
+      unpark(l);
+      if (options.min_confidence) l.confidence = Math.max(l.confidence, options.min_confidence);
+    };
+
+    if (action === "resolve") {
+      if (!target) throw new Error("That learning no longer exists");
+      keep(target);
+      if (other) {
+        unpark(other);
+        other.archived = true;
+        other.archived_reason = `Lost conflict with: "${target.text}"`;
+        other.archived_at = resolution.at;
+      }
+      resolution.kept = target.id;
+    } else if (action === "scope") {
+      if (!target) throw new Error("That learning no longer exists");
+      const scopeKey = target.scope_key || record.scope_key || options.scope_key || "";
+      if (!scopeKey) throw new Error("No repo recorded for that learning — run this from inside the repo");
+      target.scope = "repo";
+      target.scope_key = scopeKey;
+      keep(target);
+      if (other) {
+        keep(other);
+        other.overridden_in = [...new Set([...(other.overridden_in || []), scopeKey])];
+      }
+      resolution.scoped = target.id;
+      resolution.scope_key = scopeKey;
+    } else if (action === "both") {
+      for (const l of sides.filter(Boolean)) {
+        keep(l);
+        l.context_dependent = true;
+      }
+    } else {
+      throw new Error(`Unknown conflict action: ${action}`);
+    }
+
+    for (const l of sides.filter(Boolean)) unlink(l, id);
+    db.writeAll(data);
+
+    updateJson(paths.conflicts, emptyConflicts, (file) => {
+      const r = file.conflicts.find((c) => c.id === id);
+      r.status = "resolved";
+      r.resolution = resolution;
+      delete r.active;
+    });
+    log(`Conflict ${id} resolved (${action}): "${record.a.text}" vs "${record.b.text}"`);
+    return { record, learnings: sides };
+  });
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+// Same test as store.isEnforced — the store requires this module
+function enforced(learning) {
+  return learning.enforcement === "strong" || learning.enforcement === "hard";
+}
+
+function link(learning, conflictId) {
+  learning.conflict_ids = [...(learning.conflict_ids || []), conflictId];
+}
+
+function unlink(learning, conflictId) {
+  learning.conflict_ids = (learning.conflict_ids || []).filter((id) => id !== conflictId);
+  if (learning.conflict_ids.length > 0) return;
+  delete learning.conflict_ids;
+  // Parked only for the sake of this conflict — nothing keeps it parked now
+  if (learning.contested) unpark(learning);
+}
+
+function park(learning, winner) {
+  learning.archived = true;
+  learning.contested = true;
+  learning.archived_reason = `Contested by: "${winner.text}"`;
+  learning.archived_at = new Date().toISOString();
+}
+
+function unpark(learning) {
+  if (!learning.contested) return;
+  learning.archived = false;
+  delete learning.contested;
+  delete learning.archived_reason;
+  delete learning.archived_at;
+}
+
+function generateConflictId() {
+  return "c" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+module.exports = {
+  strength,
+  openConflicts,
+  recordConflicts,
+  rebalanceConflicts,
+  markActive,
+  listConflicts,
+  countOpenConflicts,
+  resolveConflict,
+};
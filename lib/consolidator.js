@@ -1,6 +1,6 @@
 const { loadLearnings, saveLearnings, ACTIVATION_THRESHOLD } = require("./store");
-const { loadConfig, log, DEFAULT_SYNTHESIS_MODEL } = require("./config");
-const { recordCall } = require("./stats");
+const { paths, loadConfig, log, withLock } = require("./config");
+const { complete, isProviderConfigured } = require("./provider");
 
 /**
  * Consolidation engine — The Core Intelligence Layer
@@ -117,7 +117,7 @@ function findClusters() {
  */
 async function consolidateCluster(cluster) {
   const config = loadConfig();
-  if (!config.anthropic_api_key) {
+  if (!isProviderConfigured(config)) {
     return null;
   }
 
@@ -146,31 +146,13 @@ Examples of good synthesis:
 Respond with ONLY the synthesized insight, nothing else.`;
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": config.anthropic_api_key,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify({
-        model: config.synthesis_model || config.classifier_model || DEFAULT_SYNTHESIS_MODEL,
-        max_tokens: 200,
-        messages: [{ role: "user", content: prompt }],
-      }),
-    });
-
-    if (!response.ok) return null;
+    const result = await complete({
+      purpose: "consolidation",
+      max_tokens: 200,
+      messages: [{ role: "user", content: prompt }],
+    }, config);
 
-    const data = await response.json();
-    const usedModel = config.synthesis_model || config.classifier_model || DEFAULT_SYNTHESIS_MODEL;
-    recordCall("consolidation", usedModel, data.usage);
-
-    const text = data.content
-      .filter((b) => b.type === "text")
-      .map((b) => b.text)
-      .join("")
-      .trim();
+    const text = result.text.trim();
 
     // Clean up any quotes or markdown
     return text.replace(/^["']|["']$/g, "").trim();
@@ -195,12 +177,25 @@ async function runConsolidation() {
     return { consolidated: 0, insights: [] };
   }
 
+  // LLM calls happen outside the database lock; results are applied
+  // in one locked read-modify-write afterwards.
+  const synthesized = [];
+  for (const cluster of clusters) {
+    const insight = await consolidateCluster(cluster);
+    if (insight) synthesized.push({ cluster, insight });
+  }
+  if (synthesized.length === 0) {
+    return { consolidated: 0, insights: [] };
+  }
+
+  return withLock(paths.db, () => applyConsolidations(synthesized));
+}
+
+function applyConsolidations(synthesized) {
   const data = loadLearnings();
   const results = [];
 
-  for (const cluster of clusters) {
-    const insight = await consolidateCluster(cluster);
-    if (!insight) continue;
+  for (const { cluster, insight } of synthesized) {
 
     // Calculate starting confidence as average of members
     const avgConf = cluster.members.reduce((s, m) => s + m.confidence, 0) / cluster.members.length;
@@ -282,10 +277,12 @@ function shouldConsolidate() {
 }
 
 function markConsolidationRun() {
-  const data = loadLearnings();
-  data.meta.last_consolidation = new Date().toISOString();
-  data.meta.consolidation_session = data.meta.total_sessions || 0;
-  saveLearnings(data);
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    data.meta.last_consolidation = new Date().toISOString();
+    data.meta.consolidation_session = data.meta.total_sessions || 0;
+    saveLearnings(data);
+  });
 }
 
 module.exports = { findClusters, consolidateCluster, runConsolidation, shouldConsolidate, markConsolidationRun };
@@ -0,0 +1,156 @@
+const { detectSignals, extractCore } = require("./detector");
+
+/**
+ * OpenTell — Conversation Windows
+ *
+ * A correction doesn't always answer the message right before it. The
+ * developer asks a follow-up question first and corrects after the reply,
+ * sends two messages in a row, or refers back several turns ("like I said
+ * earlier, no ORMs"). Looking only at (previous assistant message, user
+ * message) pairs misses all of these.
+ *
+ * Each user message is analyzed once, as the focus of a window: the focus,
+ * the nearest assistant message before it, and up to WINDOW_TURNS earlier
+ * messages with speaker attribution. The detector sees the focus; when the
+ * focus points back at something said before, the earlier developer turns
+ * in the window are searched for the statement it restates. The classifier
+ * gets the earlier turns as context.
+ *
+ * Windows overlap — a message is context for the next few focus turns — so
+ * signals found in several windows of one run are merged by their core
+ * concept and counted once.
+ */
+
+// Earlier messages included before the focus turn (about three exchanges)
+const WINDOW_TURNS = 6;
+// Most recent user messages considered per Stop
+const MAX_FOCUS_TURNS = 4;
+
+// "like I said earlier", "as I mentioned", "again:", "I already told you"
+const BACK_REFERENCE = /\b(?:(?:like|as) i (?:said|mentioned|told you|asked)|i (?:already )?(?:said|told you|asked)(?: (?:this|that|you))? (?:earlier|before|already)|as (?:discussed|mentioned|agreed)(?: (?:earlier|before))?|(?:^|[.!,]\s*)again[,:]|(?:i )?already told you|remember,? (?:i|we) (?:said|agreed))/i;
+
+/**
+ * Windows for the most recent user messages, oldest first.
+ *
+ * @param {Array<{ role: string, text: string }>} messages — from parseTranscript()
+ * @param {object} [options]
+ * @param {number} [options.focus] — how many recent user messages to window
+ * @param {number} [options.size] — earlier messages kept as context
+ * @returns {Array<{ key: string, index: number, claude_said: string, user_said: string,
+ *   adjacent: boolean, turns: Array<{ speaker: "developer"|"assistant", text: string }>,
+ *   tool_events: object[] }>}
+ */
+function buildWindows(messages, options = {}) {
+  const focusCount = options.focus ?? MAX_FOCUS_TURNS;
+  const size = options.size ?? WINDOW_TURNS;
+
+  const focusIndexes = [];
+  for (let i = messages.length - 1; i >= 0 && focusIndexes.length < focusCount; i--) {
+    if (messages[i].role === "user") focusIndexes.unshift(i);
+  }
+
+  const windows = [];
+  for (const index of focusIndexes) {
+    // The message the developer is most likely answering
+    let reply = index - 1;
+    while (reply >= 0 && messages[reply].role !== "assistant") reply--;
+    if (reply < 0) continue; // opening prompt — nothing to correct yet
+
+    const claudeSaid = messages[reply].text;
+    const userSaid = messages[index].text;
+    // Everything between the answered message and the focus (earlier user
+    // messages sent in a row) plus the turns before it
+    const turns = [
+      ...messages.slice(Math.max(0, reply - size), reply),
+      ...messages.slice(reply + 1, index),
+    ].map((m) => ({ speaker: m.role === "user" ? "developer" : "assistant", text: m.text }));
+
+    // Tool calls of the turn this message answers: everything since the
+    // developer's previous message
+    let turnStart = index - 1;
+    while (turnStart >= 0 && messages[turnStart].role !== "user") turnStart--;
+    const toolEvents = messages.slice(turnStart + 1, index + 1).flatMap((m) => m.tool_events || []);
+
+    windows.push({
+      key: hashPair(claudeSaid, userSaid),
+      index,
+      claude_said: claudeSaid,
+      user_said: userSaid,
+      adjacent: reply === index - 1,
+      turns,
+      tool_events: toolEvents,
+    });
+  }
+  return windows;
+}
+
+/**
+ * Run the detector over each window and merge signals across windows.
+ * Adds `result` (as from detectSignals) and `back_reference` to each window.
+ *
+ * @param {object[]} windows — from buildWindows(), already-analyzed ones removed
+ * @param {object[]} [rules] — user-defined detection rules
+ */
+function analyzeWindows(windows, rules = []) {
+  const analyzed = windows.map((w) => {
+    const result = detectSignals(w.claude_said, w.user_said, rules);
+    const backReference = !result.noise && BACK_REFERENCE.test(w.user_said);
+
+    // "like I said earlier" with nothing detectable in the message itself:
+    // the preference is whatever the developer said before
+    if (backReference && !result.detected) {
+      const earlier = w.turns.filter((t) => t.speaker === "developer").reverse();
+      for (const turn of earlier) {
+        const restated = detectSignals("", turn.text, rules);
+        if (!restated.detected) continue;
+        result.signals = restated.signals.map((s) => ({ ...s, restated_from: turn.text }));
+        result.detected = true;
+        break;
+      }
+    }
+    return { ...w, result, back_reference: backReference };
+  });
+
+  // Overlapping windows: one signal per core concept per run, kept on the
+  // earliest window that found it, at the highest confidence seen
+  const seen = new Map();
+  for (const w of analyzed) {
+    w.result.signals = w.result.signals.filter((s) => {
+      const core = extractCore(s.text);
+      const first = seen.get(core);
+      if (!first) {
+        seen.set(core, s);
+        return true;
+      }
+      if ((s.confidence || 0) > (first.confidence || 0)) first.confidence = s.confidence;
+      return false;
+    });
+  }
+  return analyzed;
+}
+
+/**
+ * Earlier turns of a window, trimmed for a classifier payload.
+ */
+function contextTurns(window, maxChars = 300) {
+  return window.turns.map((t) => ({
+    speaker: t.speaker,
+    text: t.text.length > maxChars ? t.text.slice(0, maxChars) + "..." : t.text,
+  }));
+}
+
+/**
+ * Stable key for a focus turn: the same message answering the same
+ * assistant message is analyzed once, whichever Stop sees it first.
+ */
+function hashPair(claudeSaid, userSaid) {
+  const str = (claudeSaid || "").slice(0, 100) + "|" + (userSaid || "").slice(0, 100);
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash << 5) - hash + str.charCodeAt(i);
+    hash |= 0;
+  }
+  return hash.toString(36);
+}
+
+module.exports = { buildWindows, analyzeWindows, contextTurns, BACK_REFERENCE };
@@ -1,5 +1,5 @@
 const { loadLearnings, saveLearnings } = require("./store");
-const { log } = require("./config");
+const { paths, log, withLock } = require("./config");
 
 /**
  * Cross-Session Pattern Detector
@@ -26,70 +26,72 @@ const { log } = require("./config");
  * but actual different session_ids) suggests a deep, persistent pattern.
  */
 function detectCrossSessionPatterns(currentSessionId) {
-  const data = loadLearnings();
-  let changed = false;
-
-  for (const learning of data.learnings) {
-    if (learning.archived || learning.promoted) continue;
-
-    // Count unique sessions where this learning appeared
-    const sessions = getUniqueSessions(learning);
-
-    // Add current session if this learning was touched
-    if (learning._touched_this_session) {
-      if (!sessions.includes(currentSessionId)) {
-        sessions.push(currentSessionId);
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    let changed = false;
+
+    for (const learning of data.learnings) {
+      if (learning.archived || learning.promoted) continue;
+
+      // Count unique sessions where this learning appeared
+      const sessions = getUniqueSessions(learning);
+
+      // Add current session if this learning was touched
+      if (learning._touched_this_session) {
+        if (!sessions.includes(currentSessionId)) {
+          sessions.push(currentSessionId);
+        }
+        delete learning._touched_this_session;
+        changed = true;
       }
-      delete learning._touched_this_session;
-      changed = true;
-    }
 
-    // Store session list
-    learning.session_ids = sessions;
+      // Store session list
+      learning.session_ids = sessions;
 
-    // Cross-session threshold: reinforced across 3+ different sessions
-    const crossCount = sessions.length;
+      // Cross-session threshold: reinforced across 3+ different sessions
+      const crossCount = sessions.length;
 
-    if (crossCount >= 3 && !learning.cross_session_boosted) {
-      // This is a persistent pattern — boost confidence
-      learning.confidence = Math.min(1.0, learning.confidence + 0.10);
-      learning.cross_session_boosted = true;
-      learning.cross_session_count = crossCount;
-      log(`Cross-session boost: "${learning.text}" (${crossCount} sessions, conf → ${learning.confidence.toFixed(2)})`);
-      changed = true;
-    }
+      if (crossCount >= 3 && !learning.cross_session_boosted) {
+        // This is a persistent pattern — boost confidence
+        learning.confidence = Math.min(1.0, learning.confidence + 0.10);
+        learning.cross_session_boosted = true;
+        learning.cross_session_count = crossCount;
+        log(`Cross-session boost: "${learning.text}" (${crossCount} sessions, conf → ${learning.confidence.toFixed(2)})`);
+        changed = true;
+      }
 
-    // Update cross-session count even if already boosted
-    if (crossCount >= 3) {
-      learning.cross_session_count = crossCount;
-    }
+      // Update cross-session count even if already boosted
+      if (crossCount >= 3) {
+        learning.cross_session_count = crossCount;
+      }
 
-    // Classification upgrades (run independently of boost)
-    // 4+ sessions: shallow classifications get upgraded
-    if (crossCount >= 4 && !learning.classification_upgraded_from) {
-      if (learning.classification === "PREFERENCE" || learning.classification === "BEHAVIORAL_GAP") {
-        learning.classification_upgraded_from = learning.classification;
-        learning.classification = "QUALITY_STANDARD";
-        log(`Upgraded "${learning.text}" from ${learning.classification_upgraded_from} → QUALITY_STANDARD (${crossCount} sessions)`);
-        changed = true;
+      // Classification upgrades (run independently of boost)
+      // 4+ sessions: shallow classifications get upgraded
+      if (crossCount >= 4 && !learning.classification_upgraded_from) {
+        if (learning.classification === "PREFERENCE" || learning.classification === "BEHAVIORAL_GAP") {
+          learning.classification_upgraded_from = learning.classification;
+          learning.classification = "QUALITY_STANDARD";
+          log(`Upgraded "${learning.text}" from ${learning.classification_upgraded_from} → QUALITY_STANDARD (${crossCount} sessions)`);
+          changed = true;
+        }
       }
-    }
 
-    // 5+ sessions: quality standards become thinking patterns
-    if (crossCount >= 5 && !learning.deep_pattern_upgrade) {
-      if (learning.classification === "QUALITY_STANDARD") {
-        learning.deep_pattern_upgrade = true;
-        learning.classification_upgraded_from = learning.classification_upgraded_from || learning.classification;
-        learning.classification = "THINKING_PATTERN";
-        learning.confidence = Math.min(1.0, learning.confidence + 0.05);
-        log(`Deep pattern upgrade: "${learning.text}" → THINKING_PATTERN (${crossCount} sessions)`);
-        changed = true;
+      // 5+ sessions: quality standards become thinking patterns
+      if (crossCount >= 5 && !learning.deep_pattern_upgrade) {
+        if (learning.classification === "QUALITY_STANDARD") {
+          learning.deep_pattern_upgrade = true;
+          learning.classification_upgraded_from = learning.classification_upgraded_from || learning.classification;
+          learning.classification = "THINKING_PATTERN";
+          learning.confidence = Math.min(1.0, learning.confidence + 0.05);
+          log(`Deep pattern upgrade: "${learning.text}" → THINKING_PATTERN (${crossCount} sessions)`);
+          changed = true;
+        }
       }
     }
-  }
 
-  if (changed) saveLearnings(data);
-  return changed;
+    if (changed) saveLearnings(data);
+    return changed;
+  });
 }
 
 /**
@@ -97,18 +99,20 @@ function detectCrossSessionPatterns(currentSessionId) {
  * Called by addCandidate when reinforcing an existing learning.
  */
 function markSessionTouch(learningId, sessionId) {
-  const data = loadLearnings();
-  const learning = data.learnings.find((l) => l.id === learningId);
-  if (!learning) return;
-
-  // Track unique sessions
-  if (!learning.session_ids) learning.session_ids = [];
-  if (!learning.session_ids.includes(sessionId)) {
-    learning.session_ids.push(sessionId);
-  }
-  learning._touched_this_session = true;
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const learning = data.learnings.find((l) => l.id === learningId);
+    if (!learning) return;
+
+    // Track unique sessions
+    if (!learning.session_ids) learning.session_ids = [];
+    if (!learning.session_ids.includes(sessionId)) {
+      learning.session_ids.push(sessionId);
+    }
+    learning._touched_this_session = true;
 
-  saveLearnings(data);
+    saveLearnings(data);
+  });
 }
 
 /**
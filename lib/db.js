@@ -0,0 +1,465 @@
+const fs = require("fs");
+const path = require("path");
+const { paths, ensureDir, log, withLock, writeFileAtomic } = require("./config");
+const history = require("./history");
+
+/**
+ * OpenTell — Learning Database
+ *
+ * An append-only segment log with compaction. The Stop hook touches the
+ * store several times per turn; rewriting the whole learnings file each
+ * time got slower with every learning. Here a write only appends the
+ * records that actually changed.
+ *
+ * Layout (~/.opentell/learnings.db/):
+ *   snapshot.json   compacted base state { learnings, meta }
+ *   segment.jsonl   operations appended since the snapshot
+ *
+ * Operations (one JSON object per line):
+ *   { op: "put",   learning }   insert or replace a learning by id
+ *   { op: "del",   id }         remove a learning
+ *   { op: "meta",  meta }       replace the meta block
+ *   { op: "reset" }             drop everything before this line
+ *
+ * Replaying the segment on top of the snapshot yields the current state.
+ * Replay is idempotent, so a crash between writing a new snapshot and
+ * truncating the segment loses nothing. A torn last line is skipped.
+ *
+ * Writers hold the database lock (config.withLock on paths.db) so appends
+ * and compaction never interleave across processes.
+ *
+ * Every change to a learning is also journaled in lib/history.js.
+ *
+ * In memory, learnings are indexed by id, scope_key and status. The state
+ * is cached per process and refreshed incrementally: if the segment only
+ * grew since the last read, only the new bytes are replayed.
+ */
+
+const SNAPSHOT_FILE = "snapshot.json";
+const SEGMENT_FILE = "segment.jsonl";
+
+// Compact once the segment holds this many operations
+const COMPACT_AFTER_OPS = 500;
+
+const STATUSES = ["live", "inferred", "promoted", "archived"];
+
+let state = null;
+
+// What this process last read, per learning id. writeAll() only appends
+// learnings that differ from this baseline, so a stale copy of a learning
+// this process never modified can't overwrite another process's update.
+let baseline = new Map();
+let baselineMeta = null;
+
+// ─── Paths ────────────────────────────────────────────────────────────
+
+function snapshotPath() {
+  return path.join(paths.db, SNAPSHOT_FILE);
+}
+
+function segmentPath() {
+  return path.join(paths.db, SEGMENT_FILE);
+}
+
+// ─── Loading ──────────────────────────────────────────────────────────
+
+function emptyState() {
+  return {
+    byId: new Map(),       // id → learning (parsed)
+    serialized: new Map(), // id → JSON string, for change detection
+    byScope: new Map(),    // scope_key → Set<id>
+    byStatus: new Map(STATUSES.map((s) => [s, new Set()])),
+    meta: { total_sessions: 0 },
+    metaSerialized: JSON.stringify({ total_sessions: 0 }),
+    snapshotMtime: 0,
+    segmentOffset: 0,
+    segmentOps: 0,
+  };
+}
+
+/**
+ * Bring the in-memory state up to date with the files on disk.
+ */
+function refresh() {
+  ensureDb();
+
+  const snapStat = statOrNull(snapshotPath());
+  const segStat = statOrNull(segmentPath());
+  const snapMtime = snapStat ? snapStat.mtimeMs : 0;
+  const segSize = segStat ? segStat.size : 0;
+
+  const canReplayTail =
+    state &&
+    state.snapshotMtime === snapMtime &&
+    segSize >= state.segmentOffset;
+
+  if (!canReplayTail) {
+    state = emptyState();
+    state.snapshotMtime = snapMtime;
+    loadSnapshot();
+  }
+
+  if (segSize > state.segmentOffset) {
+    replaySegment(state.segmentOffset, segSize);
+  }
+
+  return state;
+}
+
+function loadSnapshot() {
+  let snap;
+  try {
+    snap = JSON.parse(fs.readFileSync(snapshotPath(), "utf-8"));
+  } catch {
+    return;
+  }
+  for (const l of snap.learnings || []) putRecord(l);
+  setMeta(snap.meta || { total_sessions: 0 });
+}
+
+function replaySegment(from, to) {
+  const fd = fs.openSync(segmentPath(), "r");
+  let text;
+  try {
+    const buf = Buffer.alloc(to - from);
+    fs.readSync(fd, buf, 0, buf.length, from);
+    text = buf.toString("utf-8");
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Only consume complete lines — a writer may be mid-append
+  const lastNewline = text.lastIndexOf("\n");
+  if (lastNewline === -1) return;
+  const complete = text.slice(0, lastNewline + 1);
+
+  for (const line of complete.split("\n")) {
+    if (!line.trim()) continue;
+    let op;
+    try { op = JSON.parse(line); } catch { continue; }
+    applyOp(op);
+    state.segmentOps += 1;
+  }
+  state.segmentOffset = from + Buffer.byteLength(complete, "utf-8");
+}
+
+function applyOp(op) {
+  switch (op.op) {
+    case "put":
+      if (op.learning && op.learning.id) putRecord(op.learning);
+      break;
+    case "del":
+      deleteRecord(op.id);
+      break;
+    case "meta":
+      setMeta(op.meta || {});
+      break;
+    case "reset": {
+      const keep = {
+        snapshotMtime: state.snapshotMtime,
+        segmentOffset: state.segmentOffset,
+        segmentOps: state.segmentOps,
+      };
+      state = Object.assign(emptyState(), keep);
+      break;
+    }
+  }
+}
+
+// ─── Index maintenance ────────────────────────────────────────────────
+
+function statusOf(l) {
+  if (l.archived) return "archived";
+  if (l.promoted) return "promoted";
+  if (l.inferred) return "inferred";
+  return "live";
+}
+
+function putRecord(learning) {
+  if (state.byId.has(learning.id)) unindex(state.byId.get(learning.id));
+  state.byId.set(learning.id, learning);
+  state.serialized.set(learning.id, JSON.stringify(learning));
+  index(learning);
+}
+
+function deleteRecord(id) {
+  const existing = state.byId.get(id);
+  if (!existing) return;
+  unindex(existing);
+  state.byId.delete(id);
+  state.serialized.delete(id);
+}
+
+function setMeta(meta) {
+  state.meta = meta;
+  state.metaSerialized = JSON.stringify(meta);
+}
+
+function index(l) {
+  state.byStatus.get(statusOf(l)).add(l.id);
+  const key = l.scope_key || "";
+  if (!state.byScope.has(key)) state.byScope.set(key, new Set());
+  state.byScope.get(key).add(l.id);
+}
+
+function unindex(l) {
+  state.byStatus.get(statusOf(l)).delete(l.id);
+  const set = state.byScope.get(l.scope_key || "");
+  if (set) set.delete(l.id);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Read the full database as { learnings, meta }.
+ * Returns fresh copies — callers may mutate them and pass them to writeAll().
+ */
+function readAll() {
+  refresh();
+  baseline = new Map(state.serialized);
+  baselineMeta = state.metaSerialized;
+  return {
+    learnings: [...state.serialized.values()].map((s) => JSON.parse(s)),
+    meta: JSON.parse(state.metaSerialized),
+  };
+}
+
+/**
+ * Persist a full { learnings, meta } object.
+ * Only learnings this process changed since readAll() are appended.
+ * Learnings are never deleted this way — archive them, or use resetDb().
+ */
+function writeAll(data) {
+  withLock(paths.db, () => writeAllLocked(data));
+}
+
+function writeAllLocked(data) {
+  refresh();
+
+  const ops = [];
+  const changes = [];
+
+  for (const l of data.learnings || []) {
+    if (!l || !l.id) continue;
+    const serialized = JSON.stringify(l);
+    const base = baseline.has(l.id) ? baseline.get(l.id) : state.serialized.get(l.id);
+    if (base !== serialized) {
+      ops.push({ op: "put", learning: l });
+      changes.push({ before: currentRecord(l.id), after: l });
+      baseline.set(l.id, serialized);
+    }
+  }
+
+  const meta = JSON.stringify(data.meta || { total_sessions: 0 });
+  if (meta !== (baselineMeta === null ? state.metaSerialized : baselineMeta)) {
+    ops.push({ op: "meta", meta: data.meta || { total_sessions: 0 } });
+    baselineMeta = meta;
+  }
+
+  appendOps(ops);
+  history.recordChanges(changes);
+}
+
+/**
+ * Insert or replace a single learning.
+ */
+function putLearning(learning) {
+  withLock(paths.db, () => {
+    refresh();
+    if (state.serialized.get(learning.id) === JSON.stringify(learning)) return;
+    const before = currentRecord(learning.id);
+    appendOps([{ op: "put", learning }]);
+    history.recordChanges([{ before, after: learning }]);
+  });
+}
+
+/**
+ * Write back earlier versions of learnings (used by history undo).
+ * A null learning deletes the record. Journaled as an undo of `undoOf`.
+ *
+ * @param {Array<{ id: string, learning: object|null|undefined }>} versions
+ * @param {string} undoOf — the journal txn being reverted
+ */
+function restoreVersions(versions, undoOf) {
+  withLock(paths.db, () => {
+    refresh();
+    const ops = [];
+    const changes = [];
+    for (const { id, learning } of versions) {
+      if (learning === undefined) continue;
+      const before = currentRecord(id);
+      if (learning === null) {
+        if (!before) continue;
+        ops.push({ op: "del", id });
+      } else {
+        ops.push({ op: "put", learning });
+      }
+      changes.push({ before, after: learning });
+      baseline.delete(id);
+    }
+    appendOps(ops);
+    history.recordChanges(changes, { undo_of: undoOf });
+  });
+}
+
+/**
+ * Look up a learning by id. Returns a copy, or null.
+ */
+function getLearning(id) {
+  refresh();
+  const s = state.serialized.get(id);
+  return s ? JSON.parse(s) : null;
+}
+
+/**
+ * Query learnings through the indexes.
+ *
+ * @param {object} [filter]
+ * @param {string|string[]} [filter.status] — "live" | "inferred" | "promoted" | "archived"
+ * @param {string} [filter.scope_key] — exact scope key ("" for untagged)
+ * @returns {Array} copies of matching learnings, in insertion order
+ */
+function queryLearnings(filter = {}) {
+  refresh();
+
+  let ids = null;
+  if (filter.status) {
+    const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+    ids = new Set();
+    for (const s of statuses) {
+      for (const id of state.byStatus.get(s) || []) ids.add(id);
+    }
+  }
+  if (filter.scope_key !== undefined) {
+    const scoped = state.byScope.get(filter.scope_key) || new Set();
+    ids = ids ? new Set([...ids].filter((id) => scoped.has(id))) : new Set(scoped);
+  }
+
+  const result = [];
+  for (const [id, s] of state.serialized) {
+    if (ids && !ids.has(id)) continue;
+    result.push(JSON.parse(s));
+  }
+  return result;
+}
+
+/**
+ * Drop everything and start from an empty database.
+ */
+function resetDb() {
+  withLock(paths.db, () => {
+    refresh();
+    appendOps([{ op: "reset" }, { op: "meta", meta: { total_sessions: 0 } }]);
+    compact();
+    // A reset is a clean slate — the journal would only describe learnings
+    // that no longer exist
+    try { fs.unlinkSync(paths.history); } catch {}
+  });
+}
+
+/**
+ * Rewrite the snapshot from the current state and truncate the segment.
+ */
+function compact() {
+  withLock(paths.db, () => {
+    refresh();
+    const snapshot = {
+      learnings: [...state.serialized.values()].map((s) => JSON.parse(s)),
+      meta: JSON.parse(state.metaSerialized),
+    };
+    writeFileAtomic(snapshotPath(), JSON.stringify(snapshot));
+    fs.writeFileSync(segmentPath(), "");
+
+    state.snapshotMtime = fs.statSync(snapshotPath()).mtimeMs;
+    state.segmentOffset = 0;
+    state.segmentOps = 0;
+  });
+}
+
+// ─── Writing ──────────────────────────────────────────────────────────
+
+function appendOps(ops) {
+  if (ops.length === 0) return;
+  const text = ops.map((op) => JSON.stringify(op)).join("\n") + "\n";
+  fs.appendFileSync(segmentPath(), text);
+
+  // Pick up our own append (and anything appended before it)
+  refresh();
+
+  if (state.segmentOps >= COMPACT_AFTER_OPS) {
+    try {
+      compact();
+    } catch (e) {
+      log(`DB compaction error: ${e.message}`);
+    }
+  }
+}
+
+// ─── Setup / migration ────────────────────────────────────────────────
+
+function ensureDb() {
+  ensureDir();
+  if (fs.existsSync(paths.db)) return;
+  withLock(paths.db, () => {
+    if (fs.existsSync(paths.db)) return;
+    // Build the migrated snapshot beside the final location, then rename,
+    // so no reader ever sees a half-migrated database
+    const staging = `${paths.db}.${process.pid}.staging`;
+    fs.mkdirSync(staging, { recursive: true });
+    let migrated;
+    try {
+      migrated = migrateLegacyJson(staging);
+      fs.renameSync(staging, paths.db);
+    } catch (e) {
+      // Leave no database behind, so the next run tries again instead of
+      // starting empty with the old learnings stranded in learnings.json
+      fs.rmSync(staging, { recursive: true, force: true });
+      throw e;
+    }
+    if (migrated) fs.renameSync(paths.db_legacy, paths.db_legacy + ".migrated");
+  });
+}
+
+/**
+ * One-time migration from the old single-file learnings.json into the
+ * staging directory. The caller keeps the old file as learnings.json.migrated
+ * once the database is in place.
+ *
+ * @returns {boolean} whether there was a file to migrate
+ * @throws when learnings.json exists but can't be read or parsed
+ */
+function migrateLegacyJson(dir) {
+  if (!fs.existsSync(paths.db_legacy)) return false;
+  let snapshot;
+  try {
+    const legacy = JSON.parse(fs.readFileSync(paths.db_legacy, "utf-8"));
+    snapshot = {
+      learnings: legacy.learnings || [],
+      meta: legacy.meta || { total_sessions: 0 },
+    };
+  } catch (e) {
+    log(`Legacy learnings.json migration failed: ${e.message}`);
+    throw new Error(`Could not migrate ${paths.db_legacy}: ${e.message} — fix or move the file, then run opentell again`);
+  }
+  writeFileAtomic(path.join(dir, SNAPSHOT_FILE), JSON.stringify(snapshot));
+  log(`Migrated ${snapshot.learnings.length} learnings from learnings.json`);
+  return true;
+}
+
+function currentRecord(id) {
+  const s = state.serialized.get(id);
+  return s ? JSON.parse(s) : null;
+}
+
+function statOrNull(p) {
+  try {
+    return fs.statSync(p);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  readAll, writeAll, putLearning, getLearning, queryLearnings,
+  restoreVersions, resetDb, compact, statusOf,
+};
@@ -1,12 +1,15 @@
 const { log } = require("./config");
+const { matchRules } = require("./rules");
+const { aliasesForPattern, detectorPatterns, boundedAlternation, canonicalName, toolAreas } = require("./tools");
 
 /**
  * Layer 1: Regex-based signal detection.
  * Analyzes a (claude_said, user_said) pair and returns detected signals.
+ * `rules` are the user-defined rules from lib/rules.js loadRules().
  * 
  * Returns: { detected: bool, signals: [{ text, confidence, type }], noise: bool }
  */
-function detectSignals(claudeSaid, userSaid) {
+function detectSignals(claudeSaid, userSaid, rules = []) {
   const input = userSaid.trim();
   const inputLower = input.toLowerCase();
 
@@ -116,23 +119,34 @@ function detectSignals(claudeSaid, userSaid) {
   }
 
   // --- Tool/framework preferences ---
-  for (const pattern of TOOL_PATTERNS) {
+  for (const pattern of getToolPatterns()) {
     const match = inputLower.match(pattern.regex);
-    if (match) {
-      const tool = match[1] || match[2] || pattern.tool;
-      if (tool) {
-        signals.push({
-          text: `Uses ${tool}`,
-          confidence: 0.35,
-          type: "tool",
-          classification: "PREFERENCE",
-          area: "general",
-          pattern: pattern.name,
-        });
-      }
+    const tool = match && canonicalName(match[1]);
+    if (tool) {
+      signals.push({
+        text: `Uses ${tool}`,
+        confidence: 0.35,
+        type: "tool",
+        classification: "PREFERENCE",
+        area: [...toolAreas(tool)][0] || "general",
+        pattern: pattern.name,
+      });
     }
   }
 
+  // --- User-defined rules (~/.opentell/rules.json, <repo>/.opentell/rules.json) ---
+  for (const { rule, text } of matchRules(rules, input)) {
+    signals.push({
+      text,
+      confidence: rule.confidence ?? undefined,
+      type: "rule",
+      classification: rule.classification,
+      area: rule.area,
+      scope: rule.scope ?? undefined,
+      pattern: rule.name,
+    });
+  }
+
   // Dedupe signals by extracting core concept
   const unique = dedupeSignals(signals);
 
@@ -421,32 +435,28 @@ const QUALITY_PATTERNS = [
   },
 ];
 
-const TOOL_PATTERNS = [
-  {
-    name: "package_manager",
-    regex: /(?:use |switch to |we use )(pnpm|yarn|bun|npm|deno)\b/i,
-    tool: null, // extracted from match
-  },
-  {
-    name: "test_framework",
-    regex: /(?:use |switch to |we use )(vitest|jest|mocha|pytest|playwright|cypress)\b/i,
-    tool: null,
-  },
-  {
-    name: "linter_formatter",
-    regex: /(?:use |switch to |we use )(biome|eslint|prettier|ruff|black|rubocop)\b/i,
-    tool: null,
-  },
-  {
-    name: "framework",
-    regex: /(?:use |switch to |we use |this is a )(next\.?js|nuxt|remix|astro|svelte|vue|react|angular|fastapi|express|hono|django|flask|rails)\b/i,
-    tool: null,
-  },
-  {
-    name: "database",
-    regex: /(?:use |switch to |we use )(supabase|firebase|postgres|mysql|sqlite|mongo|dynamo|prisma|drizzle|typeorm)\b/i,
-    tool: null,
-  },
-];
+// Tool names come from the tool knowledge base (lib/tools.js): one pattern
+// per detector pattern name its categories report through.
+const TOOL_TRIGGERS = {
+  default: ["use ", "switch to ", "we use "],
+  framework: ["use ", "switch to ", "we use ", "this is a "],
+};
+
+let toolPatterns = null;
+
+function getToolPatterns() {
+  if (toolPatterns) return toolPatterns;
+  toolPatterns = [];
+  for (const name of detectorPatterns()) {
+    const aliases = aliasesForPattern(name);
+    if (aliases.length === 0) continue;
+    const triggers = TOOL_TRIGGERS[name] || TOOL_TRIGGERS.default;
+    toolPatterns.push({
+      name,
+      regex: new RegExp(`(?:${triggers.join("|")})${boundedAlternation(aliases)}`, "i"),
+    });
+  }
+  return toolPatterns;
+}
 
-module.exports = { detectSignals, isNoise };
+module.exports = { detectSignals, isNoise, extractCore };
@@ -0,0 +1,443 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { paths, log, readJson, updateJson, writeFileAtomic } = require("./config");
+const { isGeneratedPath } = require("./refusals");
+const { matchCommand } = require("./tools");
+
+/**
+ * OpenTell — Learning From Hand Edits
+ *
+ * When Claude writes a file and the developer then fixes it by hand —
+ * swapping quotes, renaming a variable, deleting the comments — that is a
+ * correction with no words attached. The PostToolUse hook snapshots every
+ * file Claude writes or edits (~/.opentell/snapshots/); the next Stop or
+ * SessionStart diffs each snapshot against the file on disk. What changed
+ * in between was changed by the developer.
+ *
+ * Only edits with a recognizable intent become learnings:
+ *
+ *   quotes       'x' ↔ "x" on otherwise identical lines
+ *   semicolons   statement terminators added or removed
+ *   indentation  tabs ↔ spaces
+ *   naming       an identifier renamed to another case style, or an
+ *                abbreviation spelled out
+ *   comments     comment lines deleted, not replaced by other code
+ *   imports      the import block reordered (sorted, or packages grouped
+ *                before relative paths)
+ *
+ * Anything else is too specific to generalize and is ignored. Learnings
+ * are repo-scoped and start with low certainty: an edit is silent, so it
+ * needs repeats before it becomes active. No code leaves the machine — the
+ * evidence keeps one changed line of each side.
+ */
+
+const MAX_SNAPSHOT_BYTES = 256 * 1024;
+const MAX_SNAPSHOTS = 100;
+const SNAPSHOT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Bigger rewrites are a git checkout or a generator, not a hand edit
+const MAX_CHANGED_LINES = 40;
+// Bound on the diff table (changed region rows × columns)
+const MAX_DIFF_CELLS = 250000;
+
+// A command Claude ran that may have rewritten files itself
+const MUTATING_COMMAND = /\bsed\s+-i|\bperl\s+-p?i|\bgit\s+(?:checkout|switch|reset|restore|stash|pull|merge|rebase|apply|am|cherry-pick)\b|\b(?:mv|cp|patch)\s|--fix\b|--write\b|(?:^|\s)>{1,2}\s*\S/;
+
+const INDEX_FILE = "index.json";
+
+function emptyIndex() {
+  return { files: {} };
+}
+
+function indexPath() {
+  return path.join(paths.snapshots, INDEX_FILE);
+}
+
+function snapshotName(filePath) {
+  return crypto.createHash("sha1").update(filePath).digest("hex").slice(0, 16);
+}
+
+// ─── Snapshots ──────────────────────────────────────────────────────────────
+
+/**
+ * Remember a file as Claude left it. Called by the PostToolUse hook after
+ * each Write or Edit; skips generated, binary and large files.
+ */
+function snapshotFile(filePath, scopeKey) {
+  if (!filePath || isGeneratedPath(filePath)) return false;
+
+  let content;
+  try {
+    if (fs.statSync(filePath).size > MAX_SNAPSHOT_BYTES) return false;
+    content = fs.readFileSync(filePath, "utf-8");
+  } catch {
+    return false;
+  }
+  if (content.includes("\0")) return false;
+
+  fs.mkdirSync(paths.snapshots, { recursive: true });
+  const name = snapshotName(filePath);
+  writeFileAtomic(path.join(paths.snapshots, name), content);
+
+  updateJson(indexPath(), emptyIndex, (index) => {
+    index.files[filePath] = { name, scope_key: scopeKey || "", taken_at: Date.now() };
+    const entries = Object.entries(index.files);
+    if (entries.length > MAX_SNAPSHOTS) {
+      entries.sort(([, a], [, b]) => a.taken_at - b.taken_at);
+      for (const [p, e] of entries.slice(0, entries.length - MAX_SNAPSHOTS)) {
+        delete index.files[p];
+        removeSnapshot(e.name);
+      }
+    }
+  });
+  return true;
+}
+
+/**
+ * Diff every snapshot against the file on disk and return learnings for
+ * the developer's edits. Changed files are re-snapshotted so an edit is
+ * counted once; files that are gone or expired are forgotten.
+ *
+ * @param {object[]} [toolEvents] — buffered PostToolUse events; a file is
+ *   skipped (and re-snapshotted) when Claude ran a command since the
+ *   snapshot that may have rewritten it (sed -i, git checkout, a formatter)
+ * @returns {object[]} learnings to pass to addCandidate()
+ */
+function collectHumanEdits(toolEvents = []) {
+  if (!fs.existsSync(indexPath())) return [];
+
+  const now = Date.now();
+  const candidates = [];
+  const refreshed = {};
+  const dropped = [];
+
+  const index = readJson(indexPath(), emptyIndex);
+  for (const [filePath, entry] of Object.entries(index.files)) {
+    const snapFile = path.join(paths.snapshots, entry.name);
+    let before;
+    let after;
+    try {
+      before = fs.readFileSync(snapFile, "utf-8");
+      after = fs.readFileSync(filePath, "utf-8");
+    } catch {
+      dropped.push(filePath);
+      continue;
+    }
+
+    if (before === after) {
+      if (now - entry.taken_at > SNAPSHOT_TTL_MS) dropped.push(filePath);
+      continue;
+    }
+
+    writeFileAtomic(snapFile, after);
+    refreshed[filePath] = now;
+
+    if (ranMutatingCommand(toolEvents, entry.taken_at)) {
+      log(`Hand edits: skipped ${filePath} — a command since the snapshot may have changed it`);
+      continue;
+    }
+
+    for (const edit of classifyEdits(before, after, filePath)) {
+      log(`Hand edit in ${filePath}: ${edit.text}`);
+      candidates.push({
+        text: edit.text,
+        scope: "repo",
+        scope_key: entry.scope_key,
+        classification: "PREFERENCE",
+        area: edit.area || "general",
+        detection_method: "human_edit",
+        certainty: "low",
+        evidence: {
+          claude_said: `Claude wrote (${path.basename(filePath)}): ${clip(edit.before)}`,
+          user_said: `Developer changed it to: ${clip(edit.after)}`,
+          error_context: "",
+        },
+      });
+    }
+  }
+
+  if (dropped.length > 0 || Object.keys(refreshed).length > 0) {
+    updateJson(indexPath(), emptyIndex, (latest) => {
+      for (const p of dropped) {
+        if (latest.files[p]) removeSnapshot(latest.files[p].name);
+        delete latest.files[p];
+      }
+      for (const [p, ts] of Object.entries(refreshed)) {
+        if (latest.files[p]) latest.files[p].taken_at = ts;
+      }
+    });
+  }
+  return candidates;
+}
+
+function ranMutatingCommand(toolEvents, since) {
+  return toolEvents.some((e) =>
+    e.tool === "Bash" && e.ts > since && e.command &&
+    (MUTATING_COMMAND.test(e.command) || matchCommand(e.command, "formatter") || matchCommand(e.command, "linter"))
+  );
+}
+
+function removeSnapshot(name) {
+  try { fs.unlinkSync(path.join(paths.snapshots, name)); } catch {}
+}
+
+// ─── Classifying a diff ─────────────────────────────────────────────────────
+
+/**
+ * Recognizable intents in the change from `before` to `after`, one per
+ * kind. Each has { kind, text, area, before, after } — the last two are an
+ * example line from each side.
+ */
+function classifyEdits(before, after, filePath = "") {
+  const hunks = diffLines(before.split("\n"), after.split("\n"));
+  if (!hunks) return [];
+  const changed = hunks.reduce((n, h) => n + Math.max(h.removed.length, h.added.length), 0);
+  if (changed === 0 || changed > MAX_CHANGED_LINES) return [];
+
+  // In Markdown and plain text a leading "#" is a heading, not a comment
+  const isCode = !/\.(?:md|mdx|markdown|txt|rst)$/i.test(filePath);
+  const edits = new Map();
+  const add = (edit) => {
+    if (!edits.has(edit.kind)) edits.set(edit.kind, edit);
+  };
+
+  const imports = importOrderEdit(before, after);
+  if (imports) add(imports);
+
+  const renames = [];
+  for (const hunk of hunks) {
+    // Set aside deleted comments and blank lines; what is left should be
+    // lines edited in place, which pair up one to one
+    const deletedComments = isCode && !hunk.added.some((l) => l.trim() && isComment(l))
+      ? hunk.removed.filter((l) => l.trim() && isComment(l))
+      : [];
+    const removed = hunk.removed.filter((l) => l.trim() && !deletedComments.includes(l));
+    const added = hunk.added.filter((l) => l.trim());
+    if (removed.length !== added.length) continue;
+
+    if (deletedComments.length > 0) {
+      add({ kind: "comments", text: "Avoids comments that restate the code", area: "general", before: deletedComments[0], after: "(deleted)" });
+    }
+    removed.forEach((old, i) => {
+      for (const edit of lineEdits(old, added[i], filePath)) {
+        if (edit.kind === "rename") renames.push(edit);
+        else add(edit);
+      }
+    });
+  }
+
+  const naming = namingEdit(renames);
+  if (naming) add(naming);
+
+  return [...edits.values()];
+}
+
+/**
+ * Style edits between two versions of one line. Several can apply at once
+ * ("const cfg = load();" → "const config = load()"): each one found is
+ * recorded and normalized away before looking for the next.
+ */
+function lineEdits(old, now, filePath) {
+  if (old === now || isImport(old)) return [];
+  const edits = [];
+  const example = { before: old, after: now };
+
+  if (old.trim() === now.trim()) {
+    const oldTabs = /^\t/.test(old);
+    const nowTabs = /^\t/.test(now);
+    if (oldTabs === nowTabs || !/^\s/.test(old) || !/^\s/.test(now)) return [];
+    return [nowTabs
+      ? { kind: "indent", text: "Indents with tabs", area: "general", ...example }
+      : { kind: "indent", text: "Indents with spaces, not tabs", area: "general", ...example }];
+  }
+  let a = old.trim();
+  let b = now.trim();
+
+  if (/\.(?:[cm]?[jt]sx?)$/.test(filePath) && /;$/.test(a) !== /;$/.test(b)) {
+    edits.push(/;$/.test(b)
+      ? { kind: "semicolons", text: "Ends statements with semicolons", area: "general", ...example }
+      : { kind: "semicolons", text: "Omits semicolons", area: "general", ...example });
+    a = a.replace(/;$/, "");
+    b = b.replace(/;$/, "");
+  }
+
+  const quotes = (str) => (str.match(/'/g) || []).length;
+  if (a !== b && /['"]/.test(a) && quotes(a) !== quotes(b)) {
+    const singles = quotes(b) > quotes(a);
+    const swapped = singles ? a.replace(/"/g, "'") : a.replace(/'/g, '"');
+    if (swapped === b || tokenize(swapped).length === tokenize(b).length) {
+      edits.push(singles
+        ? { kind: "quotes", text: "Uses single quotes for strings", area: "general", ...example }
+        : { kind: "quotes", text: "Uses double quotes for strings", area: "general", ...example });
+      a = swapped;
+    }
+  }
+  if (a === b) return edits;
+
+  // Same tokens except identifiers in one position: a rename
+  const x = tokenize(a);
+  const y = tokenize(b);
+  if (x.length !== y.length) return edits;
+  let from = null;
+  let to = null;
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] === y[i]) continue;
+    if (!isIdentifier(x[i]) || !isIdentifier(y[i])) return edits;
+    if (from === null) {
+      from = x[i];
+      to = y[i];
+    } else if (x[i] !== from || y[i] !== to) {
+      return edits;
+    }
+  }
+  if (from) edits.push({ kind: "rename", from, to, ...example });
+  return edits;
+}
+
+/**
+ * A rename says something general only when it changes the case style or
+ * spells out an abbreviation; renaming `data` to `users` is situational.
+ */
+function namingEdit(renames) {
+  for (const r of renames) {
+    const fromStyle = caseStyle(r.from);
+    const toStyle = caseStyle(r.to);
+    const sameWords = words(r.from).join("_") === words(r.to).join("_");
+    if (sameWords && fromStyle !== toStyle && toStyle) {
+      return { kind: "naming", text: `Uses ${toStyle} for names`, area: "general", before: r.before, after: r.after };
+    }
+    if (r.from.length <= 3 && r.to.length > r.from.length + 2 && r.to.toLowerCase().startsWith(r.from[0].toLowerCase())) {
+      return { kind: "naming", text: "Uses descriptive names, not abbreviations", area: "general", before: r.before, after: r.after };
+    }
+  }
+  return null;
+}
+
+/** The leading import block was reordered without adding or removing imports. */
+function importOrderEdit(before, after) {
+  const a = importBlock(before);
+  const b = importBlock(after);
+  if (a.length < 2 || a.join("\n") === b.join("\n")) return null;
+  if ([...a].sort().join("\n") !== [...b].sort().join("\n")) return null;
+
+  const specs = b.map(importSpecifier);
+  const sorted = specs.every((s, i) => i === 0 || specs[i - 1] <= s);
+  if (sorted) {
+    return { kind: "imports", text: "Sorts imports alphabetically", area: "general", before: a[0], after: b[0] };
+  }
+  const relative = specs.map((s) => s.startsWith("."));
+  const grouped = relative.every((r, i) => i === 0 || !relative[i - 1] || r);
+  if (grouped && relative.includes(true) && relative.includes(false)) {
+    return { kind: "imports", text: "Groups imports: packages first, then relative paths", area: "general", before: a[0], after: b[0] };
+  }
+  return null;
+}
+
+// ─── Line diff ──────────────────────────────────────────────────────────────
+
+/**
+ * Hunks of removed and added lines between two line arrays. The common
+ * prefix and suffix are trimmed, then the rest is aligned by longest
+ * common subsequence. Returns null when the changed region is too big.
+ *
+ * @returns {Array<{ removed: string[], added: string[] }>|null}
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const x = a.slice(start, endA);
+  const y = b.slice(start, endB);
+  if ((x.length + 1) * (y.length + 1) > MAX_DIFF_CELLS) return null;
+
+  // lcs[i][j] = common subsequence length of x[i..] and y[j..]
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint16Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  const flush = () => {
+    if (hunk) hunks.push(hunk);
+    hunk = null;
+  };
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      flush();
+      i++;
+      j++;
+    } else if (j < y.length && (i === x.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      (hunk = hunk || { removed: [], added: [] }).added.push(y[j++]);
+    } else {
+      (hunk = hunk || { removed: [], added: [] }).removed.push(x[i++]);
+    }
+  }
+  flush();
+  return hunks;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function isComment(line) {
+  return /^\s*(?:\/\/|\/\*|\*|<!--|#(?!!|include|define|if|endif|pragma)|--\s)/.test(line) || !line.trim();
+}
+
+function isImport(line) {
+  return /^\s*(?:import\s|from\s+\S+\s+import\s|(?:const|let|var)\s+.+=\s*require\()/.test(line);
+}
+
+function importBlock(text) {
+  const lines = [];
+  for (const line of text.split("\n")) {
+    if (isImport(line)) lines.push(line.trim());
+    else if (line.trim() && !isComment(line) && lines.length > 0) break;
+  }
+  return lines;
+}
+
+function importSpecifier(line) {
+  const m =
+    line.match(/\bfrom\s+['"]([^'"]+)['"]/) ||
+    line.match(/require\(\s*['"]([^'"]+)['"]/) ||
+    line.match(/^from\s+(\S+)/) ||
+    line.match(/^import\s+['"]?([^'"\s;]+)/);
+  return m ? m[1] : line;
+}
+
+function tokenize(line) {
+  return line.match(/[A-Za-z_$][\w$]*|\S/g) || [];
+}
+
+function isIdentifier(token) {
+  return /^[A-Za-z_$][\w$]*$/.test(token);
+}
+
+function caseStyle(name) {
+  if (/^[a-z]+(?:_[a-z0-9]+)+$/.test(name)) return "snake_case";
+  if (/^[a-z]+(?:[A-Z][a-z0-9]*)+$/.test(name)) return "camelCase";
+  if (/^(?:[A-Z][a-z0-9]+){2,}$/.test(name)) return "PascalCase";
+  if (/^[A-Z]+(?:_[A-Z0-9]+)+$/.test(name)) return "SCREAMING_SNAKE_CASE";
+  return null;
+}
+
+function words(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase().split("_").filter(Boolean);
+}
+
+function clip(line) {
+  const flat = String(line || "").trim();
+  return flat.length > 120 ? flat.slice(0, 120) + "..." : flat;
+}
+
+module.exports = { snapshotFile, collectHumanEdits, classifyEdits, diffLines };
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const { loadConfig, writeFileAtomic } = require("./config");
+const { analyzeWindows } = require("./conversation");
+const { detectClaudeObservations } = require("./observer");
+const { classifyPairs, CLASSIFY_BATCH_SIZE } = require("./classifier");
+
+/**
+ * OpenTell — Detector Evaluation
+ *
+ * Scores the detection layers against a labelled corpus, so a change to a
+ * regex or to the classifier prompt can be judged by numbers instead of
+ * by feel. One pair per line in eval/detector-pairs.jsonl:
+ *
+ *   { "id": "corr-pm-1",
+ *     "claude_said": "I'll install the dependencies with npm install.",
+ *     "user_said": "no, use pnpm",
+ *     "expect": {
+ *       "signals": [{ "pattern": ["no_use_x", "package_manager"], "classification": "PREFERENCE" }],
+ *       "noise": false,
+ *       "observations": [],
+ *       "llm": "PREFERENCE" } }
+ *
+ *   context       optional earlier turns, oldest first, as
+ *                 [{ "speaker": "developer"|"assistant", "text": "…" }] —
+ *                 the same window the Stop hook builds (lib/conversation.js)
+ *   signals       what detectSignals() should return after dedupe. `pattern`
+ *                 may list several names when either is a correct way to
+ *                 catch the signal. Missing means none.
+ *   noise         whether isNoise() should drop the message (default false)
+ *   observations  what detectClaudeObservations() should find in
+ *                 claude_said, by pattern name. Missing means none.
+ *   llm           the Layer 2 classification. Only pairs that have it are
+ *                 sent to the classifier.
+ *
+ * Layer 2 runs offline by default: the mock provider answers from canned
+ * responses in eval/classifier-fixtures.json, which exercises the prompt,
+ * batching and parsing without an API key. With `live` the configured
+ * provider answers instead, which scores the prompt itself; `record` saves
+ * those answers as the new fixtures.
+ */
+
+const EVAL_DIR = path.join(__dirname, "..", "eval");
+const DETECTOR_CORPUS_PATH = path.join(EVAL_DIR, "detector-pairs.jsonl");
+const CLASSIFIER_FIXTURES_PATH = path.join(EVAL_DIR, "classifier-fixtures.json");
+
+function loadCorpus(file = DETECTOR_CORPUS_PATH) {
+  return fs.readFileSync(file, "utf-8")
+    .split("\n")
+    .filter((l) => l.trim() && !l.startsWith("//"))
+    .map((l, i) => {
+      const pair = JSON.parse(l);
+      return { id: pair.id || `#${i + 1}`, ...pair, expect: pair.expect || {} };
+    });
+}
+
+/**
+ * Score every layer on a corpus.
+ *
+ * @param {object[]} corpus — from loadCorpus()
+ * @param {object} [options]
+ * @param {object[]} [options.rules] — user rules to run alongside the built-ins
+ * @param {boolean} [options.layer2=true] — also score the classifier
+ * @param {boolean} [options.live] — classify with the configured provider
+ * @param {string} [options.fixtures] — canned responses for offline runs
+ * @param {string} [options.record] — write live responses here as fixtures
+ * @returns {Promise<{ signals: object, noise: object, observations: object,
+ *   llm: object|null, misses: Array<{ id: string, layer: string, expected: string, got: string }> }>}
+ */
+async function evaluateCorpus(corpus, options = {}) {
+  const signals = tally();
+  const observations = tally();
+  const noise = { tp: 0, fp: 0, fn: 0 };
+  const misses = [];
+
+  for (const pair of corpus) {
+    const [{ result }] = analyzeWindows([windowFor(pair)], options.rules || []);
+    const expectNoise = !!pair.expect.noise;
+
+    if (result.noise && expectNoise) noise.tp++;
+    else if (result.noise) noise.fp++;
+    else if (expectNoise) noise.fn++;
+    if (result.noise !== expectNoise) {
+      misses.push({ id: pair.id, layer: "noise", expected: String(expectNoise), got: String(result.noise) });
+    }
+
+    const firedSignals = result.signals.map((s) => ({ pattern: s.pattern, classification: s.classification }));
+    score(signals, pair, "signals", pair.expect.signals || [], firedSignals, misses);
+
+    const firedObs = detectClaudeObservations(pair.claude_said || "")
+      .map((o) => ({ pattern: o.pattern_name, classification: o.classification }));
+    score(observations, pair, "observations", pair.expect.observations || [], firedObs, misses);
+  }
+
+  const llm = options.layer2 === false ? null : await evaluateClassifier(corpus, options, misses);
+
+  return {
+    signals: summarize(signals),
+    noise: { ...noise, ...prf(noise) },
+    observations: summarize(observations),
+    llm,
+    misses,
+  };
+}
+
+// ─── Layer 1 scoring ────────────────────────────────────────────────────────
+
+function windowFor(pair) {
+  return {
+    key: pair.id,
+    claude_said: pair.claude_said || "",
+    user_said: pair.user_said || "",
+    adjacent: true,
+    turns: pair.context || [],
+  };
+}
+
+function tally() {
+  return { byPattern: {}, byClassification: {} };
+}
+
+function bump(table, key, field) {
+  if (!table[key]) table[key] = { tp: 0, fp: 0, fn: 0 };
+  table[key][field]++;
+}
+
+/**
+ * Match fired signals to expected ones. A fired signal satisfies an
+ * expectation when its pattern is one of the accepted names; pattern and
+ * classification are scored independently.
+ */
+function score(t, pair, layer, expected, fired, misses) {
+  const unused = [...fired];
+  for (const exp of expected) {
+    const accepted = [].concat(exp.pattern);
+    const i = unused.findIndex((f) => accepted.includes(f.pattern));
+    if (i >= 0) {
+      bump(t.byPattern, unused[i].pattern, "tp");
+      unused.splice(i, 1);
+    } else {
+      bump(t.byPattern, accepted[0], "fn");
+      misses.push({ id: pair.id, layer, expected: accepted.join("|"), got: fired.map((f) => f.pattern).join(", ") || "nothing" });
+    }
+  }
+  for (const f of unused) {
+    bump(t.byPattern, f.pattern, "fp");
+    misses.push({ id: pair.id, layer, expected: expected.map((e) => [].concat(e.pattern).join("|")).join(", ") || "nothing", got: `extra ${f.pattern}` });
+  }
+
+  const count = (list) => list.reduce((m, x) => m.set(x.classification, (m.get(x.classification) || 0) + 1), new Map());
+  const exp = count(expected);
+  const got = count(fired);
+  for (const cls of new Set([...exp.keys(), ...got.keys()])) {
+    const e = exp.get(cls) || 0;
+    const g = got.get(cls) || 0;
+    if (!t.byClassification[cls]) t.byClassification[cls] = { tp: 0, fp: 0, fn: 0 };
+    const row = t.byClassification[cls];
+    row.tp += Math.min(e, g);
+    row.fp += Math.max(0, g - e);
+    row.fn += Math.max(0, e - g);
+  }
+}
+
+function summarize(t) {
+  const withScores = (table) => Object.fromEntries(
+    Object.entries(table).sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => [k, { ...v, ...prf(v) }])
+  );
+  const total = { tp: 0, fp: 0, fn: 0 };
+  for (const v of Object.values(t.byPattern)) {
+    total.tp += v.tp;
+    total.fp += v.fp;
+    total.fn += v.fn;
+  }
+  return {
+    byPattern: withScores(t.byPattern),
+    byClassification: withScores(t.byClassification),
+    total: { ...total, ...prf(total) },
+  };
+}
+
+/** Precision, recall and F1 from counts; an empty denominator scores 1. */
+function prf({ tp, fp, fn }) {
+  const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+  const recall = tp + fn === 0 ? 1 : tp / (tp + fn);
+  const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+  return { precision, recall, f1 };
+}
+
+// ─── Layer 2 scoring ────────────────────────────────────────────────────────
+
+async function evaluateClassifier(corpus, options, misses) {
+  const pairs = corpus.filter((p) => p.expect.llm);
+  if (pairs.length === 0) return null;
+
+  const fixtures = options.fixtures || CLASSIFIER_FIXTURES_PATH;
+  const base = loadConfig();
+  const config = options.live ? base : { ...base, provider: { type: "mock", fixtures } };
+
+  const results = [];
+  for (let i = 0; i < pairs.length; i += CLASSIFY_BATCH_SIZE) {
+    const chunk = pairs.slice(i, i + CLASSIFY_BATCH_SIZE);
+    results.push(...await classifyPairs(chunk.map((p) => ({ claude_said: p.claude_said, user_said: p.user_said, context: p.context })), config));
+  }
+
+  const byClassification = {};
+  let correct = 0;
+  pairs.forEach((pair, i) => {
+    const expected = pair.expect.llm;
+    const got = results[i]?.classification || "ERROR";
+    if (got === expected) {
+      correct++;
+      bump(byClassification, expected, "tp");
+    } else {
+      bump(byClassification, expected, "fn");
+      bump(byClassification, got, "fp");
+      misses.push({ id: pair.id, layer: "llm", expected, got });
+    }
+  });
+
+  if (options.live && options.record) {
+    recordFixtures(options.record, pairs, results);
+  }
+
+  return {
+    provider: options.live ? config.provider?.type || "anthropic" : "mock",
+    pairs: pairs.length,
+    accuracy: correct / pairs.length,
+    byClassification: Object.fromEntries(
+      Object.entries(byClassification).sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => [k, { ...v, ...prf(v) }])
+    ),
+  };
+}
+
+/**
+ * Save live classifier answers in the mock provider's fixture format.
+ * Longest messages first, so a short message that is a substring of a
+ * longer one can't claim its response.
+ */
+function recordFixtures(file, pairs, results) {
+  const classification = pairs
+    .map((p, i) => ({ match: p.user_said, response: JSON.stringify(results[i]) }))
+    .sort((a, b) => b.match.length - a.match.length);
+  writeFileAtomic(file, JSON.stringify({ classification }, null, 2) + "\n");
+}
+
+module.exports = {
+  loadCorpus,
+  evaluateCorpus,
+  prf,
+  DETECTOR_CORPUS_PATH,
+  CLASSIFIER_FIXTURES_PATH,
+};
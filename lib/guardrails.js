@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const { paths, readJson, updateJson } = require("./config");
+const { findTools, loadToolKB, matchCommand, areAlternatives } = require("./tools");
+const { isGeneratedPath, commandSignature } = require("./refusals");
+const { parseGit, commitSubject, CONVENTIONAL } = require("./tool-signals/git-workflow");
+
+/**
+ * OpenTell — Guardrails
+ *
+ * Many learnings are about specific actions — "Uses pnpm — not npm",
+ * "Edits the source, not generated files", "Writes conventional commit
+ * messages". Injected at session start they are easy to forget forty tool
+ * calls later. The PreToolUse hook checks each pending Bash, Write or Edit
+ * call against the learnings it goes against, and either reminds Claude
+ * of the learning or, for learnings the developer marked must-follow,
+ * blocks the call.
+ *
+ * A learning's triggers describe the calls that go against it:
+ *
+ *   { type: "command", tool: "npm" }          a command runs this tool
+ *   { type: "command", signature: "git push" } a command has this step
+ *   { type: "commit", format: "conventional" } a commit message not in the format
+ *   { type: "edit", generated: true }         an edit to build output or a lockfile
+ *   { type: "edit", path: "src/db.js" }       an edit to this file
+ *   { type: "edit", extension: ".js", new: true }  a new file of this type
+ *   { type: "edit", pattern: "…", new: true } a new file whose path matches
+ *   { type: "tool", tool: "WebFetch" }        any call of this tool
+ *
+ * Detectors that know them store them on the learning (lib/tool-signals,
+ * lib/refusals.js). For other learnings they are read from the text — the
+ * tool after "not", "instead of" or "avoids", generated files, conventional
+ * commits — and for "Prefers pnpm" from the evidence: the alternative Claude
+ * had used when the developer corrected it.
+ *
+ * Which learnings block lives in the hook's own config,
+ * ~/.opentell/guardrails.json:
+ *
+ *   { "must_follow": ["<learning id>", …], "reminders": true }
+ *
+ * `opentell guardrails` lists the learnings with triggers, and
+ * `opentell guardrails block <n>` / `remind <n>` switch one between the two.
+ * Learnings hardened with `opentell harden <n>` (enforcement "hard") always
+ * block.
+ */
+
+const EDIT_TOOLS = new Set(["Write", "Edit", "MultiEdit", "NotebookEdit"]);
+
+// "not npm", "instead of yarn", "avoids Jest", "never uses Moment"
+const NEGATED = /\b(?:not|instead of|rather than|over|avoids?|never (?:uses?|runs?)|(?:doesn't|don't|do not) (?:use|run))\s+([^,.;:—()]+)/gi;
+const PREFERS = /^(?:always )?(?:uses|prefers|runs)\s/i;
+const GENERATED = /\b(?:generated (?:files?|code|output)|build output|lockfiles?|minified files?)\b/i;
+const AVOIDS = /\b(?:never|not|doesn't|don't|avoids?|leaves?|without)\b/i;
+
+function emptyGuardrails() {
+  return { must_follow: [], reminders: true };
+}
+
+function loadGuardrails() {
+  return { ...emptyGuardrails(), ...readJson(paths.guardrails, emptyGuardrails) };
+}
+
+/** Mark a learning must-follow (block) or not (remind). */
+function setMustFollow(id, mustFollow) {
+  updateJson(paths.guardrails, emptyGuardrails, (data) => {
+    data.must_follow = (data.must_follow || []).filter((x) => x !== id);
+    if (mustFollow) data.must_follow.push(id);
+  });
+}
+
+// ─── Triggers ───────────────────────────────────────────────────────────────
+
+/** A learning's triggers: stored by its detector, or read from its text. */
+function triggersFor(learning) {
+  if (learning.triggers?.length) return learning.triggers;
+  return inferTriggers(learning.text || "", (learning.evidence || []).map((e) => e.claude_said || ""));
+}
+
+/**
+ * Triggers read from a learning's text.
+ * @param {string} text
+ * @param {string[]} [corrected] — what Claude said in the learning's evidence
+ */
+function inferTriggers(text, corrected = []) {
+  const triggers = [];
+  const add = (t) => {
+    if (!triggers.some((x) => JSON.stringify(x) === JSON.stringify(t))) triggers.push(t);
+  };
+
+  for (const m of text.matchAll(NEGATED)) {
+    for (const tool of findTools(m[1])) add({ type: "command", tool: tool.name });
+  }
+  // "Prefers pnpm" — the alternative Claude used before the correction.
+  // Only alternatives: the jest in "npm install && jest" doesn't go against pnpm
+  const preferred = triggers.length === 0 && PREFERS.test(text) ? findTools(text)[0] : null;
+  if (preferred) {
+    for (const said of corrected) {
+      for (const tool of findTools(said)) {
+        if (areAlternatives(preferred, tool)) add({ type: "command", tool: tool.name });
+      }
+    }
+  }
+  if (GENERATED.test(text) && AVOIDS.test(text)) add({ type: "edit", generated: true });
+  if (/\bconventional commit/i.test(text)) add({ type: "commit", format: "conventional" });
+  if (/\brebases? instead of merging\b|\b(?:never|doesn't|don't) merges?\b/i.test(text)) add({ type: "command", signature: "git merge" });
+  if (/\bmerges? instead of rebasing\b|\b(?:never|doesn't|don't) rebases?\b/i.test(text)) add({ type: "command", signature: "git rebase" });
+  return triggers;
+}
+
+/**
+ * The pending call as the hook sees it.
+ * @param {object} event — PreToolUse hook input
+ * @returns {{ tool: string, command?: string, path?: string, isNew?: boolean }}
+ */
+function pendingCall(event) {
+  const input = event.tool_input || {};
+  const call = { tool: event.tool_name };
+  if (call.tool === "Bash") call.command = input.command || "";
+  if (EDIT_TOOLS.has(call.tool)) {
+    const file = input.file_path || input.notebook_path || "";
+    call.path = file && event.cwd ? path.resolve(event.cwd, file) : file;
+    call.isNew = call.tool === "Write" && !!call.path && !fs.existsSync(call.path);
+  }
+  return call;
+}
+
+/** Whether a pending call goes against a trigger. */
+function matchTrigger(trigger, call) {
+  switch (trigger.type) {
+    case "command": {
+      if (!call.command) return false;
+      if (trigger.signature) {
+        return steps(call.command).some((step) => commandSignature(step) === trigger.signature);
+      }
+      const tool = loadToolKB().tools[trigger.tool];
+      return !!tool && tool.categories.some((c) => matchCommand(call.command, c) === tool.name);
+    }
+    case "commit":
+      if (!call.command) return false;
+      return call.command.split(/&&|\|\|/).some((step) => {
+        const git = parseGit(step);
+        if (!git || git.sub !== "commit") return false;
+        const subject = commitSubject(git.args);
+        return !!subject && !CONVENTIONAL.test(subject);
+      });
+    case "edit": {
+      if (!call.path) return false;
+      if (trigger.new && !call.isNew) return false;
+      if (trigger.generated) return isGeneratedPath(call.path);
+      if (trigger.path) return call.path === trigger.path || call.path.endsWith("/" + trigger.path.replace(/^\.?\//, ""));
+      if (trigger.extension) return path.extname(call.path) === trigger.extension;
+      if (trigger.pattern) return safeRegex(trigger.pattern).test(call.path);
+      return false;
+    }
+    case "tool":
+      return call.tool === trigger.tool;
+    default:
+      return false;
+  }
+}
+
+/** Whether a learning blocks the calls that go against it. */
+function blocks(learning, config) {
+  return learning.enforcement === "hard" || (config.must_follow || []).includes(learning.id);
+}
+
+/**
+ * Learnings a pending call goes against.
+ *
+ * @param {object} call — from pendingCall()
+ * @param {object[]} learnings — active learnings plus blocking ones
+ * @param {object} [config] — from loadGuardrails()
+ * @returns {Array<{ learning: object, trigger: object, block: boolean }>}
+ */
+function checkCall(call, learnings, config = loadGuardrails()) {
+  const hits = [];
+  for (const learning of learnings) {
+    const trigger = triggersFor(learning).find((t) => matchTrigger(t, call));
+    if (trigger) hits.push({ learning, trigger, block: blocks(learning, config) });
+  }
+  return hits;
+}
+
+/** "runs npm", "commits without the conventional format" — for listings. */
+function describeTrigger(trigger) {
+  switch (trigger.type) {
+    case "command":
+      return trigger.signature ? `runs \`${trigger.signature}\`` : `runs ${trigger.tool}`;
+    case "commit":
+      return "commits without the conventional format";
+    case "edit":
+      if (trigger.generated) return "edits generated files";
+      if (trigger.path) return `edits ${trigger.path}`;
+      if (trigger.extension) return `creates a ${trigger.extension} file`;
+      return `creates a file matching /${trigger.pattern}/`;
+    case "tool":
+      return `uses ${trigger.tool}`;
+    default:
+      return trigger.type;
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function steps(command) {
+  return command.split(/&&|\|\||[;|\n]/).map((s) => s.trim()).filter(Boolean);
+}
+
+function safeRegex(source) {
+  try {
+    return new RegExp(source, "i");
+  } catch {
+    return /(?!)/;
+  }
+}
+
+module.exports = {
+  loadGuardrails,
+  setMustFollow,
+  blocks,
+  triggersFor,
+  inferTriggers,
+  pendingCall,
+  checkCall,
+  describeTrigger,
+};
@@ -0,0 +1,268 @@
+const fs = require("fs");
+const { paths, log, withLock, appendLine, writeFileAtomic } = require("./config");
+
+/**
+ * OpenTell — Learning History
+ *
+ * An append-only journal (~/.opentell/history.jsonl) of every change to a
+ * learning. lib/db.js records it on each write, so nothing — contradiction
+ * archiving, decay, consolidation, promotion, CLI edits — can change a
+ * learning without leaving a trace.
+ *
+ * One line per changed learning:
+ *   { txn, at, event, learning_id, text, before, after, reason? }
+ *
+ * `before` / `after` hold the fields that changed (null = field absent).
+ * A newly created learning has before: null and its full record in `after`;
+ * a deleted one the reverse. All lines written by one database write share
+ * a txn id, so undo reverts a whole mutation (e.g. a new learning plus the
+ * one it contradicted) at once.
+ *
+ * Events are derived from the change itself:
+ *   create, reinforce, contradict, archive, restore, promote, accept, reject,
+ *   enforce, decay, update, delete — plus undo for lines written by undo().
+ */
+
+// Rotate the journal past this size, keeping the newest half
+const MAX_HISTORY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Build journal lines for one database write.
+ *
+ * @param {Array<{ before: object|null, after: object|null }>} changes — full records
+ * @param {object} [options]
+ * @param {string} [options.undo_of] — txn this write reverts
+ */
+function recordChanges(changes, options = {}) {
+  if (changes.length === 0) return;
+  try {
+    const txn = options.undo_of ? `undo-${generateTxn()}` : generateTxn();
+    const at = new Date().toISOString();
+    const lines = [];
+
+    for (const { before, after } of changes) {
+      const ref = after || before;
+      const changed = diff(before, after);
+      if (changed.before && changed.after && Object.keys(changed.after).length === 0) continue;
+      const entry = {
+        txn,
+        at,
+        event: options.undo_of ? "undo" : eventFor(before, after),
+        learning_id: ref.id,
+        text: ref.text,
+        ...changed,
+      };
+      if (options.undo_of) entry.undo_of = options.undo_of;
+      if (after?.archived && !before?.archived && after.archived_reason) entry.reason = after.archived_reason;
+      lines.push(JSON.stringify(entry));
+    }
+
+    if (lines.length === 0) return;
+    appendLine(paths.history, lines.join("\n"));
+    rotateIfLarge();
+  } catch (e) {
+    log(`History journal error: ${e.message}`);
+  }
+}
+
+/**
+ * Classify a change into a journal event.
+ */
+function eventFor(before, after) {
+  if (!before) return "create";
+  if (!after) return "delete";
+
+  if (!before.archived && after.archived) {
+    const reason = after.archived_reason || "";
+    if (/^(Superseded|Contested)/i.test(reason)) return "contradict";
+    if (/^Rejected/i.test(reason)) return "reject";
+    if (/^Decayed/i.test(reason)) return "decay";
+    return "archive";
+  }
+  if (before.archived && !after.archived) return "restore";
+  if (!before.promoted && after.promoted) return "promote";
+  if (before.inferred && !after.inferred) return "accept";
+  if ((before.enforcement || "soft") !== (after.enforcement || "soft")) return "enforce";
+  if ((after.evidence_count || 0) > (before.evidence_count || 0)) return "reinforce";
+  if ((after.confidence || 0) < (before.confidence || 0)) return "decay";
+  return "update";
+}
+
+/**
+ * Changed fields only. A create keeps the whole record in `after` (and a
+ * delete in `before`) so undo can recreate it. Cached embeddings are
+ * derived data and left out; a change to nothing else is not journaled.
+ */
+function diff(before, after) {
+  if (!before) return { before: null, after: withoutDerived(after) };
+  if (!after) return { before: withoutDerived(before), after: null };
+
+  const b = {};
+  const a = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (DERIVED_FIELDS.has(key)) continue;
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    b[key] = key in before ? before[key] : null;
+    a[key] = key in after ? after[key] : null;
+  }
+  return { before: b, after: a };
+}
+
+// Recomputable fields kept out of the journal
+const DERIVED_FIELDS = new Set(["embedding"]);
+
+function withoutDerived(learning) {
+  const copy = { ...learning };
+  for (const key of DERIVED_FIELDS) delete copy[key];
+  return copy;
+}
+
+// ─── Reading ─────────────────────────────────────────────────────────────────
+
+function readHistory() {
+  if (!fs.existsSync(paths.history)) return [];
+  try {
+    return fs.readFileSync(paths.history, "utf-8")
+      .split("\n")
+      .filter(Boolean)
+      .map((l) => {
+        try { return JSON.parse(l); } catch { return null; }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Timeline of one learning, oldest first. Accepts an id or id prefix.
+ */
+function learningHistory(idOrPrefix) {
+  return readHistory().filter((e) => e.learning_id === idOrPrefix || e.learning_id.startsWith(idOrPrefix));
+}
+
+/**
+ * Mutations that can still be undone, newest first:
+ * [{ txn, at, events: [...] }]. Undo writes and already-undone txns are skipped.
+ */
+function undoableTxns() {
+  const events = readHistory();
+  const undone = new Set(events.filter((e) => e.undo_of).map((e) => e.undo_of));
+
+  const txns = new Map();
+  for (const e of events) {
+    if (e.event === "undo" || undone.has(e.txn)) continue;
+    if (!txns.has(e.txn)) txns.set(e.txn, { txn: e.txn, at: e.at, events: [] });
+    txns.get(e.txn).events.push(e);
+  }
+  return [...txns.values()].reverse();
+}
+
+// ─── Undo ────────────────────────────────────────────────────────────────────
+
+/**
+ * Revert the last n mutations, newest first.
+ * Returns the reverted txns.
+ */
+function undo(n = 1) {
+  const db = require("./db");
+
+  return withLock(paths.db, () => {
+    const txns = undoableTxns().slice(0, n);
+    for (const t of txns) {
+      const versions = [];
+      for (const e of [...t.events].reverse()) {
+        const current = db.getLearning(e.learning_id);
+        versions.push({ id: e.learning_id, learning: revertEvent(current, e) });
+      }
+      db.restoreVersions(versions, t.txn);
+    }
+    return txns;
+  });
+}
+
+/**
+ * The learning as it was before event e, given its current record.
+ * Returns null when the event created it, undefined when there is
+ * nothing left to revert.
+ */
+function revertEvent(current, e) {
+  if (e.before === null) return null;
+  if (e.after === null) return { ...e.before };
+  if (!current) return undefined; // gone since — nothing to patch
+
+  const restored = { ...current };
+  for (const [key, value] of Object.entries(e.before)) {
+    if (value === null) delete restored[key];
+    else restored[key] = value;
+  }
+  return restored;
+}
+
+// ─── Display ─────────────────────────────────────────────────────────────────
+
+// Fields that change on nearly every write and say little on their own
+// (archived_reason is shown as the event's reason instead)
+const QUIET_FIELDS = new Set([
+  "evidence", "last_reinforced", "areas", "session_ids", "decay_weight",
+  "archived_at", "archived_reason",
+]);
+
+/**
+ * One-line summary of what an event changed, e.g.
+ * "confidence 0.35 → 0.42, evidence_count 1 → 2".
+ */
+function describeEvent(e) {
+  if (e.before === null) return `created (conf ${fmtValue(e.after?.confidence)})`;
+  if (e.after === null) return "deleted";
+
+  const parts = [];
+  for (const key of Object.keys(e.after || {})) {
+    if (QUIET_FIELDS.has(key)) continue;
+    parts.push(`${key} ${fmtValue(e.before[key])} → ${fmtValue(e.after[key])}`);
+  }
+  if (e.reason) parts.push(`(${e.reason})`);
+  return parts.join(", ") || "metadata updated";
+}
+
+function fmtValue(v) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v === "number") return Number.isInteger(v) ? String(v) : v.toFixed(2);
+  if (typeof v === "string") return v.length > 40 ? `"${v.slice(0, 40)}…"` : `"${v}"`;
+  return JSON.stringify(v).slice(0, 40);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function rotateIfLarge() {
+  let size = 0;
+  try { size = fs.statSync(paths.history).size; } catch { return; }
+  if (size <= MAX_HISTORY_BYTES) return;
+
+  withLock(paths.history, () => {
+    const lines = fs.readFileSync(paths.history, "utf-8").split("\n").filter(Boolean);
+    // Cut on a txn boundary so no mutation is kept half-journaled
+    let start = Math.floor(lines.length / 2);
+    const txnAt = (i) => {
+      try { return JSON.parse(lines[i]).txn; } catch { return null; }
+    };
+    while (start > 0 && start < lines.length && txnAt(start) === txnAt(start - 1)) start++;
+    writeFileAtomic(paths.history, lines.slice(start).join("\n") + "\n");
+    log(`History journal rotated (${start} old entries dropped)`);
+  });
+}
+
+function generateTxn() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+module.exports = {
+  recordChanges,
+  eventFor,
+  readHistory,
+  learningHistory,
+  undoableTxns,
+  undo,
+  describeEvent,
+};
@@ -0,0 +1,274 @@
+const { paths, loadConfig, log, withLock, readJson, updateJson, writeFileAtomic } = require("./config");
+
+/**
+ * OpenTell — Request Executor
+ *
+ * Every outbound HTTP request to an LLM provider goes through
+ * executeRequest(). It adds:
+ *
+ * 1. Retries with exponential backoff and full jitter on 408, 429, 5xx,
+ *    529 (overloaded) and network failures. A `retry-after` header from
+ *    the server takes precedence over the computed delay.
+ *
+ * 2. A circuit breaker per endpoint. After `failure_threshold` consecutive
+ *    failed requests (retries exhausted) the circuit opens and requests
+ *    fail fast for `cooldown_ms`, instead of every hook and background
+ *    classifier hammering an endpoint that is down. Hooks are short-lived
+ *    processes, so breaker state is persisted in ~/.opentell/circuit.json.
+ *    After the cooldown one trial request is let through (half-open),
+ *    without retries; success closes the circuit, failure re-opens it with
+ *    a longer cooldown. The trial is claimed in circuit.json under its lock,
+ *    so concurrent hooks wait for its outcome instead of all going through.
+ *    A claim older than trial_timeout_ms (the trial's process died) lapses.
+ *
+ * Errors thrown carry `status` (HTTP status or 0 for network errors) and
+ * `retryable` (true when a later attempt may succeed). Callers keep
+ * retryable work queued rather than dropping it.
+ */
+
+const CIRCUIT_PATH = paths.circuit;
+
+const DEFAULTS = {
+  max_retries: 3,
+  base_delay_ms: 500,
+  max_delay_ms: 8000,
+  // A retry-after longer than this isn't waited out — hooks have short
+  // timeouts. The circuit opens until then instead.
+  max_retry_after_ms: 10000,
+  failure_threshold: 5,
+  cooldown_ms: 60 * 1000,
+  max_cooldown_ms: 30 * 60 * 1000,
+  trial_timeout_ms: 2 * 60 * 1000,
+};
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * fetch() with retries and a circuit breaker.
+ * Resolves with the (ok) Response; throws on non-retryable errors,
+ * exhausted retries, or an open circuit.
+ *
+ * @param {string} url
+ * @param {object} init — fetch init
+ * @param {object} [options] — overrides for DEFAULTS (config.http is applied first)
+ */
+async function executeRequest(url, init, options = {}) {
+  const opts = { ...DEFAULTS, ...(loadConfig().http || {}), ...options };
+  const key = circuitKey(url);
+
+  const admission = admitRequest(key, opts);
+  if (admission.open_until) {
+    throw requestError(
+      admission.trial_pending
+        ? `Circuit half-open for ${key}: a trial request is in flight`
+        : `Circuit open for ${key} until ${new Date(admission.open_until).toISOString()}`,
+      0, true, "CIRCUIT_OPEN"
+    );
+  }
+  const maxRetries = admission.trial ? 0 : opts.max_retries;
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (e) {
+      lastError = requestError(`Network error: ${e.message}`, 0, true);
+      if (attempt < maxRetries) {
+        await sleep(backoffDelay(attempt, opts));
+        continue;
+      }
+      break;
+    }
+
+    if (response.ok) {
+      recordSuccess(key);
+      return response;
+    }
+
+    const body = await safeText(response);
+    lastError = requestError(
+      `API ${response.status}: ${body.slice(0, 200)}`,
+      response.status,
+      RETRYABLE_STATUS.has(response.status)
+    );
+
+    if (!lastError.retryable) {
+      // Client errors (bad request, auth) say nothing about endpoint health
+      if (admission.trial) releaseTrial(key);
+      throw lastError;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers);
+    if (retryAfter !== null && retryAfter > opts.max_retry_after_ms) {
+      recordFailure(key, opts, retryAfter);
+      log(`HTTP ${response.status} from ${key}: retry-after ${Math.round(retryAfter / 1000)}s, circuit opened`);
+      throw lastError;
+    }
+
+    if (attempt < maxRetries) {
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, opts);
+      await sleep(delay);
+    }
+  }
+
+  recordFailure(key, opts);
+  throw lastError;
+}
+
+// ─── Backoff ─────────────────────────────────────────────────────────────────
+
+/**
+ * Exponential backoff with full jitter: random in [0, min(max, base · 2^attempt)].
+ */
+function backoffDelay(attempt, opts = DEFAULTS) {
+  const ceiling = Math.min(opts.max_delay_ms, opts.base_delay_ms * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Parse a retry-after header (delta-seconds or HTTP-date) into milliseconds.
+ * Also honours retry-after-ms when present. Returns null when absent.
+ */
+function parseRetryAfter(headers) {
+  if (!headers || typeof headers.get !== "function") return null;
+
+  const ms = headers.get("retry-after-ms");
+  if (ms && !isNaN(Number(ms))) return Math.max(0, Number(ms));
+
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  if (!isNaN(Number(value))) return Math.max(0, Number(value) * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+// ─── Circuit breaker ─────────────────────────────────────────────────────────
+
+function circuitKey(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * May a request to this endpoint go through?
+ *
+ * @returns {{ open_until?: number, trial_pending?: boolean, trial?: boolean }}
+ *   open_until when it must fail fast; trial when this caller is the one
+ *   half-open trial; {} when the circuit is closed
+ */
+function admitRequest(key, opts = DEFAULTS) {
+  // Closed circuit — the common case — needs no lock
+  const seen = readJson(CIRCUIT_PATH, {})[key];
+  if (!seen || !seen.open_until) return {};
+
+  try {
+    return withLock(CIRCUIT_PATH, () => {
+      const data = readJson(CIRCUIT_PATH, {});
+      const state = data[key];
+      if (!state || !state.open_until) return {};
+
+      const now = Date.now();
+      if (state.open_until > now) return { open_until: state.open_until };
+
+      const trialUntil = (state.trial_started || 0) + opts.trial_timeout_ms;
+      if (state.trial_started && trialUntil > now) return { open_until: trialUntil, trial_pending: true };
+
+      state.trial_started = now;
+      state.trial_pid = process.pid;
+      writeFileAtomic(CIRCUIT_PATH, JSON.stringify(data, null, 2));
+      return { trial: true };
+    });
+  } catch (e) {
+    // Couldn't take the lock — someone else is updating the breaker
+    log(`Circuit check failed for ${key}: ${e.message}`);
+    return { open_until: Date.now() + 1000, trial_pending: true };
+  }
+}
+
+/** Give up the half-open trial without a verdict, so another caller may try. */
+function releaseTrial(key) {
+  try {
+    updateJson(CIRCUIT_PATH, {}, (data) => {
+      if (!data[key]) return;
+      delete data[key].trial_started;
+      delete data[key].trial_pid;
+    });
+  } catch {}
+}
+
+function recordSuccess(key) {
+  try {
+    const current = readJson(CIRCUIT_PATH, {})[key];
+    if (!current || (!current.failures && !current.open_until)) return;
+    updateJson(CIRCUIT_PATH, {}, (data) => {
+      delete data[key];
+    });
+  } catch {}
+}
+
+function recordFailure(key, opts, minCooldownMs = 0) {
+  try {
+    updateJson(CIRCUIT_PATH, {}, (data) => {
+      const state = data[key] || { failures: 0, open_until: 0, trips: 0 };
+      state.failures += 1;
+      state.last_failure = new Date().toISOString();
+      delete state.trial_started;
+      delete state.trial_pid;
+
+      const halfOpenTrialFailed = state.trips > 0 && state.open_until && state.open_until <= Date.now();
+      if (state.failures >= opts.failure_threshold || halfOpenTrialFailed || minCooldownMs > 0) {
+        state.trips += 1;
+        const cooldown = Math.min(opts.max_cooldown_ms, opts.cooldown_ms * 2 ** (state.trips - 1));
+        state.open_until = Date.now() + Math.max(cooldown, minCooldownMs);
+        state.failures = 0;
+        log(`Circuit opened for ${key} (${Math.round((state.open_until - Date.now()) / 1000)}s)`);
+      }
+      data[key] = state;
+    });
+  } catch {}
+}
+
+/**
+ * Snapshot of all circuit states, for the CLI.
+ */
+function getCircuitStates() {
+  return readJson(CIRCUIT_PATH, {});
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function requestError(message, status, retryable, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  if (code) err.code = code;
+  return err;
+}
+
+async function safeText(response) {
+  try {
+    return await response.text();
+  } catch {
+    return "";
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  executeRequest,
+  admitRequest,
+  backoffDelay,
+  parseRetryAfter,
+  getCircuitStates,
+  CIRCUIT_PATH,
+};
@@ -14,6 +14,7 @@
  */
 
 const { log } = require("./config");
+const { findTools, toolAreas } = require("./tools");
 
 // ─── Observation patterns (in claude_said) ──────────────────────────────────
 //
@@ -203,8 +204,8 @@ function detectValidatedObservation(claudeSaid, userSaid) {
 function inferClassification(text, observationType) {
   const lower = text.toLowerCase();
 
-  // Specific tools → PREFERENCE
-  if (/\b(pnpm|yarn|npm|bun|vitest|jest|mocha|pytest|playwright|cypress|biome|eslint|prettier|ruff|black|tailwind|prisma|drizzle|typeorm|supabase|firebase|next\.?js|react|vue|svelte|angular|express|hono|fastapi|django|flask)\b/.test(lower))
+  // Specific tools (see lib/tools.json) → PREFERENCE
+  if (findTools(lower).length > 0)
     return "PREFERENCE";
 
   // Architecture/structural patterns → DESIGN_PRINCIPLE
@@ -228,9 +229,10 @@ function inferClassification(text, observationType) {
  */
 function inferArea(text) {
   const lower = text.toLowerCase();
-  if (/\b(test|spec|coverage|vitest|jest|pytest|mocha|playwright|cypress)\b/.test(lower)) return "testing";
-  if (/\b(react|vue|svelte|angular|component|css|tailwind|style|frontend|ui|ux|a11y)\b/.test(lower)) return "frontend";
-  if (/\b(api|route|endpoint|server|express|hono|fastapi|django|flask|backend|database|prisma|drizzle|postgres|mysql|mongo)\b/.test(lower)) return "backend";
+  const tools = toolAreas(lower);
+  if (tools.has("testing") || /\b(test|spec|coverage)\b/.test(lower)) return "testing";
+  if (tools.has("frontend") || /\b(component|css|style|frontend|ui|ux|a11y)\b/.test(lower)) return "frontend";
+  if (tools.has("backend") || /\b(api|route|endpoint|server|backend|database)\b/.test(lower)) return "backend";
   if (/\b(docker|deploy|ci|cd|pipeline|devops|monitor|log|observ)\b/.test(lower)) return "devops";
   if (/\b(schema|model|data|migration|query|orm)\b/.test(lower)) return "data";
   return "general";
@@ -1,7 +1,7 @@
 const fs = require("fs");
 const { loadLearnings, getActiveLearnings, ACTIVATION_THRESHOLD } = require("./store");
-const { loadConfig, paths, ensureDir, log, DEFAULT_SYNTHESIS_MODEL } = require("./config");
-const { recordCall } = require("./stats");
+const { loadConfig, paths, log, writeFileAtomic } = require("./config");
+const { complete, isProviderConfigured } = require("./provider");
 const path = require("path");
 
 const PROFILE_PATH = path.join(paths.root, "profile.json");
@@ -38,7 +38,7 @@ const PROFILE_PATH = path.join(paths.root, "profile.json");
  */
 async function synthesizeProfile() {
   const config = loadConfig();
-  if (!config.anthropic_api_key) {
+  if (!isProviderConfigured(config)) {
     return null;
   }
 
@@ -110,31 +110,13 @@ Be specific. Use the actual patterns observed, not generic advice. If the eviden
 Respond with ONLY the profile text, no headers or formatting.`;
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": config.anthropic_api_key,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify({
-        model: config.synthesis_model || config.classifier_model || DEFAULT_SYNTHESIS_MODEL,
-        max_tokens: 800,
-        messages: [{ role: "user", content: prompt }],
-      }),
-    });
-
-    if (!response.ok) return null;
-
-    const data = await response.json();
-    const usedModel = config.synthesis_model || config.classifier_model || DEFAULT_SYNTHESIS_MODEL;
-    recordCall("synthesis", usedModel, data.usage);
-
-    const text = data.content
-      .filter((b) => b.type === "text")
-      .map((b) => b.text)
-      .join("")
-      .trim();
+    const result = await complete({
+      purpose: "synthesis",
+      max_tokens: 800,
+      messages: [{ role: "user", content: prompt }],
+    }, config);
+
+    const text = result.text.trim();
 
     // Store the profile
     const profile = {
@@ -145,8 +127,7 @@ Respond with ONLY the profile text, no headers or formatting.`;
       checksum: hashLearnings(learnings),
     };
 
-    ensureDir();
-    fs.writeFileSync(PROFILE_PATH, JSON.stringify(profile, null, 2));
+    writeFileAtomic(PROFILE_PATH, JSON.stringify(profile, null, 2));
     log(`Profile synthesized from ${learnings.length} learnings`);
 
     return profile;
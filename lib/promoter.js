@@ -9,15 +9,15 @@ const INSTINCT_END = "<!-- opentell:end -->";
 
 /**
  * Find the project root by looking for common markers.
- * Walks up from cwd until it finds one.
+ * Walks up from startDir (default: cwd) until it finds one.
  */
-function findProjectRoot() {
+function findProjectRoot(startDir = process.cwd()) {
   const markers = [
     "package.json", ".git", "Cargo.toml", "pyproject.toml",
     "go.mod", "Makefile", "Gemfile", "pom.xml", "build.gradle",
   ];
 
-  let dir = process.cwd();
+  let dir = path.resolve(startDir);
   const root = path.parse(dir).root;
 
   while (dir !== root) {
@@ -29,8 +29,8 @@ function findProjectRoot() {
     dir = path.dirname(dir);
   }
 
-  // Fallback to cwd
-  return process.cwd();
+  // Fallback to the starting directory
+  return path.resolve(startDir);
 }
 
 /**
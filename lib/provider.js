@@ -0,0 +1,478 @@
+const fs = require("fs");
+const { loadConfig, log, DEFAULT_CLASSIFIER_MODEL, DEFAULT_SYNTHESIS_MODEL } = require("./config");
+const { recordCall } = require("./stats");
+const { executeRequest } = require("./http");
+
+/**
+ * OpenTell — LLM Provider Layer
+ *
+ * Every LLM call (classification, profile synthesis, consolidation) goes
+ * through complete(). The backend is selected by the `provider` block in
+ * ~/.opentell/config.json:
+ *
+ *   { "provider": { "type": "anthropic" } }                    ← default
+ *
+ *   { "provider": {
+ *       "type": "openai",                                       ← any OpenAI-compatible
+ *       "base_url": "http://localhost:11434/v1",                  endpoint (Ollama,
+ *       "api_key": "",                                            llama.cpp, vLLM…)
+ *       "classifier_model": "llama3.1:8b",
+ *       "synthesis_model": "llama3.1:8b",
+ *       "pricing": { "input": 0, "output": 0 } } }              ← USD per MTok, for
+ *                                                                 hosted endpoints
+ *
+ *   { "provider": {
+ *       "type": "mock",                                         ← deterministic, offline
+ *       "fixtures": "/path/to/fixtures.json" } }
+ *
+ * Model names in the provider block override the top-level classifier_model /
+ * synthesis_model, so switching backends doesn't require editing both.
+ *
+ * Embeddings for the similarity engine (lib/similarity.js) come from embed().
+ *
+ * HTTP backends go through lib/http.js for retries and the circuit breaker.
+ * Usage is recorded per call type and per provider in lib/stats.js.
+ */
+
+const ANTHROPIC_BASE_URL = "https://api.anthropic.com";
+const ANTHROPIC_VERSION = "2023-06-01";
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+
+// Call purpose → which model role it uses
+const PURPOSE_ROLE = {
+  classification: "classifier",
+  synthesis: "synthesis",
+  consolidation: "synthesis",
+};
+
+// Shortest prompt each model will cache, in tokens. A cache_control marker
+// on anything shorter is accepted and ignored — nothing is cached.
+// Patterns are checked top-to-bottom; unknown models get the largest minimum.
+const MIN_CACHEABLE_TOKENS = [
+  { pattern: /haiku-4/,          tokens: 4096 },
+  { pattern: /haiku/,            tokens: 2048 },
+  { pattern: /opus-4-[5-9]/,     tokens: 4096 },
+  { pattern: /opus|sonnet/,      tokens: 1024 },
+  { pattern: /.*/,               tokens: 4096 },
+];
+const CHARS_PER_TOKEN = 4;
+
+// Canned responses for the mock provider when no fixture matches
+const MOCK_DEFAULTS = {
+  classification: JSON.stringify({ classification: "CONTINUATION", reason: "Mock provider" }),
+  synthesis: "This developer prefers small, focused changes and expects them to be tested.",
+  consolidation: "Values small composable units — extracts early rather than letting files grow",
+};
+
+/**
+ * Resolve the provider settings from config.
+ * Returns { type, base_url, api_key, ...rest }.
+ */
+function getProviderConfig(config = loadConfig()) {
+  const block = config.provider || {};
+  const type = block.type || "anthropic";
+
+  if (type === "anthropic") {
+    return {
+      ...block,
+      type,
+      base_url: block.base_url || ANTHROPIC_BASE_URL,
+      api_key: block.api_key || config.anthropic_api_key || "",
+    };
+  }
+  return { ...block, type, base_url: block.base_url || "", api_key: block.api_key || "" };
+}
+
+/**
+ * Can LLM calls be made with this config?
+ * Anthropic needs an API key, OpenAI-compatible endpoints need a base_url
+ * (local servers usually don't need a key), the mock is always available.
+ */
+function isProviderConfigured(config = loadConfig()) {
+  const p = getProviderConfig(config);
+  switch (p.type) {
+    case "anthropic": return !!p.api_key;
+    case "openai":    return !!p.base_url;
+    case "mock":      return true;
+    default:          return false;
+  }
+}
+
+/**
+ * Model name for a role ("classifier" | "synthesis").
+ */
+function resolveModel(config, role) {
+  const p = config.provider || {};
+  if (role === "classifier") {
+    return p.classifier_model || config.classifier_model || DEFAULT_CLASSIFIER_MODEL;
+  }
+  return p.synthesis_model || config.synthesis_model || config.classifier_model || DEFAULT_SYNTHESIS_MODEL;
+}
+
+/**
+ * Is a system prompt long enough for the model to cache it?
+ * Only Anthropic models cache; the length is estimated at CHARS_PER_TOKEN.
+ */
+function canCacheSystem(system, model) {
+  const m = (model || "").toLowerCase();
+  if (!m.startsWith("claude")) return false;
+  const min = MIN_CACHEABLE_TOKENS.find((row) => row.pattern.test(m)).tokens;
+  return (system || "").length / CHARS_PER_TOKEN >= min;
+}
+
+/**
+ * Run one completion.
+ *
+ * @param {object} request
+ * @param {"classification"|"synthesis"|"consolidation"} request.purpose
+ * @param {string} [request.system] — system prompt
+ * @param {Array<{role: string, content: string}>} request.messages
+ * @param {number} [request.max_tokens]
+ * @param {string} [request.model] — overrides the role's configured model
+ * @param {boolean} [request.cache_system] — mark the system prompt cacheable
+ *   (Anthropic prompt caching); set it only when canCacheSystem() says so
+ * @param {object} [config]
+ * @returns {Promise<{ text: string, usage: object, model: string, provider: string }>}
+ */
+async function complete(request, config = loadConfig()) {
+  const p = getProviderConfig(config);
+  const model = request.model || resolveModel(config, PURPOSE_ROLE[request.purpose] || "classifier");
+  const backend = BACKENDS[p.type];
+  if (!backend) throw new Error(`Unknown provider type: ${p.type}`);
+
+  const result = await backend(p, { ...request, model });
+  recordCall(request.purpose, model, result.usage, p.type, { base_url: p.base_url, pricing: p.pricing });
+  return { ...result, model, provider: p.type };
+}
+
+// ─── Backends ────────────────────────────────────────────────────────────────
+
+async function anthropicComplete(p, request) {
+  const response = await executeRequest(`${trimSlash(p.base_url)}/v1/messages`, {
+    method: "POST",
+    headers: anthropicHeaders(p),
+    body: JSON.stringify(anthropicParams(request)),
+  });
+
+  const data = await response.json();
+  return { text: messageText(data), usage: data.usage || {} };
+}
+
+function anthropicParams(request) {
+  const params = {
+    model: request.model,
+    max_tokens: request.max_tokens || 400,
+    messages: request.messages,
+  };
+  if (request.system) {
+    // Cached system prompts are billed at 10% on reads
+    params.system = request.cache_system
+      ? [{ type: "text", text: request.system, cache_control: { type: "ephemeral" } }]
+      : request.system;
+  }
+  return params;
+}
+
+function anthropicHeaders(p) {
+  return {
+    "Content-Type": "application/json",
+    "x-api-key": p.api_key,
+    "anthropic-version": ANTHROPIC_VERSION,
+  };
+}
+
+function messageText(message) {
+  return (message.content || [])
+    .filter((b) => b.type === "text")
+    .map((b) => b.text)
+    .join("");
+}
+
+async function openaiComplete(p, request) {
+  const messages = [];
+  if (request.system) messages.push({ role: "system", content: request.system });
+  messages.push(...request.messages);
+
+  const headers = { "Content-Type": "application/json" };
+  if (p.api_key) headers.Authorization = `Bearer ${p.api_key}`;
+
+  const response = await executeRequest(`${trimSlash(p.base_url)}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model: request.model,
+      max_tokens: request.max_tokens || 400,
+      messages,
+    }),
+  });
+
+  const data = await response.json();
+  const text = data.choices?.[0]?.message?.content || "";
+  return {
+    text,
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Deterministic mock. Fixtures file format:
+ *
+ *   {
+ *     "classification": [
+ *       { "match": "we use pnpm", "response": "{\"classification\":\"PREFERENCE\",...}" }
+ *     ],
+ *     "synthesis": "Profile text…",
+ *     "consolidation": [{ "match": "component", "response": "…" }]
+ *   }
+ *
+ * A purpose maps to a string (always returned) or a list of { match, response }
+ * tried in order against the request messages (not the system prompt).
+ * Unmatched requests get MOCK_DEFAULTS.
+ * Token usage is estimated at 4 chars per token so stats stay meaningful.
+ */
+async function mockComplete(p, request) {
+  const body = request.messages.map((m) => m.content).join("\n");
+  const prompt = [request.system || "", body].join("\n");
+  const fixtures = loadFixtures(p.fixtures);
+  const entry = fixtures[request.purpose];
+
+  // Batched classification ("### Pair N" sections) gets a JSON array with
+  // one fixture response per pair, like a real model would return
+  const sections = body.split(/^### Pair (\d+)\n/m);
+  let text;
+  if (request.purpose === "classification" && sections.length > 2) {
+    const results = [];
+    for (let i = 1; i < sections.length; i += 2) {
+      let r;
+      try { r = JSON.parse(mockResponse(entry, request.purpose, sections[i + 1])); } catch { r = {}; }
+      results.push({ index: Number(sections[i]), ...r });
+    }
+    text = JSON.stringify(results);
+  } else {
+    text = mockResponse(entry, request.purpose, body);
+  }
+
+  return {
+    text,
+    usage: {
+      input_tokens: Math.ceil(prompt.length / 4),
+      output_tokens: Math.ceil(text.length / 4),
+    },
+  };
+}
+
+function mockResponse(entry, purpose, body) {
+  if (typeof entry === "string") return entry;
+  if (Array.isArray(entry)) {
+    const lower = body.toLowerCase();
+    const hit = entry.find((f) => f.match && lower.includes(f.match.toLowerCase()));
+    if (hit) return typeof hit.response === "string" ? hit.response : JSON.stringify(hit.response);
+  }
+  return MOCK_DEFAULTS[purpose] || "";
+}
+
+const BACKENDS = {
+  anthropic: anthropicComplete,
+  openai: openaiComplete,
+  mock: mockComplete,
+};
+
+// ─── Message Batches ─────────────────────────────────────────────────────────
+// Asynchronous batch jobs at 50% of the normal price. Results arrive within
+// 24 hours (usually much sooner). Anthropic only.
+
+/**
+ * Can this config submit batch jobs?
+ */
+function supportsBatches(config = loadConfig()) {
+  const p = getProviderConfig(config);
+  return p.type === "anthropic" && !!p.api_key;
+}
+
+/**
+ * Submit a batch job.
+ *
+ * @param {Array<object>} requests — complete()-style requests, each with a
+ *   `custom_id` (letters, digits, _ and -, at most 64 chars)
+ * @param {object} [config]
+ * @returns {Promise<{ id: string, processing_status: string, model: string }>}
+ */
+async function submitBatch(requests, config = loadConfig()) {
+  const p = getProviderConfig(config);
+  if (!supportsBatches(config)) throw new Error(`Provider ${p.type} does not support batch jobs`);
+
+  const model = resolveModel(config, "classifier");
+  const body = {
+    requests: requests.map((r) => ({
+      custom_id: r.custom_id,
+      params: anthropicParams({ ...r, model: r.model || resolveModel(config, PURPOSE_ROLE[r.purpose] || "classifier") }),
+    })),
+  };
+
+  const response = await executeRequest(`${trimSlash(p.base_url)}/v1/messages/batches`, {
+    method: "POST",
+    headers: anthropicHeaders(p),
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  return { id: data.id, processing_status: data.processing_status, model };
+}
+
+/**
+ * Fetch a batch job's status. processing_status is "in_progress",
+ * "canceling" or "ended"; results_url is set once it has ended.
+ */
+async function getBatch(id, config = loadConfig()) {
+  const p = getProviderConfig(config);
+  const response = await executeRequest(`${trimSlash(p.base_url)}/v1/messages/batches/${encodeURIComponent(id)}`, {
+    method: "GET",
+    headers: anthropicHeaders(p),
+  });
+  return response.json();
+}
+
+/**
+ * Download the results of an ended batch job and record their usage at
+ * batch pricing.
+ *
+ * @param {object} batch — from getBatch()
+ * @param {string} purpose — stats call type for every result
+ * @returns {Promise<Array<{ custom_id: string, text?: string, error?: string }>>}
+ */
+async function getBatchResults(batch, purpose, config = loadConfig()) {
+  const p = getProviderConfig(config);
+  const url = batch.results_url ||
+    `${trimSlash(p.base_url)}/v1/messages/batches/${encodeURIComponent(batch.id)}/results`;
+  const response = await executeRequest(url, { method: "GET", headers: anthropicHeaders(p) });
+  const raw = await response.text();
+
+  const results = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    let row;
+    try { row = JSON.parse(line); } catch { continue; }
+
+    const result = row.result || {};
+    if (result.type === "succeeded" && result.message) {
+      const model = result.message.model || resolveModel(config, PURPOSE_ROLE[purpose] || "classifier");
+      recordCall(purpose, model, result.message.usage || {}, p.type, { batch: true });
+      results.push({ custom_id: row.custom_id, text: messageText(result.message) });
+    } else {
+      const reason = result.error?.error?.message || result.error?.message || result.type || "unknown";
+      results.push({ custom_id: row.custom_id, error: `Batch result ${reason}` });
+    }
+  }
+  return results;
+}
+
+// ─── Embeddings ──────────────────────────────────────────────────────────────
+// Anthropic has no embeddings API. An OpenAI-compatible provider serves its
+// own; otherwise `similarity.embeddings` in config names an endpoint:
+//
+//   "similarity": { "engine": "embeddings",
+//                   "embeddings": { "base_url": "https://api.openai.com/v1",
+//                                   "api_key": "sk-…",
+//                                   "model": "text-embedding-3-small",
+//                                   "dimensions": 256 } }
+//
+// `dimensions` is passed through for models that can shorten their vectors.
+// With the mock provider, vectors are hashed locally.
+
+/**
+ * Resolve the embeddings endpoint, or null if none is configured.
+ */
+function getEmbeddingConfig(config = loadConfig()) {
+  const block = config.similarity?.embeddings || {};
+  const p = getProviderConfig(config);
+  const type = block.type || (block.base_url ? "openai" : p.type);
+
+  if (type === "mock") {
+    return { type, model: block.model || "mock-embedding", dimensions: block.dimensions || 256 };
+  }
+  if (type !== "openai") return null;
+
+  const inherited = p.type === "openai";
+  const base_url = block.base_url || (inherited ? p.base_url : "");
+  if (!base_url) return null;
+  return {
+    type,
+    base_url,
+    api_key: block.api_key || (inherited ? p.api_key : ""),
+    model: block.model || DEFAULT_EMBEDDING_MODEL,
+    dimensions: block.dimensions,
+    pricing: block.pricing || (inherited ? p.pricing : undefined),
+  };
+}
+
+/**
+ * Embed texts in one request.
+ * @returns {Promise<{ vectors: number[][], model: string }>}
+ */
+async function embed(texts, config = loadConfig()) {
+  const e = getEmbeddingConfig(config);
+  if (!e) throw new Error("No embeddings endpoint configured (similarity.embeddings)");
+
+  if (e.type === "mock") {
+    const { hashedVector } = require("./similarity");
+    const vectors = texts.map((t) => hashedVector(t, e.dimensions));
+    recordCall("embedding", e.model, { input_tokens: Math.ceil(texts.join(" ").length / 4) }, "mock");
+    return { vectors, model: e.model };
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (e.api_key) headers.Authorization = `Bearer ${e.api_key}`;
+  const body = { model: e.model, input: texts };
+  if (e.dimensions) body.dimensions = e.dimensions;
+
+  const response = await executeRequest(`${trimSlash(e.base_url)}/embeddings`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+
+  const vectors = [];
+  for (const [i, row] of (data.data || []).entries()) vectors[row.index ?? i] = row.embedding;
+  recordCall("embedding", e.model, {
+    input_tokens: data.usage?.prompt_tokens || data.usage?.total_tokens || 0,
+  }, e.type, { base_url: e.base_url, pricing: e.pricing });
+  return { vectors, model: e.model };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const fixtureCache = new Map();
+
+function loadFixtures(file) {
+  if (!file) return {};
+  if (fixtureCache.has(file)) return fixtureCache.get(file);
+  let fixtures = {};
+  try {
+    fixtures = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    log(`Mock provider: could not read fixtures ${file}: ${e.message}`);
+  }
+  fixtureCache.set(file, fixtures);
+  return fixtures;
+}
+
+function trimSlash(url) {
+  return (url || "").replace(/\/+$/, "");
+}
+
+module.exports = {
+  complete,
+  getProviderConfig,
+  isProviderConfigured,
+  resolveModel,
+  canCacheSystem,
+  supportsBatches,
+  submitBatch,
+  getBatch,
+  getBatchResults,
+  getEmbeddingConfig,
+  embed,
+};
@@ -0,0 +1,192 @@
+const { paths, log, readJson, updateJson } = require("./config");
+
+/**
+ * OpenTell — Refused Tool Calls
+ *
+ * Denying a permission prompt or pressing Esc mid-edit is the bluntest
+ * correction a developer gives, and the PostToolUse hook never sees it —
+ * it only fires when a tool ran. The transcript does record it (see
+ * lib/transcript.js): the refused call comes back as "denied" or
+ * "interrupted".
+ *
+ * Every refused call is recorded in ~/.opentell/refusals.json with the
+ * developer's follow-up message. One refusal says little — "not now" is a
+ * common reason — but refusing the same kind of call again and again is a
+ * habit Claude should learn. Calls are grouped by what was attempted:
+ *
+ *   command    the command and its subcommand or first flag ("git push",
+ *              "rm -rf"), wherever it appears in a compound command
+ *   generated  an edit to generated output: build directories, lockfiles,
+ *              minified files, *.generated.*
+ *   file       an edit to one specific file
+ *   tool       any other tool (WebFetch, Task…)
+ *
+ * At REFUSAL_THRESHOLD refusals of one kind, a BEHAVIORAL_GAP learning is
+ * created, and each further refusal reinforces it.
+ */
+
+const REFUSAL_THRESHOLD = 3;
+// Several refusals already back the learning: it starts active
+const REFUSAL_CONFIDENCE = 0.45;
+const MAX_RECORDS = 500;
+
+const REFUSED = new Set(["denied", "interrupted"]);
+const EDIT_TOOLS = new Set(["Edit", "MultiEdit", "Write", "NotebookEdit"]);
+
+const GENERATED = [
+  /(?:^|\/)(?:dist|build|out|\.next|\.nuxt|coverage|node_modules|vendor|__generated__|generated)\//,
+  /\.(?:generated|gen)\.[a-z]+$/,
+  /\.min\.(?:js|css)$/,
+  /\.map$/,
+  /(?:^|\/)(?:package-lock\.json|pnpm-lock\.yaml|yarn\.lock|bun\.lockb?|Cargo\.lock|poetry\.lock|uv\.lock|Gemfile\.lock|go\.sum)$/,
+];
+
+function emptyRefusals() {
+  return { refusals: [] };
+}
+
+/**
+ * What kind of call an event is, for counting repeats.
+ * @returns {{ key: string, kind: string, subject: string }|null}
+ */
+function refusalKind(event) {
+  if (event.tool === "Bash" && event.command) {
+    const subject = commandSignature(event.command);
+    return subject ? { key: `command:${subject}`, kind: "command", subject } : null;
+  }
+  if (EDIT_TOOLS.has(event.tool) && event.path) {
+    if (isGeneratedPath(event.path)) {
+      return { key: "generated", kind: "generated", subject: "generated files" };
+    }
+    return { key: `file:${event.path}`, kind: "file", subject: event.path };
+  }
+  return { key: `tool:${event.tool}`, kind: "tool", subject: event.tool };
+}
+
+/** Build output, lockfiles and other files nobody edits by hand. */
+function isGeneratedPath(filePath) {
+  return GENERATED.some((re) => re.test(filePath));
+}
+
+/**
+ * "git push origin main" → "git push", "rm -rf build" → "rm -rf",
+ * "cat notes.txt" → "cat". Env assignments and `sudo` are skipped, and in a
+ * compound command the first step that isn't `cd` is used.
+ */
+function commandSignature(command) {
+  for (const step of command.split(/&&|\|\||[;|\n]/)) {
+    const words = step.trim().replace(/^(?:\w+=\S*\s+)+/, "").replace(/^sudo\s+/, "").split(/\s+/).filter(Boolean);
+    if (words.length === 0 || words[0] === "cd") continue;
+    const [cmd, next] = words;
+    const sub = next && (/^-[a-zA-Z]+$/.test(next) || /^[a-z][a-z-]*$/.test(next)) ? ` ${next}` : "";
+    return (cmd.split("/").pop() + sub).toLowerCase();
+  }
+  return null;
+}
+
+/** Learning text for a kind of refused call. */
+function describe(kind) {
+  switch (kind.kind) {
+    case "command":   return `Leaves \`${kind.subject}\` to the developer — they refuse it when Claude runs it`;
+    case "generated": return "Edits the source, not generated files (build output, lockfiles) — the developer refuses edits to them";
+    case "file":      return `Leaves ${kind.subject} alone unless asked — the developer refuses edits to it`;
+    default:          return `Doesn't use ${kind.subject} unless asked — the developer refuses it`;
+  }
+}
+
+/** The tool call a refusal learning guards against (lib/guardrails.js). */
+function refusalTrigger(kind) {
+  switch (kind.kind) {
+    case "command":   return { type: "command", signature: kind.subject };
+    case "generated": return { type: "edit", generated: true };
+    case "file":      return { type: "edit", path: kind.subject };
+    default:          return { type: "tool", tool: kind.subject };
+  }
+}
+
+// ─── Recording ──────────────────────────────────────────────────────────────
+
+/**
+ * Record the refused calls of an analyzed window and turn repeats into
+ * learnings.
+ *
+ * @param {object} window — from buildWindows(); its tool_events are the
+ *   calls of the turn user_said answers
+ * @param {string} scopeKey
+ * @param {string} [sessionId]
+ * @returns {object[]} learnings to pass to addCandidate()
+ */
+function recordRefusals(window, scopeKey, sessionId = "") {
+  const refused = (window.tool_events || []).filter((e) => REFUSED.has(e.status));
+  if (refused.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const records = [];
+  for (const event of refused) {
+    const kind = refusalKind(event);
+    if (!kind) continue;
+    records.push({
+      key: kind.key,
+      tool: event.tool,
+      input: event.input,
+      status: event.status,
+      follow_up: truncate(window.user_said, 300),
+      scope_key: scopeKey,
+      session_id: sessionId,
+      at: now,
+      kind,
+    });
+  }
+  if (records.length === 0) return [];
+
+  const file = updateJson(paths.refusals, emptyRefusals, (data) => {
+    data.refusals.push(...records.map(({ kind, ...r }) => r));
+    if (data.refusals.length > MAX_RECORDS) data.refusals = data.refusals.slice(-MAX_RECORDS);
+  });
+
+  const candidates = [];
+  const seen = new Set();
+  for (const record of records) {
+    if (seen.has(record.key)) continue;
+    seen.add(record.key);
+
+    const history = file.refusals.filter((r) => r.key === record.key);
+    log(`Refused ${record.tool} (${record.status}): ${record.input} — ${history.length} time(s)`);
+    if (history.length < REFUSAL_THRESHOLD) continue;
+
+    // A specific file only matters in its repo; a command or generated
+    // files refused in several repos is a habit everywhere
+    const repos = new Set(history.map((r) => r.scope_key));
+    const global = record.kind.kind !== "file" && repos.size > 1;
+
+    candidates.push({
+      text: describe(record.kind),
+      confidence: history.length === REFUSAL_THRESHOLD ? REFUSAL_CONFIDENCE : undefined,
+      scope: global ? "global" : "repo",
+      scope_key: scopeKey,
+      classification: "BEHAVIORAL_GAP",
+      area: "general",
+      detection_method: "refusal",
+      certainty: "high",
+      triggers: [refusalTrigger(record.kind)],
+      evidence: {
+        claude_said: truncate(`${record.status === "denied" ? "Denied" : "Interrupted"}: ${record.tool} ${record.input}`, 300),
+        user_said: record.follow_up,
+        error_context: "",
+      },
+    });
+  }
+  return candidates;
+}
+
+/** Recorded refusals, newest last. */
+function getRefusals() {
+  return readJson(paths.refusals, emptyRefusals).refusals;
+}
+
+function truncate(str, max) {
+  if (!str) return "";
+  return str.length > max ? str.slice(0, max) + "..." : str;
+}
+
+module.exports = { recordRefusals, getRefusals, refusalKind, isGeneratedPath, commandSignature, REFUSAL_THRESHOLD };
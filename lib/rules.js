@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { paths, log } = require("./config");
+const { LEARNING_TYPES } = require("./classifier");
+
+/**
+ * OpenTell — User-Defined Detection Rules
+ *
+ * Team phrases the built-in detector patterns will never know ("ship it
+ * behind a flag", "no barrel files") can be declared as rules. Two files
+ * are read, and a repo rule replaces a global one with the same name:
+ *
+ *   ~/.opentell/rules.json      applies everywhere
+ *   <repo>/.opentell/rules.json applies in that repo (commit it to share)
+ *
+ *   { "rules": [
+ *     { "name": "feature_flags",
+ *       "pattern": "(?:ship|put|release) (?:it|this) behind (?:a |the )?(?:feature )?flag",
+ *       "learning": "Ships new behaviour behind a feature flag",
+ *       "classification": "DESIGN_PRINCIPLE",
+ *       "area": "backend",
+ *       "confidence": 0.4 },
+ *     { "name": "no_barrels",
+ *       "pattern": "no (barrel|index) files",
+ *       "learning": "Avoids $1 files — import from the module directly" } ] }
+ *
+ * `pattern` is a JavaScript regex, matched case-insensitively unless
+ * `flags` says otherwise. `learning` may use $1…$9 and $<name> for capture
+ * groups. classification defaults to PREFERENCE, area to "general",
+ * confidence to the classification's usual starting value and scope to
+ * "repo" (set "global" for a habit that holds everywhere). A rule that
+ * fails validation is skipped and reported by `opentell rules`.
+ */
+
+// Rule-driven learnings still have to earn activation with repeat evidence
+const MAX_START_CONFIDENCE = 0.6;
+
+/** Path of a repo's rules file. */
+function repoRulesPath(scopeKey) {
+  return scopeKey ? path.join(scopeKey, ".opentell", "rules.json") : null;
+}
+
+/**
+ * Load and validate the rules that apply in a repo.
+ *
+ * @param {string} [scopeKey] — repo root; omit for global rules only
+ * @returns {{ rules: object[], errors: Array<{ source: string, name: string, error: string }>, sources: string[] }}
+ */
+function loadRules(scopeKey = "") {
+  const byName = new Map();
+  const errors = [];
+  const sources = [];
+
+  for (const file of [paths.rules, repoRulesPath(scopeKey)].filter(Boolean)) {
+    if (!fs.existsSync(file)) continue;
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (e) {
+      errors.push({ source: file, name: "", error: `Unreadable: ${e.message}` });
+      continue;
+    }
+    sources.push(file);
+
+    const list = Array.isArray(raw) ? raw : raw.rules || [];
+    list.forEach((def, i) => {
+      try {
+        const rule = compileRule(def, i);
+        byName.set(rule.name, { ...rule, source: file });
+      } catch (e) {
+        errors.push({ source: file, name: def?.name || `#${i + 1}`, error: e.message });
+      }
+    });
+  }
+
+  for (const e of errors) log(`Rule ${e.name} in ${e.source} skipped: ${e.error}`);
+  return { rules: [...byName.values()], errors, sources };
+}
+
+function compileRule(def, index) {
+  if (!def || typeof def !== "object") throw new Error("not an object");
+  if (!def.pattern) throw new Error("missing pattern");
+  if (!def.learning) throw new Error("missing learning");
+
+  const classification = (def.classification || "PREFERENCE").toUpperCase();
+  if (!LEARNING_TYPES.has(classification)) {
+    throw new Error(`unknown classification ${def.classification} (one of ${[...LEARNING_TYPES].join(", ")})`);
+  }
+
+  const confidence = def.confidence ?? null;
+  if (confidence !== null && (typeof confidence !== "number" || confidence <= 0 || confidence > MAX_START_CONFIDENCE)) {
+    throw new Error(`confidence must be a number above 0 and at most ${MAX_START_CONFIDENCE}`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(def.pattern, (def.flags ?? "i").replace(/g/g, ""));
+  } catch (e) {
+    throw new Error(`invalid pattern: ${e.message}`);
+  }
+
+  return {
+    name: def.name || `rule_${index + 1}`,
+    regex,
+    learning: def.learning,
+    classification,
+    area: def.area || "general",
+    confidence,
+    scope: def.scope === "global" ? "global" : def.scope === "repo" ? "repo" : null,
+  };
+}
+
+// ─── Matching ───────────────────────────────────────────────────────────────
+
+/**
+ * Run rules against a user message.
+ * @returns {Array<{ rule: object, text: string }>} one entry per rule that fired
+ */
+function matchRules(rules, message) {
+  const fired = [];
+  for (const rule of rules) {
+    const match = message.match(rule.regex);
+    if (!match) continue;
+    const text = expandTemplate(rule.learning, match).trim();
+    if (text.length > 2 && text.length < 200) fired.push({ rule, text });
+  }
+  return fired;
+}
+
+/** Fill $1…$9 and $<name> in a learning template from a regex match. */
+function expandTemplate(template, match) {
+  return template.replace(/\$(\d)|\$<(\w+)>/g, (_, n, name) => {
+    const value = n !== undefined ? match[Number(n)] : match.groups?.[name];
+    return (value || "").trim();
+  });
+}
+
+module.exports = { loadRules, matchRules, repoRulesPath };
@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+const { findProjectRoot } = require("./promoter");
+
+/**
+ * OpenTell — Repository Scope
+ *
+ * Learnings with scope "repo" only make sense inside the repository they
+ * were learned in. "Uses pnpm" from one project must not leak into a Yarn
+ * monorepo next door. Hooks resolve a scope key from the event's cwd and
+ * tag every learning with it; context injection then only includes global
+ * learnings plus the ones tagged with the current repo.
+ *
+ * The scope key is the absolute path of the git root. In a monorepo this
+ * is the top-level checkout, not the nearest package.json. Outside git we
+ * fall back to findProjectRoot() and its marker files.
+ */
+
+/**
+ * Resolve the scope key for a working directory.
+ * Returns "" when no directory is available.
+ */
+function resolveScopeKey(cwd) {
+  const start = cwd || process.cwd();
+  if (!start) return "";
+
+  try {
+    const gitRoot = findGitRoot(start);
+    if (gitRoot) return gitRoot;
+    return findProjectRoot(start);
+  } catch {
+    return path.resolve(start);
+  }
+}
+
+/**
+ * Walk up from startDir looking for a .git entry (directory or worktree file).
+ */
+function findGitRoot(startDir) {
+  let dir = path.resolve(startDir);
+  const root = path.parse(dir).root;
+
+  while (dir !== root) {
+    if (fs.existsSync(path.join(dir, ".git"))) return dir;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Short, human-readable label for a scope key (the repo directory name).
+ */
+function scopeLabel(scopeKey) {
+  if (!scopeKey) return "";
+  return path.basename(scopeKey) || scopeKey;
+}
+
+module.exports = { resolveScopeKey, scopeLabel };
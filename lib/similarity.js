@@ -0,0 +1,403 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { loadConfig, log } = require("./config");
+const { embed, getEmbeddingConfig } = require("./provider");
+
+/**
+ * OpenTell — Semantic Similarity
+ *
+ * Decides whether two learnings say the same thing: the store uses it to
+ * reinforce a duplicate instead of adding it, to match observations against
+ * learnings, and in contradiction detection.
+ *
+ * Two engines, selected by `similarity.engine` in config.json:
+ *
+ *   local       (default) TF-IDF cosine over word stems and character
+ *               trigrams, with IDF taken from the learnings being compared.
+ *               A small lexicon folds common paraphrases together ("short",
+ *               "brief", "terse" → concise; "answers", "replies" → response)
+ *               and filler verbs ("uses", "prefers", "keep") are ignored.
+ *   embeddings  vectors from an embeddings endpoint (provider.embed()),
+ *               cached on each learning as { model, hash, vector }. A pair
+ *               where either side has no current vector is scored locally.
+ *
+ * Each engine has its own threshold, tuned on eval/similarity-pairs.jsonl
+ * with `opentell similarity --tune`. Overrides go in config.json:
+ *
+ *   "similarity": { "engine": "embeddings",
+ *                   "thresholds": { "embeddings": 0.78 },
+ *                   "embeddings": { "base_url": "…", "model": "…" } }
+ */
+
+// Score at or above which two learnings are the same learning
+const DEFAULT_THRESHOLDS = {
+  local: 0.7,
+  embeddings: 0.75,
+  // Avoided phrase vs used phrase in contradiction detection (local only)
+  related: 0.6,
+};
+
+// Share of the local score from word stems; the rest is character trigrams
+const WORD_WEIGHT = 0.75;
+
+// Multiplier when exactly one side is negated
+const NEGATION_PENALTY = 0.5;
+
+const CORPUS_PATH = path.join(__dirname, "..", "eval", "similarity-pairs.jsonl");
+
+// ─── Local engine ────────────────────────────────────────────────────────────
+
+// Filler that says nothing about the preference itself
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "to", "for", "of", "in", "on", "at", "by", "as",
+  "with", "from", "into", "via", "is", "are", "be", "been", "it", "its", "this",
+  "that", "these", "those", "when", "where", "your", "my", "our", "their", "all",
+  "use", "uses", "using", "used", "prefer", "prefers", "preferred", "preferring",
+  "keep", "keeps", "always", "should", "must", "please", "want", "wants", "like",
+  "likes", "team", "user", "developer", "project", "convention",
+  "favor", "favour", "favors", "expect", "expects", "enabled", "follow",
+  "follows", "written", "named", "live", "lives", "go", "goes", "come", "comes",
+  "add", "adds", "write", "writes", "run", "runs", "any",
+]);
+
+// Negations collapse to one token so "avoid X" and "never X" agree but
+// differ from plain "X". "X over Y" / "X instead of Y" negate Y. Verbs that
+// undo something count too: "skip unit tests" is the opposite of "write
+// unit tests", which is just "unit tests" once the filler verb is gone.
+const NEGATION = /\b(do not|don't|dont|does not|doesn't|never|avoids?|avoiding|without|no|instead of|rather than|over|skip(?:s|ped|ping)?|omit(?:s|ted|ting)?|remov(?:e|es|ed|ing)|disabl(?:e|es|ed|ing)|drop(?:s|ped|ping)?|stop(?:s|ped|ping)?)\b/g;
+
+// Paraphrases folded onto one term. Keys are lowercase words or stems.
+const SYNONYMS = {
+  short: "concise", brief: "concise", terse: "concise", succinct: "concise", concise: "concise",
+  answer: "response", reply: "response", response: "response", output: "response",
+  long: "verbose", lengthy: "verbose", verbose: "verbose", wordy: "verbose",
+  spec: "test", test: "test", testing: "test",
+  func: "function", fn: "function",
+  ts: "typescript", js: "javascript", py: "python",
+  dir: "directory", folder: "directory",
+  repo: "repository",
+  dep: "dependency", deps: "dependency",
+  config: "configuration", settings: "configuration", setting: "configuration",
+  exception: "error",
+  docstring: "comment", doc: "comment",
+  simple: "simple", minimal: "simple", straightforward: "simple",
+  postgres: "postgresql", pg: "postgresql",
+  env: "environment", var: "variable",
+  dev: "development", develop: "development",
+  pr: "pullrequest", prs: "pullrequest",
+  esm: "esmodule", cjs: "commonjs",
+  indentation: "indent", functional: "function", linter: "lint",
+};
+
+// Multi-word terms joined before tokenizing
+const PHRASES = [
+  [/\bpull requests?\b/g, "pullrequest"],
+  [/\bes ?modules?\b/g, "esmodule"],
+  [/\bcommon ?js\b/g, "commonjs"],
+];
+
+/**
+ * Content terms of a learning: lowercase, explanation after an em-dash
+ * dropped, negations unified, filler removed, words stemmed and folded.
+ */
+function analyze(text) {
+  let normalized = (text || "")
+    .toLowerCase()
+    .replace(/\s*—\s*.*$/, "")
+    .replace(NEGATION, " not ");
+  for (const [pattern, term] of PHRASES) normalized = normalized.replace(pattern, term);
+
+  const words = [];
+  for (const raw of normalized.split(/[^a-z0-9+#]+/)) {
+    if (!raw || STOPWORDS.has(raw)) continue;
+    const word = SYNONYMS[raw] || SYNONYMS[stem(raw)] || stem(raw);
+    if (!STOPWORDS.has(word)) words.push(word);
+  }
+
+  const joined = ` ${words.join(" ")} `;
+  const grams = [];
+  for (let i = 0; i + 3 <= joined.length; i++) grams.push(joined.slice(i, i + 3));
+  return { words, grams };
+}
+
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies") && word.length > 4) return word.slice(0, -3) + "y";
+  if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !word.endsWith("ss")) word = word.slice(0, -1);
+  if (word.endsWith("ing") && word.length > 5) return undouble(word.slice(0, -3));
+  if (word.endsWith("ed") && word.length > 4) return undouble(word.slice(0, -2));
+  return word;
+}
+
+// "committ" → "commit", "runn" → "run"
+function undouble(word) {
+  return /([^aeiouls])\1$/.test(word) ? word.slice(0, -1) : word;
+}
+
+/**
+ * TF-IDF index over a set of texts. Scores any two texts; terms absent
+ * from the corpus get the highest weight.
+ */
+function createIndex(texts) {
+  const wordDf = new Map();
+  const gramDf = new Map();
+  for (const text of new Set(texts)) {
+    const { words, grams } = analyze(text);
+    for (const w of new Set(words)) wordDf.set(w, (wordDf.get(w) || 0) + 1);
+    for (const g of new Set(grams)) gramDf.set(g, (gramDf.get(g) || 0) + 1);
+  }
+  const n = new Set(texts).size;
+  const idf = (df, term) => Math.log((n + 1) / ((df.get(term) || 0) + 1)) + 1;
+
+  const cache = new Map();
+  const vectorize = (text) => {
+    if (cache.has(text)) return cache.get(text);
+    const { words, grams } = analyze(text);
+    const v = {
+      words: weigh(words, (t) => idf(wordDf, t)),
+      grams: weigh(grams, (t) => idf(gramDf, t)),
+    };
+    cache.set(text, v);
+    return v;
+  };
+
+  return {
+    score(a, b) {
+      if (a.toLowerCase().trim() === b.toLowerCase().trim()) return 1;
+      const va = vectorize(a);
+      const vb = vectorize(b);
+      if (va.words.size === 0 || vb.words.size === 0) return 0;
+      const score = WORD_WEIGHT * cosine(va.words, vb.words) + (1 - WORD_WEIGHT) * cosine(va.grams, vb.grams);
+      // "Avoids X" and "Uses X" share every other term but are opposites
+      return va.words.has("not") === vb.words.has("not") ? score : score * NEGATION_PENALTY;
+    },
+  };
+}
+
+function weigh(terms, idfOf) {
+  const v = new Map();
+  for (const t of terms) v.set(t, (v.get(t) || 0) + 1);
+  for (const [t, tf] of v) v.set(t, tf * idfOf(t));
+  return v;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [t, w] of a) dot += w * (b.get(t) || 0);
+  if (dot === 0) return 0;
+  return dot / (norm(a) * norm(b));
+}
+
+function norm(v) {
+  let sum = 0;
+  for (const w of v.values()) sum += w * w;
+  return Math.sqrt(sum);
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+function getSimilaritySettings(config = loadConfig()) {
+  const block = config.similarity || {};
+  const embedding = block.engine === "embeddings" ? getEmbeddingConfig(config) : null;
+  return {
+    engine: embedding ? "embeddings" : "local",
+    model: embedding?.model || null,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(block.thresholds || {}) },
+  };
+}
+
+/**
+ * Compare one incoming learning against a set of existing ones.
+ *
+ * @param {Array<{ text: string, embedding?: object }>} learnings — the corpus
+ * @param {{ text: string, embedding?: object }} incoming
+ * @param {object} [config]
+ * @returns {{
+ *   score(l): number,               incoming vs l
+ *   matches(l): boolean,            same learning, at the threshold of the engine that scored it
+ *   related(a: string, b: string): boolean   two text fragments, local engine
+ * }}
+ */
+function createMatcher(learnings, incoming, config = loadConfig()) {
+  const settings = getSimilaritySettings(config);
+  const index = createIndex([...learnings.map((l) => l.text), incoming.text]);
+  const incomingVector = currentVector(incoming, settings.model);
+
+  const scoreWithEngine = (l) => {
+    const vector = incomingVector && currentVector(l, settings.model);
+    if (vector) return { engine: "embeddings", value: dot(incomingVector, vector) };
+    return { engine: "local", value: index.score(l.text, incoming.text) };
+  };
+
+  return {
+    score: (l) => scoreWithEngine(l).value,
+    matches: (l) => {
+      const s = scoreWithEngine(l);
+      return s.value >= settings.thresholds[s.engine];
+    },
+    related: (a, b) => index.score(a, b) >= settings.thresholds.related,
+  };
+}
+
+/**
+ * One-off score of two texts with the local engine.
+ */
+function similarity(a, b, corpus = []) {
+  return createIndex([...corpus, a, b]).score(a, b);
+}
+
+// ─── Embeddings ──────────────────────────────────────────────────────────────
+
+function embeddingsEnabled(config = loadConfig()) {
+  return getSimilaritySettings(config).engine === "embeddings";
+}
+
+/**
+ * The learning's cached vector, if it was computed by `model` for its
+ * current text. Vectors are stored unit-length, so cosine is a dot product.
+ */
+function currentVector(learning, model) {
+  const e = learning?.embedding;
+  if (!model || !e || e.model !== model || !Array.isArray(e.vector)) return null;
+  return e.hash === hashText(learning.text) ? e.vector : null;
+}
+
+function hasEmbedding(learning, config = loadConfig()) {
+  return !!currentVector(learning, getSimilaritySettings(config).model);
+}
+
+/**
+ * Embed texts for caching on learnings. Returns Map text → embedding
+ * record; empty when embeddings are off or the request fails (callers
+ * then fall back to the local engine).
+ */
+async function embedTexts(texts, config = loadConfig()) {
+  const result = new Map();
+  const unique = [...new Set(texts.filter(Boolean))];
+  if (unique.length === 0 || !embeddingsEnabled(config)) return result;
+
+  try {
+    const { vectors, model } = await embed(unique, config);
+    unique.forEach((text, i) => {
+      if (vectors[i]) result.set(text, { model, hash: hashText(text), vector: unitVector(vectors[i]) });
+    });
+  } catch (e) {
+    log(`Embedding error: ${e.message}`);
+  }
+  return result;
+}
+
+function unitVector(v) {
+  const n = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+  // 4 decimals keeps records small without moving scores
+  return v.map((x) => Math.round((x / n) * 1e4) / 1e4);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function hashText(text) {
+  return crypto.createHash("sha1").update(text || "").digest("hex").slice(0, 12);
+}
+
+/**
+ * Deterministic stand-in vectors for the mock provider: the local engine's
+ * terms hashed into `dimensions` buckets.
+ */
+function hashedVector(text, dimensions = 256) {
+  const v = new Array(dimensions).fill(0);
+  const { words, grams } = analyze(text);
+  const add = (term, weight) => {
+    const h = crypto.createHash("md5").update(term).digest();
+    v[h.readUInt32LE(0) % dimensions] += h[4] & 1 ? weight : -weight;
+  };
+  for (const w of words) add(`w:${w}`, WORD_WEIGHT);
+  for (const g of grams) add(`g:${g}`, (1 - WORD_WEIGHT) / 2);
+  return v;
+}
+
+// ─── Tuning ──────────────────────────────────────────────────────────────────
+
+/**
+ * Read the labelled pair corpus: one { a, b, same, note? } per line.
+ */
+function loadPairs(file = CORPUS_PATH) {
+  return fs.readFileSync(file, "utf-8")
+    .split("\n")
+    .filter((l) => l.trim() && !l.startsWith("//"))
+    .map((l) => JSON.parse(l));
+}
+
+/**
+ * Score every labelled pair and sweep thresholds.
+ *
+ * @param {Array<{ a: string, b: string, same: boolean }>} pairs
+ * @param {object} [config]
+ * @returns {Promise<{ engine: string, threshold: number, scored: Array,
+ *   sweep: Array<{ threshold, precision, recall, f1, f05 }>, best: object }>}
+ */
+async function evaluatePairs(pairs, config = loadConfig()) {
+  const settings = getSimilaritySettings(config);
+  const texts = pairs.flatMap((p) => [p.a, p.b]);
+  const index = createIndex(texts);
+
+  let vectors = new Map();
+  if (settings.engine === "embeddings") vectors = await embedTexts(texts, config);
+  const engine = vectors.size > 0 ? "embeddings" : "local";
+
+  const scored = pairs.map((p) => {
+    const score = engine === "embeddings" && vectors.has(p.a) && vectors.has(p.b)
+      ? dot(vectors.get(p.a).vector, vectors.get(p.b).vector)
+      : index.score(p.a, p.b);
+    return { ...p, score };
+  });
+
+  const sweep = [];
+  for (let t = 0.3; t <= 0.951; t += 0.025) {
+    sweep.push({ threshold: Math.round(t * 1000) / 1000, ...confusion(scored, t) });
+  }
+  // Precision counts double: a false merge loses a learning, a missed
+  // merge only leaves a duplicate behind
+  const best = sweep.reduce((a, b) => (b.f05 > a.f05 ? b : a));
+
+  return { engine, threshold: settings.thresholds[engine], scored, sweep, best };
+}
+
+function confusion(scored, threshold) {
+  let tp = 0, fp = 0, fn = 0;
+  for (const p of scored) {
+    const predicted = p.score >= threshold;
+    if (predicted && p.same) tp++;
+    else if (predicted && !p.same) fp++;
+    else if (!predicted && p.same) fn++;
+  }
+  const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+  const recall = tp + fn === 0 ? 1 : tp / (tp + fn);
+  const fBeta = (beta) => {
+    const b2 = beta * beta;
+    return precision + recall === 0 ? 0 : ((1 + b2) * precision * recall) / (b2 * precision + recall);
+  };
+  return { precision, recall, f1: fBeta(1), f05: fBeta(0.5) };
+}
+
+module.exports = {
+  createMatcher,
+  createIndex,
+  similarity,
+  analyze,
+  getSimilaritySettings,
+  embeddingsEnabled,
+  hasEmbedding,
+  embedTexts,
+  hashedVector,
+  loadPairs,
+  evaluatePairs,
+  confusion,
+  DEFAULT_THRESHOLDS,
+  CORPUS_PATH,
+};
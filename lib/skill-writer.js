@@ -1,6 +1,9 @@
-const { getActiveLearnings, getAllLearnings, getPromotable, getInferredLearnings, ACTIVATION_THRESHOLD, PROMOTION_THRESHOLD } = require("./store");
+const { getActiveLearnings, getAllLearnings, getPromotable, getInferredLearnings, isInScope, isEnforced, ACTIVATION_THRESHOLD, PROMOTION_THRESHOLD } = require("./store");
 const { getProfileText } = require("./profiler");
-const { log } = require("./config");
+const { loadConfig, log } = require("./config");
+const { compose, estimateTokens, droppedSummary, DEFAULT_CONTEXT_BUDGET } = require("./composer");
+const { scopeLabel } = require("./scope");
+const { countOpenConflicts } = require("./conflicts");
 
 /**
  * Build the context string to inject into Claude Code via SessionStart hook.
@@ -14,46 +17,84 @@ const { log } = require("./config");
  * 2. STRUCTURED MODE (fallback): When no profile exists yet (early sessions),
  *    inject learnings grouped by depth: thinking → design → quality → preferences.
  * 
- * Both modes apply area filtering when there are 15+ learnings.
+ * Both modes leave out learnings for areas the project doesn't touch, and both
+ * stay within the token budget (see lib/composer.js). Learnings the
+ * developer hardened or pinned come first, in their own sections, in both.
+ *
+ * When scopeKey is given, only global learnings and learnings from that
+ * repo are injected (see store.isInScope).
  */
-function buildContext(threshold = ACTIVATION_THRESHOLD, activeAreas = null) {
-  const learnings = getActiveLearnings(threshold);
-  if (learnings.length === 0) return "";
+function buildContext(threshold = ACTIVATION_THRESHOLD, activeAreas = null, scopeKey = null, budget = null) {
+  return composeContext(threshold, activeAreas, scopeKey, budget).text;
+}
+
+/**
+ * The context with what went into it: the learnings included, those left
+ * out for space, and those left out for their area — for `opentell context
+ * --explain`.
+ *
+ * @returns {{ text: string, mode: "profile"|"structured"|null, tokens: number,
+ *   budget: number, included: object[], dropped: object[], off_area: object[] }}
+ */
+function composeContext(threshold = ACTIVATION_THRESHOLD, activeAreas = null, scopeKey = null, budget = null) {
+  const config = loadConfig();
+  budget = budget || config.context_budget || DEFAULT_CONTEXT_BUDGET;
+  const learnings = getActiveLearnings(threshold, scopeKey);
+  if (learnings.length === 0) {
+    return { text: "", mode: null, tokens: 0, budget, included: [], dropped: [], off_area: [] };
+  }
 
-  // Try profile-based context first
+  const filtered = activeAreas ? filterByArea(learnings, activeAreas) : learnings;
+  const offArea = learnings.filter((l) => !filtered.includes(l));
+  const options = { budget, activeAreas, maxLearnings: config.max_learnings, line: contextLine };
+
+  // Try profile-based context first — unless the narrative alone would
+  // take the whole budget
   const profileText = getProfileText();
   if (profileText && learnings.length >= 6) {
-    return buildProfileContext(profileText, learnings, activeAreas);
+    // Pinned learnings of any kind are listed — the narrative may not cover them
+    const prefs = filtered.filter((l) => l.classification === "PREFERENCE" || !l.classification || isEnforced(l));
+    if (estimateTokens(buildProfileContext(profileText, [], prefs)) <= budget) {
+      const result = compose(prefs, { ...options, render: (sel, dropped) => buildProfileContext(profileText, sel, dropped) });
+      return { ...result, mode: "profile", off_area: offArea };
+    }
+    log(`Profile is longer than the context budget (${budget} tokens) — injecting learnings instead`);
   }
 
   // Fallback to structured context
-  return buildStructuredContext(learnings, activeAreas);
+  const result = compose(filtered, { ...options, render: buildStructuredContext });
+  // Headings and a summary line alone tell Claude nothing
+  if (result.included.length === 0) Object.assign(result, { text: "", tokens: 0 });
+  return { ...result, mode: "structured", off_area: offArea };
 }
 
 /**
  * Profile-based context: narrative understanding + specific preferences.
  * The profile captures the THINKING. The preferences capture the SPECIFICS.
  */
-function buildProfileContext(profileText, learnings, activeAreas) {
-  const filtered = activeAreas ? filterByArea(learnings, activeAreas) : learnings;
-  const prefs = filtered.filter(
-    (l) => l.classification === "PREFERENCE" || !l.classification
-  );
+function buildProfileContext(profileText, learnings, dropped = []) {
+  const prefs = learnings.filter((l) => !isEnforced(l));
 
   let lines = [];
   lines.push("# Developer Profile (learned from past corrections)");
   lines.push("Apply these silently. Do not mention them unless asked.");
   lines.push("");
+  lines.push(...enforcedSections(learnings));
   lines.push(profileText);
 
   if (prefs.length > 0) {
     lines.push("");
     lines.push("## Specific Conventions");
-    for (const l of prefs.sort((a, b) => b.confidence - a.confidence)) {
-      lines.push(`- ${l.text}`);
+    for (const l of [...prefs].sort((a, b) => b.confidence - a.confidence)) {
+      lines.push(contextLine(l));
     }
   }
 
+  if (dropped.length > 0) {
+    lines.push("");
+    lines.push(droppedSummary(dropped));
+  }
+
   return lines.join("\n");
 }
 
@@ -61,9 +102,8 @@ function buildProfileContext(profileText, learnings, activeAreas) {
  * Structured context: grouped by depth.
  * Used when no profile exists (early sessions, < 6 learnings).
  */
-function buildStructuredContext(learnings, activeAreas) {
-  const filtered = activeAreas ? filterByArea(learnings, activeAreas) : learnings;
-  const sorted = filtered.sort((a, b) => b.confidence - a.confidence);
+function buildStructuredContext(learnings, dropped = []) {
+  const sorted = learnings.filter((l) => !isEnforced(l)).sort((a, b) => b.confidence - a.confidence);
 
   // Group by classification type (deepest first)
   const thinking = sorted.filter((l) => l.classification === "THINKING_PATTERN");
@@ -81,77 +121,159 @@ function buildStructuredContext(learnings, activeAreas) {
   lines.push("# How This Developer Builds (learned from past corrections)");
   lines.push("Apply these silently. Do not mention them unless asked.");
   lines.push("");
+  lines.push(...enforcedSections(learnings));
 
   if (thinking.length > 0) {
     lines.push("## How They Think");
-    for (const l of thinking) lines.push(`- ${l.text}`);
+    for (const l of thinking) lines.push(contextLine(l));
     lines.push("");
   }
 
   if (design.length > 0) {
     lines.push("## Architecture Values");
-    for (const l of design) lines.push(`- ${l.text}`);
+    for (const l of design) lines.push(contextLine(l));
     lines.push("");
   }
 
   if (quality.length > 0) {
     lines.push("## Quality Bar");
-    for (const l of quality) lines.push(`- ${l.text}`);
+    for (const l of quality) lines.push(contextLine(l));
     lines.push("");
   }
 
   if (gaps.length > 0) {
     lines.push("## Watch For (recurring gaps)");
-    for (const l of gaps) lines.push(`- ${l.text}`);
+    for (const l of gaps) lines.push(contextLine(l));
     lines.push("");
   }
 
   if (globalPrefs.length > 0) {
     lines.push("## General Preferences");
-    for (const l of globalPrefs) lines.push(`- ${l.text}`);
+    for (const l of globalPrefs) lines.push(contextLine(l));
     lines.push("");
   }
 
   if (repoPrefs.length > 0) {
     lines.push("## This Project");
-    for (const l of repoPrefs) lines.push(`- ${l.text}`);
+    for (const l of repoPrefs) lines.push(contextLine(l));
     lines.push("");
   }
 
   if (langPrefs.length > 0) {
     lines.push("## Language-Specific");
-    for (const l of langPrefs) lines.push(`- ${l.text}`);
+    for (const l of langPrefs) lines.push(contextLine(l));
     lines.push("");
   }
 
+  if (dropped.length > 0) {
+    lines.push(droppedSummary(dropped));
+  }
+
   return lines.join("\n");
 }
 
 /**
- * Area-filtered injection: when there are many learnings, only inject
- * the ones relevant to what Claude is currently working on.
+ * The developer's hard rules and pinned learnings, ahead of everything
+ * else. Lines end with a blank line when there are any.
+ */
+function enforcedSections(learnings) {
+  const hard = learnings.filter((l) => l.enforcement === "hard");
+  const pinned = learnings.filter((l) => l.enforcement === "strong");
+  const lines = [];
+  if (hard.length > 0) {
+    lines.push("## Non-Negotiable (the developer's hard rules — never break these)");
+    for (const l of hard) lines.push(`- ${l.text}`);
+    lines.push("");
+  }
+  if (pinned.length > 0) {
+    lines.push("## Pinned by the Developer");
+    for (const l of pinned) lines.push(contextLine(l));
+    lines.push("");
+  }
+  return lines;
+}
+
+/**
+ * Mid-session context delta (UserPromptSubmit): learnings that became
+ * active since the session started, and learnings for areas the prompt
+ * turns to that the session-start context left out. Budgeted like the
+ * full context, but small.
+ *
+ * @param {object[]} fresh — newly activated learnings
+ * @param {Object<string, object[]>} byArea — learnings per newly relevant area
+ * @param {number} budget — tokens
+ * @returns {object} as from compose(); text is empty when nothing fits
+ */
+function composeDelta(fresh, byArea, budget) {
+  const freshIds = new Set(fresh.map((l) => l.id));
+  // Each learning listed once: as new, or under the first area it belongs to
+  const areaOf = new Map();
+  const candidates = [...fresh];
+  for (const [area, learnings] of Object.entries(byArea)) {
+    for (const l of learnings) {
+      if (freshIds.has(l.id) || areaOf.has(l.id)) continue;
+      areaOf.set(l.id, area);
+      candidates.push(l);
+    }
+  }
+
+  const render = (selected, dropped) => {
+    const lines = [];
+    lines.push("# OpenTell — context update");
+    lines.push("Apply these silently along with the developer's earlier context.");
+    const sorted = [...selected].sort((a, b) => b.confidence - a.confidence);
+    const learned = sorted.filter((l) => freshIds.has(l.id));
+    if (learned.length > 0) {
+      lines.push("");
+      lines.push("## Learned This Session");
+      for (const l of learned) lines.push(contextLine(l));
+    }
+    for (const area of Object.keys(byArea)) {
+      const forArea = sorted.filter((l) => areaOf.get(l.id) === area);
+      if (forArea.length === 0) continue;
+      lines.push("");
+      lines.push(`## For ${area} work`);
+      for (const l of forArea) lines.push(contextLine(l));
+    }
+    if (dropped.length > 0) {
+      lines.push("");
+      lines.push(droppedSummary(dropped));
+    }
+    return lines.join("\n");
+  };
+
+  const result = compose(candidates, { budget, render, line: contextLine, activeAreas: Object.keys(byArea) });
+  if (result.included.length === 0) Object.assign(result, { text: "", tokens: 0 });
+  return result;
+}
+
+/**
+ * Area-filtered injection: only inject the learnings relevant to what
+ * Claude is working on — a Go service doesn't get React rules, however few
+ * learnings there are.
  * 
  * ALWAYS included (regardless of area):
+ * - Pinned and hard learnings (the developer said so)
  * - THINKING_PATTERN (how they think applies everywhere)
  * - DESIGN_PRINCIPLE (architecture values are cross-cutting)
- * - Global scope preferences
+ * - "general" and "architecture" learnings, global or not
  * 
  * Area-filtered:
- * - QUALITY_STANDARD, BEHAVIORAL_GAP, PREFERENCE with specific areas
+ * - QUALITY_STANDARD, BEHAVIORAL_GAP, PREFERENCE with specific areas —
+ *   global ones too: "Uses Tailwind" is global, but still frontend
  */
 function filterByArea(learnings, activeAreas) {
   if (!activeAreas || activeAreas.length === 0) return learnings;
-  if (learnings.length < 15) return learnings; // not enough to need filtering
 
   const areaSet = new Set(activeAreas.map((a) => a.toLowerCase()));
-  // Always include "general" area
   areaSet.add("general");
+  areaSet.add("architecture");
 
   return learnings.filter((l) => {
     // Deep learnings always included
+    if (isEnforced(l)) return true;
     if (l.classification === "THINKING_PATTERN") return true;
     if (l.classification === "DESIGN_PRINCIPLE") return true;
-    if (l.scope === "global" && l.classification === "PREFERENCE") return true;
 
     // For others, check area match
     const areas = l.areas || [l.area || "general"];
@@ -161,18 +283,26 @@ function filterByArea(learnings, activeAreas) {
 
 /**
  * Build a status display for the CLI / slash command.
+ * With a scopeKey, only learnings visible from that repo are shown.
  */
-function buildStatus() {
-  const all = getAllLearnings();
+function buildStatus(scopeKey = null) {
+  const inScope = (l) => isInScope(l, scopeKey);
+  // Numbered by position among all non-archived learnings, the index that
+  // pin, harden, unpin, remove and promote take — also when scoped to a repo
+  const everything = getAllLearnings();
+  const numbers = new Map(everything.map((l, i) => [l.id, i + 1]));
+  const all = everything.filter(inScope);
   const active = all.filter((l) => !l.inferred && l.confidence >= ACTIVATION_THRESHOLD && !l.promoted);
   const candidates = all.filter((l) => !l.inferred && l.confidence < ACTIVATION_THRESHOLD && !l.promoted);
   const promoted = all.filter((l) => l.promoted);
-  const inferred = getInferredLearnings();
-  const promotable = getPromotable();
+  const inferred = getInferredLearnings().filter(inScope);
+  const promotable = getPromotable().filter(inScope);
 
   let lines = [];
   const inferredNote = inferred.length > 0 ? `, ${inferred.length} unvalidated` : "";
-  lines.push(`OpenTell — ${all.length} learnings (${active.length} active, ${candidates.length} candidates, ${promoted.length} promoted${inferredNote})\n`);
+  lines.push(`OpenTell — ${all.length} learnings (${active.length} active, ${candidates.length} candidates, ${promoted.length} promoted${inferredNote})`);
+  if (scopeKey) lines.push(`Repo: ${scopeKey} (global + this repo's learnings)`);
+  lines.push("");
 
   if (active.length > 0) {
     // Group active learnings by type
@@ -181,37 +311,38 @@ function buildStatus() {
     if (byType.THINKING_PATTERN.length > 0) {
       lines.push("🧠 How You Think:");
       for (const l of byType.THINKING_PATTERN) {
-        lines.push(`  ${fmtLearning(l)}`);
+        lines.push(`  ${numbers.get(l.id)}. ${fmtLearning(l)}`);
       }
     }
 
     if (byType.DESIGN_PRINCIPLE.length > 0) {
       lines.push("📐 Architecture Values:");
       for (const l of byType.DESIGN_PRINCIPLE) {
-        lines.push(`  ${fmtLearning(l)}`);
+        lines.push(`  ${numbers.get(l.id)}. ${fmtLearning(l)}`);
       }
     }
 
     if (byType.QUALITY_STANDARD.length > 0) {
       lines.push("✅ Quality Bar:");
       for (const l of byType.QUALITY_STANDARD) {
-        lines.push(`  ${fmtLearning(l)}`);
+        lines.push(`  ${numbers.get(l.id)}. ${fmtLearning(l)}`);
       }
     }
 
     if (byType.PREFERENCE.length > 0) {
       lines.push("⚙️  Preferences:");
       for (const l of byType.PREFERENCE) {
-        lines.push(`  ${fmtLearning(l)}`);
+        lines.push(`  ${numbers.get(l.id)}. ${fmtLearning(l)}`);
       }
     }
 
     if (byType.BEHAVIORAL_GAP.length > 0) {
       lines.push("⚠️  Watch For:");
       for (const l of byType.BEHAVIORAL_GAP) {
-        lines.push(`  ${fmtLearning(l)}`);
+        lines.push(`  ${numbers.get(l.id)}. ${fmtLearning(l)}`);
       }
     }
+    lines.push("  Run: opentell pin|harden|unpin|remove <n>");
     lines.push("");
   }
 
@@ -219,10 +350,10 @@ function buildStatus() {
     lines.push("Candidates (need more evidence):");
     candidates
       .sort((a, b) => b.confidence - a.confidence)
-      .forEach((l, i) => {
+      .forEach((l) => {
         const conf = l.confidence.toFixed(2);
         const area = l.area && l.area !== "general" ? ` [${l.area}]` : "";
-        lines.push(`  ${i + 1}. ${l.text}  (${l.evidence_count}x, conf: ${conf}${area})`);
+        lines.push(`  ${numbers.get(l.id)}. ${l.text}  (${l.evidence_count}x, conf: ${conf}${area})`);
       });
     lines.push("  Run: opentell promote <n>   (to force-promote a candidate)");
     lines.push("");
@@ -249,6 +380,13 @@ function buildStatus() {
     lines.push("");
   }
 
+  const conflicts = countOpenConflicts();
+  if (conflicts > 0) {
+    lines.push(`⚖️  ${conflicts} contradiction(s) waiting for a decision — the stronger side is active meanwhile.`);
+    lines.push("  Run: opentell conflicts");
+    lines.push("");
+  }
+
   if (promotable.length > 0) {
     lines.push(`📋 ${promotable.length} learning(s) ready to promote to CLAUDE.md:`);
     promotable.forEach((l) => {
@@ -265,6 +403,14 @@ function buildStatus() {
   return lines.join("\n");
 }
 
+/**
+ * One context bullet. Learnings kept from a conflict as context-dependent
+ * say so, so Claude treats them as a default rather than a rule.
+ */
+function contextLine(l) {
+  return l.context_dependent ? `- ${l.text} (depends on the project — not a universal rule)` : `- ${l.text}`;
+}
+
 function groupByType(learnings) {
   const groups = {
     THINKING_PATTERN: [],
@@ -289,8 +435,10 @@ function fmtLearning(l) {
   const conf = l.confidence.toFixed(2);
   const count = l.evidence_count;
   const area = l.area && l.area !== "general" ? ` [${l.area}]` : "";
+  const repo = l.scope === "repo" && l.scope_key ? ` @${scopeLabel(l.scope_key)}` : "";
   const method = l.detection_method === "llm" ? "🤖" : "📐";
-  return `${method} ${l.text}  (${count}x, conf: ${conf}${area})`;
+  const enforcement = l.enforcement === "hard" ? "🔒 " : l.enforcement === "strong" ? "📌 " : "";
+  return `${method} ${enforcement}${l.text}  (${count}x, conf: ${conf}${area}${repo})`;
 }
 
-module.exports = { buildContext, buildStatus };
+module.exports = { buildContext, composeContext, composeDelta, buildStatus };
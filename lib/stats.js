@@ -1,5 +1,4 @@
-const fs = require("fs");
-const { paths, ensureDir } = require("./config");
+const { paths, ensureDir, readJson, updateJson } = require("./config");
 
 // ─── Pricing (USD per million tokens) ─────────────────────────────────────────
 // Source: https://platform.claude.com/docs/en/about-claude/pricing
@@ -31,9 +30,52 @@ function getPricing(model) {
   return PRICING_TABLE.find((row) => row.pattern.test(m)) || PRICING_TABLE.at(-1);
 }
 
-function computeCost(model, inputTokens, outputTokens) {
-  const p = getPricing(model);
-  return (inputTokens / 1_000_000) * p.input + (outputTokens / 1_000_000) * p.output;
+// Prompt caching multipliers on the input price
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.10;
+
+// Message Batches API calls are billed at half price, input and output
+const BATCH_DISCOUNT = 0.5;
+
+// An OpenAI-compatible endpoint on this machine (Ollama, llama.cpp…) is free
+const LOCAL_ENDPOINT = /^https?:\/\/(?:localhost|127(?:\.\d+){3}|0\.0\.0\.0|\[::1\])(?::\d+)?(?:\/|$)/i;
+
+/**
+ * Input/output price per million tokens for a call, or null if unknown.
+ *
+ * Anthropic models are priced from PRICING_TABLE. Other providers are
+ * priced from `pricing` in their config block — { "input": 0.15, "output": 0.60 }
+ * for every model, or keyed by model name — and are free when they are the
+ * mock or a local endpoint. A hosted endpoint without pricing is unknown,
+ * not free.
+ *
+ * @param {string} model
+ * @param {string} provider
+ * @param {{ base_url?: string, pricing?: object }} [endpoint]
+ * @returns {{ input: number, output: number }|null}
+ */
+function priceFor(model, provider, endpoint = {}) {
+  if (provider === "anthropic") return getPricing(model);
+  const pricing = endpoint.pricing;
+  const row = typeof pricing?.input === "number" ? pricing : pricing?.[model];
+  if (typeof row?.input === "number" && typeof row?.output === "number") return row;
+  if (provider === "mock" || LOCAL_ENDPOINT.test(endpoint.base_url || "")) return { input: 0, output: 0 };
+  return null;
+}
+
+/**
+ * Cost of a call in USD, or null when the provider's price is unknown.
+ */
+function computeCost(model, inputTokens, outputTokens, provider = "anthropic", cache = {}, batch = false, endpoint = {}) {
+  const p = priceFor(model, provider, endpoint);
+  if (!p) return null;
+  const cacheWrite = cache.write || 0;
+  const cacheRead  = cache.read  || 0;
+  const cost = (inputTokens / 1_000_000) * p.input +
+    (cacheWrite / 1_000_000) * p.input * CACHE_WRITE_MULTIPLIER +
+    (cacheRead  / 1_000_000) * p.input * CACHE_READ_MULTIPLIER +
+    (outputTokens / 1_000_000) * p.output;
+  return batch ? cost * BATCH_DISCOUNT : cost;
 }
 
 function emptyStats() {
@@ -44,63 +86,80 @@ function emptyStats() {
     total_cost_usd: 0,
     by_type: {},
     by_month: {},
+    by_provider: {},
   };
 }
 
 function loadStats() {
   ensureDir();
-  if (!fs.existsSync(paths.stats)) return emptyStats();
-  try {
-    return JSON.parse(fs.readFileSync(paths.stats, "utf-8"));
-  } catch {
-    return emptyStats();
-  }
-}
-
-function saveStats(data) {
-  ensureDir();
-  fs.writeFileSync(paths.stats, JSON.stringify(data, null, 2));
+  return readJson(paths.stats, emptyStats);
 }
 
 /**
- * Record an API call. Called from classifier, profiler, and consolidator
- * after each successful Anthropic API response.
+ * Record an API call. Called by lib/provider.js after each successful
+ * completion, whichever backend served it.
  *
- * @param {"classification"|"synthesis"|"consolidation"} type
+ * @param {"classification"|"synthesis"|"consolidation"|"embedding"} type
  * @param {string} model — model ID used for the call
- * @param {{ input_tokens: number, output_tokens: number }} usage — from API response body
+ * @param {{ input_tokens: number, output_tokens: number,
+ *           cache_creation_input_tokens?: number, cache_read_input_tokens?: number }} usage
+ *        — from API response body
+ * @param {"anthropic"|"openai"|"mock"} [provider]
+ * @param {{ batch?: boolean, base_url?: string, pricing?: object }} [options] —
+ *        batch: served by the Message Batches API; base_url and pricing:
+ *        the endpoint, for pricing non-Anthropic calls (see priceFor)
  */
-function recordCall(type, model, usage) {
+function recordCall(type, model, usage, provider = "anthropic", options = {}) {
   try {
     const inputTokens  = usage?.input_tokens  || 0;
     const outputTokens = usage?.output_tokens || 0;
-    const cost  = computeCost(model, inputTokens, outputTokens);
+    const cacheWrite   = usage?.cache_creation_input_tokens || 0;
+    const cacheRead    = usage?.cache_read_input_tokens     || 0;
+    const batch        = !!options.batch;
+    const priced = computeCost(model, inputTokens, outputTokens, provider, { write: cacheWrite, read: cacheRead }, batch, options);
+    // Unknown prices add nothing to the totals and are counted instead
+    const cost = priced ?? 0;
+    const unpriced = priced === null ? 1 : 0;
     const month = new Date().toISOString().slice(0, 7); // "2024-01"
 
-    const data = loadStats();
-
-    data.total_calls         = (data.total_calls         || 0) + 1;
-    data.total_input_tokens  = (data.total_input_tokens  || 0) + inputTokens;
-    data.total_output_tokens = (data.total_output_tokens || 0) + outputTokens;
-    data.total_cost_usd      = (data.total_cost_usd      || 0) + cost;
+    updateJson(paths.stats, emptyStats, (data) => {
+      data.total_calls         = (data.total_calls         || 0) + 1;
+      data.total_input_tokens  = (data.total_input_tokens  || 0) + inputTokens;
+      data.total_output_tokens = (data.total_output_tokens || 0) + outputTokens;
+      data.total_cost_usd      = (data.total_cost_usd      || 0) + cost;
+      data.total_unpriced_calls = (data.total_unpriced_calls || 0) + unpriced;
+      data.total_cache_write_tokens = (data.total_cache_write_tokens || 0) + cacheWrite;
+      data.total_cache_read_tokens  = (data.total_cache_read_tokens  || 0) + cacheRead;
+      if (batch) data.total_batch_calls = (data.total_batch_calls || 0) + 1;
 
-    if (!data.by_type[type]) {
-      data.by_type[type] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
-    }
-    data.by_type[type].calls         += 1;
-    data.by_type[type].input_tokens  += inputTokens;
-    data.by_type[type].output_tokens += outputTokens;
-    data.by_type[type].cost_usd      += cost;
+      if (!data.by_type[type]) {
+        data.by_type[type] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+      }
+      data.by_type[type].calls         += 1;
+      data.by_type[type].input_tokens  += inputTokens;
+      data.by_type[type].output_tokens += outputTokens;
+      data.by_type[type].cost_usd      += cost;
+      data.by_type[type].unpriced_calls = (data.by_type[type].unpriced_calls || 0) + unpriced;
 
-    if (!data.by_month[month]) {
-      data.by_month[month] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
-    }
-    data.by_month[month].calls         += 1;
-    data.by_month[month].input_tokens  += inputTokens;
-    data.by_month[month].output_tokens += outputTokens;
-    data.by_month[month].cost_usd      += cost;
+      if (!data.by_month[month]) {
+        data.by_month[month] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+      }
+      data.by_month[month].calls         += 1;
+      data.by_month[month].input_tokens  += inputTokens;
+      data.by_month[month].output_tokens += outputTokens;
+      data.by_month[month].cost_usd      += cost;
+      data.by_month[month].unpriced_calls = (data.by_month[month].unpriced_calls || 0) + unpriced;
 
-    saveStats(data);
+      data.by_provider = data.by_provider || {};
+      if (!data.by_provider[provider]) {
+        data.by_provider[provider] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+      }
+      data.by_provider[provider].calls         += 1;
+      data.by_provider[provider].input_tokens  += inputTokens;
+      data.by_provider[provider].output_tokens += outputTokens;
+      data.by_provider[provider].cost_usd      += cost;
+      data.by_provider[provider].unpriced_calls = (data.by_provider[provider].unpriced_calls || 0) + unpriced;
+    });
   } catch {
     // Stats recording is best-effort — never break the main pipeline
   }
@@ -133,13 +192,24 @@ function formatStats() {
   lines.push(`  Calls:          ${fmt(data.total_calls)}`);
   lines.push(`  Input tokens:   ${fmt(data.total_input_tokens)}`);
   lines.push(`  Output tokens:  ${fmt(data.total_output_tokens)}`);
-  lines.push(`  Total cost:     $${data.total_cost_usd.toFixed(4)}`);
+  if (data.total_cache_write_tokens || data.total_cache_read_tokens) {
+    lines.push(`  Cache writes:   ${fmt(data.total_cache_write_tokens)}`);
+    lines.push(`  Cache reads:    ${fmt(data.total_cache_read_tokens)}`);
+  }
+  if (data.total_batch_calls) {
+    lines.push(`  Batch calls:    ${fmt(data.total_batch_calls)}`);
+  }
+  lines.push(`  Total cost:     ${fmtCost(data.total_cost_usd, data.total_calls, data.total_unpriced_calls)}`);
+  if (data.total_unpriced_calls) {
+    lines.push(`                  (${fmt(data.total_unpriced_calls)} call(s) to an endpoint with no known price)`);
+  }
 
   // ── By call type ──────────────────────────────────────────────────
   const TYPE_LABELS = {
     classification: "Classification  (Layer 2, per turn)",
     synthesis:      "Synthesis       (developer profile)",
     consolidation:  "Consolidation   (learning merges)  ",
+    embedding:      "Embeddings      (similarity)       ",
   };
 
   const hasTypes = Object.keys(data.by_type).length > 0;
@@ -151,7 +221,21 @@ function formatStats() {
       lines.push(
         `  ${label}` +
         `   ${String(t.calls).padStart(4)} calls` +
-        `   $${t.cost_usd.toFixed(4)}`
+        `   ${fmtCost(t.cost_usd, t.calls, t.unpriced_calls)}`
+      );
+    }
+  }
+
+  // ── By provider ───────────────────────────────────────────────────
+  const providers = Object.entries(data.by_provider || {});
+  if (providers.length > 0) {
+    lines.push("");
+    lines.push("By provider:");
+    for (const [name, p] of providers) {
+      lines.push(
+        `  ${name.padEnd(35)}` +
+        `   ${String(p.calls).padStart(4)} calls` +
+        `   ${fmtCost(p.cost_usd, p.calls, p.unpriced_calls)}`
       );
     }
   }
@@ -170,7 +254,7 @@ function formatStats() {
         `  ${label}  ` +
         `${fmt(m.calls)} calls  ·  ` +
         `${fmt(m.input_tokens + m.output_tokens)} tokens  ·  ` +
-        `$${m.cost_usd.toFixed(4)}`
+        `${fmtCost(m.cost_usd, m.calls, m.unpriced_calls)}`
       );
     }
   }
@@ -178,6 +262,9 @@ function formatStats() {
   lines.push("");
   lines.push(bar);
   lines.push("Pricing (per MTok in/out): Haiku 4.5 $1.00/$5.00 · Haiku 3.5 $0.80/$4.00 · Sonnet $3.00/$15.00 · Opus 4.5/4.6 $5.00/$25.00");
+  lines.push("Cached prompt tokens: writes 1.25× input price, reads 0.1×. Batch calls: 50% off.");
+  lines.push("Local and mock providers are recorded at $0. Hosted OpenAI-compatible endpoints are priced");
+  lines.push("from `pricing` in their config block, and shown as unknown without it.");
   lines.push(`Stats file: ${paths.stats}`);
 
   return lines.join("\n");
@@ -187,4 +274,10 @@ function fmt(n) {
   return (n || 0).toLocaleString();
 }
 
-module.exports = { recordCall, loadStats, formatStats, PRICING, computeCost, getPricing };
+/** "$0.0123", "$0.0123 + unknown" when some calls had no price, "unknown" when none had. */
+function fmtCost(cost, calls, unpriced) {
+  if (unpriced && unpriced >= calls) return "unknown";
+  return `$${(cost || 0).toFixed(4)}${unpriced ? " + unknown" : ""}`;
+}
+
+module.exports = { recordCall, loadStats, formatStats, PRICING, computeCost, getPricing, priceFor };
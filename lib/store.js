@@ -1,5 +1,9 @@
 const fs = require("fs");
-const { paths, ensureDir, log } = require("./config");
+const { paths, ensureDir, log, withLock, appendLine, writeFileAtomic, readJson, updateJson } = require("./config");
+const db = require("./db");
+const { createMatcher, embedTexts, embeddingsEnabled, hasEmbedding } = require("./similarity");
+const { openConflicts, recordConflicts, rebalanceConflicts, markActive } = require("./conflicts");
+const { identifyTool, areAlternatives } = require("./tools");
 
 // ─── Starting confidence matrix ────────────────────────────────────────
 // Based on classification type × LLM certainty.
@@ -23,154 +27,201 @@ const PROMOTION_THRESHOLD = 0.80;
 const PROMOTION_MIN_EVIDENCE = 4;
 const ARCHIVE_THRESHOLD = 0.15;
 
+// ─── Enforcement ───────────────────────────────────────────────────────
+// Most learnings are soft: evidence made them, decay and contradictions can
+// unmake them. A developer can pin one (strong) or harden it (hard) — then
+// it is their call, not the evidence's: no decay, no automatic archiving
+// by a contradicting learning, and it is injected in its own section ahead
+// of everything else. Hard learnings also block tool calls that go against
+// them (lib/guardrails.js).
+const ENFORCEMENT_LEVELS = ["soft", "strong", "hard"];
+
 // ─── Core CRUD ─────────────────────────────────────────────────────────
+// Storage lives in lib/db.js (append-only segment log). loadLearnings and
+// saveLearnings keep the original whole-object API on top of it: a save
+// only appends the learnings that changed since they were loaded.
 
 function loadLearnings() {
-  ensureDir();
-  if (!fs.existsSync(paths.db)) {
-    const empty = { learnings: [], meta: { total_sessions: 0 } };
-    fs.writeFileSync(paths.db, JSON.stringify(empty, null, 2));
-    return empty;
-  }
   try {
-    return JSON.parse(fs.readFileSync(paths.db, "utf-8"));
-  } catch {
+    return db.readAll();
+  } catch (e) {
+    log(`Load learnings error: ${e.message}`);
     return { learnings: [], meta: { total_sessions: 0 } };
   }
 }
 
 function saveLearnings(data) {
-  ensureDir();
-  fs.writeFileSync(paths.db, JSON.stringify(data, null, 2));
+  db.writeAll(data);
 }
 
 // ─── Add / Reinforce / Contradict ──────────────────────────────────────
+// One message often yields several signals that say the same thing ("No,
+// we use pnpm not npm in this project" → "Uses pnpm instead of npm" and
+// "Team uses pnpm not npm"). Evidence carries the message it came from as
+// `source`, and a learning is reinforced at most once per source — one
+// correction stays one piece of evidence.
 
 function addCandidate(learning) {
-  const data = loadLearnings();
-
-  const newCore = extractCore(learning.text);
-  const newPrefix = extractPrefix(learning.text);
-
-  // If this developer correction aligns with an existing inferred observation,
-  // the observation is now validated — promote it to an active candidate.
-  const alignedInferred = data.learnings.find(
-    (l) => !l.archived && l.inferred && similarity(extractCore(l.text), newCore) > 0.7
-  );
-  if (alignedInferred) {
-    alignedInferred.inferred = false;
-    alignedInferred.confidence = Math.max(alignedInferred.confidence + 0.25, ACTIVATION_THRESHOLD);
-    alignedInferred.aligned_with = learning.text;
-    alignedInferred.aligned_at = new Date().toISOString();
-    alignedInferred.detection_method = "claude_observation_validated";
-    log(`Inferred validated by correction: "${alignedInferred.text}" → conf ${alignedInferred.confidence.toFixed(2)}`);
-  }
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    let saveConflicts = null;
+
+    const newCore = extractCore(learning.text);
+    const newPrefix = extractPrefix(learning.text);
+
+    // Only learnings visible from the repo this signal came from can be
+    // reinforced or contradicted by it. Another repo's "Uses pnpm" is not ours.
+    const visible = data.learnings.filter((l) => isInScope(l, learning.scope_key));
+    // Learnings parked by an open conflict still collect evidence
+    const matchable = (l) => !l.archived || l.contested;
+    const matcher = createMatcher(visible.filter(matchable), learning);
+
+    // If this developer correction aligns with an existing inferred observation,
+    // the observation is now validated — promote it to an active candidate.
+    const alignedInferred = visible.find(
+      (l) => !l.archived && l.inferred && matcher.matches(l)
+    );
+    if (alignedInferred) {
+      alignedInferred.inferred = false;
+      alignedInferred.confidence = Math.max(alignedInferred.confidence + 0.25, ACTIVATION_THRESHOLD);
+      alignedInferred.aligned_with = learning.text;
+      alignedInferred.aligned_at = new Date().toISOString();
+      alignedInferred.detection_method = "claude_observation_validated";
+      log(`Inferred validated by correction: "${alignedInferred.text}" → conf ${alignedInferred.confidence.toFixed(2)}`);
+    }
 
-  // Check for semantic duplicates → reinforce
-  const existing = data.learnings.find((l) => {
-    if (l.archived) return false;
-    const existingCore = extractCore(l.text);
-    const existingPrefix = extractPrefix(l.text);
-    const sameCore =
-      existingCore === newCore ||
-      l.text.toLowerCase() === learning.text.toLowerCase() ||
-      similarity(existingCore, newCore) > 0.7;
-    if (!sameCore) return false;
-    if (prefixContradicts(existingPrefix, newPrefix)) return false;
-    return true;
-  });
+    // Check for semantic duplicates → reinforce
+    const existing = visible.find((l) => {
+      if (!matchable(l)) return false;
+      const existingCore = extractCore(l.text);
+      const existingPrefix = extractPrefix(l.text);
+      const sameCore =
+        existingCore === newCore ||
+        l.text.toLowerCase() === learning.text.toLowerCase() ||
+        matcher.matches(l);
+      if (!sameCore) return false;
+      if (prefixContradicts(existingPrefix, newPrefix)) return false;
+      return true;
+    });
 
-  if (existing) {
-    existing.evidence_count += 1;
-    existing.last_reinforced = new Date().toISOString();
-    existing.confidence = Math.min(1.0, existing.confidence + 0.15);
-    existing.decay_weight = 1.0;
-    // Upgrade classification if new signal is deeper
-    if (isDeeper(learning.classification, existing.classification)) {
-      existing.classification = learning.classification;
-      if (learning.text.length > existing.text.length) {
-        existing.text = learning.text; // keep the richer description
+    const source = learning.evidence?.source;
+    if (existing && source && (existing.evidence || []).some((e) => e.source === source)) {
+      log(`Same message as earlier evidence, not reinforced: "${existing.text}"`);
+    } else if (existing) {
+      existing.evidence_count += 1;
+      existing.last_reinforced = new Date().toISOString();
+      existing.confidence = Math.min(1.0, existing.confidence + 0.15);
+      existing.decay_weight = 1.0;
+      // Upgrade classification if new signal is deeper
+      if (isDeeper(learning.classification, existing.classification)) {
+        existing.classification = learning.classification;
+        if (learning.text.length > existing.text.length) {
+          existing.text = learning.text; // keep the richer description
+          if (learning.embedding) existing.embedding = learning.embedding;
+          else delete existing.embedding;
+        }
       }
-    }
-    // Merge area if different
-    if (learning.area && !existing.areas?.includes(learning.area)) {
-      existing.areas = existing.areas || [existing.area || "general"];
-      if (!existing.areas.includes(learning.area)) {
-        existing.areas.push(learning.area);
+      // Tool triggers (lib/guardrails.js) from a detector that knows them
+      if (learning.triggers?.length && !existing.triggers) existing.triggers = learning.triggers;
+      // Merge area if different
+      if (learning.area && !existing.areas?.includes(learning.area)) {
+        existing.areas = existing.areas || [existing.area || "general"];
+        if (!existing.areas.includes(learning.area)) {
+          existing.areas.push(learning.area);
+        }
       }
-    }
-    existing.evidence.push({
-      claude_said: learning.evidence?.claude_said || "",
-      user_said: learning.evidence?.user_said || "",
-      error_context: learning.evidence?.error_context || "",
-      detected_at: new Date().toISOString(),
-      detection_method: learning.detection_method || "regex",
-    });
-    if (existing.evidence.length > 10) existing.evidence = existing.evidence.slice(-10);
-    log(`Reinforced: "${existing.text}" → conf ${existing.confidence.toFixed(2)}`);
-  } else {
-    // Check contradictions
-    const contradicted = findContradictions(data.learnings, learning.text);
-    for (const old of contradicted) {
-      old.archived = true;
-      old.archived_reason = `Superseded by: "${learning.text}"`;
-      old.archived_at = new Date().toISOString();
-      log(`Archived (contradicted): "${old.text}" → replaced by "${learning.text}"`);
+      existing.evidence.push(evidenceEntry(learning));
+      if (existing.evidence.length > 10) existing.evidence = existing.evidence.slice(-10);
+      log(`Reinforced: "${existing.text}" → conf ${existing.confidence.toFixed(2)}`);
+      if (rebalanceConflicts(data, existing)) saveConflicts = () => markActive(existing);
+    } else {
+      // Contradictions are recorded as conflicts — the weaker side is
+      // parked, not discarded (see lib/conflicts.js)
+      const contradicted = findContradictions(visible, learning.text, matcher);
+
+      // Compute starting confidence
+      const cls = learning.classification || "PREFERENCE";
+      const certainty = learning.certainty || "high";
+      const confMap = START_CONFIDENCE[cls] || START_CONFIDENCE.PREFERENCE;
+      const startConf = learning.confidence || confMap[certainty] || confMap.high;
+
+      const entry = {
+        id: generateId(),
+        text: learning.text,
+        confidence: startConf,
+        evidence_count: 1,
+        scope: learning.scope || "repo",
+        scope_key: learning.scope_key || "",
+        classification: cls,
+        area: learning.area || "general",
+        areas: [learning.area || "general"],
+        first_seen: new Date().toISOString(),
+        last_reinforced: new Date().toISOString(),
+        decay_weight: 1.0,
+        archived: false,
+        promoted: false,
+        detection_method: learning.detection_method || "regex",
+        evidence: [evidenceEntry(learning)],
+      };
+      if (learning.embedding) entry.embedding = learning.embedding;
+      if (learning.triggers?.length) entry.triggers = learning.triggers;
+      data.learnings.push(entry);
+      log(`New candidate [${cls}/${learning.area || "general"}]: "${entry.text}" (start: ${startConf})`);
+      const records = openConflicts(data, entry, contradicted, learning.scope_key || "");
+      saveConflicts = () => recordConflicts(records);
     }
 
-    // Compute starting confidence
-    const cls = learning.classification || "PREFERENCE";
-    const certainty = learning.certainty || "high";
-    const confMap = START_CONFIDENCE[cls] || START_CONFIDENCE.PREFERENCE;
-    const startConf = learning.confidence || confMap[certainty] || confMap.high;
-
-    const entry = {
-      id: generateId(),
-      text: learning.text,
-      confidence: startConf,
-      evidence_count: 1,
-      scope: learning.scope || "repo",
-      scope_key: learning.scope_key || "",
-      classification: cls,
-      area: learning.area || "general",
-      areas: [learning.area || "general"],
-      first_seen: new Date().toISOString(),
-      last_reinforced: new Date().toISOString(),
-      decay_weight: 1.0,
-      archived: false,
-      promoted: false,
-      detection_method: learning.detection_method || "regex",
-      evidence: [
-        {
-          claude_said: learning.evidence?.claude_said || "",
-          user_said: learning.evidence?.user_said || "",
-          error_context: learning.evidence?.error_context || "",
-          detected_at: new Date().toISOString(),
-          detection_method: learning.detection_method || "regex",
-        },
-      ],
-    };
-    data.learnings.push(entry);
-    log(`New candidate [${cls}/${learning.area || "general"}]: "${entry.text}" (start: ${startConf})`);
-  }
+    saveLearnings(data);
+    // Only now: conflicts.json must not name a parking that wasn't saved
+    if (saveConflicts) saveConflicts();
+    return data;
+  });
+}
 
-  saveLearnings(data);
-  return data;
+function evidenceEntry(learning) {
+  const entry = {
+    claude_said: learning.evidence?.claude_said || "",
+    user_said: learning.evidence?.user_said || "",
+    error_context: learning.evidence?.error_context || "",
+    detected_at: new Date().toISOString(),
+    detection_method: learning.detection_method || "regex",
+  };
+  if (learning.evidence?.source) entry.source = learning.evidence.source;
+  return entry;
 }
 
 // ─── Queries ───────────────────────────────────────────────────────────
 
-function getActiveLearnings(threshold = ACTIVATION_THRESHOLD) {
-  const data = loadLearnings();
-  return data.learnings.filter(
-    // inferred learnings are excluded — they haven't been validated yet
-    (l) => !l.archived && !l.promoted && !l.inferred && l.confidence >= threshold
+/**
+ * Active learnings, optionally restricted to what is visible from one repo.
+ * With a scopeKey, repo-scoped learnings from other repos are excluded.
+ */
+function getActiveLearnings(threshold = ACTIVATION_THRESHOLD, scopeKey = null) {
+  // "live" excludes archived, promoted and inferred (not validated yet)
+  return db.queryLearnings({ status: "live" }).filter(
+    (l) => l.confidence >= threshold && isInScope(l, scopeKey)
   );
 }
 
+/**
+ * Is this learning visible from the repo identified by scopeKey?
+ *
+ * - No scopeKey → no filtering (CLI views, legacy callers)
+ * - Global / language scope → visible everywhere
+ * - Repo scope → visible only in its own repo. Learnings stored before
+ *   scope keys existed have an empty scope_key and stay visible everywhere.
+ */
+function isInScope(learning, scopeKey) {
+  if (!scopeKey) return true;
+  // Lost a conflict to a learning scoped to this repo
+  if (learning.overridden_in?.includes(scopeKey)) return false;
+  if (learning.scope !== "repo") return true;
+  if (!learning.scope_key) return true;
+  return learning.scope_key === scopeKey;
+}
+
 function getAllLearnings() {
-  const data = loadLearnings();
-  return data.learnings.filter((l) => !l.archived);
+  return db.queryLearnings({ status: ["live", "inferred", "promoted"] });
 }
 
 // ─── Observation Layer ──────────────────────────────────────────────────────
@@ -184,72 +235,75 @@ function getAllLearnings() {
  * through repeated sessions without contradiction).
  */
 function addObservation(obs) {
-  const data = loadLearnings();
-  const newCore = extractCore(obs.text);
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const visible = data.learnings.filter((l) => isInScope(l, obs.scope_key));
+    const matcher = createMatcher(visible.filter((l) => !l.archived), obs);
+
+    // If this observation matches a regular (non-inferred) learning, just
+    // add a small corroboration boost — the learning already exists.
+    const existingRegular = visible.find(
+      (l) => !l.archived && !l.inferred && matcher.matches(l)
+    );
+    if (existingRegular) {
+      existingRegular.confidence = Math.min(1.0, existingRegular.confidence + 0.03);
+      existingRegular.observation_corroborations = (existingRegular.observation_corroborations || 0) + 1;
+      log(`Observation corroborates existing: "${existingRegular.text}" → conf ${existingRegular.confidence.toFixed(2)}`);
+      saveLearnings(data);
+      return;
+    }
 
-  // If this observation matches a regular (non-inferred) learning, just
-  // add a small corroboration boost — the learning already exists.
-  const existingRegular = data.learnings.find(
-    (l) => !l.archived && !l.inferred && similarity(extractCore(l.text), newCore) > 0.7
-  );
-  if (existingRegular) {
-    existingRegular.confidence = Math.min(1.0, existingRegular.confidence + 0.03);
-    existingRegular.observation_corroborations = (existingRegular.observation_corroborations || 0) + 1;
-    log(`Observation corroborates existing: "${existingRegular.text}" → conf ${existingRegular.confidence.toFixed(2)}`);
-    saveLearnings(data);
-    return;
-  }
+    // If this matches an existing inferred learning, reinforce it.
+    const existingInferred = visible.find(
+      (l) => !l.archived && l.inferred && matcher.matches(l)
+    );
+    if (existingInferred) {
+      existingInferred.confidence = Math.min(existingInferred.confidence + 0.05, 0.44);
+      existingInferred.evidence_count += 1;
+      existingInferred.last_reinforced = new Date().toISOString();
+      log(`Inferred reinforced: "${existingInferred.text}" → conf ${existingInferred.confidence.toFixed(2)}`);
+      saveLearnings(data);
+      return;
+    }
 
-  // If this matches an existing inferred learning, reinforce it.
-  const existingInferred = data.learnings.find(
-    (l) => !l.archived && l.inferred && similarity(extractCore(l.text), newCore) > 0.7
-  );
-  if (existingInferred) {
-    existingInferred.confidence = Math.min(existingInferred.confidence + 0.05, 0.44);
-    existingInferred.evidence_count += 1;
-    existingInferred.last_reinforced = new Date().toISOString();
-    log(`Inferred reinforced: "${existingInferred.text}" → conf ${existingInferred.confidence.toFixed(2)}`);
+    // New inferred learning.
+    const entry = {
+      id: generateId(),
+      text: obs.text,
+      confidence: obs.confidence || 0.20,
+      evidence_count: 1,
+      scope: obs.scope || "repo",
+      scope_key: obs.scope_key || "",
+      classification: obs.classification || "PREFERENCE",
+      area: obs.area || "general",
+      areas: [obs.area || "general"],
+      first_seen: new Date().toISOString(),
+      last_reinforced: new Date().toISOString(),
+      decay_weight: 1.0,
+      archived: false,
+      promoted: false,
+      inferred: true,
+      observation_type: obs.observation_type || "project_observation",
+      detection_method: "claude_observation",
+      evidence: [
+        {
+          // Store only the extracted observation snippet, not raw code
+          observation: obs.evidence?.observation || "",
+          detected_at: new Date().toISOString(),
+        },
+      ],
+    };
+    data.learnings.push(entry);
+    log(`New inferred [${entry.classification}/${entry.area}]: "${entry.text}" (conf: ${entry.confidence})`);
     saveLearnings(data);
-    return;
-  }
-
-  // New inferred learning.
-  const entry = {
-    id: generateId(),
-    text: obs.text,
-    confidence: obs.confidence || 0.20,
-    evidence_count: 1,
-    scope: obs.scope || "repo",
-    classification: obs.classification || "PREFERENCE",
-    area: obs.area || "general",
-    areas: [obs.area || "general"],
-    first_seen: new Date().toISOString(),
-    last_reinforced: new Date().toISOString(),
-    decay_weight: 1.0,
-    archived: false,
-    promoted: false,
-    inferred: true,
-    observation_type: obs.observation_type || "project_observation",
-    detection_method: "claude_observation",
-    evidence: [
-      {
-        // Store only the extracted observation snippet, not raw code
-        observation: obs.evidence?.observation || "",
-        detected_at: new Date().toISOString(),
-      },
-    ],
-  };
-  data.learnings.push(entry);
-  log(`New inferred [${entry.classification}/${entry.area}]: "${entry.text}" (conf: ${entry.confidence})`);
-  saveLearnings(data);
+  });
 }
 
 /**
  * Return all unvalidated inferred learnings (not archived, not promoted).
  */
 function getInferredLearnings() {
-  const data = loadLearnings();
-  return data.learnings.filter((l) => !l.archived && !l.promoted && l.inferred);
+  return db.queryLearnings({ status: "inferred" });
 }
 
 /**
@@ -257,33 +311,37 @@ function getInferredLearnings() {
  * Clears the inferred flag and boosts confidence to the activation threshold.
  */
 function acceptObservation(id) {
-  const data = loadLearnings();
-  const learning = data.learnings.find((l) => l.id === id);
-  if (!learning || !learning.inferred || learning.archived) return null;
-
-  learning.inferred = false;
-  learning.confidence = Math.max(learning.confidence + 0.25, ACTIVATION_THRESHOLD);
-  learning.accepted_at = new Date().toISOString();
-  learning.detection_method = "claude_observation_accepted";
-  saveLearnings(data);
-  log(`Accepted inferred: "${learning.text}" → conf ${learning.confidence.toFixed(2)}`);
-  return learning;
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const learning = data.learnings.find((l) => l.id === id);
+    if (!learning || !learning.inferred || learning.archived) return null;
+
+    learning.inferred = false;
+    learning.confidence = Math.max(learning.confidence + 0.25, ACTIVATION_THRESHOLD);
+    learning.accepted_at = new Date().toISOString();
+    learning.detection_method = "claude_observation_accepted";
+    saveLearnings(data);
+    log(`Accepted inferred: "${learning.text}" → conf ${learning.confidence.toFixed(2)}`);
+    return learning;
+  });
 }
 
 /**
  * Reject an inferred learning: archive it immediately.
  */
 function rejectObservation(id) {
-  const data = loadLearnings();
-  const learning = data.learnings.find((l) => l.id === id);
-  if (!learning || !learning.inferred || learning.archived) return null;
-
-  learning.archived = true;
-  learning.archived_reason = "Rejected by developer";
-  learning.archived_at = new Date().toISOString();
-  saveLearnings(data);
-  log(`Rejected inferred: "${learning.text}"`);
-  return learning;
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const learning = data.learnings.find((l) => l.id === id);
+    if (!learning || !learning.inferred || learning.archived) return null;
+
+    learning.archived = true;
+    learning.archived_reason = "Rejected by developer";
+    learning.archived_at = new Date().toISOString();
+    saveLearnings(data);
+    log(`Rejected inferred: "${learning.text}"`);
+    return learning;
+  });
 }
 
 /**
@@ -292,170 +350,504 @@ function rejectObservation(id) {
  * Capped below the activation threshold — explicit validation still required.
  */
 function applyPassiveAccumulation() {
-  const data = loadLearnings();
-  let changed = false;
-
-  for (const l of data.learnings) {
-    if (!l.inferred || l.archived || l.promoted) continue;
-    // +0.03 per session, capped at 0.44 (just below the 0.45 activation threshold)
-    l.confidence = Math.min(l.confidence + 0.03, 0.44);
-    l.last_reinforced = new Date().toISOString();
-    changed = true;
-  }
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    let changed = false;
+
+    for (const l of data.learnings) {
+      if (!l.inferred || l.archived || l.promoted) continue;
+      // +0.03 per session, capped at 0.44 (just below the 0.45 activation threshold)
+      l.confidence = Math.min(l.confidence + 0.03, 0.44);
+      l.last_reinforced = new Date().toISOString();
+      changed = true;
+    }
 
-  if (changed) {
-    saveLearnings(data);
-    log("Applied passive accumulation to inferred learnings");
-  }
+    if (changed) {
+      saveLearnings(data);
+      log("Applied passive accumulation to inferred learnings");
+    }
+  });
 }
 
 function getPromotable() {
-  const data = loadLearnings();
-  return data.learnings.filter(
+  return db.queryLearnings({ status: ["live", "inferred"] }).filter(
     (l) =>
-      !l.archived &&
-      !l.promoted &&
       l.confidence >= PROMOTION_THRESHOLD &&
       l.evidence_count >= PROMOTION_MIN_EVIDENCE
   );
 }
 
 function getCandidates() {
-  const data = loadLearnings();
-  return data.learnings
-    .filter((l) => !l.archived && !l.promoted && !l.inferred && l.confidence < ACTIVATION_THRESHOLD)
+  return db.queryLearnings({ status: "live" })
+    .filter((l) => l.confidence < ACTIVATION_THRESHOLD)
     .sort((a, b) => b.confidence - a.confidence);
 }
 
 function markPromoted(ids) {
-  const data = loadLearnings();
-  const idSet = new Set(ids);
-  for (const l of data.learnings) {
-    if (idSet.has(l.id)) {
-      l.promoted = true;
-      l.promoted_at = new Date().toISOString();
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const idSet = new Set(ids);
+    for (const l of data.learnings) {
+      if (idSet.has(l.id)) {
+        l.promoted = true;
+        l.promoted_at = new Date().toISOString();
+      }
     }
-  }
-  saveLearnings(data);
+    saveLearnings(data);
+  });
 }
 
 function removeLearning(index) {
-  const data = loadLearnings();
-  const active = data.learnings.filter((l) => !l.archived);
-  if (index >= 0 && index < active.length) {
-    const target = active[index];
-    const realIdx = data.learnings.findIndex((l) => l.id === target.id);
-    if (realIdx !== -1) {
-      data.learnings[realIdx].archived = true;
-      saveLearnings(data);
-      return target;
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const active = data.learnings.filter((l) => !l.archived);
+    if (index >= 0 && index < active.length) {
+      const target = active[index];
+      const realIdx = data.learnings.findIndex((l) => l.id === target.id);
+      if (realIdx !== -1) {
+        data.learnings[realIdx].archived = true;
+        data.learnings[realIdx].archived_reason = "Removed by developer";
+        data.learnings[realIdx].archived_at = new Date().toISOString();
+        saveLearnings(data);
+        return target;
+      }
     }
-  }
-  return null;
+    return null;
+  });
+}
+
+/** Pinned or hard: exempt from decay and automatic contradiction archiving. */
+function isEnforced(learning) {
+  return learning.enforcement === "strong" || learning.enforcement === "hard";
+}
+
+/**
+ * Set a learning's enforcement level, by the same numbering as
+ * removeLearning(). Pinning or hardening a learning is the developer
+ * vouching for it: it becomes active if it wasn't, and an unvalidated
+ * observation counts as accepted.
+ *
+ * @param {number} index
+ * @param {"soft"|"strong"|"hard"} level
+ * @returns {object|null} the learning, or null if there is none at index
+ */
+function setEnforcement(index, level) {
+  if (!ENFORCEMENT_LEVELS.includes(level)) throw new Error(`Unknown enforcement level: ${level}`);
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const target = data.learnings.filter((l) => !l.archived)[index];
+    if (!target) return null;
+
+    if (level === "soft") {
+      delete target.enforcement;
+    } else {
+      target.enforcement = level;
+      target.confidence = Math.max(target.confidence, ACTIVATION_THRESHOLD);
+      target.decay_weight = 1.0;
+      delete target.inferred;
+    }
+    saveLearnings(data);
+    log(`Enforcement ${level}: "${target.text}"`);
+    return target;
+  });
+}
+
+// ─── Archive ───────────────────────────────────────────────────────────
+
+/**
+ * Archived learnings, most recently archived first.
+ */
+function getArchivedLearnings() {
+  const when = (l) => Date.parse(l.archived_at || l.last_reinforced || l.first_seen) || 0;
+  return db.queryLearnings({ status: "archived" }).sort((a, b) => when(b) - when(a));
+}
+
+/**
+ * Bring an archived learning back at the given confidence.
+ * If a contradiction archived it, the link to the learning that superseded
+ * it is removed on both sides. Returns { learning, superseder } or null.
+ * Learnings parked by an open conflict are settled through lib/conflicts.js.
+ */
+function restoreLearning(id, confidence = ACTIVATION_THRESHOLD) {
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const learning = data.learnings.find((l) => l.id === id);
+    if (!learning || !learning.archived || learning.contested) return null;
+
+    let superseder = null;
+    if (learning.superseded_by) {
+      superseder = data.learnings.find((l) => l.id === learning.superseded_by) || null;
+      if (superseder && superseder.supersedes) {
+        superseder.supersedes = superseder.supersedes.filter((sid) => sid !== id);
+        if (superseder.supersedes.length === 0) delete superseder.supersedes;
+      }
+      delete learning.superseded_by;
+    }
+
+    learning.archived = false;
+    delete learning.archived_reason;
+    delete learning.archived_at;
+    learning.confidence = confidence;
+    // Restart the decay clock so the next session doesn't archive it again
+    learning.decay_weight = 1.0;
+    learning.last_reinforced = new Date().toISOString();
+    learning.restored_at = new Date().toISOString();
+
+    saveLearnings(data);
+    log(`Restored: "${learning.text}" → conf ${confidence.toFixed(2)}`);
+    return { learning, superseder };
+  });
 }
 
 // ─── Decay ─────────────────────────────────────────────────────────────
 
 function applyDecay() {
-  const data = loadLearnings();
-  const now = Date.now();
-  let changed = false;
-
-  for (const l of data.learnings) {
-    if (l.archived || l.promoted) continue;
-    const lastReinforced = new Date(l.last_reinforced).getTime();
-    const daysSince = (now - lastReinforced) / (1000 * 60 * 60 * 24);
-
-    if (daysSince > 30) {
-      l.decay_weight *= 0.90;
-      l.confidence *= l.decay_weight;
-      changed = true;
-    } else if (daysSince > 14) {
-      l.decay_weight *= 0.95;
-      l.confidence *= l.decay_weight;
-      changed = true;
-    }
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    const now = Date.now();
+    let changed = false;
+
+    for (const l of data.learnings) {
+      if (l.archived || l.promoted || isEnforced(l)) continue;
+      const lastReinforced = new Date(l.last_reinforced).getTime();
+      const daysSince = (now - lastReinforced) / (1000 * 60 * 60 * 24);
+
+      if (daysSince > 30) {
+        l.decay_weight *= 0.90;
+        l.confidence *= l.decay_weight;
+        changed = true;
+      } else if (daysSince > 14) {
+        l.decay_weight *= 0.95;
+        l.confidence *= l.decay_weight;
+        changed = true;
+      }
 
-    if (l.confidence < ARCHIVE_THRESHOLD) {
-      l.archived = true;
-      l.archived_reason = "Decayed below threshold";
-      log(`Archived (decayed): "${l.text}"`);
-      changed = true;
+      if (l.confidence < ARCHIVE_THRESHOLD) {
+        l.archived = true;
+        l.archived_reason = "Decayed below threshold";
+        l.archived_at = new Date().toISOString();
+        log(`Archived (decayed): "${l.text}"`);
+        changed = true;
+      }
     }
-  }
 
-  if (changed) saveLearnings(data);
+    if (changed) saveLearnings(data);
+  });
 }
 
 function incrementSessionCount() {
-  const data = loadLearnings();
-  data.meta.total_sessions = (data.meta.total_sessions || 0) + 1;
-  saveLearnings(data);
+  return withLock(paths.db, () => {
+    const data = loadLearnings();
+    data.meta.total_sessions = (data.meta.total_sessions || 0) + 1;
+    saveLearnings(data);
+  });
 }
 
 function resetAll() {
-  saveLearnings({ learnings: [], meta: { total_sessions: 0 } });
+  withLock(paths.db, () => {
+    db.resetDb();
+    try { fs.unlinkSync(paths.conflicts); } catch {}
+    try { fs.unlinkSync(paths.refusals); } catch {}
+    try { fs.unlinkSync(paths.guardrails); } catch {}
+    try { fs.unlinkSync(paths.circuit); } catch {}
+    try { fs.unlinkSync(paths.areas); } catch {}
+    fs.rmSync(paths.snapshots, { recursive: true, force: true });
+  });
+}
+
+// ─── Embeddings ────────────────────────────────────────────────────────
+// With the embeddings similarity engine, each learning caches its vector.
+// Learnings added without one (regex detections in the Stop hook, or
+// before the engine was switched on) are filled in here.
+
+const EMBED_BACKFILL_LIMIT = 100;
+
+async function backfillEmbeddings(config, limit = EMBED_BACKFILL_LIMIT) {
+  if (!embeddingsEnabled(config)) return 0;
+
+  const missing = db.queryLearnings({ status: ["live", "inferred", "promoted"] })
+    .filter((l) => !hasEmbedding(l, config))
+    .slice(0, limit);
+  if (missing.length === 0) return 0;
+
+  const embeddings = await embedTexts(missing.map((l) => l.text), config);
+  if (embeddings.size === 0) return 0;
+
+  let filled = 0;
+  withLock(paths.db, () => {
+    for (const { id } of missing) {
+      const current = db.getLearning(id);
+      // Skip if the text changed while the request was in flight
+      const embedding = current && embeddings.get(current.text);
+      if (!embedding) continue;
+      current.embedding = embedding;
+      db.putLearning(current);
+      filled++;
+    }
+  });
+  if (filled > 0) log(`Embeddings cached for ${filled} learning(s)`);
+  return filled;
 }
 
 // ─── WAL (Write-Ahead Log) ────────────────────────────────────────────
 // Pairs are written to a JSONL file BEFORE the background classifier
 // is spawned. If the classifier crashes or machine sleeps, pairs survive.
-// The SessionEnd hook drains anything left.
+//
+// Each entry carries its own state:
+//   pending    waiting to be classified
+//   in_flight  claimed by a worker (claimed_by pid, claimed_at)
+//   failed     last attempt failed — retried until WAL_MAX_ATTEMPTS
+//   batched    submitted to a Message Batches job (batch_id), awaiting results
+// Completed entries are removed. Entries that keep failing move to the
+// dead-letter file (wal-dead.jsonl) and can be replayed with `opentell wal replay`.
+// An in_flight entry whose worker died or stalled is claimable again.
+
+const WAL_MAX_ATTEMPTS = 5;
+const WAL_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
 
 function appendWal(pair) {
-  ensureDir();
-  const line = JSON.stringify({
+  const entry = {
     ...pair,
+    id: generateId(),
+    state: "pending",
+    attempts: 0,
     written_at: new Date().toISOString(),
-  });
-  fs.appendFileSync(paths.wal, line + "\n");
+  };
+  appendLine(paths.wal, JSON.stringify(entry));
+  return entry;
 }
 
+/**
+ * All WAL entries, in order. Entries from before per-entry state get
+ * an id derived from written_at and start out pending.
+ */
 function drainWal() {
-  if (!fs.existsSync(paths.wal)) return [];
+  return readJsonl(paths.wal).map(normalizeWalEntry);
+}
+
+function normalizeWalEntry(e) {
+  return {
+    ...e,
+    id: e.id || `wal_${e.written_at || ""}`,
+    state: e.state || "pending",
+    attempts: e.attempts || 0,
+  };
+}
+
+/**
+ * Claim up to `limit` entries for processing, marking them in_flight.
+ * Pass `filter` to restrict which entries are eligible (e.g. pending only).
+ * Returns the claimed entries; entries another live worker holds are skipped.
+ */
+function claimWalEntries({ limit = Infinity, filter = null } = {}) {
   try {
-    const raw = fs.readFileSync(paths.wal, "utf-8").trim();
-    if (!raw) return [];
-    const lines = raw.split("\n").filter(Boolean);
-    return lines.map((l) => {
-      try { return JSON.parse(l); } catch { return null; }
-    }).filter(Boolean);
-  } catch {
+    return withLock(paths.wal, () => {
+      const entries = drainWal();
+      const claimed = [];
+      const now = Date.now();
+
+      for (const e of entries) {
+        if (claimed.length >= limit) break;
+        if (e.state === "batched") continue;
+        if (filter && !filter(e)) continue;
+        if (e.state === "in_flight") {
+          if (!isClaimAbandoned(e, now)) continue;
+          // The previous worker never finished — count it as a failed attempt
+          e.attempts += 1;
+          e.last_error = "Worker did not finish";
+        }
+        e.state = "in_flight";
+        e.claimed_by = process.pid;
+        e.claimed_at = new Date(now).toISOString();
+        claimed.push({ ...e });
+      }
+
+      if (claimed.length > 0) writeWal(entries);
+      return claimed;
+    });
+  } catch (e) {
+    log(`WAL claim error: ${e.message}`);
     return [];
   }
 }
 
-function clearWal() {
+function isClaimAbandoned(entry, now) {
+  const claimedAt = Date.parse(entry.claimed_at || 0) || 0;
+  if (now - claimedAt > WAL_CLAIM_TIMEOUT_MS) return true;
+  if (!entry.claimed_by || entry.claimed_by === process.pid) return false;
   try {
-    if (fs.existsSync(paths.wal)) fs.writeFileSync(paths.wal, "");
-  } catch {}
+    process.kill(entry.claimed_by, 0);
+    return false;
+  } catch (e) {
+    return e.code === "ESRCH";
+  }
+}
+
+/**
+ * The entry was classified — remove it from the WAL.
+ */
+function completeWalEntry(entry) {
+  updateWalEntries((entries) => entries.filter((e) => e.id !== entry.id));
 }
 
+/**
+ * The attempt failed. The entry goes back to the queue as failed, or to the
+ * dead-letter file once it has used up WAL_MAX_ATTEMPTS.
+ */
+function failWalEntry(entry, error) {
+  updateWalEntries((entries) => {
+    const e = entries.find((x) => x.id === entry.id);
+    if (!e) return entries;
+    e.attempts += 1;
+    e.last_error = String(error || "").slice(0, 200);
+    e.failed_at = new Date().toISOString();
+    delete e.claimed_by;
+    delete e.claimed_at;
+    delete e.batch_id;
+
+    if (e.attempts >= WAL_MAX_ATTEMPTS) {
+      e.state = "dead";
+      appendLine(paths.wal_dead, JSON.stringify(e));
+      log(`WAL: entry ${e.id} moved to dead letters after ${e.attempts} attempts (${e.last_error})`);
+      return entries.filter((x) => x.id !== e.id);
+    }
+    e.state = "failed";
+    return entries;
+  });
+}
+
+/**
+ * Claimed entries were submitted as a batch job — park them until
+ * its results are fetched (see lib/batches.js).
+ */
+function markWalBatched(entries, batchId) {
+  const ids = new Set(entries.map((e) => e.id));
+  updateWalEntries((all) => {
+    for (const e of all) {
+      if (!ids.has(e.id)) continue;
+      e.state = "batched";
+      e.batch_id = batchId;
+      delete e.claimed_by;
+      delete e.claimed_at;
+    }
+    return all;
+  });
+}
+
+/**
+ * Hand a claimed entry back without counting an attempt
+ * (e.g. the endpoint's circuit is open, so it was never tried).
+ */
+function releaseWalEntry(entry) {
+  updateWalEntries((entries) => {
+    const e = entries.find((x) => x.id === entry.id);
+    if (e && (e.state === "in_flight" || e.state === "batched")) {
+      e.state = e.attempts > 0 ? "failed" : "pending";
+      delete e.claimed_by;
+      delete e.claimed_at;
+      delete e.batch_id;
+    }
+    return entries;
+  });
+}
+
+/**
+ * Remove a specific pair from the WAL (by id, or written_at for old entries).
+ */
 function removeFromWal(pair) {
-  // Remove a specific pair from WAL after successful classification.
-  // Match on written_at timestamp.
-  const entries = drainWal();
-  const remaining = entries.filter((e) => e.written_at !== pair.written_at);
+  const id = pair.id || `wal_${pair.written_at || ""}`;
+  completeWalEntry({ id });
+}
+
+function clearWal() {
   try {
-    fs.writeFileSync(paths.wal, remaining.map((e) => JSON.stringify(e)).join("\n") + (remaining.length ? "\n" : ""));
+    withLock(paths.wal, () => {
+      if (fs.existsSync(paths.wal)) writeFileAtomic(paths.wal, "");
+    });
   } catch {}
 }
 
-// ─── Session buffer ────────────────────────────────────────────────────
+function readDeadLetters() {
+  return readJsonl(paths.wal_dead);
+}
 
-function loadBuffer() {
-  ensureDir();
-  if (!fs.existsSync(paths.buffer)) return { session_id: null, signals: [], pairs: [] };
+/**
+ * Move dead-letter entries back into the WAL as pending with a fresh
+ * attempt budget. Pass ids to replay only some. Returns the moved entries.
+ */
+function replayDeadLetters(ids = null) {
   try {
-    return JSON.parse(fs.readFileSync(paths.buffer, "utf-8"));
+    return withLock(paths.wal, () => withLock(paths.wal_dead, () => {
+      const dead = readDeadLetters();
+      const replay = dead.filter((e) => !ids || ids.includes(e.id));
+      if (replay.length === 0) return [];
+
+      const entries = drainWal();
+      for (const e of replay) {
+        const { last_error, failed_at, ...rest } = e;
+        entries.push({ ...rest, state: "pending", attempts: 0, replayed_at: new Date().toISOString() });
+      }
+      writeWal(entries);
+
+      const kept = dead.filter((e) => !replay.includes(e));
+      writeFileAtomic(paths.wal_dead, kept.map((e) => JSON.stringify(e)).join("\n") + (kept.length ? "\n" : ""));
+      return replay;
+    }));
+  } catch (e) {
+    log(`WAL replay error: ${e.message}`);
+    return [];
+  }
+}
+
+function updateWalEntries(fn) {
+  try {
+    withLock(paths.wal, () => writeWal(fn(drainWal())));
+  } catch (e) {
+    log(`WAL update error: ${e.message}`);
+  }
+}
+
+function writeWal(entries) {
+  writeFileAtomic(paths.wal, entries.map((e) => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : ""));
+}
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  try {
+    const raw = fs.readFileSync(file, "utf-8").trim();
+    if (!raw) return [];
+    const lines = raw.split("\n").filter(Boolean);
+    return lines.map((l) => {
+      try { return JSON.parse(l); } catch { return null; }
+    }).filter(Boolean);
   } catch {
-    return { session_id: null, signals: [], pairs: [] };
+    return [];
   }
 }
 
-function saveBuffer(buf) {
+// ─── Session buffer ────────────────────────────────────────────────────
+
+function emptyBuffer() {
+  return { session_id: null, signals: [], pairs: [] };
+}
+
+function loadBuffer() {
   ensureDir();
-  fs.writeFileSync(paths.buffer, JSON.stringify(buf, null, 2));
+  return readJson(paths.buffer, emptyBuffer);
+}
+
+function saveBuffer(buf) {
+  withLock(paths.buffer, () => {
+    writeFileAtomic(paths.buffer, JSON.stringify(buf, null, 2));
+  });
+}
+
+/**
+ * Locked read-modify-write of the session buffer. Use this instead of
+ * loadBuffer/saveBuffer when other hooks may write the buffer concurrently.
+ */
+function updateBuffer(fn) {
+  return updateJson(paths.buffer, emptyBuffer, fn);
 }
 
 function clearBuffer() {
@@ -468,14 +860,6 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
 }
 
-function similarity(a, b) {
-  const setA = new Set(a.split(/\s+/));
-  const setB = new Set(b.split(/\s+/));
-  const intersection = new Set([...setA].filter((x) => setB.has(x)));
-  const union = new Set([...setA, ...setB]);
-  return union.size === 0 ? 0 : intersection.size / union.size;
-}
-
 function extractCore(text) {
   return text
     .toLowerCase()
@@ -516,7 +900,7 @@ function isDeeper(a, b) {
 
 // ─── Contradiction detection ───────────────────────────────────────────
 
-function findContradictions(learnings, newText) {
+function findContradictions(learnings, newText, matcher) {
   const contradicted = [];
   const newLower = newText.toLowerCase();
   const newCore = extractCore(newText);
@@ -539,9 +923,7 @@ function findContradictions(learnings, newText) {
     }
 
     // 2. Same tool category, different tool
-    const oldTool = identifyTool(oldCore);
-    const newTool = identifyTool(newCore);
-    if (oldTool && newTool && oldTool.category === newTool.category && oldTool.name !== newTool.name) {
+    if (areAlternatives(identifyTool(oldCore), identifyTool(newCore))) {
       contradicted.push(existing);
       continue;
     }
@@ -552,14 +934,14 @@ function findContradictions(learnings, newText) {
       continue;
     }
 
-    // 4. Avoids ↔ Uses flip
-    const oldAvoidsMatch = oldLower.match(/avoids?\s+(.+)/);
-    if (oldAvoidsMatch && similarity(oldAvoidsMatch[1], newCore) > 0.6) {
+    // 4. Avoids ↔ Uses flip ("Skips unit tests" ↔ "Writes unit tests" too)
+    const oldAvoidsMatch = oldLower.match(AVOIDS);
+    if (oldAvoidsMatch && matcher.related(oldAvoidsMatch[1], newCore)) {
       contradicted.push(existing);
       continue;
     }
-    const newAvoidsMatch = newLower.match(/avoids?\s+(.+)/);
-    if (newAvoidsMatch && similarity(newAvoidsMatch[1], oldCore) > 0.6) {
+    const newAvoidsMatch = newLower.match(AVOIDS);
+    if (newAvoidsMatch && matcher.related(newAvoidsMatch[1], oldCore)) {
       contradicted.push(existing);
       continue;
     }
@@ -568,28 +950,8 @@ function findContradictions(learnings, newText) {
   return contradicted;
 }
 
-const TOOL_CATEGORIES = {
-  "npm": "package_manager", "pnpm": "package_manager", "yarn": "package_manager", "bun": "package_manager",
-  "jest": "test_framework", "vitest": "test_framework", "mocha": "test_framework", "pytest": "test_framework",
-  "playwright": "e2e_testing", "cypress": "e2e_testing",
-  "eslint": "linter", "biome": "linter", "prettier": "formatter", "ruff": "linter", "black": "formatter",
-  "react": "ui_framework", "vue": "ui_framework", "svelte": "ui_framework", "angular": "ui_framework",
-  "nextjs": "meta_framework", "next.js": "meta_framework", "nuxt": "meta_framework", "remix": "meta_framework", "astro": "meta_framework",
-  "express": "server_framework", "hono": "server_framework", "fastapi": "server_framework", "flask": "server_framework", "django": "server_framework",
-  "supabase": "backend_service", "firebase": "backend_service",
-  "postgres": "database", "mysql": "database", "sqlite": "database", "mongo": "database",
-  "prisma": "orm", "drizzle": "orm", "typeorm": "orm",
-  "tailwind": "css_framework", "bootstrap": "css_framework",
-};
-
-function identifyTool(text) {
-  const words = text.split(/[\s,./]+/);
-  for (const word of words) {
-    const clean = word.toLowerCase().replace(/[^a-z0-9.]/g, "");
-    if (TOOL_CATEGORIES[clean]) return { name: clean, category: TOOL_CATEGORIES[clean] };
-  }
-  return null;
-}
+// A learning that rules something out, and what it rules out
+const AVOIDS = /\b(?:avoids?|skips?|omits?|removes?|disables?|drops?|stops?)\s+(.+)/;
 
 const STYLE_OPPOSITES = [
   [/concise|shorter|brief|less verbose|minimal/, /verbose|detailed|thorough|comprehensive|more explanation/],
@@ -611,12 +973,16 @@ function areStyleOpposites(a, b) {
 
 module.exports = {
   loadLearnings, saveLearnings,
-  addCandidate, getActiveLearnings, getAllLearnings,
+  addCandidate, getActiveLearnings, getAllLearnings, isInScope,
   getPromotable, getCandidates, markPromoted,
-  removeLearning, applyDecay, incrementSessionCount, resetAll,
+  removeLearning, getArchivedLearnings, restoreLearning, applyDecay, incrementSessionCount, resetAll,
+  setEnforcement, isEnforced,
+  backfillEmbeddings,
   appendWal, drainWal, clearWal, removeFromWal,
-  loadBuffer, saveBuffer, clearBuffer,
+  claimWalEntries, completeWalEntry, failWalEntry, releaseWalEntry, markWalBatched,
+  readDeadLetters, replayDeadLetters, WAL_MAX_ATTEMPTS,
+  loadBuffer, saveBuffer, updateBuffer, clearBuffer,
   addObservation, getInferredLearnings, acceptObservation, rejectObservation,
   applyPassiveAccumulation,
-  ACTIVATION_THRESHOLD, PROMOTION_THRESHOLD,
+  ACTIVATION_THRESHOLD, PROMOTION_THRESHOLD, ARCHIVE_THRESHOLD, ENFORCEMENT_LEVELS,
 };
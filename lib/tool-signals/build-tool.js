@@ -0,0 +1,46 @@
+const { matchCommand } = require("../tools");
+
+/**
+ * Build tool substitution.
+ *
+ * Bundlers and compilers build the same thing different ways, so a swap
+ * across the two categories counts too: "npx webpack" followed by
+ * "npx vite build", or "npx tsc" replaced by "tsup". A build is recognized
+ * by the command the tool knowledge base lists for it.
+ */
+const BUILD_CATEGORIES = ["bundler", "compiler"];
+
+function detect(turnEvents) {
+  const builds = turnEvents
+    .filter((e) => e.tool === "Bash" && e.command)
+    .map((e) => ({ event: e, tool: buildTool(e.command) }))
+    .filter((b) => b.tool);
+
+  const signals = [];
+  for (let i = 0; i < builds.length - 1; i++) {
+    const a = builds[i];
+    const b = builds[i + 1];
+    if (a.tool === b.tool) continue;
+    signals.push({
+      text: `Uses ${b.tool} — not ${a.tool}`,
+      confidence: 0.7,
+      area: "general",
+      triggers: [{ type: "command", tool: a.tool }],
+      evidence: {
+        claude_said: `Built with: ${a.event.command}`,
+        user_said: `Replaced with: ${b.event.command}`,
+      },
+    });
+  }
+  return signals;
+}
+
+function buildTool(command) {
+  for (const category of BUILD_CATEGORIES) {
+    const tool = matchCommand(command, category);
+    if (tool) return tool;
+  }
+  return null;
+}
+
+module.exports = { name: "build_tool", detect };
@@ -0,0 +1,91 @@
+/**
+ * Container vs host commands.
+ *
+ * "npm test" on the host followed by "docker compose exec app npm test"
+ * means the project's commands belong in the container (and the reverse
+ * means they don't). Several commands run in the same container in one
+ * turn is a weaker habit signal. Recognizes docker / podman exec and run,
+ * docker compose (and docker-compose) exec and run, and kubectl exec.
+ */
+const SWITCH = 0.7;
+const HABIT = 0.35;
+
+// Flags of exec/run that take a value, so the value isn't read as the service
+const VALUE_FLAGS = new Set(["-e", "--env", "-u", "--user", "-w", "--workdir", "-v", "--volume", "--name", "-p", "--publish", "--network", "--entrypoint", "-c", "--container", "-n", "--namespace"]);
+
+function detect(turnEvents) {
+  const bash = turnEvents
+    .filter((e) => e.tool === "Bash" && e.command)
+    .map((e) => ({ command: e.command, container: parseContainer(e.command) }));
+
+  for (let i = 0; i < bash.length - 1; i++) {
+    const a = bash[i];
+    const b = bash[i + 1];
+    const innerA = a.container ? a.container.inner : a.command.trim();
+    const innerB = b.container ? b.container.inner : b.command.trim();
+    if (!!a.container === !!b.container || signature(innerA) !== signature(innerB)) continue;
+
+    const service = (a.container || b.container).service;
+    return [{
+      text: b.container
+        ? `Runs commands inside the ${service} container — not on the host`
+        : "Runs commands on the host — not inside containers",
+      confidence: SWITCH,
+      area: "devops",
+      evidence: {
+        claude_said: `Ran: ${a.command}`,
+        user_said: `Replaced with: ${b.command}`,
+      },
+    }];
+  }
+
+  const byService = {};
+  for (const b of bash) {
+    if (b.container) (byService[b.container.service] = byService[b.container.service] || []).push(b);
+  }
+  for (const [service, runs] of Object.entries(byService)) {
+    if (runs.length < 2) continue;
+    return [{
+      text: `Runs commands inside the ${service} container — not on the host`,
+      confidence: HABIT,
+      area: "devops",
+      evidence: { claude_said: "", user_said: `Ran: ${runs[0].command}` },
+    }];
+  }
+  return [];
+}
+
+/**
+ * { runner, service, inner } for a command run in a container, else null.
+ * `inner` is the command as it would run on the host.
+ */
+function parseContainer(command) {
+  const text = command.trim();
+
+  const kube = text.match(/^kubectl\s+exec\s+(.*?)\s+--\s+(.+)$/s);
+  if (kube) {
+    const service = kube[1].split(/\s+/).find((t, i, all) => !t.startsWith("-") && !VALUE_FLAGS.has(all[i - 1]));
+    return service ? { runner: "kubectl", service: service.replace(/^pods?\//, ""), inner: kube[2].trim() } : null;
+  }
+
+  const m = text.match(/^(docker\s+compose|docker-compose|podman-compose|podman\s+compose|docker|podman)\s+(exec|run)\s+(.+)$/s);
+  if (!m) return null;
+
+  const tokens = m[3].split(/\s+/);
+  let i = 0;
+  while (i < tokens.length && tokens[i].startsWith("-")) {
+    if (VALUE_FLAGS.has(tokens[i])) i++;
+    i++;
+  }
+  const service = tokens[i];
+  const inner = tokens.slice(i + 1).join(" ");
+  if (!service || !inner) return null;
+  return { runner: m[1].replace(/\s+/, " "), service: service.split(":")[0], inner };
+}
+
+/** Command plus subcommand: "npm run test -- --watch" → "npm run". */
+function signature(command) {
+  return command.split(/\s+/).slice(0, 2).join(" ");
+}
+
+module.exports = { name: "container", detect };
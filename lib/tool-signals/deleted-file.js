@@ -0,0 +1,70 @@
+
+/**
+ * Deleting a file Claude just created.
+ *
+ * Claude wrote a new file in an earlier turn of the session, and this turn
+ * it was removed (`rm`, `git rm`, `unlink`) — after the developer saw it.
+ * Cleaning up inside the same turn is Claude tidying its own work and
+ * doesn't count. What generalizes is the kind of file: unrequested docs,
+ * scratch scripts, or one-off test files.
+ */
+const KINDS = [
+  {
+    match: /\.(?:md|mdx|txt|rst)$/i,
+    text: "Doesn't create documentation or summary files unless asked",
+  },
+  {
+    match: /(?:^|\/)(?:tmp|temp|scratch|debug|try|demo|example)[\w.-]*\.[a-z]+$|\.(?:bak|orig|tmp)$/i,
+    text: "Doesn't leave scratch or debug files in the repo",
+  },
+  {
+    match: /(?:^|\/)(?:test|check|verify)[_-][\w-]*\.(?:js|mjs|ts|py|sh|rb)$/i,
+    text: "Doesn't add one-off test scripts — uses the project's test suite",
+  },
+];
+
+function detect(turnEvents, { sessionEvents = [], turnStart = 0 }) {
+  const created = sessionEvents.filter((e) => e.tool === "Write" && e.path && e.ts <= turnStart);
+  if (created.length === 0) return [];
+
+  const signals = [];
+  const seen = new Set();
+  for (const event of turnEvents) {
+    if (event.tool !== "Bash" || !event.command) continue;
+    for (const target of removedPaths(event.command)) {
+      const file = created.find((c) => c.path === target || c.path.endsWith("/" + target));
+      if (!file) continue;
+      const kind = KINDS.find((k) => k.match.test(file.path));
+      if (!kind || seen.has(kind.text)) continue;
+      seen.add(kind.text);
+      signals.push({
+        text: kind.text,
+        confidence: 0.4,
+        classification: "BEHAVIORAL_GAP",
+        area: "general",
+        triggers: [{ type: "edit", pattern: kind.match.source, new: true }],
+        evidence: {
+          claude_said: `Created: ${file.path}`,
+          user_said: `Deleted: ${event.command}`,
+        },
+      });
+    }
+  }
+  return signals;
+}
+
+/** Files removed by a shell command: rm, git rm, unlink (flags skipped). */
+function removedPaths(command) {
+  const paths = [];
+  for (const step of command.split(/&&|\|\||;|\n/)) {
+    const m = step.trim().match(/^(?:rm|git\s+rm|unlink)\s+(.+)$/);
+    if (!m) continue;
+    for (const token of m[1].split(/\s+/)) {
+      if (!token || token.startsWith("-")) continue;
+      paths.push(token.replace(/^["']|["']$/g, "").replace(/^\.\//, ""));
+    }
+  }
+  return paths;
+}
+
+module.exports = { name: "deleted_file", detect };
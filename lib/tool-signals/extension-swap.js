@@ -0,0 +1,48 @@
+/**
+ * File extension substitution.
+ *
+ * Claude Wrote/Edited a .ts file, then same path appeared as .js (or vice
+ * versa) in the same turn.
+ */
+function detect(turnEvents) {
+  const fileEvents = turnEvents.filter((e) => (e.tool === "Write" || e.tool === "Edit") && e.path);
+
+  return findExtSubstitutions(fileEvents).map((sub) => ({
+    text: `Uses ${sub.to} files — not ${sub.from}`,
+    confidence: 0.65,
+    area: "general",
+    triggers: [{ type: "edit", extension: sub.from, new: true }],
+    evidence: {
+      claude_said: `Created: ${sub.fromPath}`,
+      user_said: `Replaced with: ${sub.toPath}`,
+    },
+  }));
+}
+
+function findExtSubstitutions(fileEvents) {
+  const subs = [];
+  // Group by base path (without extension)
+  const byBase = {};
+  for (const e of fileEvents) {
+    const base = e.path.replace(/\.[^./\\]+$/, "");
+    if (!byBase[base]) byBase[base] = [];
+    byBase[base].push(e);
+  }
+  for (const [base, events] of Object.entries(byBase)) {
+    if (events.length < 2) continue;
+    const exts = events.map((e) => e.ext).filter(Boolean);
+    const unique = [...new Set(exts)];
+    if (unique.length >= 2) {
+      // First ext → last ext = substitution
+      subs.push({
+        from: unique[0],
+        to: unique[unique.length - 1],
+        fromPath: base + unique[0],
+        toPath: base + unique[unique.length - 1],
+      });
+    }
+  }
+  return subs;
+}
+
+module.exports = { name: "extension_swap", detect };
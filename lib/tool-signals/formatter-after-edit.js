@@ -0,0 +1,40 @@
+const { matchCommand } = require("../tools");
+
+/**
+ * Formatter or linter run right after edits.
+ *
+ * Files were written or edited, and later in the same turn a formatter or
+ * linter ran ("npx prettier --write src", "ruff check --fix"). Whether the
+ * developer asked for it or a project instruction did, it is how work gets
+ * finished here — a quality standard rather than a tool choice.
+ */
+const CATEGORIES = ["formatter", "linter"];
+
+function detect(turnEvents) {
+  const firstEdit = turnEvents.findIndex((e) => (e.tool === "Write" || e.tool === "Edit") && e.path);
+  if (firstEdit < 0) return [];
+
+  const signals = [];
+  const seen = new Set();
+  for (const event of turnEvents.slice(firstEdit + 1)) {
+    if (event.tool !== "Bash" || !event.command) continue;
+    for (const category of CATEGORIES) {
+      const tool = matchCommand(event.command, category);
+      if (!tool || seen.has(tool)) continue;
+      seen.add(tool);
+      signals.push({
+        text: `Runs ${tool} after editing files`,
+        confidence: 0.4,
+        classification: "QUALITY_STANDARD",
+        area: "general",
+        evidence: {
+          claude_said: `Edited: ${turnEvents[firstEdit].path}`,
+          user_said: `Then ran: ${event.command}`,
+        },
+      });
+    }
+  }
+  return signals;
+}
+
+module.exports = { name: "formatter_after_edit", detect };
@@ -0,0 +1,154 @@
+/**
+ * Git workflow habits.
+ *
+ *   integration  rebase vs merge — `git rebase main`, `git pull --rebase`
+ *                against `git merge main`, `git pull --no-rebase`
+ *   commits      conventional commit subjects ("feat(api): …", "fix: …")
+ *   branches     a naming scheme: type prefixes (feature/…, fix/…) or an
+ *                owner prefix (jdoe/…)
+ *
+ * One command in a turn is a weak habit signal. Switching within a turn —
+ * a merge aborted and redone as a rebase, a commit amended into the
+ * conventional format, a branch renamed into the scheme — is a correction,
+ * and scores like one.
+ */
+const HABIT = 0.35;
+const SWITCH = 0.7;
+
+const CONVENTIONAL = /^(?:feat|fix|chore|docs|refactor|test|perf|build|ci|style|revert)(?:\([\w./-]+\))?!?: \S/;
+const BRANCH_TYPES = /^(?:feature|feat|fix|bugfix|hotfix|chore|docs|refactor|release)$/;
+
+function detect(turnEvents) {
+  const git = [];
+  for (const e of turnEvents) {
+    if (e.tool !== "Bash" || !e.command) continue;
+    // Only && and || split steps: commit messages may hold ";" and newlines
+    for (const step of e.command.split(/&&|\|\|/)) {
+      const parsed = parseGit(step);
+      if (parsed) git.push({ ...parsed, command: e.command });
+    }
+  }
+  if (git.length === 0) return [];
+
+  return [integration(git), commits(git), branches(git)].filter(Boolean);
+}
+
+function parseGit(step) {
+  const m = step.trim().match(/^git(?:\s+-[Cc]\s+\S+)*\s+([a-z-]+)(.*)$/s);
+  return m ? { sub: m[1], args: m[2].trim() } : null;
+}
+
+// ─── Rebase vs merge ────────────────────────────────────────────────────────
+
+function integration(git) {
+  const styles = [];
+  for (const g of git) {
+    if (/--(?:abort|continue|skip|quit)\b/.test(g.args)) continue;
+    if (g.sub === "rebase" || (g.sub === "pull" && /(?:^|\s)(?:--rebase|-r)\b/.test(g.args))) {
+      styles.push({ style: "rebase", command: g.command });
+    } else if (g.sub === "merge" || (g.sub === "pull" && /--no-rebase\b/.test(g.args))) {
+      styles.push({ style: "merge", command: g.command });
+    }
+  }
+  if (styles.length === 0) return null;
+
+  const first = styles[0];
+  const last = styles[styles.length - 1];
+  const switched = first.style !== last.style;
+  return {
+    text: last.style === "rebase" ? "Rebases instead of merging" : "Merges instead of rebasing",
+    confidence: switched ? SWITCH : HABIT,
+    area: "devops",
+    triggers: [{ type: "command", signature: last.style === "rebase" ? "git merge" : "git rebase" }],
+    evidence: {
+      claude_said: switched ? `Tried: ${first.command}` : `Ran: ${last.command}`,
+      user_said: switched ? `Replaced with: ${last.command}` : "",
+    },
+  };
+}
+
+// ─── Commit messages ────────────────────────────────────────────────────────
+
+function commits(git) {
+  const messages = git
+    .filter((g) => g.sub === "commit")
+    .map((g) => ({ subject: commitSubject(g.args), amend: /--amend\b/.test(g.args), command: g.command }))
+    .filter((c) => c.subject);
+  if (messages.length === 0) return null;
+
+  const last = messages[messages.length - 1];
+  if (!CONVENTIONAL.test(last.subject)) return null;
+
+  // A commit rewritten into the format: amended, or committed again after a reset
+  const rewrote = messages.find((c) => !CONVENTIONAL.test(c.subject));
+  if (!rewrote && !messages.every((c) => CONVENTIONAL.test(c.subject))) return null;
+
+  return {
+    text: "Writes conventional commit messages (feat:, fix:, chore: …)",
+    confidence: rewrote ? SWITCH : HABIT,
+    area: "devops",
+    triggers: [{ type: "commit", format: "conventional" }],
+    evidence: {
+      claude_said: rewrote ? `Committed: ${rewrote.subject}` : "",
+      user_said: `${last.amend ? "Amended to" : "Committed"}: ${last.subject}`,
+    },
+  };
+}
+
+/**
+ * First line of a `-m` message, including `-m "$(cat <<'EOF' …` heredocs and
+ * `-m` combined with other flags (`-am`, `-qm`).
+ */
+function commitSubject(args) {
+  const heredoc = args.match(/<<\s*'?(\w+)'?\s*\n([^\n]+)/);
+  if (heredoc) return heredoc[2].trim();
+  const m = args.match(/(?:^|\s)(?:-[a-zA-Z]*m|--message)(?:=|\s+)(?:"([^"]*)"|'([^']*)'|(\S+))/);
+  const message = m ? m[1] ?? m[2] ?? m[3] : "";
+  return message.split("\n")[0].trim();
+}
+
+// ─── Branch names ───────────────────────────────────────────────────────────
+
+function branches(git) {
+  const created = [];
+  for (const g of git) {
+    const args = g.args.split(/\s+/).filter(Boolean);
+    let name = null;
+    let renamedFrom = null;
+    if ((g.sub === "checkout" && args[0] === "-b") || (g.sub === "switch" && args[0] === "-c")) {
+      name = args[1];
+    } else if (g.sub === "branch" && (args[0] === "-m" || args[0] === "-M")) {
+      [renamedFrom, name] = args.length >= 3 ? [args[1], args[2]] : [null, args[1]];
+    } else if (g.sub === "branch" && args.length === 1 && !args[0].startsWith("-")) {
+      name = args[0];
+    }
+    if (name) created.push({ name, renamedFrom, command: g.command });
+  }
+
+  for (const branch of created.reverse()) {
+    const scheme = branchScheme(branch.name);
+    if (!scheme) continue;
+    const renamed = branch.renamedFrom !== null || created.some((b) => b !== branch && !branchScheme(b.name));
+    return {
+      text: scheme,
+      confidence: renamed ? SWITCH : HABIT,
+      area: "devops",
+      evidence: {
+        claude_said: branch.renamedFrom ? `Branch: ${branch.renamedFrom}` : "",
+        user_said: `${branch.renamedFrom ? "Renamed to" : "Created"}: ${branch.name}`,
+      },
+    };
+  }
+  return null;
+}
+
+function branchScheme(name) {
+  const slash = name.indexOf("/");
+  if (slash <= 0) return null;
+  const prefix = name.slice(0, slash);
+  if (BRANCH_TYPES.test(prefix)) return "Names branches by type: feature/…, fix/…";
+  if (/^[a-z][\w.-]*$/i.test(prefix)) return `Names branches ${prefix}/<topic>`;
+  return null;
+}
+
+module.exports = { name: "git_workflow", detect, parseGit, commitSubject, CONVENTIONAL };
@@ -0,0 +1,127 @@
+const { log } = require("../config");
+
+/**
+ * OpenTell — Tool Signal Detectors
+ *
+ * Detects high-confidence preference signals directly from tool usage patterns.
+ * These bypass the LLM classifier entirely — the evidence is structural, not textual.
+ *
+ * Called by the Stop hook with the tool events accumulated this turn. Each
+ * detector is its own module in this directory:
+ *
+ *   module.exports = {
+ *     name: "git_workflow",
+ *     detect(turnEvents, { sessionEvents, turnStart }) { return [signal, …]; },
+ *   };
+ *
+ * `turnEvents` are the PostToolUse events of the turn ({ tool, command?,
+ * path?, ext?, ts }); `sessionEvents` are all of the session's, for
+ * detectors that compare with earlier turns. A signal needs `text`,
+ * `confidence`, `area` and `evidence: { claude_said, user_said }`, and may
+ * carry `triggers` — the tool calls that go against it (lib/guardrails.js);
+ * classification (PREFERENCE), scope ("repo"), certainty and
+ * detection_method are filled in. A detector that throws is logged and
+ * skipped — the others still run.
+ */
+
+const DETECTORS = [
+  require("./substitution"),
+  require("./extension-swap"),
+  require("./build-tool"),
+  require("./formatter-after-edit"),
+  require("./git-workflow"),
+  require("./container"),
+  require("./deleted-file"),
+];
+
+/**
+ * Run every detector over the turn's tool events and return learning
+ * candidates, one per learning text.
+ *
+ * @param {Array} toolEvents - from session buffer, filtered to current turn
+ * @param {object} [options]
+ * @param {Array} [options.sessionEvents] - the session's tool events so far
+ * @param {number} [options.turnStart] - timestamp the turn started at
+ */
+function detectToolSignals(toolEvents, options = {}) {
+  if (!toolEvents || toolEvents.length === 0) return [];
+
+  const context = {
+    sessionEvents: options.sessionEvents || toolEvents,
+    turnStart: options.turnStart || 0,
+  };
+  const signals = [];
+  const seen = new Set();
+
+  for (const detector of DETECTORS) {
+    let found;
+    try {
+      found = detector.detect(toolEvents, context) || [];
+    } catch (e) {
+      log(`Tool signal detector ${detector.name} failed: ${e.message}`);
+      continue;
+    }
+    for (const signal of found) {
+      // biome → ruff is both a linter and a formatter swap
+      if (seen.has(signal.text)) continue;
+      seen.add(signal.text);
+      signals.push({
+        classification: "PREFERENCE",
+        scope: "repo",
+        certainty: "high",
+        detection_method: "tool_pattern",
+        ...signal,
+        evidence: { error_context: "", ...signal.evidence },
+        detector: detector.name,
+      });
+    }
+  }
+  return signals;
+}
+
+/**
+ * Build a compact, human-readable summary of tool events for the LLM classifier.
+ * This gets appended to the classifier prompt as extra context.
+ *
+ * Takes the structured events from the transcript (lib/transcript.js), so
+ * failures, exit codes, denied permission prompts and calls stopped with
+ * Esc are included — a refused edit shows the change that was turned down.
+ */
+function formatToolContext(toolEvents) {
+  if (!toolEvents || toolEvents.length === 0) return "";
+
+  const lines = toolEvents.slice(-15).map((e) => {
+    const target = e.command || e.path || e.input || "";
+    let line;
+    switch (e.tool) {
+      case "Bash":   line = `  bash: ${target}`; break;
+      case "Write":  line = `  wrote: ${target}`; break;
+      case "Edit":
+      case "MultiEdit": line = `  edited: ${target}`; break;
+      default:       line = target ? `  ${e.tool}: ${target}` : `  ${e.tool}`;
+    }
+
+    if (e.status === "denied" || e.status === "interrupted") {
+      line += `  \u2192 ${e.status.toUpperCase()} by the developer`;
+      if (e.change) {
+        if (e.change.old) line += `\n    - ${oneLine(e.change.old)}`;
+        line += `\n    + ${oneLine(e.change.new)}`;
+      }
+    } else if (e.status === "error") {
+      line += e.exit_code ? `  \u2192 exit ${e.exit_code}` : "  \u2192 failed";
+      if (e.error) line += `\n    ${oneLine(e.error.slice(-200))}`;
+    }
+    return line;
+  });
+
+  return "Tool uses this turn:\n" + lines.join("\n");
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function oneLine(str) {
+  const flat = String(str).replace(/\s+/g, " ").trim();
+  return flat.length > 120 ? flat.slice(0, 120) + "..." : flat;
+}
+
+module.exports = { detectToolSignals, formatToolContext, DETECTORS };
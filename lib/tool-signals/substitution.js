@@ -0,0 +1,38 @@
+const { matchCommand, substitutionCategories } = require("../tools");
+
+/**
+ * Tool substitution.
+ *
+ * Claude ran "npm install X", then user (or Claude after correction)
+ * ran "pnpm install X" in the same turn. Clear preference signal. Same
+ * for test runners, linters, runtimes… — every category in the tool
+ * knowledge base marked `substitution`.
+ */
+function detect(turnEvents) {
+  const bash = turnEvents.filter((e) => e.tool === "Bash" && e.command);
+  const signals = [];
+
+  for (const category of substitutionCategories()) {
+    for (let i = 0; i < bash.length - 1; i++) {
+      const a = bash[i];
+      const b = bash[i + 1];
+      const toolA = matchCommand(a.command, category.name);
+      const toolB = matchCommand(b.command, category.name);
+      if (!toolA || !toolB || toolA === toolB) continue;
+
+      signals.push({
+        text: `Uses ${toolB} — not ${toolA}`,
+        confidence: 0.72,
+        area: category.area,
+        triggers: [{ type: "command", tool: toolA }],
+        evidence: {
+          claude_said: `Tool used: ${a.command}`,
+          user_said: `Replaced with: ${b.command}`,
+        },
+      });
+    }
+  }
+  return signals;
+}
+
+module.exports = { name: "substitution", detect };
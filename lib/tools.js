@@ -0,0 +1,272 @@
+const fs = require("fs");
+const path = require("path");
+const { paths, log } = require("./config");
+
+/**
+ * OpenTell — Tool Knowledge Base
+ *
+ * One list of the tools OpenTell knows about, shared by every detector and
+ * by contradiction detection. The bundled list lives in lib/tools.json; a
+ * developer can extend or override it in ~/.opentell/tools.json:
+ *
+ *   {
+ *     "categories": { "task_runner": { "area": "general", "substitution": true } },
+ *     "tools": {
+ *       "just":   { "category": "task_runner", "commands": ["just"] },
+ *       "rails":  { "aliases": ["ror"] },
+ *       "black":  { "disabled": true }
+ *     }
+ *   }
+ *
+ * Each tool is keyed by its canonical lowercase name and has:
+ *
+ *   category   one category name, or an array (bun is a package manager
+ *              and a runtime)
+ *   aliases    other ways prose refers to it ("nextjs", "next js"); the
+ *              canonical name always counts
+ *   commands   CLI signatures — how a shell command starting with it looks
+ *              ("next", "go test", "bin/rails")
+ *
+ * A user entry for an existing tool is merged into it (arrays are appended
+ * to), and `"disabled": true` drops the tool. Categories carry the
+ * learning area, the detector pattern that reports them, and whether
+ * swapping one tool for another in the shell is a preference signal.
+ */
+
+const BUNDLED_PATH = path.join(__dirname, "tools.json");
+
+let cached = null;
+
+// ─── Loading ────────────────────────────────────────────────────────────────
+
+/**
+ * The merged knowledge base, built once per process.
+ * @returns {{ categories: object, tools: object, runnerPrefixes: string[] }}
+ */
+function loadToolKB() {
+  if (cached) return cached;
+
+  const bundled = readKB(BUNDLED_PATH) || { categories: {}, tools: {} };
+  const user = fs.existsSync(paths.tools) ? readKB(paths.tools) : null;
+
+  const categories = { ...bundled.categories };
+  const tools = {};
+  for (const [name, def] of Object.entries(bundled.tools || {})) tools[name] = { ...def };
+  let runnerPrefixes = [...(bundled.runner_prefixes || [])];
+
+  if (user) {
+    for (const [name, def] of Object.entries(user.categories || {})) {
+      categories[name] = { ...(categories[name] || {}), ...def };
+    }
+    for (const [rawName, def] of Object.entries(user.tools || {})) {
+      const name = rawName.toLowerCase();
+      if (def.disabled) {
+        delete tools[name];
+        continue;
+      }
+      tools[name] = mergeTool(tools[name], def);
+    }
+    runnerPrefixes = unique([...runnerPrefixes, ...(user.runner_prefixes || [])]);
+  }
+
+  cached = index(categories, tools, runnerPrefixes);
+  return cached;
+}
+
+function readKB(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    log(`Could not read tool knowledge base ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+function mergeTool(base, def) {
+  if (!base) return { ...def };
+  const merged = { ...base, ...def };
+  for (const key of ["aliases", "commands"]) {
+    if (base[key] || def[key]) merged[key] = unique([...(base[key] || []), ...(def[key] || [])]);
+  }
+  return merged;
+}
+
+/**
+ * Normalize tool definitions and build the lookup structures: one regex
+ * over every alias (longest first, so "next.js" wins over a shorter
+ * overlapping alias) and the alias → canonical name map.
+ */
+function index(categories, defs, runnerPrefixes) {
+  const tools = {};
+  const aliasMap = new Map();
+
+  for (const [name, def] of Object.entries(defs)) {
+    const cats = [].concat(def.category || def.categories || []).filter((c) => categories[c]);
+    if (cats.length === 0) {
+      log(`Tool "${name}" has no known category — ignored`);
+      continue;
+    }
+    const aliases = unique([name, ...(def.aliases || [])].map((a) => a.toLowerCase()));
+    const commands = unique((def.commands || []).map((c) => c.toLowerCase()));
+    tools[name] = { name, categories: cats, aliases, commands };
+    for (const alias of aliases) aliasMap.set(alias, name);
+  }
+
+  const aliases = [...aliasMap.keys()].sort((a, b) => b.length - a.length);
+
+  return {
+    categories,
+    tools,
+    aliasMap,
+    aliasRegex: aliases.length > 0 ? new RegExp(boundedAlternation(aliases), "g") : null,
+    runnerPrefixes: [...runnerPrefixes].map((p) => p.toLowerCase()).sort((a, b) => b.length - a.length),
+  };
+}
+
+// ─── Prose ──────────────────────────────────────────────────────────────────
+
+/**
+ * Every tool mentioned in a piece of text, in order of appearance.
+ * @returns {Array<{ name: string, categories: string[] }>}
+ */
+function findTools(text) {
+  const kb = loadToolKB();
+  if (!kb.aliasRegex || !text) return [];
+
+  const found = [];
+  const seen = new Set();
+  for (const match of text.toLowerCase().matchAll(kb.aliasRegex)) {
+    const name = kb.aliasMap.get(match[1].replace(/\s+/g, " "));
+    if (seen.has(name)) continue;
+    seen.add(name);
+    found.push(toResult(kb.tools[name]));
+  }
+  return found;
+}
+
+/** The first tool mentioned in a piece of text, or null. */
+function identifyTool(text) {
+  return findTools(text)[0] || null;
+}
+
+/** Canonical name for an alias ("nextjs" → "next.js"), or null. */
+function canonicalName(alias) {
+  return loadToolKB().aliasMap.get(String(alias).toLowerCase().replace(/\s+/g, " ")) || null;
+}
+
+/** Two different tools that fill the same role, e.g. pnpm and yarn. */
+function areAlternatives(a, b) {
+  if (!a || !b || a.name === b.name) return false;
+  return a.categories.some((c) => b.categories.includes(c));
+}
+
+/** Learning areas of the tools mentioned in a piece of text. */
+function toolAreas(text) {
+  const kb = loadToolKB();
+  const areas = new Set();
+  for (const tool of findTools(text)) {
+    for (const c of tool.categories) {
+      if (kb.categories[c]?.area) areas.add(kb.categories[c].area);
+    }
+  }
+  return areas;
+}
+
+/**
+ * Aliases of every tool whose category reports through a given detector
+ * pattern (see `pattern` on categories), longest first.
+ */
+function aliasesForPattern(patternName) {
+  const kb = loadToolKB();
+  const aliases = [];
+  for (const tool of Object.values(kb.tools)) {
+    if (tool.categories.some((c) => kb.categories[c].pattern === patternName)) aliases.push(...tool.aliases);
+  }
+  return unique(aliases).sort((a, b) => b.length - a.length);
+}
+
+/** Detector pattern names used by the categories, in definition order. */
+function detectorPatterns() {
+  return unique(Object.values(loadToolKB().categories).map((c) => c.pattern).filter(Boolean));
+}
+
+// ─── Shell commands ─────────────────────────────────────────────────────────
+
+/**
+ * Which tool of a category a shell command runs, if any.
+ *
+ * Each step of a compound command ("cd web && npx vitest run") is checked,
+ * after stripping leading env assignments. A step is tried as written, then
+ * with runner prefixes (npx, pnpm exec, python -m, bundle exec…) removed,
+ * so "pnpm install" is pnpm while "pnpm vitest" is vitest.
+ *
+ * @param {string} command
+ * @param {string} category
+ * @returns {string|null} canonical tool name
+ */
+function matchCommand(command, category) {
+  if (!command) return null;
+  const kb = loadToolKB();
+  const candidates = Object.values(kb.tools).filter((t) => t.categories.includes(category));
+
+  for (const step of command.toLowerCase().split(/&&|\|\||[;|\n]/)) {
+    let rest = step.trim().replace(/^(?:\w+=\S*\s+)+/, "");
+    while (rest) {
+      const hit = candidates.find((t) => t.commands.some((sig) => startsWithWord(rest, sig)));
+      if (hit) return hit.name;
+      const prefix = kb.runnerPrefixes.find((p) => startsWithWord(rest, p));
+      if (!prefix) break;
+      rest = rest.slice(prefix.length).trim();
+    }
+  }
+  return null;
+}
+
+/** Categories where replacing one tool's command with another's is a signal. */
+function substitutionCategories() {
+  const kb = loadToolKB();
+  return Object.entries(kb.categories)
+    .filter(([, c]) => c.substitution)
+    .map(([name, c]) => ({ name, area: c.area || "general" }));
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function toResult(tool) {
+  return { name: tool.name, categories: tool.categories };
+}
+
+function startsWithWord(text, word) {
+  return text === word || text.startsWith(word + " ") || text.startsWith(word + "\t");
+}
+
+/**
+ * Alternation of literal aliases, bounded so "npm" doesn't match inside
+ * "pnpm" or "node_modules". A trailing "." is allowed (end of sentence).
+ */
+function boundedAlternation(aliases) {
+  const body = aliases.map(escapeRegex).join("|");
+  return `(?<![a-z0-9_.\\-/])(${body})(?![a-z0-9_\\-]|\\.[a-z0-9])`;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+");
+}
+
+function unique(list) {
+  return [...new Set(list)];
+}
+
+module.exports = {
+  loadToolKB,
+  findTools,
+  identifyTool,
+  canonicalName,
+  areAlternatives,
+  toolAreas,
+  aliasesForPattern,
+  detectorPatterns,
+  matchCommand,
+  substitutionCategories,
+  boundedAlternation,
+};
@@ -3,7 +3,10 @@ const { log } = require("./config");
 
 /**
  * Parse a Claude Code JSONL transcript file into structured messages.
- * Returns array of { role, text } objects with only human-readable content.
+ * Returns array of { role, text, tool_events } objects with only
+ * human-readable text. `tool_events` holds the tool calls made since the
+ * previous message (see toolEvent()), so the events of a turn end up on
+ * the user message that answers it.
  */
 function parseTranscript(transcriptPath) {
   if (!fs.existsSync(transcriptPath)) {
@@ -15,13 +18,37 @@ function parseTranscript(transcriptPath) {
   if (!raw) return [];
 
   const messages = [];
+  // Tool calls by tool_use id, so a later tool_result can complete them
+  const calls = new Map();
+  let pending = [];
 
   for (const line of raw.split("\n")) {
     if (!line.trim()) continue;
     try {
       const entry = JSON.parse(line);
+
+      for (const block of contentBlocks(entry)) {
+        if (block.type === "tool_use") {
+          const event = toolEvent(block);
+          calls.set(block.id, event);
+          pending.push(event);
+        } else if (block.type === "tool_result" && calls.has(block.tool_use_id)) {
+          applyToolResult(calls.get(block.tool_use_id), block, entry.toolUseResult);
+        }
+      }
+
       const parsed = extractMessage(entry);
-      if (parsed) messages.push(parsed);
+      if (parsed && INTERRUPTED.test(parsed.text)) {
+        // Esc pressed: calls still waiting for a result never ran
+        for (const event of calls.values()) {
+          if (event.status === "pending") event.status = "interrupted";
+        }
+        continue;
+      }
+      if (parsed) {
+        messages.push({ ...parsed, tool_events: pending });
+        pending = [];
+      }
     } catch (e) {
       // Skip malformed lines
     }
@@ -32,7 +59,8 @@ function parseTranscript(transcriptPath) {
 
 /**
  * Extract a readable message from a transcript entry.
- * Filters out tool_use, tool_result, and system messages.
+ * Filters out tool_use, tool_result, and system messages — those are read
+ * separately as tool events.
  */
 function extractMessage(entry) {
   const role = entry.role || entry.type;
@@ -50,19 +78,14 @@ function extractMessage(entry) {
 
   if (typeof entry.content === "string") {
     text = entry.content;
-  } else if (Array.isArray(entry.content)) {
-    // Filter to only text blocks (skip tool_use, tool_result, images, etc.)
-    const textBlocks = entry.content.filter(
-      (block) => block.type === "text" && block.text
-    );
-    text = textBlocks.map((b) => b.text).join("\n");
   } else if (entry.message && typeof entry.message.content === "string") {
     text = entry.message.content;
-  } else if (entry.message && Array.isArray(entry.message.content)) {
-    const textBlocks = entry.message.content.filter(
-      (block) => block.type === "text" && block.text
-    );
-    text = textBlocks.map((b) => b.text).join("\n");
+  } else {
+    // Only text blocks (skip tool_use, tool_result, images, etc.)
+    text = contentBlocks(entry)
+      .filter((block) => block.type === "text" && block.text)
+      .map((b) => b.text)
+      .join("\n");
   }
 
   // Skip empty or very short messages (likely tool results)
@@ -71,6 +94,104 @@ function extractMessage(entry) {
   return { role: normalizedRole, text: text.trim() };
 }
 
+function contentBlocks(entry) {
+  if (Array.isArray(entry.content)) return entry.content;
+  if (entry.message && Array.isArray(entry.message.content)) return entry.message.content;
+  return [];
+}
+
+// ─── Tool events ──────────────────────────────────────────────────────────────
+
+// Claude Code's tool_result text when the developer says no at the permission prompt
+const DENIED = /user (?:doesn't|does not) want to (?:proceed|take this action)|tool use was rejected|user rejected/i;
+
+// What Claude Code records when the developer presses Esc, as a user
+// message or as the result of the tool call that was running
+const INTERRUPTED = /^\[Request interrupted by user/;
+
+const MAX_ERROR_CHARS = 300;
+
+/**
+ * A tool call from a tool_use block:
+ *   { tool, input, command?, path?, change?, status, exit_code?, error? }
+ * `input` is a one-line summary; `change` is the start of an edit's old and
+ * new text. status starts as "pending" until the tool_result arrives, then
+ * becomes "ok", "error", "denied" (refused at the permission prompt) or
+ * "interrupted" (stopped with Esc).
+ */
+function toolEvent(block) {
+  const input = block.input || {};
+  const event = { tool: block.name || "unknown", input: summarizeInput(block.name, input), status: "pending" };
+
+  if (input.command) event.command = String(input.command).slice(0, 300);
+  const file = input.file_path || input.notebook_path || input.path;
+  if (file) event.path = String(file);
+
+  if (typeof input.old_string === "string" || typeof input.new_string === "string") {
+    event.change = { old: clip(input.old_string, 200), new: clip(input.new_string, 200) };
+  } else if (Array.isArray(input.edits) && input.edits.length > 0) {
+    event.change = { old: clip(input.edits[0].old_string, 200), new: clip(input.edits[0].new_string, 200) };
+  } else if (typeof input.content === "string") {
+    event.change = { old: "", new: clip(input.content, 200) };
+  }
+  return event;
+}
+
+function summarizeInput(tool, input) {
+  const summary =
+    input.command || input.file_path || input.notebook_path || input.pattern ||
+    input.url || input.query || input.description || JSON.stringify(input);
+  return clip(String(summary).replace(/\s+/g, " "), 160);
+}
+
+/**
+ * Complete a tool event from its tool_result block. Claude Code also puts a
+ * structured copy on the entry (`toolUseResult`): stdout/stderr for Bash, or
+ * a plain string for errors and denials.
+ */
+function applyToolResult(event, block, structured) {
+  const text = resultText(block.content) || (typeof structured === "string" ? structured : "");
+
+  if (DENIED.test(text) || (typeof structured === "string" && DENIED.test(structured))) {
+    event.status = "denied";
+    return;
+  }
+  if (INTERRUPTED.test(text.trim())) {
+    event.status = "interrupted";
+    return;
+  }
+
+  const exit = text.match(/^Exit code (\d+)/m);
+  if (exit) event.exit_code = Number(exit[1]);
+
+  if (block.is_error || (event.exit_code && event.exit_code !== 0)) {
+    event.status = "error";
+    const stderr = structured && typeof structured === "object" ? structured.stderr : "";
+    event.error = clip((stderr || text).replace(/^Exit code \d+\n?/m, "").trim(), MAX_ERROR_CHARS, true);
+  } else {
+    event.status = "ok";
+    if (event.tool === "Bash") event.exit_code = 0;
+  }
+}
+
+function resultText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.filter((b) => b.type === "text" && b.text).map((b) => b.text).join("\n");
+  }
+  return "";
+}
+
+/**
+ * Shorten to max chars. Errors keep their tail — the last lines of a
+ * failing test run or stack trace carry the message.
+ */
+function clip(str, max, keepTail = false) {
+  if (!str) return "";
+  if (str.length <= max) return str;
+  return keepTail ? "..." + str.slice(-max) : str.slice(0, max) + "...";
+}
+
 /**
  * Extract (assistant, user) turn pairs for analysis.
  * We want pairs where the user responded to something Claude said.
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { classifyPairs, LEARNING_TYPES, CLASSIFY_BATCH_SIZE } = require("./classifier");
+const { embedTexts } = require("./similarity");
+const { addCandidate, claimWalEntries, completeWalEntry, failWalEntry, releaseWalEntry } = require("./store");
+const { paths, loadConfig, log } = require("./config");
+const { isProviderConfigured } = require("./provider");
+
+/**
+ * OpenTell — WAL Runner
+ *
+ * Classifies queued WAL entries and stores the learnings. Shared by the
+ * background worker, the SessionEnd hook and `opentell wal replay`, so every
+ * path applies the same state transitions:
+ *
+ *   success              → entry removed
+ *   error / bad response → attempt counted, entry stays queued
+ *                          (dead-lettered after WAL_MAX_ATTEMPTS)
+ *   circuit open         → entry released untouched, run stops
+ *
+ * Entries are classified CLASSIFY_BATCH_SIZE per request (see classifyPairs).
+ *
+ * Also owns the single background worker (scripts/classify-bg.js): hooks
+ * call spawnClassifyWorker(), which is a no-op while a worker is running.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.limit] — max entries to claim
+ * @param {function} [options.filter] — only claim entries this accepts
+ * @param {string} [options.label] — log prefix
+ * @param {object} [config]
+ * @returns {Promise<{ claimed: string[], processed: number, learnings: number, failed: number, deferred: number }>}
+ */
+async function runWal({ limit = Infinity, filter = null, label = "WAL" } = {}, config = loadConfig()) {
+  const result = { claimed: [], processed: 0, learnings: 0, failed: 0, deferred: 0 };
+  if (!isProviderConfigured(config)) return result;
+
+  const claimed = claimWalEntries({ limit, filter });
+  result.claimed = claimed.map((e) => e.id);
+
+  for (let i = 0; i < claimed.length; i += CLASSIFY_BATCH_SIZE) {
+    const chunk = claimed.slice(i, i + CLASSIFY_BATCH_SIZE);
+    let results;
+    try {
+      results = await classifyPairs(chunk, config);
+    } catch (e) {
+      if (e.code === "CIRCUIT_OPEN") {
+        // Endpoint is down — hand everything not yet tried back untouched
+        const rest = claimed.slice(i);
+        for (const entry of rest) releaseWalEntry(entry);
+        result.deferred += rest.length;
+        log(`${label}: ${e.message}, ${rest.length} entr(ies) deferred`);
+        break;
+      }
+      for (const entry of chunk) failWalEntry(entry, e.message);
+      result.failed += chunk.length;
+      log(`${label} classify error: ${e.message}`);
+      continue;
+    }
+
+    const embeddings = await embedLearnings(results, config);
+    chunk.forEach((entry, j) => applyClassification(entry, results[j], result, label, embeddings));
+  }
+
+  return result;
+}
+
+/**
+ * Embeddings for the learnings in a set of classification results, so the
+ * store can compare them semantically (empty unless the embeddings engine
+ * is on). Map learning text → embedding.
+ */
+function embedLearnings(results, config) {
+  const texts = results
+    .filter((cls) => cls && LEARNING_TYPES.has(cls.classification) && cls.learning)
+    .map((cls) => cls.learning);
+  return embedTexts(texts, config);
+}
+
+/**
+ * Store one classification result and settle its WAL entry.
+ * `result` counters (processed / learnings / failed) are updated in place.
+ */
+function applyClassification(entry, cls, result, label, embeddings = new Map()) {
+  if (!cls || cls.classification === "ERROR") {
+    failWalEntry(entry, cls?.reason || "Classification error");
+    result.failed++;
+    return;
+  }
+
+  if (LEARNING_TYPES.has(cls.classification) && cls.learning) {
+    const certainty = cls.certainty || "high";
+    addCandidate({
+      text: cls.learning,
+      scope: cls.scope || "global",
+      scope_key: entry.scope_key || "",
+      classification: cls.classification,
+      area: cls.area || "general",
+      certainty,
+      detection_method: "llm",
+      embedding: embeddings.get(cls.learning),
+      evidence: {
+        claude_said: entry.claude_said?.slice(0, 300) || "",
+        user_said: entry.user_said?.slice(0, 300) || "",
+        error_context: entry.error_context?.slice(0, 200) || "",
+        source: entry.source,
+      },
+    });
+    result.learnings++;
+    log(`${label} [${cls.classification}/${cls.area || "general"}/${certainty}]: "${cls.learning}"`);
+  }
+
+  completeWalEntry(entry);
+  result.processed++;
+}
+
+// ─── Background worker ───────────────────────────────────────────────────────
+
+/**
+ * Start the background classifier unless one is already running.
+ * @param {string[]} [args] — e.g. ["--resume"] to also retry failed entries
+ */
+function spawnClassifyWorker(args = []) {
+  try {
+    if (workerRunning()) return false;
+    const scriptPath = path.join(__dirname, "..", "scripts", "classify-bg.js");
+    const child = spawn("node", [scriptPath, ...args], {
+      detached: true,
+      stdio: "ignore",
+    });
+    child.unref();
+    return true;
+  } catch (e) {
+    log(`Failed to spawn bg classifier: ${e.message}`);
+    return false;
+  }
+}
+
+function workerRunning() {
+  const pid = readWorkerPid();
+  return pid ? isAlive(pid) : false;
+}
+
+/**
+ * Take the worker pidfile. Returns false if another live worker holds it.
+ */
+function acquireWorkerLock() {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(paths.worker_pid, String(process.pid), { flag: "wx" });
+      return true;
+    } catch (e) {
+      if (e.code !== "EEXIST") return false;
+      const pid = readWorkerPid();
+      if (pid && isAlive(pid)) return false;
+      try { fs.unlinkSync(paths.worker_pid); } catch {}
+    }
+  }
+  return false;
+}
+
+function releaseWorkerLock() {
+  try {
+    if (readWorkerPid() === process.pid) fs.unlinkSync(paths.worker_pid);
+  } catch {}
+}
+
+function readWorkerPid() {
+  try {
+    return parseInt(fs.readFileSync(paths.worker_pid, "utf-8"), 10) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code !== "ESRCH";
+  }
+}
+
+module.exports = {
+  runWal,
+  applyClassification,
+  embedLearnings,
+  spawnClassifyWorker,
+  acquireWorkerLock,
+  releaseWorkerLock,
+};
@@ -5,29 +5,50 @@
  *
  * Usage:
  *   opentell                 Show status (all learnings, grouped by type)
+ *   opentell status --repo   Show only global + current repo's learnings
  *   opentell profile         Show your developer profile (narrative)
  *   opentell profile regen   Force regenerate the profile
  *   opentell promote         Promote high-confidence learnings to CLAUDE.md
  *   opentell promote --dry   Preview what would be promoted
  *   opentell consolidate     Find and merge related learnings into deeper insights
  *   opentell patterns        Show cross-session patterns (signals that persist)
- *   opentell context         Show what Claude sees at session start
+ *   opentell context         Show what Claude sees at session start here (with active areas)
+ *   opentell context --budget <n> --explain  Compose for a token budget, show why each learning made it
+ *   opentell guardrails      Learnings checked before tool calls; block <n> / remind <n>
  *   opentell remove <n>      Remove learning by number
+ *   opentell pin <n>         Pin a learning: always injected, never decays
+ *   opentell harden <n>      Make a learning a hard rule: pinned, and blocks tool calls against it
+ *   opentell unpin <n>       Back to a soft learning
+ *   opentell archived        List archived learnings with reason and date
+ *   opentell restore <n> [c] Restore archived learning n at confidence c (default 0.45)
  *   opentell pause           Pause learning
  *   opentell resume          Resume learning
  *   opentell reset           Clear all learnings
  *   opentell export          Export learnings as JSON
  *   opentell import <file>   Import learnings from JSON
  *   opentell log             Show recent log entries
+ *   opentell wal             Show queued and dead-letter classification pairs
+ *   opentell wal replay [n]  Requeue dead letters (all, or number n) and classify the queue
+ *   opentell sync            Fetch results of submitted batch classification jobs
+ *   opentell history [id]    Show recent changes, or one learning's timeline
+ *   opentell undo [n]        Revert the last n changes to learnings
+ *   opentell conflicts       List open contradictions between learnings
+ *   opentell conflicts resolve|scope <n> <1|2>, both <n>   Settle a conflict
+ *   opentell similarity "<a>" "<b>"  Score two learnings with the similarity engine
+ *   opentell similarity --tune [file]  Evaluate thresholds on the labelled pair corpus
+ *   opentell rules           List your detection rules (global and this repo's)
+ *   opentell rules test "<message>"  Show which rules and built-in patterns fire
+ *   opentell eval [file]     Score the detectors on the labelled corpus (offline)
+ *   opentell eval --live [--record]  Score the classifier prompt with the real provider
  */
 
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { buildStatus, buildContext } = require("./lib/skill-writer");
-const { loadLearnings, saveLearnings, removeLearning, resetAll, getAllLearnings, getPromotable, getCandidates, getInferredLearnings, acceptObservation, rejectObservation } = require("./lib/store");
+const { buildStatus, composeContext } = require("./lib/skill-writer");
+const { loadLearnings, saveLearnings, removeLearning, resetAll, getAllLearnings, getPromotable, getInferredLearnings, acceptObservation, rejectObservation } = require("./lib/store");
 const { previewPromotion, promoteToClaudeMd } = require("./lib/promoter");
-const { loadConfig, paths, ensureDir } = require("./lib/config");
+const { loadConfig, paths, ensureDir, withLock, writeFileAtomic } = require("./lib/config");
 
 const args = process.argv.slice(2);
 const command = args[0] || "status";
@@ -35,9 +56,12 @@ const command = args[0] || "status";
 async function run() {
   switch (command) {
     case "status":
-    case "show":
-      console.log(buildStatus());
+    case "show": {
+      const { resolveScopeKey } = require("./lib/scope");
+      const scopeKey = args.includes("--repo") ? resolveScopeKey(process.cwd()) : null;
+      console.log(buildStatus(scopeKey));
       break;
+    }
 
     case "profile": {
       if (args[1] === "regen" || args[1] === "regenerate") {
@@ -75,12 +99,32 @@ async function run() {
     }
 
     case "context": {
-      const context = buildContext();
-      if (context) {
-        console.log("This is what Claude sees at the start of every session:\n");
+      const { resolveScopeKey } = require("./lib/scope");
+      const { inferActiveAreas } = require("./lib/areas");
+      const budgetIdx = args.indexOf("--budget");
+      const budget = budgetIdx >= 0 ? parseInt(args[budgetIdx + 1], 10) : null;
+      if (budgetIdx >= 0 && !(budget > 0)) {
+        console.error("Usage: opentell context [--budget <tokens>] [--explain]");
+        process.exit(1);
+      }
+      const scopeKey = resolveScopeKey(process.cwd());
+      const { areas, reasons } = inferActiveAreas(process.cwd(), scopeKey, { fresh: true });
+      const result = composeContext(loadConfig().confidence_threshold || 0.45, areas.length > 0 ? areas : null, scopeKey, budget);
+      if (areas.length > 0) {
+        console.log("Active areas here:");
+        for (const area of areas) console.log(`  ${area.padEnd(13)} ${reasons[area].slice(0, 3).join(", ")}`);
+        console.log("");
+      }
+      if (result.text) {
+        console.log("This is what Claude sees at the start of a session in this directory:\n");
         console.log("\u2500".repeat(60));
-        console.log(context);
+        console.log(result.text);
         console.log("\u2500".repeat(60));
+        console.log(`~${result.tokens} of ${result.budget} tokens, ${result.included.length} learning(s)${result.dropped.length > 0 ? `, ${result.dropped.length} left out` : ""}`);
+        if (args.includes("--explain")) explainContext(result);
+      } else if (result.dropped.length > 0) {
+        console.log(`No learning fits in ${result.budget} tokens \u2014 nothing would be injected.`);
+        if (args.includes("--explain")) explainContext(result);
       } else {
         console.log("No active learnings yet. Context injection is empty.");
         console.log("Keep using Claude Code \u2014 OpenTell will build your context from corrections.");
@@ -147,12 +191,16 @@ async function run() {
     case "promote": {
       const promoteIdx = parseInt(args[1], 10);
       if (!isNaN(promoteIdx) && promoteIdx >= 1) {
-        // Force-promote a specific candidate by number
-        const candidates = getCandidates();
-        const target = candidates[promoteIdx - 1];
-        if (!target) {
-          console.error(`No candidate at position ${promoteIdx}`);
-          console.error("Use 'opentell' to see numbered candidates");
+        // Force-promote a specific learning by its number in status
+        const target = getAllLearnings()[promoteIdx - 1];
+        if (!target || target.promoted) {
+          console.error(`No learning to promote at position ${promoteIdx}`);
+          console.error("Use 'opentell' to see numbered learnings");
+          process.exit(1);
+        }
+        if (target.inferred) {
+          console.error(`"${target.text}" is an unvalidated observation from Claude`);
+          console.error("Accept it first with 'opentell accept <n>' (see 'opentell observations')");
           process.exit(1);
         }
         const result = promoteToClaudeMd(null, [target]);
@@ -210,6 +258,87 @@ async function run() {
       break;
     }
 
+    case "pin":
+    case "harden":
+    case "unpin": {
+      const { setEnforcement } = require("./lib/store");
+      const idx = parseInt(args[1], 10);
+      if (isNaN(idx) || idx < 1) {
+        console.error(`Usage: opentell ${command} <number>`);
+        console.error("Use 'opentell' to see numbered learnings");
+        process.exit(1);
+      }
+      const level = { pin: "strong", harden: "hard", unpin: "soft" }[command];
+      const learning = setEnforcement(idx - 1, level);
+      if (!learning) {
+        console.error(`No learning at position ${idx}`);
+        break;
+      }
+      if (level === "hard") {
+        console.log(`\ud83d\udd12 Hard rule: ${learning.text}`);
+        console.log("   Always injected, never decays, and tool calls that go against it are blocked.");
+        const { triggersFor } = require("./lib/guardrails");
+        if (triggersFor(learning).length === 0) console.log("   (No tool call is known to go against it, so nothing will be blocked.)");
+      } else if (level === "strong") {
+        console.log(`\ud83d\udccc Pinned: ${learning.text}`);
+        console.log("   Always injected and never decays.");
+      } else {
+        console.log(`Unpinned: ${learning.text}`);
+      }
+      break;
+    }
+
+    case "archived": {
+      const { getArchivedLearnings } = require("./lib/store");
+      const archived = getArchivedLearnings();
+      if (archived.length === 0) {
+        console.log("No archived learnings.");
+        break;
+      }
+      console.log(`${archived.length} archived learning(s), most recent first:\n`);
+      archived.forEach((l, i) => {
+        const when = l.archived_at ? l.archived_at.slice(0, 10) : "unknown date";
+        console.log(`  ${i + 1}. ${l.text}`);
+        console.log(`     ${l.archived_reason || "Archived"} | ${when} | conf: ${l.confidence.toFixed(2)} | ${l.evidence_count}x`);
+        if (l.contested) console.log("     (open conflict \u2014 settle it with 'opentell conflicts')");
+      });
+      console.log("\nRun 'opentell restore <n> [confidence]' to bring one back.");
+      break;
+    }
+
+    case "restore": {
+      const { getArchivedLearnings, restoreLearning, ACTIVATION_THRESHOLD, ARCHIVE_THRESHOLD } = require("./lib/store");
+      const idx = parseInt(args[1], 10);
+      if (isNaN(idx) || idx < 1) {
+        console.error("Usage: opentell restore <number> [confidence]");
+        console.error("Use 'opentell archived' to see numbered archived learnings");
+        process.exit(1);
+      }
+      const confidence = args[2] !== undefined ? parseFloat(args[2]) : ACTIVATION_THRESHOLD;
+      if (isNaN(confidence) || confidence <= ARCHIVE_THRESHOLD || confidence > 1) {
+        console.error(`Confidence must be above ${ARCHIVE_THRESHOLD} and at most 1.0`);
+        process.exit(1);
+      }
+      const target = getArchivedLearnings()[idx - 1];
+      if (!target) {
+        console.error(`No archived learning at position ${idx}`);
+        process.exit(1);
+      }
+      if (target.contested) {
+        console.error(`"${target.text}" is parked by an open conflict \u2014 use 'opentell conflicts' to settle it`);
+        process.exit(1);
+      }
+      const restored = restoreLearning(target.id, confidence);
+      if (restored) {
+        console.log(`Restored: "${restored.learning.text}" (conf: ${confidence.toFixed(2)})`);
+        if (restored.superseder) {
+          console.log(`Unlinked from "${restored.superseder.text}", which had superseded it \u2014 both are now kept.`);
+          console.log("Run 'opentell remove <n>' if that one should go instead.");
+        }
+      }
+      break;
+    }
+
     case "observations":
     case "obs": {
       const inferred = getInferredLearnings();
@@ -304,15 +433,17 @@ async function run() {
 
         if (settings.hooks) {
           let removed = 0;
-          for (const event of ["SessionStart", "Stop", "SessionEnd", "PostToolUse"]) {
+          for (const event of ["SessionStart", "UserPromptSubmit", "Stop", "SessionEnd", "PreToolUse", "PostToolUse"]) {
             if (!settings.hooks[event]) continue;
             const before = settings.hooks[event].length;
             settings.hooks[event] = settings.hooks[event].filter((group) => {
               const s = JSON.stringify(group);
               return !s.includes("opentell") &&
                      !s.includes("on-session-start.js") &&
+                     !s.includes("on-user-prompt.js") &&
                      !s.includes("on-stop.js") &&
                      !s.includes("on-session-end.js") &&
+                     !s.includes("on-pre-tool-use.js") &&
                      !s.includes("on-post-tool-use.js");
             });
             removed += before - settings.hooks[event].length;
@@ -435,13 +566,16 @@ async function run() {
         console.error("Invalid format: expected { learnings: [...] }");
         process.exit(1);
       }
-      const current = loadLearnings();
-      let added = 0;
-      for (const l of imported.learnings) {
-        const exists = current.learnings.find((e) => e.text.toLowerCase() === l.text.toLowerCase());
-        if (!exists) { current.learnings.push(l); added++; }
-      }
-      saveLearnings(current);
+      const added = withLock(paths.db, () => {
+        const current = loadLearnings();
+        let count = 0;
+        for (const l of imported.learnings) {
+          const exists = current.learnings.find((e) => e.text.toLowerCase() === l.text.toLowerCase());
+          if (!exists) { current.learnings.push(l); count++; }
+        }
+        saveLearnings(current);
+        return count;
+      });
       console.log(`Imported ${added} new learnings (${imported.learnings.length - added} duplicates skipped)`);
       break;
     }
@@ -464,6 +598,439 @@ async function run() {
       break;
     }
 
+    case "wal": {
+      const { drainWal, readDeadLetters, replayDeadLetters, WAL_MAX_ATTEMPTS } = require("./lib/store");
+
+      if (args[1] === "replay") {
+        const { runWal } = require("./lib/wal-runner");
+        const { isProviderConfigured } = require("./lib/provider");
+        const dead = readDeadLetters();
+        let ids = null;
+        if (args[2]) {
+          const entry = dead[parseInt(args[2], 10) - 1];
+          if (!entry) {
+            console.error(`No dead letter #${args[2]}. Run 'opentell wal' to list them.`);
+            process.exit(1);
+          }
+          ids = [entry.id];
+        }
+        const replayed = replayDeadLetters(ids);
+        if (replayed.length > 0) console.log(`Requeued ${replayed.length} dead-letter pair(s).`);
+
+        if (!isProviderConfigured(loadConfig())) {
+          console.log("No LLM provider configured \u2014 pairs stay queued until one is.");
+          break;
+        }
+        const queued = drainWal().length;
+        if (queued === 0) {
+          console.log("WAL is empty.");
+          break;
+        }
+        console.log(`Classifying ${queued} queued pair(s)...`);
+        const result = await runWal({ label: "WAL replay" });
+        console.log(`  ${result.processed} classified (${result.learnings} learning(s))`);
+        if (result.failed) console.log(`  ${result.failed} failed \u2014 still queued, see 'opentell log'`);
+        if (result.deferred) console.log(`  ${result.deferred} deferred \u2014 API circuit is open, try again later`);
+        break;
+      }
+
+      const { listBatches } = require("./lib/batches");
+      const entries = drainWal();
+      const dead = readDeadLetters();
+      const batches = listBatches();
+      if (entries.length === 0 && dead.length === 0) {
+        console.log("WAL is empty \u2014 no pairs waiting for classification.");
+        break;
+      }
+
+      const snippet = (e) => (e.user_said || "").replace(/\s+/g, " ").slice(0, 70);
+      if (entries.length > 0) {
+        console.log(`Queued (${entries.length}):\n`);
+        for (const e of entries) {
+          const attempts = e.attempts ? ` | attempts ${e.attempts}/${WAL_MAX_ATTEMPTS}` : "";
+          console.log(`  [${e.state}] "${snippet(e)}"`);
+          console.log(`     written ${e.written_at || "?"}${attempts}`);
+          if (e.last_error) console.log(`     last error: ${e.last_error}`);
+        }
+        console.log("");
+      }
+      if (dead.length > 0) {
+        console.log(`Dead letters (${dead.length}) \u2014 gave up after ${WAL_MAX_ATTEMPTS} attempts:\n`);
+        dead.forEach((e, i) => {
+          console.log(`  ${i + 1}. "${snippet(e)}"`);
+          console.log(`     written ${e.written_at || "?"} | last error: ${e.last_error || "?"}`);
+        });
+        console.log("");
+      }
+      if (batches.length > 0) {
+        console.log(`Batch jobs awaiting results (${batches.length}):\n`);
+        for (const b of batches) console.log(`  ${b.id} \u2014 ${b.pairs} pair(s), submitted ${b.submitted_at}`);
+        console.log("\nRun 'opentell sync' to fetch finished batch results.");
+      }
+      console.log("Run 'opentell wal replay' to requeue dead letters and classify everything now.");
+      break;
+    }
+
+    case "sync": {
+      const { listBatches, syncBatches } = require("./lib/batches");
+      const open = listBatches();
+      if (open.length === 0) {
+        console.log("No batch jobs awaiting results.");
+        break;
+      }
+      console.log(`Checking ${open.length} batch job(s)...`);
+      const result = await syncBatches();
+      console.log(`  ${result.ended} finished \u2014 ${result.processed} pair(s) classified (${result.learnings} learning(s)), ${result.failed} failed`);
+      if (result.in_progress) console.log(`  ${result.in_progress} still processing \u2014 try again later`);
+      break;
+    }
+
+    case "history": {
+      const { readHistory, learningHistory, undoableTxns, describeEvent } = require("./lib/history");
+      const query = args.slice(1).join(" ").trim();
+
+      if (!query) {
+        const txns = undoableTxns().slice(0, 20);
+        if (txns.length === 0) {
+          console.log("No history yet \u2014 changes to learnings are recorded from now on.");
+          break;
+        }
+        console.log("Recent changes (newest first):\n");
+        txns.forEach((t, i) => {
+          console.log(`  ${i + 1}. ${t.at.slice(0, 16).replace("T", " ")}`);
+          for (const e of t.events) {
+            console.log(`     ${e.event.padEnd(10)} ${e.learning_id.slice(0, 8)}  "${truncate(e.text, 50)}"`);
+          }
+        });
+        console.log("\nRun 'opentell history <id>' for a learning's timeline, 'opentell undo [n]' to revert the last n changes.");
+        break;
+      }
+
+      // Id prefix first, then text search
+      let events = learningHistory(query);
+      if (events.length === 0) {
+        const lower = query.toLowerCase();
+        const ids = new Set(readHistory().filter((e) => (e.text || "").toLowerCase().includes(lower)).map((e) => e.learning_id));
+        if (ids.size > 1) {
+          console.log(`"${query}" matches ${ids.size} learnings \u2014 use an id:\n`);
+          for (const id of ids) {
+            const last = readHistory().filter((e) => e.learning_id === id).pop();
+            console.log(`  ${id.slice(0, 8)}  "${truncate(last.text, 60)}"`);
+          }
+          break;
+        }
+        events = ids.size === 1 ? learningHistory([...ids][0]) : [];
+      }
+      if (events.length === 0) {
+        console.log(`No history for "${query}".`);
+        break;
+      }
+
+      console.log(`History of "${events[events.length - 1].text}" (${events[0].learning_id}):\n`);
+      for (const e of events) {
+        console.log(`  ${e.at.slice(0, 16).replace("T", " ")}  ${e.event.padEnd(10)} ${describeEvent(e)}`);
+      }
+      break;
+    }
+
+    case "undo": {
+      const { undo } = require("./lib/history");
+      const n = parseInt(args[1], 10) || 1;
+      const reverted = undo(n);
+      if (reverted.length === 0) {
+        console.log("Nothing to undo.");
+        break;
+      }
+      console.log(`Reverted ${reverted.length} change(s):\n`);
+      for (const t of reverted) {
+        for (const e of t.events) {
+          console.log(`  \u21A9 ${e.event.padEnd(10)} "${truncate(e.text, 60)}"`);
+        }
+      }
+      break;
+    }
+
+    case "conflicts": {
+      const { listConflicts, resolveConflict } = require("./lib/conflicts");
+      const { ACTIVATION_THRESHOLD } = require("./lib/store");
+      const { resolveScopeKey, scopeLabel } = require("./lib/scope");
+      const action = args[1];
+      const open = listConflicts("open");
+
+      if (!action) {
+        if (open.length === 0) {
+          console.log("No open conflicts.");
+          break;
+        }
+        console.log(`${open.length} open conflict(s) \u2014 the stronger side stays active until you decide:\n`);
+        open.forEach((c, i) => {
+          const where = c.scope_key ? `  (contradicted in ${scopeLabel(c.scope_key)})` : "";
+          console.log(`  ${i + 1}. ${c.created_at.slice(0, 10)}${where}`);
+          [c.a, c.b].forEach((side, j) => {
+            const l = c.learnings[j];
+            const state = !l ? "gone  " : l.archived ? "parked" : "active";
+            const detail = l ? `  (${l.evidence_count}x, conf: ${l.confidence.toFixed(2)})` : "";
+            console.log(`     [${j + 1}] ${state}  ${truncate(l?.text || side.text, 60)}${detail}`);
+          });
+        });
+        console.log("\nSettle one with:");
+        console.log("  opentell conflicts resolve <n> <1|2>   keep that side, archive the other");
+        console.log("  opentell conflicts scope <n> <1|2>     that side applies only in its repo, the other everywhere else");
+        console.log("  opentell conflicts both <n>            keep both, marked context-dependent");
+        break;
+      }
+
+      if (!["resolve", "scope", "both"].includes(action)) {
+        console.error(`Unknown conflicts action: ${action}`);
+        console.error("Usage: opentell conflicts [resolve|scope <n> <1|2> | both <n>]");
+        process.exit(1);
+      }
+      const idx = parseInt(args[2], 10);
+      const conflict = open[idx - 1];
+      if (!conflict) {
+        console.error(`No open conflict at position ${args[2] || "?"} \u2014 run 'opentell conflicts' to list them`);
+        process.exit(1);
+      }
+      const sideArg = parseInt(args[3], 10);
+      if (action !== "both" && sideArg !== 1 && sideArg !== 2) {
+        console.error(`Usage: opentell conflicts ${action} <n> <1|2>`);
+        process.exit(1);
+      }
+
+      const { learnings } = resolveConflict(conflict.id, action, {
+        side: sideArg - 1 || 0,
+        scope_key: resolveScopeKey(process.cwd()),
+        min_confidence: ACTIVATION_THRESHOLD,
+      });
+      const text = (j) => learnings[j]?.text || [conflict.a, conflict.b][j].text;
+      if (action === "resolve") {
+        console.log(`Kept: "${text(sideArg - 1)}"`);
+        console.log(`Archived: "${text(2 - sideArg)}"`);
+      } else if (action === "scope") {
+        const scoped = learnings[sideArg - 1];
+        console.log(`"${text(sideArg - 1)}" now applies only in ${scopeLabel(scoped.scope_key)}`);
+        console.log(`"${text(2 - sideArg)}" applies everywhere else`);
+      } else {
+        console.log("Kept both as context-dependent:");
+        console.log(`  "${text(0)}"`);
+        console.log(`  "${text(1)}"`);
+      }
+      break;
+    }
+
+    case "similarity": {
+      const { loadPairs, evaluatePairs, getSimilaritySettings, createMatcher, embedTexts, CORPUS_PATH } = require("./lib/similarity");
+      const config = loadConfig();
+      const settings = getSimilaritySettings(config);
+
+      if (args[1] === "--tune") {
+        const file = args[2] || CORPUS_PATH;
+        const pairs = loadPairs(file);
+        const result = await evaluatePairs(pairs, config);
+        console.log(`${pairs.length} labelled pairs, ${result.engine} engine\n`);
+        console.log("  threshold  precision  recall   F1     F0.5");
+        for (const row of result.sweep) {
+          const mark = row.threshold === result.best.threshold ? "  \u2190 best" :
+            Math.abs(row.threshold - result.threshold) < 1e-9 ? "  \u2190 current" : "";
+          console.log(`  ${row.threshold.toFixed(3).padEnd(9)}  ${row.precision.toFixed(2).padEnd(9)}  ${row.recall.toFixed(2).padEnd(7)}  ${row.f1.toFixed(2).padEnd(5)}  ${row.f05.toFixed(2)}${mark}`);
+        }
+
+        const wrong = result.scored.filter((p) => (p.score >= result.threshold) !== p.same);
+        console.log(`\nAt the current threshold (${result.threshold}), ${wrong.length} pair(s) misjudged:`);
+        for (const p of wrong) {
+          console.log(`  ${p.same ? "missed" : "merged"}  ${p.score.toFixed(2)}  "${p.a}" / "${p.b}"`);
+        }
+        console.log(`\nSet "similarity": { "thresholds": { "${result.engine}": ${result.best.threshold} } } in config.json to use the best threshold.`);
+        break;
+      }
+
+      const [a, b] = [args[1], args[2]];
+      if (!a || !b) {
+        console.error('Usage: opentell similarity "<learning a>" "<learning b>"');
+        console.error("       opentell similarity --tune [pairs.jsonl]");
+        process.exit(1);
+      }
+      const embeddings = await embedTexts([a, b], config);
+      const existing = { text: a, embedding: embeddings.get(a) };
+      const matcher = createMatcher([existing], { text: b, embedding: embeddings.get(b) }, config);
+      const engine = embeddings.size === 2 ? "embeddings" : "local";
+      console.log(`Score: ${matcher.score(existing).toFixed(3)} (${engine} engine, threshold ${settings.thresholds[engine]})`);
+      console.log(matcher.matches(existing) ? "Same learning \u2014 would be reinforced" : "Different learnings \u2014 both kept");
+      break;
+    }
+
+    case "guardrails": {
+      const { loadGuardrails, setMustFollow, blocks, triggersFor, describeTrigger } = require("./lib/guardrails");
+      const { resolveScopeKey } = require("./lib/scope");
+      const { getActiveLearnings, isInScope } = require("./lib/store");
+      const scopeKey = resolveScopeKey(process.cwd());
+      const guardrails = loadGuardrails();
+      const active = getActiveLearnings(loadConfig().confidence_threshold || 0.45, scopeKey);
+      const listed = [
+        ...active,
+        ...getAllLearnings().filter((l) => blocks(l, guardrails) && !l.archived && isInScope(l, scopeKey) && !active.some((a) => a.id === l.id)),
+      ].filter((l) => triggersFor(l).length > 0);
+
+      if (args[1] === "block" || args[1] === "remind") {
+        const idx = parseInt(args[2], 10);
+        const learning = listed[idx - 1];
+        if (!learning) {
+          console.error(`Usage: opentell guardrails ${args[1]} <n>`);
+          console.error("Use 'opentell guardrails' to see numbered learnings");
+          process.exit(1);
+        }
+        if (args[1] === "remind" && learning.enforcement === "hard") {
+          console.error(`"${learning.text}" is a hard rule. Run 'opentell unpin <n>' or 'opentell pin <n>' to stop it blocking.`);
+          process.exit(1);
+        }
+        setMustFollow(learning.id, args[1] === "block");
+        console.log(args[1] === "block"
+          ? `Must-follow: "${learning.text}" \u2014 calls that go against it are blocked.`
+          : `Reminder only: "${learning.text}"`);
+        break;
+      }
+
+      if (listed.length === 0) {
+        console.log("No active learnings about specific tool calls yet.");
+        break;
+      }
+      console.log(`Learnings checked before Bash, Write and Edit calls${guardrails.reminders === false ? " (reminders off \u2014 only must-follow ones act)" : ""}:`);
+      listed.forEach((l, i) => {
+        const mode = l.enforcement === "hard" ? "\ud83d\udd12 blocks " : blocks(l, guardrails) ? "\u26d4 blocks " : "\ud83d\udca1 reminds";
+        console.log(`  ${String(i + 1).padStart(2)}. ${mode}  ${l.text}`);
+        console.log(`          when Claude ${triggersFor(l).map(describeTrigger).join(", or ")}`);
+      });
+      console.log("\nRun: opentell guardrails block <n>    (make a learning must-follow)");
+      console.log("     opentell guardrails remind <n>   (back to a reminder)");
+      break;
+    }
+
+    case "rules": {
+      const { loadRules, matchRules, repoRulesPath } = require("./lib/rules");
+      const { detectSignals } = require("./lib/detector");
+      const { resolveScopeKey } = require("./lib/scope");
+      const scopeKey = resolveScopeKey(process.cwd());
+      const { rules, errors, sources } = loadRules(scopeKey);
+
+      if (args[1] === "test") {
+        const message = args.slice(2).join(" ");
+        if (!message) {
+          console.error('Usage: opentell rules test "<message>"');
+          process.exit(1);
+        }
+        const fired = matchRules(rules, message);
+        console.log(`Your rules (${rules.length}):`);
+        for (const rule of rules) {
+          const hit = fired.find((f) => f.rule === rule);
+          console.log(`  ${hit ? "\u2713" : " "} ${rule.name}${hit ? ` \u2192 "${hit.text}" [${rule.classification}, ${rule.area}]` : ""}`);
+        }
+        if (rules.length === 0) console.log("  (none)");
+
+        const result = detectSignals("", message, rules);
+        if (result.noise) {
+          console.log("\nThe message reads as noise (approval, question or continuation) \u2014 no rule runs on it in a session.");
+          break;
+        }
+        console.log(`\nSignals detected (built-in patterns and your rules, after dedupe):`);
+        for (const sig of result.signals) {
+          console.log(`  [${sig.type}] ${sig.pattern}: "${sig.text}"`);
+        }
+        if (result.signals.length === 0) console.log("  (none \u2014 the pair would go to the LLM classifier)");
+        break;
+      }
+
+      console.log(`Rule files: ${paths.rules}${scopeKey ? `, ${repoRulesPath(scopeKey)}` : ""}`);
+      if (sources.length === 0) console.log("(neither exists yet)");
+      for (const rule of rules) {
+        const conf = rule.confidence ? `, start ${rule.confidence}` : "";
+        console.log(`\n  ${rule.name}  [${rule.classification}, ${rule.area}${conf}]`);
+        console.log(`    /${rule.regex.source}/${rule.regex.flags}  \u2192 "${rule.learning}"`);
+        console.log(`    from ${rule.source}`);
+      }
+      for (const e of errors) {
+        console.log(`\n  \u2717 ${e.name || path.basename(e.source)} skipped: ${e.error}`);
+        console.log(`    in ${e.source}`);
+      }
+      break;
+    }
+
+    case "eval": {
+      const { loadCorpus, evaluateCorpus, DETECTOR_CORPUS_PATH, CLASSIFIER_FIXTURES_PATH } = require("./lib/eval");
+      const flag = (name) => args.includes(name);
+      const option = (name) => {
+        const i = args.indexOf(name);
+        return i >= 0 && args[i + 1] && !args[i + 1].startsWith("--") ? args[i + 1] : null;
+      };
+      const positional = args.slice(1).filter((a, i, all) => !a.startsWith("--") && !["--record", "--fail-under"].includes(all[i - 1]));
+      const file = positional[0] || DETECTOR_CORPUS_PATH;
+
+      let rules = [];
+      if (flag("--rules")) {
+        const { loadRules } = require("./lib/rules");
+        const { resolveScopeKey } = require("./lib/scope");
+        rules = loadRules(resolveScopeKey(process.cwd())).rules;
+      }
+      if (flag("--live") && !require("./lib/provider").isProviderConfigured(loadConfig())) {
+        console.error("--live needs an LLM provider \u2014 add an API key or a provider block to config.json.");
+        process.exit(1);
+      }
+      if (flag("--record") && !flag("--live")) {
+        console.error("--record needs --live: it saves the configured provider's answers as fixtures.");
+        process.exit(1);
+      }
+
+      const corpus = loadCorpus(file);
+      const report = await evaluateCorpus(corpus, {
+        rules,
+        layer2: !flag("--no-llm"),
+        live: flag("--live"),
+        record: flag("--record") ? option("--record") || CLASSIFIER_FIXTURES_PATH : null,
+      });
+
+      const pct = (x) => (x * 100).toFixed(0).padStart(4) + "%";
+      const table = (rows) => {
+        console.log(`  ${"".padEnd(24)}   tp   fp   fn  precision  recall`);
+        for (const [name, r] of Object.entries(rows)) {
+          console.log(`  ${name.padEnd(24)} ${String(r.tp).padStart(4)} ${String(r.fp).padStart(4)} ${String(r.fn).padStart(4)}      ${pct(r.precision)}   ${pct(r.recall)}`);
+        }
+      };
+
+      console.log(`${corpus.length} labelled pairs (${file})\n`);
+      console.log("Layer 1 \u2014 detectSignals, by pattern:");
+      table(report.signals.byPattern);
+      console.log("\n  by classification:");
+      table(report.signals.byClassification);
+      const t = report.signals.total;
+      console.log(`\n  overall: precision ${pct(t.precision).trim()}, recall ${pct(t.recall).trim()}, F1 ${t.f1.toFixed(2)}`);
+
+      const n = report.noise;
+      console.log(`\nNoise filter \u2014 isNoise: precision ${pct(n.precision).trim()}, recall ${pct(n.recall).trim()} (${n.tp} dropped correctly, ${n.fp} real signals dropped, ${n.fn} noise let through)`);
+
+      console.log("\nObservations \u2014 detectClaudeObservations, by pattern:");
+      table(report.observations.byPattern);
+
+      if (report.llm) {
+        const source = !flag("--live") ? `canned responses from ${path.basename(CLASSIFIER_FIXTURES_PATH)}` : `${report.llm.provider} provider`;
+        console.log(`\nLayer 2 \u2014 classifier (${source}): ${pct(report.llm.accuracy).trim()} of ${report.llm.pairs} pairs correct`);
+        table(report.llm.byClassification);
+      }
+
+      if (report.misses.length > 0) {
+        console.log(`\nMisses (${report.misses.length}):`);
+        for (const m of report.misses) {
+          console.log(`  ${m.id.padEnd(18)} ${m.layer.padEnd(13)} expected ${m.expected} \u2014 got ${m.got}`);
+        }
+      }
+      if (flag("--record") && report.llm) console.log(`\nRecorded classifier answers to ${option("--record") || CLASSIFIER_FIXTURES_PATH}`);
+
+      const failUnder = option("--fail-under");
+      if (failUnder !== null && t.f1 < Number(failUnder)) {
+        console.log(`\nLayer 1 F1 ${t.f1.toFixed(2)} is below ${failUnder}`);
+        process.exit(1);
+      }
+      break;
+    }
+
     case "config": {
       const config = loadConfig();
       const display = { ...config };
@@ -472,6 +1039,17 @@ async function run() {
         const k = display.anthropic_api_key;
         display.anthropic_api_key = k.slice(0, 12) + "..." + k.slice(-4);
       }
+      if (display.provider?.api_key) {
+        const k = display.provider.api_key;
+        display.provider = { ...display.provider, api_key: k.slice(0, 6) + "..." + k.slice(-4) };
+      }
+      if (display.similarity?.embeddings?.api_key) {
+        const k = display.similarity.embeddings.api_key;
+        display.similarity = {
+          ...display.similarity,
+          embeddings: { ...display.similarity.embeddings, api_key: k.slice(0, 6) + "..." + k.slice(-4) },
+        };
+      }
       console.log(JSON.stringify(display, null, 2));
       console.log(`\nConfig file: ${paths.config}`);
       console.log("(API key is masked. Edit the file directly to change it.)");
@@ -485,9 +1063,14 @@ async function run() {
 
 Commands:
   opentell                 Show all learnings grouped by type
+  opentell status --repo   Show only global + current repo's learnings
   opentell profile         Show your developer profile (narrative)
   opentell profile regen   Force regenerate the profile
-  opentell context         Show what Claude sees at session start
+  opentell context         Show what Claude sees at session start here (with active areas)
+  opentell context --budget <n> --explain  Try a token budget; show each learning's score
+  opentell guardrails      Learnings checked before Bash/Write/Edit calls
+  opentell guardrails block <n>   Block calls that go against learning n
+  opentell guardrails remind <n>  Only remind Claude of learning n
   opentell promote         Promote learnings to CLAUDE.md
   opentell promote --dry   Preview what would be promoted
   opentell consolidate     Merge related learnings into deeper insights
@@ -497,6 +1080,11 @@ Commands:
   opentell accept <n>      Accept an observation (makes it active)
   opentell reject <n>      Reject an observation (archives it)
   opentell remove <n>      Remove learning by number
+  opentell pin <n>         Pin a learning: always injected, never decays
+  opentell harden <n>      Hard rule: pinned, and tool calls against it are blocked
+  opentell unpin <n>       Make a pinned or hard learning soft again
+  opentell archived        List archived learnings with reason and date
+  opentell restore <n> [c] Restore an archived learning (at confidence c, default 0.45)
   opentell pause/resume    Pause or resume learning
   opentell uninstall       Full uninstall: hooks, command, plugin cache (keeps data)
   opentell uninstall --data  Full uninstall and delete all learnings data
@@ -505,6 +1093,21 @@ Commands:
   opentell import <file>   Import learnings from JSON
   opentell stats           Show API call counts, token usage, and cost
   opentell log [n]         Show last n log entries
+  opentell wal             Show pairs waiting for LLM classification
+  opentell wal replay [n]  Requeue dead letters and classify the queue now
+  opentell sync            Fetch results of batch classification jobs
+  opentell history [id]    Show recent changes, or one learning's timeline
+  opentell undo [n]        Revert the last n changes to learnings
+  opentell conflicts       List contradictions waiting for a decision
+  opentell conflicts resolve <n> <1|2>  Keep one side, archive the other
+  opentell conflicts scope <n> <1|2>    Limit one side to its repo
+  opentell conflicts both <n>           Keep both as context-dependent
+  opentell similarity "<a>" "<b>"  Score two learnings (same learning or not)
+  opentell similarity --tune [file]  Check thresholds against labelled pairs
+  opentell rules           List your detection rules
+  opentell rules test "<msg>"  Show which rules fire on a message
+  opentell eval [file]     Score the detectors on the labelled corpus
+  opentell eval --live     Also score the classifier prompt with your provider
   opentell config          Show configuration`);
       break;
 
@@ -514,11 +1117,59 @@ Commands:
   }
 }
 
+function truncate(str, maxLen) {
+  if (!str) return "";
+  return str.length > maxLen ? str.slice(0, maxLen) + "..." : str;
+}
+
 function updateConfig(updates) {
   ensureDir();
-  const config = loadConfig();
-  Object.assign(config, updates);
-  fs.writeFileSync(paths.config, JSON.stringify(config, null, 2));
+  withLock(paths.config, () => {
+    const config = loadConfig();
+    Object.assign(config, updates);
+    writeFileAtomic(paths.config, JSON.stringify(config, null, 2));
+  });
+}
+
+/**
+ * `opentell context --explain`: each learning's score and why it was or
+ * wasn't injected.
+ */
+function explainContext(result) {
+  const mode = result.mode === "profile" ? "profile narrative + preferences" : "learnings grouped by depth";
+  console.log(`\nHow it was composed (${mode}, budget ${result.budget} tokens):`);
+  console.log("Score = 0.35 confidence + 0.20 recency + 0.15 sessions + 0.15 area + 0.15 depth\n");
+
+  const describe = (e) => {
+    const days = Math.round((Date.now() - (Date.parse(e.learning.last_reinforced) || Date.now())) / 86400000);
+    const area = e.learning.area || "general";
+    const match = { match: "active here", "cross-cutting": "applies everywhere", unknown: "areas unknown", other: "not active here" }[e.area_match];
+    const pinned = { strong: " · pinned \u2014 always included", hard: " · hard rule \u2014 always included" }[e.learning.enforcement] || "";
+    return `conf ${e.factors.confidence.toFixed(2)} · reinforced ${days}d ago · ${e.session_count} session(s) · ${area} (${match}) · ${(e.learning.classification || "PREFERENCE").toLowerCase()} · ~${e.tokens} tokens${pinned}`;
+  };
+
+  if (result.included.length > 0) {
+    console.log("Included:");
+    result.included.forEach((e, i) => {
+      console.log(`  ${String(i + 1).padStart(2)}. ${e.score.toFixed(2)}  ${truncate(e.learning.text, 70)}`);
+      console.log(`        ${describe(e)}`);
+    });
+  }
+  if (result.dropped.length > 0) {
+    console.log("\nLeft out (summarised in one line):");
+    for (const e of result.dropped) {
+      const reason = e.reason === "max_learnings" ? "max_learnings reached" : "over budget";
+      console.log(`   - ${e.score.toFixed(2)}  ${truncate(e.learning.text, 70)}  — ${reason}`);
+      console.log(`        ${describe(e)}`);
+    }
+  }
+  if (result.off_area.length > 0) {
+    console.log("\nLeft out for their area (none of this project's areas):");
+    for (const l of result.off_area) console.log(`   - ${truncate(l.text, 70)}  [${l.area || "general"}]`);
+  }
+  if (result.mode === "profile") {
+    console.log("\nThinking patterns, principles, standards and gaps reach Claude through the profile narrative.");
+  }
 }
 
 run().catch((e) => {
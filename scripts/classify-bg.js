@@ -2,63 +2,50 @@
 
 /**
  * OpenTell — Background Classifier
- * 
- * Spawned as a detached process by the Stop hook.
- * Receives a single (claude_said, user_said) pair as base64-encoded argv,
- * classifies it via Haiku, stores the result, removes from WAL, then exits.
+ *
+ * A single detached worker that classifies queued WAL pairs in batches.
+ * The Stop hook appends each ambiguous pair to the WAL and calls
+ * spawnClassifyWorker(); if a worker is already running it just picks the
+ * new pair up. The worker waits until no new pair has arrived for
+ * DEBOUNCE_MS (at most MAX_WAIT_MS), so pairs from consecutive turns share
+ * one API request, then classifies everything pending and exits.
+ *
+ * With --resume (spawned by the SessionStart hook) entries that failed in
+ * earlier sessions are retried too, and finished Message Batches jobs are
+ * applied first. Each entry is tried at most once per run.
  */
 
-const { classifySingle, LEARNING_TYPES } = require("../lib/classifier");
-const { addCandidate, removeFromWal } = require("../lib/store");
-const { loadConfig, log } = require("../lib/config");
+const { runWal, acquireWorkerLock, releaseWorkerLock } = require("../lib/wal-runner");
+const { drainWal } = require("../lib/store");
+const { log } = require("../lib/config");
+const { CLASSIFY_BATCH_SIZE } = require("../lib/classifier");
+const { listBatches, syncBatches } = require("../lib/batches");
 
-// Starting confidence based on classification type + certainty
-const START_CONFIDENCE = {
-  THINKING_PATTERN:  { high: 0.38, low: 0.28 },
-  DESIGN_PRINCIPLE:  { high: 0.38, low: 0.28 },
-  QUALITY_STANDARD:  { high: 0.35, low: 0.25 },
-  PREFERENCE:        { high: 0.35, low: 0.25 },
-  BEHAVIORAL_GAP:    { high: 0.30, low: 0.20 },
-};
+const DEBOUNCE_MS = 20 * 1000;
+const MAX_WAIT_MS = 2 * 60 * 1000;
 
 async function main() {
-  try {
-    const encoded = process.argv[2];
-    if (!encoded) process.exit(0);
-
-    const pair = JSON.parse(Buffer.from(encoded, "base64").toString("utf-8"));
-    const config = loadConfig();
-
-    if (!config.anthropic_api_key) process.exit(0);
-
-    const cls = await classifySingle(pair, config.anthropic_api_key, config.classifier_model);
-
-    if (LEARNING_TYPES.has(cls.classification) && cls.learning) {
-      const certainty = cls.certainty || "high";
-      const confMap = START_CONFIDENCE[cls.classification] || START_CONFIDENCE.PREFERENCE;
-      const startConf = confMap[certainty] || confMap.high;
+  const resume = process.argv.includes("--resume");
+  const tried = new Set();
+  const eligible = (e) => !tried.has(e.id) && (e.state === "pending" || (resume && e.state === "failed"));
 
-      addCandidate({
-        text: cls.learning,
-        confidence: startConf,
-        scope: cls.scope || "global",
-        classification: cls.classification,
-        area: cls.area || "general",
-        certainty: certainty,
-        detection_method: "llm",
-        evidence: {
-          claude_said: pair.claude_said?.slice(0, 300) || "",
-          user_said: pair.user_said?.slice(0, 300) || "",
-          error_context: pair.error_context?.slice(0, 200) || "",
-        },
-      });
-
-      log(`BG [${cls.classification}/${cls.area || "general"}/${certainty}]: "${cls.learning}" (start: ${startConf})`);
+  try {
+    if (resume && listBatches().length > 0) {
+      const synced = await syncBatches();
+      if (synced.ended || synced.in_progress) {
+        log(`BG: batch sync — ${synced.ended} job(s) applied, ${synced.in_progress} still running`);
+      }
     }
 
-    // Remove from WAL — this pair has been successfully processed
-    if (pair.written_at) {
-      removeFromWal(pair);
+    while (acquireWorkerLock()) {
+      try {
+        await drain(eligible, tried, resume);
+      } finally {
+        releaseWorkerLock();
+      }
+      // A Stop hook may have appended (and skipped spawning) while we held
+      // the lock — go round again rather than strand its pair
+      if (!drainWal().some(eligible)) break;
     }
   } catch (e) {
     try { log(`BG classify error: ${e.message}`); } catch {}
@@ -67,4 +54,36 @@ async function main() {
   process.exit(0);
 }
 
+async function drain(eligible, tried, resume) {
+  while (true) {
+    if (!resume) await waitForQuiet(eligible);
+
+    const result = await runWal({ limit: CLASSIFY_BATCH_SIZE, filter: eligible, label: "BG" });
+    for (const id of result.claimed) tried.add(id);
+
+    if (result.claimed.length === 0 || result.deferred > 0) return;
+    log(`BG: batch of ${result.claimed.length} — ${result.processed} classified, ${result.failed} failed`);
+  }
+}
+
+/**
+ * Sleep until the newest eligible entry is DEBOUNCE_MS old, so a burst of
+ * turns is coalesced into one request. Gives up after MAX_WAIT_MS.
+ */
+async function waitForQuiet(eligible) {
+  const started = Date.now();
+  while (Date.now() - started < MAX_WAIT_MS) {
+    const newest = drainWal()
+      .filter(eligible)
+      .reduce((max, e) => Math.max(max, Date.parse(e.written_at) || 0), 0);
+    const quietFor = Date.now() - newest;
+    if (!newest || quietFor >= DEBOUNCE_MS) return;
+    await sleep(Math.min(DEBOUNCE_MS - quietFor, MAX_WAIT_MS - (Date.now() - started)) + 50);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
 main();
@@ -3,19 +3,25 @@
 /**
  * OpenTell — PostToolUse Hook
  *
- * Fires after each Bash, Write, or Edit tool call.
+ * Fires after each Bash, Write, Edit, or MultiEdit tool call.
  * Extracts a compact signal from the tool event and appends it to the
  * session buffer. No API calls — just a fast in-memory accumulation.
  *
  * The Stop hook then reads these accumulated events to:
  *   1. Detect direct tool-pattern signals (e.g. npm → pnpm substitution)
  *   2. Enrich the WAL payload sent to the LLM classifier
+ *
+ * Files Claude writes or edits are also snapshotted, so the developer's
+ * later hand edits to them can be learned from (see lib/edits.js).
  */
 
-const { loadBuffer, saveBuffer } = require("../lib/store");
+const { updateBuffer } = require("../lib/store");
 const { loadConfig, log } = require("../lib/config");
+const { snapshotFile } = require("../lib/edits");
+const { resolveScopeKey } = require("../lib/scope");
+const path = require("path");
 
-const HIGH_SIGNAL_TOOLS = new Set(["Bash", "Write", "Edit"]);
+const HIGH_SIGNAL_TOOLS = new Set(["Bash", "Write", "Edit", "MultiEdit"]);
 const MAX_TOOL_EVENTS = 100; // per session
 
 async function main() {
@@ -42,16 +48,17 @@ async function main() {
       return;
     }
 
-    const buf = loadBuffer();
-    buf.tool_events = buf.tool_events || [];
-    buf.tool_events.push({ ...compact, ts: Date.now() });
+    updateBuffer((buf) => {
+      buf.tool_events = buf.tool_events || [];
+      buf.tool_events.push({ ...compact, ts: Date.now() });
 
-    // Cap buffer size
-    if (buf.tool_events.length > MAX_TOOL_EVENTS) {
-      buf.tool_events = buf.tool_events.slice(-MAX_TOOL_EVENTS);
-    }
+      // Cap buffer size
+      if (buf.tool_events.length > MAX_TOOL_EVENTS) {
+        buf.tool_events = buf.tool_events.slice(-MAX_TOOL_EVENTS);
+      }
+    });
 
-    saveBuffer(buf);
+    if (compact.path) snapshotFile(compact.path, resolveScopeKey(path.dirname(compact.path)));
     process.exit(0);
   } catch (e) {
     log(`PostToolUse error: ${e.message}`);
@@ -74,7 +81,8 @@ function extractCompact(toolName, input) {
       if (!p) return null;
       return { tool: "Write", path: p, ext: extOf(p) };
     }
-    case "Edit": {
+    case "Edit":
+    case "MultiEdit": {
       const p = input.file_path || "";
       if (!p) return null;
       return { tool: "Edit", path: p, ext: extOf(p) };
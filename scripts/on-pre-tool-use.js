@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * OpenTell — PreToolUse Hook
+ *
+ * Fires before Claude runs Bash, Write, Edit or MultiEdit. Checks the
+ * pending call against the learnings it would go against (lib/guardrails.js):
+ *
+ *   must-follow or hard    the call is denied, with the learning as the
+ *                          reason — Claude sees it and can redo the call
+ *   any other learning     a one-line reminder is added to Claude's context,
+ *                          once per learning per session
+ *
+ * Fast and silent on anything else: no output means the call proceeds as
+ * usual. Errors never block a call.
+ */
+
+const { loadConfig, log } = require("../lib/config");
+const { resolveScopeKey } = require("../lib/scope");
+const { getActiveLearnings, getAllLearnings, isInScope, loadBuffer, updateBuffer } = require("../lib/store");
+const { loadGuardrails, pendingCall, checkCall, blocks } = require("../lib/guardrails");
+
+async function main() {
+  try {
+    const input = await readStdin();
+    const event = JSON.parse(input);
+
+    const config = loadConfig();
+    if (config.paused) {
+      process.exit(0);
+      return;
+    }
+
+    const guardrails = loadGuardrails();
+    const scopeKey = resolveScopeKey(event.cwd);
+    // Must-follow and hard learnings apply whatever their confidence
+    const learnings = getActiveLearnings(config.confidence_threshold || 0.45, scopeKey);
+    const activeIds = new Set(learnings.map((l) => l.id));
+    for (const l of getAllLearnings()) {
+      if (blocks(l, guardrails) && !l.archived && !activeIds.has(l.id) && isInScope(l, scopeKey)) learnings.push(l);
+    }
+
+    const call = pendingCall(event);
+    const hits = checkCall(call, learnings, guardrails);
+    if (hits.length === 0) {
+      process.exit(0);
+      return;
+    }
+
+    const blocking = hits.filter((h) => h.block);
+    if (blocking.length > 0) {
+      const rules = blocking.map((h) => `"${h.learning.text}"`).join("; ");
+      log(`Guardrail blocked ${call.tool}: ${rules}`);
+      respond({
+        permissionDecision: "deny",
+        permissionDecisionReason: `OpenTell: this goes against the developer's must-follow rule ${rules}. Do it their way instead, or ask them first.`,
+      });
+      process.exit(0);
+      return;
+    }
+
+    if (guardrails.reminders === false) {
+      process.exit(0);
+      return;
+    }
+    const reminded = new Set(loadBuffer().reminded || []);
+    const fresh = hits.filter((h) => !reminded.has(h.learning.id));
+    if (fresh.length > 0) {
+      log(`Guardrail reminder for ${call.tool}: ${fresh.map((h) => h.learning.text).join("; ")}`);
+      respond({
+        additionalContext: [
+          "OpenTell reminder — the developer's learned preferences for this call:",
+          ...fresh.map((h) => `- ${h.learning.text}`),
+        ].join("\n"),
+      });
+      updateBuffer((buf) => {
+        buf.reminded = [...new Set([...(buf.reminded || []), ...fresh.map((h) => h.learning.id)])];
+      });
+    }
+    process.exit(0);
+  } catch (e) {
+    log(`PreToolUse error: ${e.message}`);
+    // Exit 0 even on error — never block a tool call by accident
+    process.exit(0);
+  }
+}
+
+function respond(output) {
+  process.stdout.write(JSON.stringify({ hookSpecificOutput: { hookEventName: "PreToolUse", ...output } }));
+}
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = "";
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", (chunk) => (data += chunk));
+    process.stdin.on("end", () => resolve(data));
+    setTimeout(() => resolve(data || "{}"), 1000);
+  });
+}
+
+main();
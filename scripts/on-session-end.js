@@ -7,6 +7,9 @@
  * Runs the full intelligence pipeline:
  * 
  * 1. Drain WAL — reclassify any pairs the background classifier missed
+ *    (leftover and failed pairs stay queued for the next session), or
+ *    submit them as a Message Batches job when batch_classification is on,
+ *    then cache embeddings for learnings that lack one (embeddings engine)
  * 2. Cross-session pattern detection — upgrade learnings seen across sessions
  * 3. Consolidation — merge related learnings into deeper insights
  * 4. Profile synthesis — regenerate developer profile if needed
@@ -14,20 +17,19 @@
  * 6. Clean up buffers
  */
 
-const { classifySingle, LEARNING_TYPES } = require("../lib/classifier");
-const { addCandidate, drainWal, clearWal, clearBuffer, applyDecay, applyPassiveAccumulation } = require("../lib/store");
+const { drainWal, clearBuffer, applyDecay, applyPassiveAccumulation, backfillEmbeddings } = require("../lib/store");
+const { runWal } = require("../lib/wal-runner");
+const { batchModeEnabled, submitWalBatch } = require("../lib/batches");
+const { CLASSIFY_BATCH_SIZE } = require("../lib/classifier");
 const { detectCrossSessionPatterns } = require("../lib/cross-session");
 const { shouldConsolidate, runConsolidation, markConsolidationRun } = require("../lib/consolidator");
 const { profileNeedsUpdate, synthesizeProfile } = require("../lib/profiler");
 const { loadConfig, log } = require("../lib/config");
+const { isProviderConfigured } = require("../lib/provider");
 
-const START_CONFIDENCE = {
-  THINKING_PATTERN:  { high: 0.38, low: 0.28 },
-  DESIGN_PRINCIPLE:  { high: 0.38, low: 0.28 },
-  QUALITY_STANDARD:  { high: 0.35, low: 0.25 },
-  PREFERENCE:        { high: 0.35, low: 0.25 },
-  BEHAVIORAL_GAP:    { high: 0.30, low: 0.20 },
-};
+// WAL entries classified per SessionEnd (two batched requests) — keeps the
+// hook within its timeout
+const WAL_BATCH = 2 * CLASSIFY_BATCH_SIZE;
 
 async function main() {
   try {
@@ -43,41 +45,24 @@ async function main() {
     log(`SessionEnd: session=${event.session_id}, reason=${event.reason}`);
 
     // ─── 1. Drain WAL ──────────────────────────────────────────
-    const walEntries = drainWal();
-    if (walEntries.length > 0 && config.anthropic_api_key) {
-      log(`SessionEnd: ${walEntries.length} unprocessed pairs in WAL, classifying...`);
-      const toProcess = walEntries.slice(0, 10);
-
-      for (const pair of toProcess) {
-        try {
-          const cls = await classifySingle(pair, config.anthropic_api_key, config.classifier_model);
-
-          if (LEARNING_TYPES.has(cls.classification) && cls.learning) {
-            const certainty = cls.certainty || "high";
-            const confMap = START_CONFIDENCE[cls.classification] || START_CONFIDENCE.PREFERENCE;
-            const startConf = confMap[certainty] || confMap.high;
-
-            addCandidate({
-              text: cls.learning,
-              confidence: startConf,
-              scope: cls.scope || "global",
-              classification: cls.classification,
-              area: cls.area || "general",
-              certainty: certainty,
-              detection_method: "llm",
-              evidence: {
-                claude_said: pair.claude_said?.slice(0, 300) || "",
-                user_said: pair.user_said?.slice(0, 300) || "",
-                error_context: pair.error_context?.slice(0, 200) || "",
-              },
-            });
-
-            log(`WAL recovery [${cls.classification}]: "${cls.learning}"`);
-          }
-        } catch (e) {
-          log(`WAL recovery error: ${e.message}`);
-        }
-      }
+    // Bounded by the hook timeout; whatever is left (or fails) stays
+    // queued and is resumed at the next SessionStart.
+    // In batch mode the queue is submitted as a Message Batches job instead,
+    // and its results are applied at the next SessionStart.
+    const pending = drainWal().filter((e) => e.state === "pending" || e.state === "failed").length;
+    if (pending > 0 && batchModeEnabled(config)) {
+      const batch = await submitWalBatch(config);
+      if (batch) log(`SessionEnd: ${batch.pairs} pairs submitted as batch ${batch.id}`);
+    } else if (pending > 0 && isProviderConfigured(config)) {
+      log(`SessionEnd: ${pending} unprocessed pairs in WAL, classifying...`);
+      const result = await runWal({ limit: WAL_BATCH, label: "WAL recovery" }, config);
+      log(`SessionEnd: WAL ${result.processed} classified, ${result.failed} failed, ${result.deferred} deferred`);
+    }
+
+    try {
+      await backfillEmbeddings(config);
+    } catch (e) {
+      log(`Embedding backfill error: ${e.message}`);
     }
 
     // ─── 2. Cross-session pattern detection ─────────────────────
@@ -129,13 +114,12 @@ async function main() {
     applyDecay();
 
     // ─── 7. Cleanup ────────────────────────────────────────────
-    clearWal();
+    // The WAL is not cleared — unclassified pairs are retried next session
     clearBuffer();
 
     process.exit(0);
   } catch (e) {
     log(`SessionEnd error: ${e.message}`);
-    clearWal();
     clearBuffer();
     process.exit(0);
   }
@@ -8,9 +8,14 @@
  * stdout on exit 0 is injected into Claude's context for this hook.
  */
 
-const { buildContext } = require("../lib/skill-writer");
+const { composeContext } = require("../lib/skill-writer");
 const { loadConfig, log, paths } = require("../lib/config");
-const { clearBuffer, incrementSessionCount, applyDecay } = require("../lib/store");
+const { resolveScopeKey } = require("../lib/scope");
+const { inferActiveAreas } = require("../lib/areas");
+const { isProviderConfigured } = require("../lib/provider");
+const { spawnClassifyWorker } = require("../lib/wal-runner");
+const { clearBuffer, loadBuffer, updateBuffer, getActiveLearnings, addCandidate, incrementSessionCount, applyDecay, drainWal } = require("../lib/store");
+const { collectHumanEdits } = require("../lib/edits");
 const { spawn } = require("child_process");
 const fs = require("fs");
 const path = require("path");
@@ -29,6 +34,11 @@ async function main() {
 
     log(`SessionStart: session=${event.session_id}, source=${event.source}`);
 
+    // Hand edits made since the last session, before its tool events go
+    for (const learning of collectHumanEdits(loadBuffer().tool_events || [])) {
+      addCandidate(learning);
+    }
+
     // Reset session buffer
     clearBuffer();
 
@@ -38,17 +48,23 @@ async function main() {
     // Increment session counter
     incrementSessionCount();
 
-    // Build context from active learnings
-    const context = buildContext(config.confidence_threshold || 0.45);
+    // Build context from active learnings — global ones plus this repo's
+    const scopeKey = resolveScopeKey(event.cwd);
+    // Areas this project works in — learnings for other areas are left out
+    const { areas } = inferActiveAreas(event.cwd, scopeKey);
+    if (areas.length > 0) log(`Active areas: ${areas.join(", ")}`);
+    const threshold = config.confidence_threshold || 0.45;
+    const result = composeContext(threshold, areas.length > 0 ? areas : null, scopeKey);
+    recordInjected(event.session_id, areas, threshold, scopeKey, result);
 
     const parts = [];
-    if (context) {
-      parts.push(context);
+    if (result.text) {
+      parts.push(result.text);
     }
 
-    // When no API key is configured, append a brief notice so Claude can
+    // When no LLM provider is configured, append a brief notice so Claude can
     // guide the user if they ask why deeper learning isn't active.
-    if (!config.anthropic_api_key) {
+    if (!isProviderConfigured(config)) {
       parts.push([
         "## OpenTell — limited mode (no API key)",
         "Layer 2 LLM classification, developer profile synthesis, and consolidation",
@@ -63,13 +79,16 @@ async function main() {
 
     if (parts.length > 0) {
       process.stdout.write(parts.join("\n\n"));
-      log(`Injected context (api_key: ${!!config.anthropic_api_key})`);
+      log(`Injected context (provider: ${isProviderConfigured(config)})`);
     }
 
     // ── Background auto-update (once per 24h) ──────────────────────────
     // Spawned after stdout is flushed — never delays session start.
     tryBackgroundUpdate();
 
+    // ── Resume WAL left over from earlier sessions ──────────────────────
+    if (isProviderConfigured(config)) tryResumeWal();
+
     // ── Install /opentell slash command ─────────────────────────────────
     // On first session after install (any method), copies the command file to
     // ~/.claude/commands/ so /opentell works without a plugin namespace prefix.
@@ -86,6 +105,20 @@ async function main() {
   }
 }
 
+/**
+ * What this session's context covers, so the UserPromptSubmit hook only
+ * adds what's missing later: the learnings active now and those that made
+ * it into the context (in profile mode, the ones the narrative stands for).
+ */
+function recordInjected(sessionId, areas, threshold, scopeKey, result) {
+  const active = getActiveLearnings(threshold, scopeKey).map((l) => l.id);
+  const left = new Set([...result.dropped.map((e) => e.learning.id), ...result.off_area.map((l) => l.id)]);
+  const delivered = result.text ? active.filter((id) => !left.has(id)) : [];
+  updateBuffer((buf) => {
+    buf.context = { session_id: sessionId, areas, active, delivered, last_delta_at: 0 };
+  });
+}
+
 function tryBackgroundUpdate() {
   try {
     const UPDATE_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 hours
@@ -112,12 +145,26 @@ function tryBackgroundUpdate() {
   }
 }
 
+function tryResumeWal() {
+  try {
+    // Batched entries count too — the worker polls their batch job
+    const leftover = drainWal().filter((e) => e.state !== "in_flight");
+    if (leftover.length === 0) return;
+    if (spawnClassifyWorker(["--resume"])) {
+      log(`WAL resume: spawned background classifier for ${leftover.length} entr(ies)`);
+    }
+  } catch (e) {
+    log(`WAL resume spawn error: ${e.message}`);
+  }
+}
+
 function deduplicatePluginCommand() {
   try {
     const os = require("os");
     const claudeCommandsDir = path.join(os.homedir(), ".claude", "commands");
     const userCommand = path.join(claudeCommandsDir, "opentell.md");
-    const pluginCommand = path.join(__dirname, "..", "commands", "opentell.md");
+    const pluginRoot = path.join(__dirname, "..");
+    const pluginCommand = path.join(pluginRoot, "commands", "opentell.md");
 
     // Ensure ~/.claude/commands/ exists and install the unnamespaced /opentell
     // command if it isn't there yet. This runs for both marketplace and setup.sh
@@ -129,8 +176,9 @@ function deduplicatePluginCommand() {
     }
 
     // Remove the plugin-level command so /opentell:opentell doesn't appear
-    // as a duplicate alongside /opentell.
-    if (fs.existsSync(pluginCommand)) {
+    // as a duplicate alongside /opentell. Only from an installed copy: in a
+    // development checkout this file is the command's source.
+    if (fs.existsSync(pluginCommand) && isInstalledPlugin(pluginRoot, os.homedir())) {
       fs.unlinkSync(pluginCommand);
       log("Removed plugin-level command (user-level /opentell takes precedence)");
     }
@@ -139,6 +187,18 @@ function deduplicatePluginCommand() {
   }
 }
 
+/**
+ * Claude Code installs plugins under ~/.claude/plugins/. A plugin loaded
+ * from anywhere else is a checkout someone is working in.
+ */
+function isInstalledPlugin(root, home) {
+  const real = (p) => {
+    try { return fs.realpathSync(p); } catch { return path.resolve(p); }
+  };
+  const pluginsDir = real(path.join(home, ".claude", "plugins"));
+  return real(root).startsWith(pluginsDir + path.sep);
+}
+
 function readStdin() {
   return new Promise((resolve) => {
     let data = "";
@@ -4,20 +4,25 @@
  * OpenTell — Stop Hook
  * 
  * Fires when Claude finishes responding.
- * 1. Reads transcript, finds last (assistant, user) pair
+ * 1. Reads transcript, builds a window of turns around each recent user message
  * 2. Runs regex detection (Layer 1) — stores immediately
- * 3. For ambiguous pairs: writes to WAL, then spawns background classifier
+ * 3. For ambiguous pairs: writes to WAL, then wakes the background classifier
  * 4. Detects error-driven patterns (code failed → user explained fix)
  */
 
-const { getLastPairs } = require("../lib/transcript");
-const { detectSignals } = require("../lib/detector");
+const { parseTranscript } = require("../lib/transcript");
+const { buildWindows, analyzeWindows, contextTurns } = require("../lib/conversation");
+const { loadRules } = require("../lib/rules");
+const { recordRefusals } = require("../lib/refusals");
+const { collectHumanEdits } = require("../lib/edits");
 const { detectClaudeObservations, detectValidatedObservation } = require("../lib/observer");
 const { detectToolSignals, formatToolContext } = require("../lib/tool-signals");
-const { addCandidate, addObservation, loadBuffer, saveBuffer, appendWal } = require("../lib/store");
+const { addCandidate, addObservation, loadBuffer, updateBuffer, appendWal } = require("../lib/store");
 const { loadConfig, log } = require("../lib/config");
-const { spawn } = require("child_process");
-const path = require("path");
+const { resolveScopeKey } = require("../lib/scope");
+const { spawnClassifyWorker } = require("../lib/wal-runner");
+const { batchModeEnabled } = require("../lib/batches");
+const { isProviderConfigured } = require("../lib/provider");
 
 async function main() {
   try {
@@ -41,14 +46,20 @@ async function main() {
       return;
     }
 
-    const pairs = getLastPairs(transcriptPath, 3);
-    if (pairs.length === 0) {
+    const windows = buildWindows(parseTranscript(transcriptPath));
+    if (windows.length === 0) {
       process.exit(0);
       return;
     }
 
+    // Read-only snapshot of the buffer. PostToolUse may append to it while
+    // we work, so our changes are merged back in one locked update at the end.
     const buf = loadBuffer();
-    buf.session_id = event.session_id;
+    const analyzedNow = [];
+
+    // Repo identity — repo-scoped learnings are tagged with it
+    const scopeKey = resolveScopeKey(event.cwd);
+    const { rules } = loadRules(scopeKey);
 
     // ── Tool signal detection ────────────────────────────────────────────
     // Get tool events accumulated since the last Stop (current turn only).
@@ -56,83 +67,102 @@ async function main() {
     const turnToolEvents = (buf.tool_events || []).filter((e) => e.ts > lastStopTs);
 
     if (turnToolEvents.length > 0) {
-      const toolCandidates = detectToolSignals(turnToolEvents);
+      const toolCandidates = detectToolSignals(turnToolEvents, {
+        sessionEvents: buf.tool_events || [],
+        turnStart: lastStopTs,
+      });
       for (const candidate of toolCandidates) {
-        addCandidate(candidate);
+        addCandidate({ ...candidate, scope_key: scopeKey });
         log(`Tool signal [${candidate.classification}]: "${candidate.text}"`);
       }
     }
 
-    // Mark current timestamp so next Stop knows where this turn ended
-    buf.last_stop_ts = Date.now();
+    // ── Hand edits ───────────────────────────────────────────────────────
+    // Files Claude wrote that the developer has since changed by hand
+    for (const learning of collectHumanEdits(buf.tool_events || [])) {
+      addCandidate(learning);
+    }
 
-    // Tool context string for enriching LLM classifier payloads
-    const toolContext = formatToolContext(turnToolEvents);
+    // Mark current timestamp so next Stop knows where this turn ended
+    const stopTs = Date.now();
 
-    for (const pair of pairs.slice(-2)) {
-      const pairKey = hashPair(pair);
-      if (buf.analyzed && buf.analyzed.includes(pairKey)) continue;
+    // Each user message is analyzed once, with the turns before it as context
+    const fresh = windows.filter((w) => !(buf.analyzed || []).includes(w.key));
 
-      // Check for error context in the transcript
+    let queuedForLLM = false;
+    for (const win of analyzeWindows(fresh, rules)) {
+      // Tool calls of the turn being answered, from the transcript
       // Pattern: Claude wrote code → error occurred → user explains fix
-      const errorContext = extractErrorContext(pair.claude_said);
+      const errorContext = extractErrorContext(win.tool_events);
 
-      const result = detectSignals(pair.claude_said, pair.user_said);
+      // Calls the developer refused at the permission prompt or stopped
+      // with Esc; repeats become learnings
+      for (const learning of recordRefusals(win, scopeKey, event.session_id)) {
+        addCandidate(learning);
+        log(`Refusal signal: "${learning.text}"`);
+      }
+
+      const result = win.result;
+      // The message every signal below came from (see store.addCandidate)
+      const source = `${event.session_id || ""}:${win.key}`;
 
       if (result.detected) {
         for (const signal of result.signals) {
           addCandidate({
             text: signal.text,
             confidence: signal.confidence,
-            scope: "repo",
+            scope: signal.scope || "repo",
+            scope_key: scopeKey,
             classification: signal.classification || "PREFERENCE",
             area: signal.area || "general",
             detection_method: "regex",
             certainty: "high",
             evidence: {
-              claude_said: truncate(pair.claude_said, 300),
-              user_said: truncate(pair.user_said, 300),
+              claude_said: truncate(win.claude_said, 300),
+              user_said: truncate(win.user_said, 300),
               error_context: errorContext ? truncate(errorContext, 200) : "",
+              source,
             },
           });
         }
       } else if (!result.noise) {
-        // Ambiguous pair — write to WAL first (crash-safe), then spawn classifier
+        // Ambiguous pair — write to WAL first (crash-safe); the background
+        // classifier picks it up in its next batch
         const payload = {
-          claude_said: truncate(pair.claude_said, 500),
-          user_said: truncate(pair.user_said, 500),
+          claude_said: truncate(win.claude_said, 500),
+          user_said: truncate(win.user_said, 500),
           error_context: errorContext ? truncate(errorContext, 300) : "",
-          tool_context: toolContext,
+          tool_context: formatToolContext(win.tool_events),
+          scope_key: scopeKey,
+          source,
         };
+        // Earlier turns let the classifier resolve "like I said earlier"
+        // and corrections that follow a question
+        if (win.turns.length > 0) payload.context = contextTurns(win);
 
         // WAL: durable record survives if bg classifier crashes
         appendWal(payload);
-
-        const encoded = Buffer.from(JSON.stringify(payload)).toString("base64");
-        const scriptPath = path.join(__dirname, "classify-bg.js");
-
-        try {
-          const child = spawn("node", [scriptPath, encoded], {
-            detached: true,
-            stdio: "ignore",
-          });
-          child.unref();
-        } catch (e) {
-          log(`Failed to spawn bg classifier: ${e.message}`);
-        }
+        queuedForLLM = true;
       }
 
       // ── Observation Layer ────────────────────────────────────────────────
       // Run independently of correction detection — both can fire on same pair.
+      // Only when the developer answered Claude directly: a second message in
+      // a row would see the same claude_said again.
+      if (!win.adjacent) {
+        analyzedNow.push(win.key);
+        continue;
+      }
 
       // 1. Check if Claude made an observation that the developer validated.
       //    A validated observation skips the inferred queue and goes active.
-      const validated = detectValidatedObservation(pair.claude_said, pair.user_said);
+      const validated = detectValidatedObservation(win.claude_said, win.user_said);
       if (validated) {
         addCandidate({
           text: validated.text,
           confidence: validated.confidence,
           scope: validated.scope || "repo",
+          scope_key: scopeKey,
           classification: validated.classification,
           area: validated.area,
           detection_method: validated.detection_method,
@@ -141,6 +171,7 @@ async function main() {
             claude_said: validated.evidence.observation,
             user_said: validated.evidence.validation,
             error_context: "",
+            source,
           },
         });
       }
@@ -149,7 +180,7 @@ async function main() {
       //    Store as low-confidence inferred learnings pending validation.
       //    Skip if we already captured this as a validated observation.
       if (!validated) {
-        const observations = detectClaudeObservations(pair.claude_said);
+        const observations = detectClaudeObservations(win.claude_said);
         for (const obs of observations) {
           addObservation({
             text: obs.text,
@@ -157,17 +188,23 @@ async function main() {
             classification: obs.classification,
             area: obs.area,
             observation_type: obs.observation_type,
+            scope_key: scopeKey,
             evidence: { observation: obs.raw_match },
           });
         }
       }
 
-      buf.analyzed = buf.analyzed || [];
-      buf.analyzed.push(pairKey);
-      if (buf.analyzed.length > 200) buf.analyzed = buf.analyzed.slice(-200);
+      analyzedNow.push(win.key);
     }
 
-    saveBuffer(buf);
+    // In batch mode queued pairs wait for SessionEnd's batch job instead
+    if (queuedForLLM && isProviderConfigured(config) && !batchModeEnabled(config)) spawnClassifyWorker();
+
+    updateBuffer((latest) => {
+      latest.session_id = event.session_id;
+      latest.last_stop_ts = stopTs;
+      latest.analyzed = [...(latest.analyzed || []), ...analyzedNow].slice(-200);
+    });
     process.exit(0);
   } catch (e) {
     log(`Stop hook error: ${e.message}`);
@@ -176,39 +213,16 @@ async function main() {
 }
 
 /**
- * Extract error context from Claude's response.
- * Looks for stack traces, error messages, command failures.
+ * Extract error context from the turn's tool calls: the last one that
+ * failed, with its exit code and the tail of its error output.
  */
-function extractErrorContext(claudeSaid) {
-  if (!claudeSaid) return null;
-
-  const errorIndicators = [
-    /Error:\s*.+/i,
-    /TypeError:\s*.+/i,
-    /ReferenceError:\s*.+/i,
-    /SyntaxError:\s*.+/i,
-    /ENOENT|EACCES|ECONNREFUSED/,
-    /command failed|exit code [1-9]/i,
-    /Cannot find module/i,
-    /is not defined/i,
-    /Unexpected token/i,
-    /compilation failed|build failed/i,
-    /FAIL\s+\w/,
-    /assertion failed|expect.*to/i,
-  ];
-
-  for (const pattern of errorIndicators) {
-    const match = claudeSaid.match(pattern);
-    if (match) {
-      // Grab surrounding context (100 chars before and after)
-      const idx = match.index;
-      const start = Math.max(0, idx - 100);
-      const end = Math.min(claudeSaid.length, idx + match[0].length + 200);
-      return claudeSaid.slice(start, end);
-    }
-  }
+function extractErrorContext(toolEvents) {
+  const failed = (toolEvents || []).filter((e) => e.status === "error");
+  if (failed.length === 0) return null;
 
-  return null;
+  const last = failed[failed.length - 1];
+  const status = last.exit_code ? `exit ${last.exit_code}` : "failed";
+  return `${last.tool} ${last.input} — ${status}${last.error ? `: ${last.error}` : ""}`;
 }
 
 function readStdin() {
@@ -221,16 +235,6 @@ function readStdin() {
   });
 }
 
-function hashPair(pair) {
-  const str = (pair.claude_said || "").slice(0, 100) + "|" + (pair.user_said || "").slice(0, 100);
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    hash = (hash << 5) - hash + str.charCodeAt(i);
-    hash |= 0;
-  }
-  return hash.toString(36);
-}
-
 function truncate(str, max) {
   if (!str) return "";
   return str.length > max ? str.slice(0, max) + "..." : str;
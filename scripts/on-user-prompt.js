@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * OpenTell — UserPromptSubmit Hook
+ *
+ * Fires when the developer sends a prompt. The SessionStart context goes
+ * stale in a long session: a correction made an hour in only becomes an
+ * active learning for the next session, and a prompt that turns to a new
+ * area ("now write the Dockerfile") finds that area's learnings left out.
+ * This hook adds a small delta instead of repeating the whole context:
+ *
+ *   - learnings that became active since the session started
+ *   - learnings for areas the prompt turns to (lib/areas.js promptAreas)
+ *     that the session-start context didn't include
+ *
+ * What was already injected is tracked in the session buffer (`context`,
+ * written by SessionStart), so each learning is delivered at most once and
+ * each area is caught up once per session. Newly activated learnings wait
+ * DELTA_COOLDOWN_MS between deltas, so a burst of corrections doesn't add
+ * context on every prompt. stdout on exit 0 is added to Claude's context.
+ */
+
+const { loadConfig, log } = require("../lib/config");
+const { resolveScopeKey } = require("../lib/scope");
+const { promptAreas } = require("../lib/areas");
+const { composeDelta } = require("../lib/skill-writer");
+const { getActiveLearnings, loadBuffer, updateBuffer } = require("../lib/store");
+
+// Tokens a delta may add
+const DELTA_BUDGET = 300;
+// Minimum time between deltas of newly activated learnings
+const DELTA_COOLDOWN_MS = 5 * 60 * 1000;
+
+async function main() {
+  try {
+    const input = await readStdin();
+    const event = JSON.parse(input);
+
+    const config = loadConfig();
+    if (config.paused) {
+      process.exit(0);
+      return;
+    }
+
+    const scopeKey = resolveScopeKey(event.cwd);
+    const active = getActiveLearnings(config.confidence_threshold || 0.45, scopeKey);
+    const state = loadBuffer().context;
+
+    // No record of this session's context (the plugin was installed
+    // mid-session, or another session started since): start tracking from
+    // here rather than re-sending everything
+    if (!state || state.session_id !== event.session_id) {
+      updateBuffer((buf) => {
+        buf.context = { session_id: event.session_id, areas: [], active: active.map((l) => l.id), delivered: [], last_delta_at: 0 };
+      });
+      process.exit(0);
+      return;
+    }
+
+    const now = Date.now();
+    const known = new Set(state.active);
+    const delivered = new Set(state.delivered);
+    const pending = (l) => !delivered.has(l.id);
+
+    const coolingDown = now - (state.last_delta_at || 0) < DELTA_COOLDOWN_MS;
+    const fresh = coolingDown ? [] : active.filter((l) => !known.has(l.id) && pending(l));
+
+    const newAreas = promptAreas(event.prompt).filter((a) => !state.areas.includes(a));
+    const byArea = {};
+    for (const area of newAreas) {
+      const forArea = active.filter((l) => pending(l) && (l.areas || [l.area]).includes(area));
+      if (forArea.length > 0) byArea[area] = forArea;
+    }
+
+    if (fresh.length === 0 && newAreas.length === 0) {
+      process.exit(0);
+      return;
+    }
+
+    const delta = fresh.length > 0 || Object.keys(byArea).length > 0 ? composeDelta(fresh, byArea, DELTA_BUDGET) : null;
+    if (delta?.text) {
+      process.stdout.write(delta.text);
+      log(`Context delta: ${delta.included.length} learning(s)${newAreas.length > 0 ? `, areas ${newAreas.join(", ")}` : ""}`);
+    }
+
+    updateBuffer((buf) => {
+      if (buf.context?.session_id !== event.session_id) return;
+      buf.context.areas = [...new Set([...buf.context.areas, ...newAreas])];
+      if (delta?.text) {
+        buf.context.delivered = [...new Set([...buf.context.delivered, ...delta.included.map((e) => e.learning.id)])];
+        buf.context.last_delta_at = now;
+      }
+    });
+    process.exit(0);
+  } catch (e) {
+    log(`UserPromptSubmit error: ${e.message}`);
+    // Exit 0 even on error — never block the prompt
+    process.exit(0);
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = "";
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", (chunk) => (data += chunk));
+    process.stdin.on("end", () => resolve(data));
+    setTimeout(() => resolve(data || "{}"), 1000);
+  });
+}
+
+main();
@@ -53,7 +53,9 @@ execFile("git", ["-C", PLUGIN_ROOT, "fetch", "origin", "--quiet"], {
       // plugin-level copy again to prevent /opentell:opentell from reappearing.
       const userCmd = path.join(os.homedir(), ".claude", "commands", "opentell.md");
       const pluginCmd = path.join(PLUGIN_ROOT, "commands", "opentell.md");
-      if (fs.existsSync(userCmd) && fs.existsSync(pluginCmd)) {
+      // Never in a development checkout, where the file is the command's source
+      const installed = path.resolve(PLUGIN_ROOT).startsWith(path.join(os.homedir(), ".claude", "plugins") + path.sep);
+      if (installed && fs.existsSync(userCmd) && fs.existsSync(pluginCmd)) {
         try {
           fs.unlinkSync(pluginCmd);
           log("Auto-update: re-deleted plugin command (user-level /opentell takes precedence)");
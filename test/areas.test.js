@@ -0,0 +1,59 @@
+/**
+ * Active area inference: the bounded directory walk and the per-directory
+ * cache that keeps it off most SessionStarts.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { paths, readJson } = require("../lib/config");
+const { inferActiveAreas } = require("../lib/areas");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function project(files) {
+  const dir = fs.mkdtempSync(path.join(home, "project-"));
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), contents);
+  }
+  return dir;
+}
+
+test("infers areas from manifests, files and structure", () => {
+  const dir = project({
+    "package.json": JSON.stringify({ dependencies: { react: "^18.0.0" } }),
+    "src/App.tsx": "",
+    "Dockerfile": "",
+  });
+  const { areas, reasons } = inferActiveAreas(dir);
+  for (const area of ["frontend", "ux", "devops", "general", "architecture"]) assert.ok(areas.includes(area), area);
+  assert.ok(reasons.devops.includes("Dockerfile"));
+});
+
+test("the walk stops a few levels down", () => {
+  const dir = project({ "a/b/c/d/e/Dockerfile": "", "src/main.py": "" });
+  assert.deepStrictEqual(inferActiveAreas(dir).areas, []);
+});
+
+test("a result is reused until the cache entry expires", () => {
+  const dir = project({ "main.go": "" });
+  assert.ok(inferActiveAreas(dir).areas.includes("backend"));
+
+  fs.writeFileSync(path.join(dir, "Dockerfile"), "");
+  assert.ok(!inferActiveAreas(dir).areas.includes("devops"), "served from the cache");
+  assert.ok(inferActiveAreas(dir, null, { fresh: true }).areas.includes("devops"));
+
+  fs.rmSync(path.join(dir, "Dockerfile"));
+  const cache = readJson(paths.areas, {});
+  for (const entry of Object.values(cache)) entry.at -= 11 * 60 * 1000;
+  fs.writeFileSync(paths.areas, JSON.stringify(cache));
+  assert.ok(!inferActiveAreas(dir).areas.includes("devops"), "an expired entry is inferred again");
+  assert.strictEqual(Object.keys(readJson(paths.areas, {})).length, 1, "expired entries are pruned");
+});
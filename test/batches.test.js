@@ -0,0 +1,199 @@
+/**
+ * Batch classification against a local stand-in for the Message Batches
+ * API: submitting the WAL, polling, applying results, and jobs that end
+ * errored, expire, or disappear.
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { paths, ensureDir, writeFileAtomic } = require("../lib/config");
+const { appendWal, drainWal, clearWal, getAllLearnings } = require("../lib/store");
+const { submitWalBatch, syncBatches, listBatches } = require("../lib/batches");
+const { loadStats } = require("../lib/stats");
+
+// ─── Fake Message Batches API ────────────────────────────────────────────────
+
+const api = {
+  jobs: new Map(),   // id → { status, results: [rows] }
+  submitted: [],     // request bodies of POST /v1/messages/batches
+  headers: [],
+};
+
+const server = http.createServer((req, res) => {
+  api.headers.push(req.headers);
+  let body = "";
+  req.on("data", (d) => (body += d));
+  req.on("end", () => {
+    const send = (status, data, type = "application/json") => {
+      res.writeHead(status, { "content-type": type });
+      res.end(typeof data === "string" ? data : JSON.stringify(data));
+    };
+
+    if (req.method === "POST" && req.url === "/v1/messages/batches") {
+      const id = `msgbatch_${api.jobs.size + 1}`;
+      api.submitted.push(JSON.parse(body));
+      api.jobs.set(id, { status: "in_progress", results: [] });
+      return send(200, { id, type: "message_batch", processing_status: "in_progress" });
+    }
+
+    const m = req.url.match(/^\/v1\/messages\/batches\/([^/]+)(\/results)?$/);
+    const job = m && api.jobs.get(decodeURIComponent(m[1]));
+    if (!job) return send(404, { type: "error", error: { type: "not_found_error", message: "Batch not found" } });
+    if (m[2]) return send(200, job.results.map((r) => JSON.stringify(r)).join("\n") + "\n", "application/x-jsonl");
+    return send(200, {
+      id: m[1],
+      type: "message_batch",
+      processing_status: job.status,
+      results_url: job.status === "ended" ? `${origin()}/v1/messages/batches/${m[1]}/results` : null,
+    });
+  });
+});
+
+function origin() {
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function succeeded(customId, classifications) {
+  return {
+    custom_id: customId,
+    result: {
+      type: "succeeded",
+      message: {
+        model: "claude-haiku-4-5-20251001",
+        content: [{ type: "text", text: JSON.stringify(classifications) }],
+        usage: { input_tokens: 1000, output_tokens: 100 },
+      },
+    },
+  };
+}
+
+function queuePairs(n) {
+  for (let i = 0; i < n; i++) {
+    appendWal({ claude_said: `I'll run npm install (${i})`, user_said: `No, use pnpm (${i})`, scope_key: "" });
+  }
+}
+
+function config() {
+  return {
+    classifier_model: "claude-haiku-4-5-20251001",
+    batch_classification: true,
+    provider: { type: "anthropic", base_url: origin(), api_key: "test-key" },
+    http: { max_retries: 0 },
+  };
+}
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  ensureDir();
+  writeFileAtomic(paths.config, JSON.stringify(config()));
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  clearWal();
+  try { fs.unlinkSync(paths.batches); } catch {}
+  try { fs.unlinkSync(paths.circuit); } catch {}
+});
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+test("submits queued pairs as one job and parks them as batched", async () => {
+  queuePairs(3);
+  const submitted = await submitWalBatch(config());
+
+  assert.deepStrictEqual(submitted, { id: `msgbatch_${api.jobs.size}`, pairs: 3 });
+  const body = api.submitted.at(-1);
+  assert.strictEqual(body.requests.length, 1);
+  assert.strictEqual(body.requests[0].custom_id, "chunk-1");
+  assert.strictEqual(body.requests[0].params.model, "claude-haiku-4-5-20251001");
+  assert.match(JSON.stringify(body.requests[0].params.messages), /Pair 3/);
+  assert.strictEqual(api.headers.at(-1)["x-api-key"], "test-key");
+
+  assert.ok(drainWal().every((e) => e.state === "batched" && e.batch_id === submitted.id));
+  assert.deepStrictEqual(listBatches().map((b) => b.id), [submitted.id]);
+});
+
+test("polling a job in progress leaves it open", async () => {
+  queuePairs(2);
+  const { id } = await submitWalBatch(config());
+
+  const summary = await syncBatches(config());
+  assert.strictEqual(summary.in_progress, 1);
+  assert.strictEqual(summary.ended, 0);
+  const [record] = listBatches();
+  assert.strictEqual(record.id, id);
+  assert.strictEqual(record.syncing, undefined, "the sync claim is released");
+  assert.ok(drainWal().every((e) => e.state === "batched"));
+});
+
+test("results of an ended job are applied and billed at batch pricing", async () => {
+  queuePairs(3);
+  const { id } = await submitWalBatch(config());
+  const job = api.jobs.get(id);
+  job.status = "ended";
+  job.results = [succeeded("chunk-1", [
+    { index: 1, classification: "PREFERENCE", learning: "Uses pnpm for packages in batch tests", area: "general", scope: "global" },
+    { index: 2, classification: "CONTINUATION", reason: "Moving on" },
+    { index: 3, classification: "CONTINUATION", reason: "Moving on" },
+  ])];
+
+  const summary = await syncBatches(config());
+  assert.deepStrictEqual(summary, { ended: 1, in_progress: 0, processed: 3, learnings: 1, failed: 0 });
+  assert.deepStrictEqual(listBatches(), []);
+  assert.deepStrictEqual(drainWal(), []);
+  assert.ok(getAllLearnings().some((l) => l.text === "Uses pnpm for packages in batch tests" && l.detection_method === "llm"));
+
+  const stats = loadStats();
+  assert.strictEqual(stats.total_batch_calls, 1);
+  // Haiku 4.5 at half price: (1000 · $1 + 100 · $5) / 1M / 2
+  assert.ok(Math.abs(stats.total_cost_usd - 0.00075) < 1e-9);
+});
+
+test("errored and expired requests send their pairs back as failed", async () => {
+  queuePairs(25);
+  const { id } = await submitWalBatch(config());
+  assert.strictEqual(api.submitted.at(-1).requests.length, 2);
+
+  const job = api.jobs.get(id);
+  job.status = "ended";
+  job.results = [
+    { custom_id: "chunk-1", result: { type: "errored", error: { type: "error", error: { type: "overloaded_error", message: "Overloaded" } } } },
+    { custom_id: "chunk-2", result: { type: "expired" } },
+  ];
+
+  const summary = await syncBatches(config());
+  assert.strictEqual(summary.ended, 1);
+  assert.strictEqual(summary.failed, 25);
+  assert.deepStrictEqual(listBatches(), []);
+
+  const entries = drainWal();
+  assert.strictEqual(entries.length, 25);
+  assert.ok(entries.every((e) => e.state === "failed" && e.attempts === 1 && !e.batch_id));
+  assert.match(entries[0].last_error, /Overloaded/);
+  assert.match(entries.at(-1).last_error, /expired/);
+});
+
+test("a job the API no longer knows is abandoned and its pairs requeued", async () => {
+  queuePairs(2);
+  const { id } = await submitWalBatch(config());
+  api.jobs.delete(id);
+
+  const summary = await syncBatches(config());
+  assert.strictEqual(summary.ended, 0);
+  assert.deepStrictEqual(listBatches(), []);
+  const entries = drainWal();
+  assert.strictEqual(entries.length, 2);
+  assert.ok(entries.every((e) => e.state === "pending" && !e.batch_id));
+});
@@ -0,0 +1,95 @@
+/**
+ * The numbers `opentell status` prints are the ones pin, harden, unpin,
+ * remove and promote act on.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { ensureDir } = require("../lib/config");
+const { loadLearnings, saveLearnings, getAllLearnings } = require("../lib/store");
+
+const CLI = path.join(__dirname, "..", "opentell-cli.js");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function learning(id, text, confidence, extra = {}) {
+  return {
+    id, text, confidence, evidence_count: 2, classification: "PREFERENCE", area: "general",
+    scope: "global", detection_method: "regex", decay_weight: 1, ...extra,
+  };
+}
+
+function opentell(...args) {
+  return execFileSync(process.execPath, [CLI, ...args], { cwd: home, env: { ...process.env, HOME: home }, encoding: "utf-8" });
+}
+
+/** The number status prints in front of a learning's text. */
+function numberOf(status, text) {
+  const line = status.split("\n").find((l) => l.includes(text));
+  assert.ok(line, `"${text}" not listed`);
+  return Number(line.match(/^\s*(\d+)\./)[1]);
+}
+
+before(() => {
+  ensureDir();
+  const data = loadLearnings();
+  data.learnings.push(
+    learning("a", "Archived long ago", 0.8, { archived: true, archived_reason: "Removed by developer" }),
+    learning("b", "Uses tabs for indentation", 0.3),
+    learning("c", "Prefers early returns", 0.6, { classification: "DESIGN_PRINCIPLE" }),
+    learning("d", "Elsewhere only", 0.7, { scope: "repo", scope_key: "/some/other/repo" }),
+    learning("e", "Uses pnpm for packages", 0.9),
+    learning("f", "Writes tests first", 0.55, { classification: "QUALITY_STANDARD" }),
+    learning("g", "Keeps functions short", 0.5, { inferred: true, detection_method: "claude_observation" }),
+  );
+  saveLearnings(data);
+});
+
+test("status numbers active learnings and candidates by the same index", () => {
+  const status = opentell("status");
+  assert.strictEqual(numberOf(status, "Uses tabs for indentation"), 1);
+  assert.strictEqual(numberOf(status, "Prefers early returns"), 2);
+  assert.strictEqual(numberOf(status, "Uses pnpm for packages"), 4);
+  assert.strictEqual(numberOf(status, "Writes tests first"), 5);
+  assert.ok(!status.includes("Archived long ago"));
+});
+
+test("pin <n> pins the learning status showed as n", () => {
+  const n = numberOf(opentell("status"), "Uses pnpm for packages");
+  assert.match(opentell("pin", String(n)), /Pinned: Uses pnpm for packages/);
+  const pinned = getAllLearnings().filter((l) => l.enforcement === "strong").map((l) => l.id);
+  assert.deepStrictEqual(pinned, ["e"]);
+
+  assert.match(opentell("unpin", String(n)), /Uses pnpm for packages/);
+  assert.ok(getAllLearnings().every((l) => !l.enforcement));
+});
+
+test("numbers skip other repos' learnings without shifting", () => {
+  const status = opentell("status", "--repo");
+  assert.ok(!status.includes("Elsewhere only"));
+  assert.strictEqual(numberOf(status, "Writes tests first"), 5);
+
+  opentell("harden", "5");
+  assert.strictEqual(getAllLearnings().find((l) => l.enforcement === "hard").id, "f");
+});
+
+test("remove <n> archives the learning status showed as n", () => {
+  const n = numberOf(opentell("status"), "Uses tabs for indentation");
+  assert.match(opentell("remove", String(n)), /Removed: Uses tabs for indentation/);
+  assert.ok(!getAllLearnings().some((l) => l.id === "b"));
+});
+
+test("promote <n> refuses an unvalidated observation", () => {
+  const n = getAllLearnings().findIndex((l) => l.id === "g") + 1;
+  assert.throws(() => opentell("promote", String(n)), (e) => /opentell accept/.test(e.stderr));
+  assert.ok(!getAllLearnings().find((l) => l.id === "g").promoted);
+  assert.ok(!fs.existsSync(path.join(home, "CLAUDE.md")));
+});
@@ -0,0 +1,133 @@
+/**
+ * Contradictions: which side stays active, parking and swapping as evidence
+ * accrues, settling a conflict, and the order conflicts.json is written in.
+ */
+
+const { test, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { paths, readJson } = require("../lib/config");
+const db = require("../lib/db");
+const { addCandidate, loadLearnings, saveLearnings, resetAll } = require("../lib/store");
+const { strength, listConflicts, resolveConflict } = require("../lib/conflicts");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => resetAll());
+
+let said = 0;
+function add(text, extra = {}) {
+  said++;
+  addCandidate({
+    text, classification: "PREFERENCE", confidence: 0.45, area: "general", scope: "global",
+    evidence: { claude_said: `claude ${said}`, user_said: `user ${said}` }, ...extra,
+  });
+}
+
+function seed(text, confidence, evidenceCount, extra = {}) {
+  const data = loadLearnings();
+  data.learnings.push({
+    id: text.toLowerCase().replace(/\W+/g, "-"), text, confidence, evidence_count: evidenceCount,
+    classification: "PREFERENCE", area: "general", areas: ["general"], scope: "global", scope_key: "",
+    decay_weight: 1, archived: false, promoted: false, evidence: [], ...extra,
+  });
+  saveLearnings(data);
+}
+
+const find = (text) => loadLearnings().learnings.find((l) => l.text === text);
+
+test("strength grows with confidence and, logarithmically, with evidence", () => {
+  assert.ok(strength({ confidence: 0.9, evidence_count: 8 }) > 3.5 * strength({ confidence: 0.45, evidence_count: 1 }));
+  assert.ok(strength({ confidence: 0.5, evidence_count: 2 }) > strength({ confidence: 0.5, evidence_count: 1 }));
+});
+
+test("a one-off contradiction is parked behind a well-evidenced learning", () => {
+  seed("Uses pnpm", 0.9, 8);
+  add("Uses yarn");
+
+  assert.strictEqual(find("Uses pnpm").archived, false);
+  const yarn = find("Uses yarn");
+  assert.strictEqual(yarn.archived, true);
+  assert.strictEqual(yarn.contested, true);
+
+  const [conflict] = listConflicts();
+  assert.strictEqual(conflict.active, "uses-pnpm");
+  assert.deepStrictEqual(find("Uses pnpm").conflict_ids, [conflict.id]);
+});
+
+test("a fresh correction replaces a weak learning, which is parked not lost", () => {
+  seed("Uses pnpm", 0.3, 1);
+  add("Uses yarn");
+
+  assert.strictEqual(find("Uses pnpm").contested, true);
+  assert.strictEqual(find("Uses yarn").archived, false);
+  assert.strictEqual(listConflicts()[0].active, find("Uses yarn").id);
+});
+
+test("pinned learnings are never parked", () => {
+  seed("Uses pnpm", 0.3, 1, { enforcement: "strong" });
+  add("Uses yarn");
+
+  assert.strictEqual(find("Uses pnpm").archived, false);
+  assert.strictEqual(find("Uses yarn").contested, true);
+});
+
+test("a parked side that overtakes swaps in", () => {
+  seed("Uses pnpm", 0.55, 2);
+  add("Uses yarn");
+  assert.strictEqual(find("Uses yarn").contested, true);
+
+  for (let i = 0; i < 6; i++) add("Uses yarn");
+  assert.strictEqual(find("Uses yarn").archived, false);
+  assert.strictEqual(find("Uses pnpm").contested, true);
+  assert.strictEqual(listConflicts()[0].active, find("Uses yarn").id);
+});
+
+test("resolve keeps one side and archives the other for good", () => {
+  seed("Uses pnpm", 0.9, 8);
+  add("Uses yarn");
+  const [conflict] = listConflicts();
+
+  resolveConflict(conflict.id, "resolve", { side: 1, min_confidence: 0.45 });
+  const yarn = find("Uses yarn");
+  assert.strictEqual(yarn.archived, false);
+  assert.strictEqual(yarn.conflict_ids, undefined);
+  assert.match(find("Uses pnpm").archived_reason, /Lost conflict/);
+  assert.strictEqual(find("Uses pnpm").contested, undefined);
+  assert.deepStrictEqual(listConflicts(), []);
+  assert.strictEqual(listConflicts("resolved")[0].resolution.kept, yarn.id);
+});
+
+test("scope limits one side to its repo; both keeps both", () => {
+  seed("Uses pnpm", 0.9, 8);
+  add("Uses yarn", { scope_key: "/work/legacy-app" });
+  resolveConflict(listConflicts()[0].id, "scope", { side: 1 });
+  assert.strictEqual(find("Uses yarn").scope_key, "/work/legacy-app");
+  assert.strictEqual(find("Uses yarn").archived, false);
+  assert.deepStrictEqual(find("Uses pnpm").overridden_in, ["/work/legacy-app"]);
+
+  resetAll();
+  seed("Uses pnpm", 0.9, 8);
+  add("Uses yarn");
+  resolveConflict(listConflicts()[0].id, "both");
+  assert.ok(["Uses pnpm", "Uses yarn"].every((t) => !find(t).archived && find(t).context_dependent));
+});
+
+test("conflicts.json is written only after the learnings it names", () => {
+  seed("Uses pnpm", 0.9, 8);
+  const writeAll = db.writeAll;
+  db.writeAll = () => { throw new Error("disk full"); };
+  try {
+    assert.throws(() => add("Uses yarn"), /disk full/);
+  } finally {
+    db.writeAll = writeAll;
+  }
+  assert.strictEqual(find("Uses yarn"), undefined);
+  assert.deepStrictEqual(readJson(paths.conflicts, { conflicts: [] }).conflicts, []);
+});
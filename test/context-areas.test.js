@@ -0,0 +1,61 @@
+/**
+ * Session-start context leaves out learnings for areas the project doesn't
+ * touch, however few learnings there are.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { loadLearnings, saveLearnings } = require("../lib/store");
+const { composeContext } = require("../lib/skill-writer");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function learning(text, area, extra = {}) {
+  return {
+    id: text.toLowerCase().replace(/\W+/g, "-"), text, confidence: 0.7, evidence_count: 3,
+    classification: "PREFERENCE", area, areas: [area], scope: "repo", scope_key: "",
+    decay_weight: 1, archived: false, promoted: false, evidence: [], ...extra,
+  };
+}
+
+before(() => {
+  const data = loadLearnings();
+  data.learnings.push(
+    learning("Uses functional React components", "frontend"),
+    learning("Uses Tailwind for styling", "frontend", { scope: "global" }),
+    learning("Returns errors as values from handlers", "backend"),
+    learning("Uses pnpm", "general", { scope: "global" }),
+    learning("Keeps modules small", "architecture"),
+    learning("Thinks about the user's first five minutes", "frontend", { classification: "THINKING_PATTERN" }),
+    learning("Never ships inline styles", "frontend", { enforcement: "strong" }),
+  );
+  saveLearnings(data);
+});
+
+test("a backend project gets no frontend preferences, global ones included", () => {
+  const result = composeContext(0.45, ["backend"]);
+  assert.ok(result.text.includes("Returns errors as values from handlers"));
+  assert.ok(result.text.includes("Uses pnpm"));
+  assert.ok(result.text.includes("Keeps modules small"));
+  assert.ok(!result.text.includes("Uses functional React components"));
+  assert.ok(!result.text.includes("Uses Tailwind for styling"));
+  assert.deepStrictEqual(result.off_area.map((l) => l.text).sort(), ["Uses Tailwind for styling", "Uses functional React components"]);
+});
+
+test("thinking patterns and pinned learnings apply everywhere", () => {
+  const { text } = composeContext(0.45, ["backend"]);
+  assert.ok(text.includes("Thinks about the user's first five minutes"));
+  assert.ok(text.includes("Never ships inline styles"));
+});
+
+test("nothing is left out when no areas were inferred", () => {
+  assert.deepStrictEqual(composeContext(0.45, null).off_area, []);
+  assert.deepStrictEqual(composeContext(0.45, []).off_area, []);
+});
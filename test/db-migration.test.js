@@ -0,0 +1,64 @@
+/**
+ * One-time migration from learnings.json: a file that can't be read is
+ * left alone and retried, a good one becomes the database snapshot.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { paths, ensureDir } = require("../lib/config");
+const db = require("../lib/db");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const legacy = {
+  learnings: [
+    { id: "a", text: "Uses pnpm", confidence: 0.8, evidence_count: 3 },
+    { id: "b", text: "Prefers early returns", confidence: 0.5, evidence_count: 1, archived: true },
+  ],
+  meta: { total_sessions: 12 },
+};
+
+function leftovers() {
+  return fs.readdirSync(paths.root).filter((f) => f.includes(".staging"));
+}
+
+test("a corrupt learnings.json is not replaced by an empty database", () => {
+  ensureDir();
+  const corrupt = JSON.stringify(legacy).slice(0, 40);
+  fs.writeFileSync(paths.db_legacy, corrupt);
+
+  assert.throws(() => db.readAll(), /Could not migrate/);
+  assert.ok(!fs.existsSync(paths.db), "no database until the migration succeeds");
+  assert.deepStrictEqual(leftovers(), []);
+  assert.strictEqual(fs.readFileSync(paths.db_legacy, "utf-8"), corrupt);
+
+  // Still failing on the next run, not silently empty
+  assert.throws(() => db.queryLearnings(), /Could not migrate/);
+});
+
+test("once the file reads, its learnings are migrated", () => {
+  fs.writeFileSync(paths.db_legacy, JSON.stringify(legacy));
+
+  const data = db.readAll();
+  assert.deepStrictEqual(data.learnings.map((l) => l.id).sort(), ["a", "b"]);
+  assert.strictEqual(data.meta.total_sessions, 12);
+  assert.strictEqual(db.getLearning("b").archived, true);
+  assert.deepStrictEqual(db.queryLearnings({ status: "live" }).map((l) => l.id), ["a"]);
+
+  assert.ok(!fs.existsSync(paths.db_legacy));
+  assert.ok(fs.existsSync(paths.db_legacy + ".migrated"));
+  assert.deepStrictEqual(leftovers(), []);
+});
+
+test("the migration runs once", () => {
+  fs.writeFileSync(paths.db_legacy, JSON.stringify({ learnings: [{ id: "z", text: "Late arrival", confidence: 0.3 }] }));
+  assert.strictEqual(db.getLearning("z"), null);
+  assert.ok(fs.existsSync(paths.db_legacy), "a later learnings.json is left alone");
+});
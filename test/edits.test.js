@@ -0,0 +1,185 @@
+/**
+ * Hand edits: the line diff, which edits are recognized as a style
+ * preference and which are ignored, and the snapshot → diff flow.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { snapshotFile, collectHumanEdits, classifyEdits, diffLines } = require("../lib/edits");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const texts = (edits) => edits.map((e) => e.text);
+const lines = (...l) => l.join("\n");
+
+// ─── diffLines ───────────────────────────────────────────────────────────────
+
+test("diffLines groups removed and added lines into hunks", () => {
+  assert.deepStrictEqual(diffLines(["a", "b", "c"], ["a", "b", "c"]), []);
+  assert.deepStrictEqual(diffLines(["a", "b", "c", "d"], ["a", "B", "c", "d", "e"]), [
+    { removed: ["b"], added: ["B"] },
+    { removed: [], added: ["e"] },
+  ]);
+  assert.deepStrictEqual(diffLines(["x", "keep", "y"], ["keep"]), [{ removed: ["x"], added: [] }, { removed: ["y"], added: [] }]);
+});
+
+test("diffLines gives up on a changed region too big to align", () => {
+  const a = Array.from({ length: 600 }, (_, i) => `a${i}`);
+  const b = Array.from({ length: 600 }, (_, i) => `b${i}`);
+  assert.strictEqual(diffLines(a, b), null);
+});
+
+// ─── classifyEdits: recognized ───────────────────────────────────────────────
+
+test("quotes swapped on otherwise identical lines", () => {
+  const edits = classifyEdits(
+    lines("const a = 'x';", "const b = 'y';"),
+    lines('const a = "x";', 'const b = "y";'),
+    "src/a.js"
+  );
+  assert.deepStrictEqual(texts(edits), ["Uses double quotes for strings"]);
+  assert.strictEqual(edits[0].before, "const a = 'x';");
+  assert.strictEqual(edits[0].after, 'const a = "x";');
+});
+
+test("semicolons, only in JavaScript and TypeScript", () => {
+  assert.deepStrictEqual(texts(classifyEdits("const a = 1;\nrun();", "const a = 1\nrun()", "src/a.ts")), ["Omits semicolons"]);
+  assert.deepStrictEqual(texts(classifyEdits("x = 1", "x = 1;", "src/a.mjs")), ["Ends statements with semicolons"]);
+  assert.deepStrictEqual(classifyEdits("x = 1", "x = 1;", "script.py"), []);
+});
+
+test("quotes and semicolons changed on the same line are both found", () => {
+  const edits = classifyEdits("import x from \"y\";\nconst a = \"b\";", "import x from \"y\";\nconst a = 'b'", "a.js");
+  assert.deepStrictEqual(texts(edits).sort(), ["Omits semicolons", "Uses single quotes for strings"]);
+});
+
+test("tabs for spaces", () => {
+  assert.deepStrictEqual(texts(classifyEdits("if (a) {\n  go();\n}", "if (a) {\n\tgo();\n}", "a.js")), ["Indents with tabs"]);
+  assert.deepStrictEqual(texts(classifyEdits("def f():\n\treturn 1", "def f():\n    return 1", "a.py")), ["Indents with spaces, not tabs"]);
+});
+
+test("a rename to another case style, or spelling out an abbreviation", () => {
+  assert.deepStrictEqual(
+    texts(classifyEdits("userName = get()\nprint(userName)", "user_name = get()\nprint(user_name)", "a.py")),
+    ["Uses snake_case for names"]
+  );
+  assert.deepStrictEqual(
+    texts(classifyEdits("const cfg = load();", "const config = load();", "a.js")),
+    ["Uses descriptive names, not abbreviations"]
+  );
+});
+
+test("deleted comment lines", () => {
+  const edits = classifyEdits(
+    lines("// increment the counter", "count++;", "# not a heading in code"),
+    lines("count++;"),
+    "a.js"
+  );
+  assert.deepStrictEqual(texts(edits), ["Avoids comments that restate the code"]);
+  assert.strictEqual(edits[0].before, "// increment the counter");
+});
+
+test("imports sorted, or grouped packages first", () => {
+  assert.deepStrictEqual(
+    texts(classifyEdits(lines('import z from "zod";', 'import a from "axios";', "", "run();"), lines('import a from "axios";', 'import z from "zod";', "", "run();"), "a.js")),
+    ["Sorts imports alphabetically"]
+  );
+  assert.deepStrictEqual(
+    texts(classifyEdits(
+      lines('const util = require("./util");', 'const path = require("path");', 'const b = require("./b");'),
+      lines('const path = require("path");', 'const util = require("./util");', 'const b = require("./b");'),
+      "a.js"
+    )),
+    ["Groups imports: packages first, then relative paths"]
+  );
+});
+
+// ─── classifyEdits: ignored ──────────────────────────────────────────────────
+
+test("a rename that keeps the style says nothing general", () => {
+  assert.deepStrictEqual(classifyEdits("const data = fetch();\nshow(data);", "const users = fetch();\nshow(users);", "a.js"), []);
+});
+
+test("more than 40 changed lines is a rewrite, not a hand edit", () => {
+  const before = Array.from({ length: 41 }, (_, i) => `const v${i} = 'x';`).join("\n");
+  const after = before.replace(/'/g, '"');
+  assert.deepStrictEqual(classifyEdits(before, after, "a.js"), []);
+  // At the limit it still counts
+  const forty = before.split("\n").slice(0, 40).join("\n");
+  assert.deepStrictEqual(texts(classifyEdits(forty, forty.replace(/'/g, '"'), "a.js")), ["Uses double quotes for strings"]);
+});
+
+test("Markdown headings are not comments", () => {
+  assert.deepStrictEqual(classifyEdits("# Setup\n\nRun it.", "Run it.", "README.md"), []);
+  assert.deepStrictEqual(classifyEdits("## Notes\ntext", "text", "docs/guide.mdx"), []);
+});
+
+test("edits that change what the code does are ignored", () => {
+  assert.deepStrictEqual(classifyEdits("return a + b;", "return a - b;", "a.js"), []);
+  assert.deepStrictEqual(classifyEdits("go();", "go();\nstop();", "a.js"), []);
+  // A comment replaced by another comment is an edit, not a deletion
+  assert.deepStrictEqual(classifyEdits("// old note\nrun();", "// new note\nrun();", "a.js"), []);
+});
+
+// ─── Snapshot flow ───────────────────────────────────────────────────────────
+
+function project() {
+  return fs.mkdtempSync(path.join(home, "project-"));
+}
+
+test("an edit after Claude's write becomes a repo-scoped learning, once", () => {
+  const dir = project();
+  const file = path.join(dir, "app.js");
+  fs.writeFileSync(file, "const name = 'app';\n");
+  assert.strictEqual(snapshotFile(file, dir), true);
+
+  fs.writeFileSync(file, 'const name = "app";\n');
+  const [learning, ...rest] = collectHumanEdits();
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(learning.text, "Uses double quotes for strings");
+  assert.strictEqual(learning.scope, "repo");
+  assert.strictEqual(learning.scope_key, dir);
+  assert.strictEqual(learning.detection_method, "human_edit");
+  assert.strictEqual(learning.certainty, "low");
+  assert.strictEqual(learning.evidence.claude_said, "Claude wrote (app.js): const name = 'app';");
+
+  assert.deepStrictEqual(collectHumanEdits(), [], "the same edit counts once");
+});
+
+test("a mutating command run since the snapshot means the edit may not be the developer's", () => {
+  const dir = project();
+  const file = path.join(dir, "lib.js");
+  fs.writeFileSync(file, "const a = 'x';\n");
+  snapshotFile(file, dir);
+
+  fs.writeFileSync(file, 'const a = "x";\n');
+  const ranLater = Date.now() + 1000;
+  assert.deepStrictEqual(collectHumanEdits([{ tool: "Bash", command: `sed -i "s/'/\\"/g" ${file}`, ts: ranLater }]), []);
+  assert.deepStrictEqual(collectHumanEdits([{ tool: "Bash", command: "npx prettier --write .", ts: ranLater + 1000 }]), []);
+
+  // A command from before the snapshot doesn't excuse a later edit
+  fs.writeFileSync(file, 'const a = "x"\n');
+  assert.deepStrictEqual(texts(collectHumanEdits([{ tool: "Bash", command: "git checkout .", ts: 1 }])), ["Omits semicolons"]);
+});
+
+test("generated files are not snapshotted, deleted files are forgotten", () => {
+  const dir = project();
+  fs.mkdirSync(path.join(dir, "dist"));
+  fs.writeFileSync(path.join(dir, "dist", "bundle.js"), "x");
+  assert.strictEqual(snapshotFile(path.join(dir, "dist", "bundle.js"), dir), false);
+
+  const file = path.join(dir, "gone.js");
+  fs.writeFileSync(file, "a = 'b'");
+  snapshotFile(file, dir);
+  fs.rmSync(file);
+  assert.deepStrictEqual(collectHumanEdits(), []);
+  fs.writeFileSync(file, 'a = "b"');
+  assert.deepStrictEqual(collectHumanEdits(), [], "no snapshot is left to diff against");
+});
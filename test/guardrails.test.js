@@ -0,0 +1,192 @@
+/**
+ * Guardrails: triggers read from learning text, which pending calls match
+ * them, and what the PreToolUse hook does with a match — deny or remind.
+ */
+
+const { test, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { paths, ensureDir } = require("../lib/config");
+const { saveLearnings } = require("../lib/store");
+const { inferTriggers, triggersFor, pendingCall, checkCall, setMustFollow, loadGuardrails } = require("../lib/guardrails");
+
+const HOOK = path.join(__dirname, "..", "scripts", "on-pre-tool-use.js");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => {
+  ensureDir();
+  for (const file of [paths.guardrails, paths.buffer]) {
+    try { fs.unlinkSync(file); } catch {}
+  }
+  saveLearnings({ learnings: [] });
+});
+
+function learning(id, text, extra = {}) {
+  return {
+    id, text, confidence: 0.8, evidence_count: 3, classification: "PREFERENCE", area: "general",
+    scope: "global", detection_method: "regex", decay_weight: 1, ...extra,
+  };
+}
+
+const bash = (command) => ({ tool: "Bash", command });
+const edit = (file, isNew = false) => ({ tool: isNew ? "Write" : "Edit", path: file, isNew });
+const matches = (l, call) => checkCall(call, [l], { must_follow: [] }).length > 0;
+
+/** Run the hook on a pending call; its parsed output, or null if silent. */
+function hook(tool_name, tool_input) {
+  const out = execFileSync(process.execPath, [HOOK], {
+    input: JSON.stringify({ tool_name, tool_input, cwd: home, session_id: "s1" }),
+    env: { ...process.env, HOME: home },
+    encoding: "utf-8",
+  });
+  return out ? JSON.parse(out).hookSpecificOutput : null;
+}
+
+// ─── Triggers from text ─────────────────────────────────────────────────────
+
+test("the tool after not / instead of / avoids is the one to watch for", () => {
+  assert.deepStrictEqual(inferTriggers("Uses pnpm — not npm"), [{ type: "command", tool: "npm" }]);
+  assert.deepStrictEqual(inferTriggers("Runs vitest instead of jest"), [{ type: "command", tool: "jest" }]);
+  assert.deepStrictEqual(inferTriggers("Avoids yarn in this repo"), [{ type: "command", tool: "yarn" }]);
+});
+
+test("'Prefers pnpm' watches for the alternative Claude was corrected for", () => {
+  assert.deepStrictEqual(inferTriggers("Prefers pnpm", ["I'll run npm install && jest"]),
+    [{ type: "command", tool: "npm" }]);
+  assert.deepStrictEqual(inferTriggers("Prefers pnpm"), []);
+});
+
+test("generated files, conventional commits and merge/rebase habits", () => {
+  assert.deepStrictEqual(inferTriggers("Edits the source, never generated files"), [{ type: "edit", generated: true }]);
+  assert.deepStrictEqual(inferTriggers("Regenerates lockfiles with the package manager"), []);
+  assert.deepStrictEqual(inferTriggers("Writes conventional commit messages"), [{ type: "commit", format: "conventional" }]);
+  assert.deepStrictEqual(inferTriggers("Rebases instead of merging"), [{ type: "command", signature: "git merge" }]);
+  assert.deepStrictEqual(inferTriggers("Never rebases shared branches"), [{ type: "command", signature: "git rebase" }]);
+  assert.deepStrictEqual(inferTriggers("Prefers early returns"), []);
+});
+
+test("triggers stored by a detector win over the text", () => {
+  const stored = [{ type: "tool", tool: "WebFetch" }];
+  assert.deepStrictEqual(triggersFor(learning("x", "Uses pnpm — not npm", { triggers: stored })), stored);
+  assert.deepStrictEqual(triggersFor(learning("y", "Uses pnpm — not npm")), [{ type: "command", tool: "npm" }]);
+});
+
+// ─── Matching pending calls ─────────────────────────────────────────────────
+
+test("command triggers match the tool anywhere in a compound command", () => {
+  const npm = learning("x", "Uses pnpm — not npm");
+  assert.ok(matches(npm, bash("npm install")));
+  assert.ok(matches(npm, bash("npx jest")));
+  assert.ok(matches(npm, bash("cd web && npm run build")));
+  assert.ok(!matches(npm, bash("pnpm install")));
+  assert.ok(!matches(npm, bash("pnpm exec jest")));
+  assert.ok(!matches(npm, bash("ls node_modules")));
+
+  const push = learning("y", "Leaves `git push` to the developer", { triggers: [{ type: "command", signature: "git push" }] });
+  assert.ok(matches(push, bash("git add -A && git commit -m wip && git push origin main")));
+  assert.ok(!matches(push, bash("git pull --rebase")));
+});
+
+test("commit triggers match only commits outside the conventional format", () => {
+  const conventional = learning("x", "Writes conventional commit messages");
+  assert.ok(matches(conventional, bash('git commit -m "Fixed the login bug"')));
+  assert.ok(matches(conventional, bash('git add -A && git commit -qm "wip"')));
+  assert.ok(!matches(conventional, bash('git commit -m "fix(auth): handle expired tokens"')));
+  assert.ok(!matches(conventional, bash("git commit --amend --no-edit")));
+  assert.ok(!matches(conventional, bash("git log --oneline")));
+});
+
+test("edit triggers: generated output, one file, new files of a type", () => {
+  const generated = learning("g", "Edits the source, never generated files");
+  assert.ok(matches(generated, edit("/repo/dist/app.js")));
+  assert.ok(matches(generated, edit("/repo/pnpm-lock.yaml")));
+  assert.ok(!matches(generated, edit("/repo/src/app.js")));
+  assert.ok(!matches(generated, bash("rm -rf dist")));
+
+  const file = learning("f", "Leaves src/db.js alone", { triggers: [{ type: "edit", path: "src/db.js" }] });
+  assert.ok(matches(file, edit("/repo/src/db.js")));
+  assert.ok(!matches(file, edit("/repo/src/mydb.js")));
+
+  const ts = learning("t", "Writes new files in TypeScript", { triggers: [{ type: "edit", extension: ".js", new: true }] });
+  assert.ok(matches(ts, edit("/repo/src/util.js", true)));
+  assert.ok(!matches(ts, edit("/repo/src/util.js")));
+  assert.ok(!matches(ts, edit("/repo/src/util.ts", true)));
+
+  const tests = learning("p", "Puts tests under test/", { triggers: [{ type: "edit", pattern: "\\.spec\\.js$", new: true }] });
+  assert.ok(matches(tests, edit("/repo/src/util.spec.js", true)));
+  assert.ok(!matches(tests, edit("/repo/test/util.test.js", true)));
+});
+
+test("tool triggers match any call of that tool", () => {
+  const fetch = learning("w", "Doesn't use WebFetch unless asked", { triggers: [{ type: "tool", tool: "WebFetch" }] });
+  assert.ok(matches(fetch, { tool: "WebFetch" }));
+  assert.ok(!matches(fetch, bash("curl https://example.com")));
+});
+
+test("pending Write calls are new only if the file doesn't exist yet", () => {
+  fs.writeFileSync(path.join(home, "exists.js"), "");
+  const write = (file_path) => pendingCall({ tool_name: "Write", tool_input: { file_path }, cwd: home });
+  assert.deepStrictEqual(write("exists.js"), { tool: "Write", path: path.join(home, "exists.js"), isNew: false });
+  assert.strictEqual(write("missing.js").isNew, true);
+  assert.strictEqual(pendingCall({ tool_name: "Edit", tool_input: { file_path: "missing.js" }, cwd: home }).isNew, false);
+  assert.deepStrictEqual(pendingCall({ tool_name: "Bash", tool_input: { command: "ls" } }), { tool: "Bash", command: "ls" });
+});
+
+// ─── The hook ───────────────────────────────────────────────────────────────
+
+test("hard learnings deny the call, with the learning as the reason", () => {
+  saveLearnings({ learnings: [learning("x", "Uses pnpm — not npm", { enforcement: "hard" })] });
+
+  for (const command of ["npx jest", "cd web && npm run build"]) {
+    const out = hook("Bash", { command });
+    assert.strictEqual(out.permissionDecision, "deny", command);
+    assert.match(out.permissionDecisionReason, /"Uses pnpm — not npm"/);
+  }
+  assert.strictEqual(hook("Bash", { command: "pnpm run build" }), null);
+});
+
+test("must-follow learnings deny the call, even below the confidence threshold", () => {
+  saveLearnings({ learnings: [learning("g", "Edits the source, never generated files", { confidence: 0.2 })] });
+  assert.strictEqual(hook("Edit", { file_path: path.join(home, "dist", "app.js") }), null);
+
+  setMustFollow("g", true);
+  assert.deepStrictEqual(loadGuardrails().must_follow, ["g"]);
+  assert.strictEqual(hook("Edit", { file_path: path.join(home, "dist", "app.js") }).permissionDecision, "deny");
+
+  setMustFollow("g", false);
+  assert.strictEqual(hook("Edit", { file_path: path.join(home, "dist", "app.js") }), null);
+});
+
+test("other learnings are a reminder, once per session", () => {
+  saveLearnings({ learnings: [learning("x", "Uses pnpm — not npm")] });
+
+  const first = hook("Bash", { command: "npm install" });
+  assert.strictEqual(first.permissionDecision, undefined);
+  assert.match(first.additionalContext, /- Uses pnpm — not npm/);
+  assert.strictEqual(hook("Bash", { command: "npm test" }), null);
+
+  const buffer = JSON.parse(fs.readFileSync(paths.buffer, "utf-8"));
+  assert.deepStrictEqual(buffer.reminded, ["x"]);
+});
+
+test("reminders can be switched off; blocking still applies", () => {
+  saveLearnings({
+    learnings: [
+      learning("x", "Uses pnpm — not npm"),
+      learning("c", "Writes conventional commit messages", { enforcement: "hard" }),
+    ],
+  });
+  fs.writeFileSync(paths.guardrails, JSON.stringify({ must_follow: [], reminders: false }));
+
+  assert.strictEqual(hook("Bash", { command: "npm install" }), null);
+  assert.strictEqual(hook("Bash", { command: 'git commit -m "stuff"' }).permissionDecision, "deny");
+  assert.ok(!fs.existsSync(paths.buffer) || !JSON.parse(fs.readFileSync(paths.buffer, "utf-8")).reminded);
+});
@@ -0,0 +1,160 @@
+/**
+ * Request executor against a local fake server: retries, backoff,
+ * retry-after, the circuit opening, and the single half-open trial.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { readJson, writeFileAtomic, paths } = require("../lib/config");
+const { executeRequest, backoffDelay, getCircuitStates } = require("../lib/http");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+// Fast backoff so the suite doesn't sleep
+const FAST = { base_delay_ms: 5, max_delay_ms: 20 };
+
+/**
+ * Start a server that answers request n with responses[n] (the last one
+ * repeats). A response is { status, headers?, body?, delay? }.
+ */
+function serve(responses) {
+  const server = http.createServer((req, res) => {
+    const r = responses[Math.min(server.hits, responses.length - 1)];
+    server.hits += 1;
+    setTimeout(() => {
+      res.writeHead(r.status, { "content-type": "application/json", ...(r.headers || {}) });
+      res.end(r.body || "{}");
+    }, r.delay || 0);
+  });
+  server.hits = 0;
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.url = `http://127.0.0.1:${port}/v1/messages`;
+      server.key = `127.0.0.1:${port}`;
+      resolve(server);
+    });
+  });
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+function post(server, options = {}) {
+  return executeRequest(server.url, { method: "POST", body: "{}" }, { ...FAST, ...options });
+}
+
+function setCircuit(key, state) {
+  const data = readJson(paths.circuit, {});
+  data[key] = state;
+  writeFileAtomic(paths.circuit, JSON.stringify(data));
+}
+
+test("retries retryable statuses until one succeeds", async () => {
+  const server = await serve([{ status: 503 }, { status: 529 }, { status: 200, body: '{"ok":true}' }]);
+  const response = await post(server);
+  assert.deepStrictEqual(await response.json(), { ok: true });
+  assert.strictEqual(server.hits, 3);
+  assert.strictEqual(getCircuitStates()[server.key], undefined);
+  await close(server);
+});
+
+test("client errors are not retried", async () => {
+  const server = await serve([{ status: 400, body: "bad request" }]);
+  await assert.rejects(post(server), (e) => e.status === 400 && e.retryable === false);
+  assert.strictEqual(server.hits, 1);
+  await close(server);
+});
+
+test("retry-after is waited out instead of the computed backoff", async () => {
+  const server = await serve([{ status: 429, headers: { "retry-after-ms": "150" } }, { status: 200 }]);
+  const started = Date.now();
+  await post(server);
+  assert.ok(Date.now() - started >= 150);
+  assert.strictEqual(server.hits, 2);
+  await close(server);
+});
+
+test("backoff is jittered under an exponential ceiling", () => {
+  const opts = { base_delay_ms: 100, max_delay_ms: 1000 };
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const ceiling = Math.min(1000, 100 * 2 ** attempt);
+    for (let i = 0; i < 20; i++) {
+      const delay = backoffDelay(attempt, opts);
+      assert.ok(delay >= 0 && delay < ceiling, `attempt ${attempt}: ${delay}`);
+    }
+  }
+});
+
+test("the circuit opens after failure_threshold failed requests", async () => {
+  const server = await serve([{ status: 503 }]);
+  const options = { max_retries: 1, failure_threshold: 2, cooldown_ms: 60000 };
+  await assert.rejects(post(server, options), (e) => e.status === 503);
+  await assert.rejects(post(server, options), (e) => e.status === 503);
+  assert.strictEqual(server.hits, 4);
+
+  await assert.rejects(post(server, options), (e) => e.code === "CIRCUIT_OPEN" && e.retryable);
+  assert.strictEqual(server.hits, 4, "an open circuit must not reach the server");
+  assert.ok(getCircuitStates()[server.key].open_until > Date.now());
+  await close(server);
+});
+
+test("a long retry-after opens the circuit until then", async () => {
+  const server = await serve([{ status: 429, headers: { "retry-after": "120" } }]);
+  await assert.rejects(post(server), (e) => e.status === 429);
+  assert.strictEqual(server.hits, 1);
+  assert.ok(getCircuitStates()[server.key].open_until >= Date.now() + 119000);
+  await close(server);
+});
+
+test("half-open lets a single trial through, and its success closes the circuit", async () => {
+  const server = await serve([{ status: 200, delay: 200 }]);
+  setCircuit(server.key, { failures: 0, trips: 1, open_until: Date.now() - 1000 });
+
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => post(server)));
+  assert.strictEqual(server.hits, 1);
+  assert.strictEqual(results.filter((r) => r.status === "fulfilled").length, 1);
+  for (const r of results.filter((r) => r.status === "rejected")) {
+    assert.strictEqual(r.reason.code, "CIRCUIT_OPEN");
+  }
+  assert.strictEqual(getCircuitStates()[server.key], undefined);
+
+  await post(server);
+  assert.strictEqual(server.hits, 2);
+  await close(server);
+});
+
+test("a failed trial re-opens the circuit with a longer cooldown", async () => {
+  const server = await serve([{ status: 503 }]);
+  setCircuit(server.key, { failures: 0, trips: 1, open_until: Date.now() - 1000 });
+
+  await assert.rejects(post(server, { cooldown_ms: 1000 }), (e) => e.status === 503);
+  assert.strictEqual(server.hits, 1, "the trial is a single request, not retried");
+  const state = getCircuitStates()[server.key];
+  assert.strictEqual(state.trips, 2);
+  assert.ok(state.open_until > Date.now() + 1500);
+  assert.strictEqual(state.trial_started, undefined);
+  await close(server);
+});
+
+test("a trial claim from a process that died lapses", async () => {
+  const server = await serve([{ status: 200 }]);
+  setCircuit(server.key, { failures: 0, trips: 1, open_until: Date.now() - 5000, trial_started: Date.now() - 5000, trial_pid: 1 });
+
+  await assert.rejects(post(server, { trial_timeout_ms: 60000 }), (e) => e.code === "CIRCUIT_OPEN");
+  assert.strictEqual(server.hits, 0);
+
+  await post(server, { trial_timeout_ms: 1000 });
+  assert.strictEqual(server.hits, 1);
+  assert.strictEqual(getCircuitStates()[server.key], undefined);
+  await close(server);
+});
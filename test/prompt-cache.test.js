@@ -0,0 +1,35 @@
+/**
+ * The classifier prompt is only marked cacheable when it reaches the
+ * model's minimum cacheable length.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { canCacheSystem } = require("../lib/provider");
+const { buildBatchRequest } = require("../lib/classifier");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const pair = { claude_said: "I'll use npm.", user_said: "No, we use pnpm." };
+
+test("minimums follow the model", () => {
+  const tokens = (n) => "x".repeat(n * 4);
+  assert.strictEqual(canCacheSystem(tokens(2100), "claude-haiku-4-5-20251001"), false);
+  assert.strictEqual(canCacheSystem(tokens(4096), "claude-haiku-4-5-20251001"), true);
+  assert.strictEqual(canCacheSystem(tokens(2100), "claude-sonnet-4-6"), true);
+  assert.strictEqual(canCacheSystem(tokens(1000), "claude-sonnet-4-6"), false);
+  assert.strictEqual(canCacheSystem(tokens(3000), "claude-haiku-3-5-20241022"), true);
+  assert.strictEqual(canCacheSystem(tokens(5000), "llama3.1:8b"), false);
+});
+
+test("the classifier prompt is not marked cacheable for the default Haiku model", () => {
+  assert.strictEqual(buildBatchRequest([pair, pair], {}).cache_system, false);
+  assert.strictEqual(buildBatchRequest([pair, pair], { classifier_model: "claude-sonnet-4-6" }).cache_system, true);
+});
@@ -0,0 +1,100 @@
+/**
+ * Refused tool calls: how calls are grouped, and when repeats become a
+ * BEHAVIORAL_GAP learning, repo-scoped or global.
+ */
+
+const { test, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { paths, ensureDir } = require("../lib/config");
+const { recordRefusals, getRefusals, refusalKind, commandSignature, REFUSAL_THRESHOLD } = require("../lib/refusals");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => {
+  ensureDir();
+  try { fs.unlinkSync(paths.refusals); } catch {}
+});
+
+const bash = (command, status = "denied") => ({ tool: "Bash", command, input: command, status });
+const edit = (file, status = "denied") => ({ tool: "Edit", path: file, input: file, status });
+const turn = (...tool_events) => ({ user_said: "no, I'll do that myself", tool_events });
+
+test("command signatures: subcommand or flag, across compound commands", () => {
+  assert.strictEqual(commandSignature("git push origin main"), "git push");
+  assert.strictEqual(commandSignature("rm -rf build"), "rm -rf");
+  assert.strictEqual(commandSignature("cat notes.txt"), "cat");
+  assert.strictEqual(commandSignature("cd web && NODE_ENV=production sudo npm publish --access public"), "npm publish");
+  assert.strictEqual(commandSignature("/usr/local/bin/git status"), "git status");
+  assert.strictEqual(commandSignature("cd web; ls | wc -l"), "ls");
+  assert.strictEqual(commandSignature("cd web"), null);
+});
+
+test("edits to generated output are one group, other files each their own", () => {
+  for (const file of ["dist/app.js", "web/package-lock.json", "src/api.generated.ts", "public/app.min.js", "build/index.js.map"]) {
+    assert.strictEqual(refusalKind(edit(file)).key, "generated", file);
+  }
+  assert.strictEqual(refusalKind(edit("src/distance.js")).key, "file:src/distance.js");
+  assert.strictEqual(refusalKind({ tool: "WebFetch", input: "https://example.com", status: "denied" }).key, "tool:WebFetch");
+  assert.strictEqual(refusalKind(bash("cd web")), null);
+});
+
+test(`a learning only at ${REFUSAL_THRESHOLD} refusals of one kind`, () => {
+  assert.deepStrictEqual(recordRefusals(turn(bash("git push")), "/repo"), []);
+  assert.deepStrictEqual(recordRefusals(turn(bash("git push origin main"), bash("git status", "ok")), "/repo"), []);
+
+  const [learning, ...rest] = recordRefusals(turn(bash("git push --force")), "/repo");
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(learning.text, "Leaves `git push` to the developer — they refuse it when Claude runs it");
+  assert.strictEqual(learning.classification, "BEHAVIORAL_GAP");
+  assert.strictEqual(learning.confidence, 0.45);
+  assert.deepStrictEqual(learning.triggers, [{ type: "command", signature: "git push" }]);
+  assert.strictEqual(learning.evidence.claude_said, "Denied: Bash git push --force");
+
+  // Further refusals reinforce at the usual rate
+  assert.strictEqual(recordRefusals(turn(bash("git push", "interrupted")), "/repo")[0].confidence, undefined);
+  assert.strictEqual(getRefusals().length, 4);
+});
+
+test("different commands don't add up", () => {
+  recordRefusals(turn(bash("git push")), "/repo");
+  recordRefusals(turn(bash("git commit -m wip")), "/repo");
+  assert.deepStrictEqual(recordRefusals(turn(bash("git rebase main")), "/repo"), []);
+});
+
+test("several refusals in one turn count, but make one learning", () => {
+  const learnings = recordRefusals(turn(edit("dist/a.js"), edit("dist/b.js"), edit("pnpm-lock.yaml")), "/repo");
+  assert.strictEqual(learnings.length, 1);
+  assert.match(learnings[0].text, /generated files/);
+  assert.deepStrictEqual(learnings[0].triggers, [{ type: "edit", generated: true }]);
+});
+
+test("one repo: repo-scoped; several repos: global", () => {
+  recordRefusals(turn(bash("npm publish")), "/work/a");
+  recordRefusals(turn(bash("npm publish")), "/work/a");
+  const [local] = recordRefusals(turn(bash("npm publish")), "/work/a");
+  assert.strictEqual(local.scope, "repo");
+  assert.strictEqual(local.scope_key, "/work/a");
+
+  const [everywhere] = recordRefusals(turn(bash("npm publish")), "/work/b");
+  assert.strictEqual(everywhere.scope, "global");
+});
+
+test("a specific file stays repo-scoped even across repos", () => {
+  recordRefusals(turn(edit("README.md")), "/work/a");
+  recordRefusals(turn(edit("README.md")), "/work/b");
+  const [learning] = recordRefusals(turn(edit("README.md")), "/work/c");
+  assert.strictEqual(learning.scope, "repo");
+  assert.deepStrictEqual(learning.triggers, [{ type: "edit", path: "README.md" }]);
+});
+
+test("calls that ran are not refusals", () => {
+  assert.deepStrictEqual(recordRefusals(turn(bash("git push", "ok"), edit("dist/a.js", "ok")), "/repo"), []);
+  assert.deepStrictEqual(getRefusals(), []);
+});
@@ -0,0 +1,54 @@
+/**
+ * Reinforcement counts corrections, not signals: several signals from the
+ * same message reinforce a learning once.
+ */
+
+const { test, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { addCandidate, getAllLearnings, resetAll } = require("../lib/store");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+beforeEach(() => resetAll());
+
+function signal(text, source) {
+  return {
+    text,
+    scope: "global",
+    classification: "PREFERENCE",
+    detection_method: "regex",
+    evidence: { claude_said: "I'll run npm install.", user_said: "No, we use pnpm not npm in this project", source },
+  };
+}
+
+test("signals from the same message don't reinforce each other", () => {
+  addCandidate(signal("Uses pnpm instead of npm", "s1:abc"));
+  addCandidate(signal("Team uses pnpm instead of npm", "s1:abc"));
+
+  const [learning] = getAllLearnings();
+  assert.strictEqual(getAllLearnings().length, 1);
+  assert.strictEqual(learning.evidence_count, 1);
+  assert.strictEqual(learning.confidence, 0.35);
+});
+
+test("the same correction in another message reinforces", () => {
+  addCandidate(signal("Uses pnpm instead of npm", "s1:abc"));
+  addCandidate(signal("Uses pnpm instead of npm", "s2:abc"));
+
+  const [learning] = getAllLearnings();
+  assert.strictEqual(learning.evidence_count, 2);
+  assert.ok(Math.abs(learning.confidence - 0.5) < 1e-9);
+  assert.deepStrictEqual(learning.evidence.map((e) => e.source), ["s1:abc", "s2:abc"]);
+});
+
+test("signals without a source reinforce as before", () => {
+  addCandidate(signal("Uses pnpm instead of npm"));
+  addCandidate(signal("Uses pnpm instead of npm"));
+  assert.strictEqual(getAllLearnings()[0].evidence_count, 2);
+});
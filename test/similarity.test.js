@@ -0,0 +1,48 @@
+/**
+ * Local similarity: opposite learnings must not merge, and the store must
+ * see them as a contradiction instead.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { similarity } = require("../lib/similarity");
+const { addCandidate, getAllLearnings } = require("../lib/store");
+const { listConflicts } = require("../lib/conflicts");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const OPPOSITES = [
+  ["Write unit tests", "Skip unit tests"],
+  ["Add comments to functions", "Remove comments from functions"],
+  ["Enable strict mode in tsconfig", "Disable strict mode in tsconfig"],
+  ["Run database migrations on deploy", "Stop running database migrations on deploy"],
+];
+
+test("antonym verbs score below the merge threshold", () => {
+  for (const [a, b] of OPPOSITES) assert.ok(similarity(a, b) < 0.7, `${a} / ${b}: ${similarity(a, b)}`);
+});
+
+test("two ways of ruling something out still match", () => {
+  assert.ok(similarity("Skip semicolons at line ends", "Doesn't write semicolons at line ends") >= 0.7);
+  assert.ok(similarity("Avoid default exports", "Remove default exports") >= 0.7);
+});
+
+test("an opposite learning is recorded as a conflict, not as evidence", () => {
+  const add = (text, n) => addCandidate({
+    text, classification: "PREFERENCE", confidence: 0.5, area: "general",
+    evidence: { claude_said: `said ${n}`, user_said: `replied ${n}` },
+  });
+  add("Write unit tests", 1);
+  add("Skip unit tests", 2);
+
+  assert.ok(getAllLearnings().every((l) => l.evidence_count === 1), "neither side was reinforced");
+  const [conflict] = listConflicts();
+  assert.deepStrictEqual([conflict.a.text, conflict.b.text], ["Write unit tests", "Skip unit tests"]);
+});
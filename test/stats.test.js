@@ -0,0 +1,49 @@
+/**
+ * Cost accounting: Anthropic from the pricing table, local and mock
+ * endpoints free, hosted endpoints from their `pricing` or unknown.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const { computeCost, recordCall, loadStats, formatStats } = require("../lib/stats");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test("Anthropic calls are priced from the table", () => {
+  assert.strictEqual(computeCost("claude-haiku-4-5-20251001", 1_000_000, 1_000_000), 6);
+  assert.strictEqual(computeCost("claude-haiku-4-5-20251001", 1_000_000, 0, "anthropic", {}, true), 0.5);
+});
+
+test("local and mock endpoints are free", () => {
+  assert.strictEqual(computeCost("m", 1000, 1000, "mock"), 0);
+  assert.strictEqual(computeCost("llama3.1:8b", 1000, 1000, "openai", {}, false, { base_url: "http://localhost:11434/v1" }), 0);
+  assert.strictEqual(computeCost("llama3.1:8b", 1000, 1000, "openai", {}, false, { base_url: "http://127.0.0.1:8080/v1" }), 0);
+});
+
+test("hosted endpoints are priced from config, or unknown", () => {
+  const hosted = { base_url: "https://api.example.com/v1" };
+  assert.strictEqual(computeCost("gpt-4o-mini", 1000, 1000, "openai", {}, false, hosted), null);
+  assert.strictEqual(
+    computeCost("gpt-4o-mini", 1_000_000, 1_000_000, "openai", {}, false, { ...hosted, pricing: { input: 0.15, output: 0.6 } }),
+    0.75
+  );
+  const perModel = { ...hosted, pricing: { "gpt-4o-mini": { input: 1, output: 2 } } };
+  assert.strictEqual(computeCost("gpt-4o-mini", 1_000_000, 1_000_000, "openai", {}, false, perModel), 3);
+  assert.strictEqual(computeCost("other-model", 1000, 1000, "openai", {}, false, perModel), null);
+});
+
+test("unpriced calls are counted, not recorded as $0", () => {
+  recordCall("classification", "gpt-4o-mini", { input_tokens: 100, output_tokens: 10 }, "openai", { base_url: "https://api.example.com/v1" });
+  const stats = loadStats();
+  assert.strictEqual(stats.total_calls, 1);
+  assert.strictEqual(stats.total_unpriced_calls, 1);
+  assert.strictEqual(stats.by_provider.openai.unpriced_calls, 1);
+  assert.match(formatStats(), /Total cost:\s+unknown/);
+});
@@ -0,0 +1,39 @@
+/**
+ * build_tool: a build with one bundler or compiler redone with another.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The tool knowledge base also reads ~/.opentell/tools.json
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const buildTool = require("../../lib/tool-signals/build-tool");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const bash = (command) => ({ tool: "Bash", command, ts: 1 });
+
+test("webpack replaced by vite", () => {
+  const [signal, ...rest] = buildTool.detect([bash("npx webpack"), bash("npx vite build")]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(signal.text, "Uses vite — not webpack");
+  assert.strictEqual(signal.confidence, 0.7);
+  assert.deepStrictEqual(signal.triggers, [{ type: "command", tool: "webpack" }]);
+});
+
+test("a swap across bundler and compiler counts", () => {
+  const [signal] = buildTool.detect([bash("npx tsc"), bash("tsup src/index.ts")]);
+  assert.strictEqual(signal.text, "Uses tsup — not tsc");
+  assert.strictEqual(signal.evidence.claude_said, "Built with: npx tsc");
+});
+
+test("no signal for the same tool twice or non-build commands", () => {
+  assert.deepStrictEqual(buildTool.detect([bash("npx vite build"), bash("npx vite build --mode staging")]), []);
+  assert.deepStrictEqual(buildTool.detect([bash("npx webpack"), bash("npm test")]), []);
+  assert.deepStrictEqual(buildTool.detect([bash("npx webpack")]), []);
+});
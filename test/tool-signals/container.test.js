@@ -0,0 +1,36 @@
+/**
+ * container: commands moved between the host and a container.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const container = require("../../lib/tool-signals/container");
+
+const bash = (command) => ({ tool: "Bash", command, ts: 1 });
+
+test("a host command redone in the compose service", () => {
+  const [signal, ...rest] = container.detect([bash("npm test"), bash("docker compose exec -e CI=1 app npm test")]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(signal.text, "Runs commands inside the app container — not on the host");
+  assert.strictEqual(signal.confidence, 0.7);
+  assert.strictEqual(signal.area, "devops");
+});
+
+test("a container command redone on the host", () => {
+  const [signal] = container.detect([bash("kubectl exec -n web pod/api-7f9 -- python manage.py migrate"), bash("python manage.py migrate")]);
+  assert.strictEqual(signal.text, "Runs commands on the host — not inside containers");
+});
+
+test("several commands in one container are a weaker habit", () => {
+  const [signal] = container.detect([bash("docker-compose exec web rails db:migrate"), bash("docker-compose exec web rails test")]);
+  assert.strictEqual(signal.text, "Runs commands inside the web container — not on the host");
+  assert.strictEqual(signal.confidence, 0.35);
+});
+
+test("no signal for host-only commands, different commands, or one container run", () => {
+  assert.deepStrictEqual(container.detect([bash("npm test"), bash("npm run lint")]), []);
+  assert.deepStrictEqual(container.detect([bash("npm test"), bash("docker compose exec app npm run lint")]), []);
+  assert.deepStrictEqual(container.detect([bash("docker run --rm -v .:/app node:20 npm test")]), []);
+  assert.deepStrictEqual(container.detect([bash("docker ps"), bash("docker compose up -d")]), []);
+});
@@ -0,0 +1,54 @@
+/**
+ * deleted_file: a file Claude created in an earlier turn, deleted this turn.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const deletedFile = require("../../lib/tool-signals/deleted-file");
+
+const TURN_START = 1000;
+const write = (file, ts) => ({ tool: "Write", path: file, ts });
+const bash = (command, ts = TURN_START + 10) => ({ tool: "Bash", command, ts });
+
+function detect(sessionEvents, turnEvents) {
+  return deletedFile.detect(turnEvents, { sessionEvents: [...sessionEvents, ...turnEvents], turnStart: TURN_START });
+}
+
+test("an unrequested summary file removed in a later turn", () => {
+  const [signal, ...rest] = detect([write("/repo/SUMMARY.md", 500)], [bash("rm SUMMARY.md")]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(signal.text, "Doesn't create documentation or summary files unless asked");
+  assert.strictEqual(signal.classification, "BEHAVIORAL_GAP");
+  assert.deepStrictEqual(signal.triggers[0].new, true);
+  assert.strictEqual(signal.evidence.claude_said, "Created: /repo/SUMMARY.md");
+});
+
+test("scratch files and one-off test scripts", () => {
+  const signals = detect(
+    [write("/repo/debug_output.py", 100), write("/repo/test_parser.js", 200)],
+    [bash("git rm debug_output.py && unlink ./test_parser.js")]
+  );
+  assert.deepStrictEqual(signals.map((s) => s.text), [
+    "Doesn't leave scratch or debug files in the repo",
+    "Doesn't add one-off test scripts — uses the project's test suite",
+  ]);
+});
+
+test("cleanup within the same turn doesn't count", () => {
+  // Written after the turn started: Claude tidying its own work
+  assert.deepStrictEqual(detect([], [write("/repo/NOTES.md", TURN_START + 5), bash("rm NOTES.md")]), []);
+});
+
+test("flags are skipped when reading removed paths", () => {
+  const [signal] = detect([write("/repo/scratch.txt", 100)], [bash('rm -f -- "./scratch.txt"')]);
+  assert.strictEqual(signal.text, "Doesn't create documentation or summary files unless asked");
+  // A flag is never taken for a file name
+  assert.deepStrictEqual(detect([write("/repo/-f", 100)], [bash("rm -f other.js")]), []);
+});
+
+test("no signal for files Claude didn't create or kinds that don't generalize", () => {
+  assert.deepStrictEqual(detect([], [bash("rm README.md")]), []);
+  assert.deepStrictEqual(detect([write("/repo/src/index.js", 100)], [bash("rm src/index.js")]), []);
+  assert.deepStrictEqual(detect([write("/repo/NOTES.md", 100)], [bash("cat NOTES.md")]), []);
+});
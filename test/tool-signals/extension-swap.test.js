@@ -0,0 +1,31 @@
+/**
+ * extension_swap: a file written with one extension, then the same path
+ * with another, in the same turn.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const extensionSwap = require("../../lib/tool-signals/extension-swap");
+
+const write = (file, tool = "Write") => ({ tool, path: file, ext: file.slice(file.lastIndexOf(".")), ts: 1 });
+
+test("a .ts file redone as .js", () => {
+  const [signal, ...rest] = extensionSwap.detect([write("src/util.ts"), write("src/util.js")]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(signal.text, "Uses .js files — not .ts");
+  assert.deepStrictEqual(signal.triggers, [{ type: "edit", extension: ".ts", new: true }]);
+  assert.strictEqual(signal.evidence.claude_said, "Created: src/util.ts");
+  assert.strictEqual(signal.evidence.user_said, "Replaced with: src/util.js");
+});
+
+test("Edit events count too", () => {
+  const [signal] = extensionSwap.detect([write("lib/a.jsx", "Edit"), write("lib/a.tsx")]);
+  assert.strictEqual(signal.text, "Uses .tsx files — not .jsx");
+});
+
+test("no signal for different files, the same extension, or Bash", () => {
+  assert.deepStrictEqual(extensionSwap.detect([write("src/a.ts"), write("src/b.js")]), []);
+  assert.deepStrictEqual(extensionSwap.detect([write("src/a.ts"), write("src/a.ts", "Edit")]), []);
+  assert.deepStrictEqual(extensionSwap.detect([{ tool: "Bash", command: "mv a.ts a.js", ts: 1 }]), []);
+});
@@ -0,0 +1,41 @@
+/**
+ * formatter_after_edit: a formatter or linter run after files were edited.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The tool knowledge base also reads ~/.opentell/tools.json
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const formatterAfterEdit = require("../../lib/tool-signals/formatter-after-edit");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const bash = (command) => ({ tool: "Bash", command, ts: 1 });
+const edit = (file) => ({ tool: "Edit", path: file, ts: 1 });
+
+test("prettier after an edit is a quality standard", () => {
+  const [signal, ...rest] = formatterAfterEdit.detect([edit("src/app.ts"), bash("npx prettier --write src")]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(signal.text, "Runs prettier after editing files");
+  assert.strictEqual(signal.classification, "QUALITY_STANDARD");
+  assert.strictEqual(signal.evidence.claude_said, "Edited: src/app.ts");
+});
+
+test("each tool once, formatter and linter both", () => {
+  const signals = formatterAfterEdit.detect([
+    edit("a.py"), bash("ruff check --fix ."), edit("b.py"), bash("ruff check --fix ."), bash("npx eslint ."),
+  ]);
+  assert.deepStrictEqual(signals.map((s) => s.text), ["Runs ruff after editing files", "Runs eslint after editing files"]);
+});
+
+test("no signal without an edit before it", () => {
+  assert.deepStrictEqual(formatterAfterEdit.detect([bash("npx prettier --write src"), edit("src/app.ts")]), []);
+  assert.deepStrictEqual(formatterAfterEdit.detect([bash("npx prettier --check .")]), []);
+  assert.deepStrictEqual(formatterAfterEdit.detect([edit("src/app.ts"), bash("npm test")]), []);
+});
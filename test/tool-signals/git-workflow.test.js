@@ -0,0 +1,60 @@
+/**
+ * git_workflow: rebase vs merge, conventional commits and branch naming.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const gitWorkflow = require("../../lib/tool-signals/git-workflow");
+
+const bash = (command) => ({ tool: "Bash", command, ts: 1 });
+const texts = (signals) => signals.map((s) => s.text);
+
+test("a merge redone as a rebase is a correction", () => {
+  const [signal] = gitWorkflow.detect([bash("git merge main"), bash("git merge --abort"), bash("git rebase main")]);
+  assert.strictEqual(signal.text, "Rebases instead of merging");
+  assert.strictEqual(signal.confidence, 0.7);
+  assert.deepStrictEqual(signal.triggers, [{ type: "command", signature: "git merge" }]);
+});
+
+test("a single pull --rebase is a habit", () => {
+  const [signal] = gitWorkflow.detect([bash("git pull --rebase origin main")]);
+  assert.strictEqual(signal.text, "Rebases instead of merging");
+  assert.strictEqual(signal.confidence, 0.35);
+});
+
+test("a commit amended into the conventional format", () => {
+  const [signal] = gitWorkflow.detect([
+    bash('git add -A && git commit -m "Add login form"'),
+    bash('git commit --amend -m "feat(auth): add login form"'),
+  ]);
+  assert.strictEqual(signal.text, "Writes conventional commit messages (feat:, fix:, chore: …)");
+  assert.strictEqual(signal.confidence, 0.7);
+  assert.strictEqual(signal.evidence.user_said, "Amended to: feat(auth): add login form");
+});
+
+test("heredoc commit messages are read", () => {
+  const command = "git commit -m \"$(cat <<'EOF'\nfix: handle empty input\n\nDetails\nEOF\n)\"";
+  assert.strictEqual(gitWorkflow.commitSubject(gitWorkflow.parseGit(command).args), "fix: handle empty input");
+  assert.deepStrictEqual(texts(gitWorkflow.detect([bash(command)])), ["Writes conventional commit messages (feat:, fix:, chore: …)"]);
+});
+
+test("-m combined with other flags is read", () => {
+  assert.strictEqual(gitWorkflow.commitSubject(gitWorkflow.parseGit('git commit -am "fix: typo"').args), "fix: typo");
+  assert.strictEqual(gitWorkflow.commitSubject(gitWorkflow.parseGit("git commit -qm 'wip'").args), "wip");
+  assert.strictEqual(gitWorkflow.commitSubject(gitWorkflow.parseGit("git commit --amend --no-edit").args), "");
+});
+
+test("branch names: type prefixes and owner prefixes", () => {
+  assert.deepStrictEqual(texts(gitWorkflow.detect([bash("git checkout -b feature/login")])), ["Names branches by type: feature/…, fix/…"]);
+  const [renamed] = gitWorkflow.detect([bash("git branch -m login-form jdoe/login-form")]);
+  assert.strictEqual(renamed.text, "Names branches jdoe/<topic>");
+  assert.strictEqual(renamed.confidence, 0.7);
+});
+
+test("no signal for plain commits, other git commands or non-git", () => {
+  assert.deepStrictEqual(gitWorkflow.detect([bash('git commit -m "Update readme"')]), []);
+  assert.deepStrictEqual(gitWorkflow.detect([bash("git status"), bash("git diff"), bash("git checkout main")]), []);
+  assert.deepStrictEqual(gitWorkflow.detect([bash("git rebase --continue")]), []);
+  assert.deepStrictEqual(gitWorkflow.detect([bash("echo git merge main")]), []);
+});
@@ -0,0 +1,41 @@
+/**
+ * substitution: one tool's command replaced by another's in the same turn.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The tool knowledge base also reads ~/.opentell/tools.json
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "opentell-test-"));
+process.env.HOME = home;
+
+const substitution = require("../../lib/tool-signals/substitution");
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const bash = (command, ts = 1) => ({ tool: "Bash", command, ts });
+
+test("npm replaced by pnpm is a package manager preference", () => {
+  const [signal, ...rest] = substitution.detect([bash("npm install lodash"), bash("pnpm add lodash")]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(signal.text, "Uses pnpm — not npm");
+  assert.strictEqual(signal.confidence, 0.72);
+  assert.deepStrictEqual(signal.triggers, [{ type: "command", tool: "npm" }]);
+  assert.strictEqual(signal.evidence.claude_said, "Tool used: npm install lodash");
+});
+
+test("test runners swap in their own area", () => {
+  const [signal] = substitution.detect([bash("npx jest"), bash("npx vitest run")]);
+  assert.strictEqual(signal.text, "Uses vitest — not jest");
+  assert.strictEqual(signal.area, "testing");
+});
+
+test("no signal for the same tool, other categories, or commands apart", () => {
+  assert.deepStrictEqual(substitution.detect([bash("npm install"), bash("npm test")]), []);
+  assert.deepStrictEqual(substitution.detect([bash("npm install"), bash("git status")]), []);
+  assert.deepStrictEqual(substitution.detect([bash("npm install"), bash("ls"), bash("pnpm install")]), []);
+  assert.deepStrictEqual(substitution.detect([{ tool: "Write", path: "a.js" }, bash("pnpm install")]), []);
+});